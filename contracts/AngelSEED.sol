@@ -4,6 +4,8 @@ pragma solidity 0.8.30;
 import {ERC20} from "solady/src/tokens/ERC20.sol";
 import {OwnableRoles} from "solady/src/auth/OwnableRoles.sol";
 import {Pausable} from "@openzeppelin/contracts/security/Pausable.sol";
+import {MerkleProofLib} from "solady/src/utils/MerkleProofLib.sol";
+import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 import {IAngelSEED} from "./interfaces/IAngelSEED.sol";
 
 /**
@@ -14,23 +16,55 @@ import {IAngelSEED} from "./interfaces/IAngelSEED.sol";
  *
  * Features:
  * - Hard cap of 10 billion tokens
- * - Reward-based minting role
+ * - Reward-based minting role, optionally rate limited per minter over a rolling window
+ * - Merkle-claim reward epochs (recipients pay for their own mint)
  * - No transfer fees (unlike CAPY)
  * - Pause/unpause functionality
+ * - Enumerable role members (roleMembers, roleMemberCount) next to the OwnableRoles bitmaps
+ * - Compliance blocklist, managed by COMPLIANCE_ROLE: listed addresses cannot send, receive,
+ *   be minted to or spend allowances
+ * - ERC-2771 meta-transactions through an owner-set trusted forwarder, so holders without BNB
+ *   can transfer, approve and burn (permit needs no relaying: anyone can submit the signature)
  * - Burn mechanism (doesn't free mint capacity)
  * - Multisig-only admin
  */
 contract AngelSEED is ERC20, OwnableRoles, Pausable, IAngelSEED {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
     ///////////////// STATE VARIABLES /////////////////
 
     uint256 public constant REWARD_MINTER_ROLE = _ROLE_0;
+    uint256 public constant COMPLIANCE_ROLE = _ROLE_1;
 
     uint256 private constant MAX_SUPPLY = 10_000_000_000 * 10 ** 18; // 10 billion tokens
 
     uint256 public constant MAX_REASON_LENGTH = 256;
 
+    // Longest window a minter allowance can refill over
+    uint256 public constant MAX_ALLOWANCE_WINDOW = 365 days;
+
+    // keccak256(bytes(name())), used in the EIP-712 domain of permit
+    bytes32 private constant NAME_HASH = keccak256("AngelSEED");
+
     uint256 private totalMinted;
 
+    uint256 public rewardEpochCount;
+
+    mapping(uint256 => RewardEpoch) private rewardEpochs;
+
+    mapping(uint256 => mapping(address => bool)) private rewardClaimed;
+
+    mapping(address => bool) private blocklist;
+
+    // ERC-2771 forwarder whose calls carry the signer's address; address(0) disables meta-transactions
+    address private trustedForwarder;
+
+    // Holders of each single-bit role
+    mapping(uint256 => EnumerableSet.AddressSet) private roleMemberSets;
+
+    // Rate limits of reward minters; minters without one can mint up to MAX_SUPPLY
+    mapping(address => MinterAllowance) private minterAllowances;
+
     ///////////////// CONSTRUCTOR /////////////////
 
     /**
@@ -53,7 +87,7 @@ contract AngelSEED is ERC20, OwnableRoles, Pausable, IAngelSEED {
     ///////////////// MODIFIERS /////////////////
 
     modifier onlyRole(uint256 role) {
-        require(hasAllRoles(msg.sender, role), Unauthorized());
+        require(hasAllRoles(_msgSender(), role), Unauthorized());
         _;
     }
 
@@ -65,7 +99,7 @@ contract AngelSEED is ERC20, OwnableRoles, Pausable, IAngelSEED {
      * @param amount Amount of tokens to mint
      * @param reason Reason for minting
      * @dev Only callable by addresses with REWARD_MINTER_ROLE
-     * @dev Respects MAX_SUPPLY cap
+     * @dev Respects MAX_SUPPLY cap and the caller's minter allowance
      */
     function rewardMint(
         address to,
@@ -80,6 +114,7 @@ contract AngelSEED is ERC20, OwnableRoles, Pausable, IAngelSEED {
                 bytes(reason).length <= MAX_REASON_LENGTH,
             InvalidReason()
         );
+        _spendMinterAllowance(_msgSender(), amount);
 
         totalMinted = totalMinted + amount;
         _mint(to, amount);
@@ -113,6 +148,7 @@ contract AngelSEED is ERC20, OwnableRoles, Pausable, IAngelSEED {
 
         // Check total amount against max supply
         require(totalMinted + totalAmount <= MAX_SUPPLY, MaxSupplyExceeded());
+        _spendMinterAllowance(_msgSender(), totalAmount);
         totalMinted += totalAmount;
 
         // Perform minting
@@ -125,6 +161,87 @@ contract AngelSEED is ERC20, OwnableRoles, Pausable, IAngelSEED {
         }
     }
 
+    ///////////////// REWARD EPOCHS /////////////////
+
+    /**
+     * @notice Publish a Merkle root of reward claims that recipients claim themselves
+     * @param merkleRoot Root of the tree of (account, amount) leaves
+     * @param budget Total amount claimable in this epoch
+     * @param reason Reason emitted with every claim
+     * @return epochId Identifier of the new epoch (starting at 1)
+     * @dev Only callable by addresses with REWARD_MINTER_ROLE
+     * @dev The budget is not reserved; each claim is checked against MAX_SUPPLY when it is made
+     * @dev The whole budget is spent from the caller's minter allowance, so a rate-limited
+     *      minter cannot mint around its limit through an epoch
+     */
+    function publishRewardEpoch(
+        bytes32 merkleRoot,
+        uint256 budget,
+        string calldata reason
+    )
+        external
+        whenNotPaused
+        onlyRole(REWARD_MINTER_ROLE)
+        returns (uint256 epochId)
+    {
+        require(merkleRoot != bytes32(0), InvalidMerkleRoot());
+        require(budget > 0, InvalidAmount());
+        require(totalMinted + budget <= MAX_SUPPLY, MaxSupplyExceeded());
+        require(
+            bytes(reason).length > 0 &&
+                bytes(reason).length <= MAX_REASON_LENGTH,
+            InvalidReason()
+        );
+        _spendMinterAllowance(_msgSender(), budget);
+
+        epochId = ++rewardEpochCount;
+        rewardEpochs[epochId] = RewardEpoch(merkleRoot, budget, 0, reason);
+
+        emit RewardEpochPublished(epochId, merkleRoot, budget, reason);
+    }
+
+    /**
+     * @notice Claim a reward from a published epoch
+     * @param epochId Epoch to claim from
+     * @param account Account the leaf belongs to (receives the tokens)
+     * @param amount Amount in the leaf
+     * @param proof Merkle proof of the leaf
+     * @dev Anyone can submit a claim; the tokens always go to `account`
+     * @dev Leaves are keccak256(bytes.concat(keccak256(abi.encode(account, amount)))), pairs are hashed sorted
+     * @dev Counts toward totalMinted and respects MAX_SUPPLY cap
+     */
+    function claimReward(
+        uint256 epochId,
+        address account,
+        uint256 amount,
+        bytes32[] calldata proof
+    ) external whenNotPaused {
+        RewardEpoch storage epoch = rewardEpochs[epochId];
+        require(epoch.merkleRoot != bytes32(0), InvalidEpoch());
+        require(account != address(0), ZeroAddress());
+        require(amount > 0, InvalidAmount());
+        require(!rewardClaimed[epochId][account], AlreadyClaimed());
+
+        bytes32 leaf = keccak256(
+            bytes.concat(keccak256(abi.encode(account, amount)))
+        );
+        require(
+            MerkleProofLib.verifyCalldata(proof, epoch.merkleRoot, leaf),
+            InvalidProof()
+        );
+
+        require(epoch.claimed + amount <= epoch.budget, EpochBudgetExceeded());
+        require(totalMinted + amount <= MAX_SUPPLY, MaxSupplyExceeded());
+
+        rewardClaimed[epochId][account] = true;
+        epoch.claimed += amount;
+        totalMinted += amount;
+        _mint(account, amount);
+
+        emit RewardClaimed(epochId, account, amount);
+        emit RewardMint(account, amount, epoch.reason);
+    }
+
     ///////////////// BURN FUNCTIONS /////////////////
 
     /**
@@ -134,8 +251,9 @@ contract AngelSEED is ERC20, OwnableRoles, Pausable, IAngelSEED {
      */
     function burn(uint256 amount) external {
         require(amount > 0, InvalidAmount());
-        _burn(msg.sender, amount);
-        emit Burn(msg.sender, amount);
+        address account = _msgSender();
+        _burn(account, amount);
+        emit Burn(account, amount);
     }
 
     /**
@@ -148,8 +266,10 @@ contract AngelSEED is ERC20, OwnableRoles, Pausable, IAngelSEED {
     function burnFrom(address from, uint256 amount) external {
         require(from != address(0), ZeroAddress());
         require(amount > 0, InvalidAmount());
+        address spender = _msgSender();
+        require(!blocklist[spender], AccountBlocked());
 
-        _spendAllowance(from, msg.sender, amount);
+        _spendAllowance(from, spender, amount);
         _burn(from, amount);
         emit Burn(from, amount);
     }
@@ -160,13 +280,14 @@ contract AngelSEED is ERC20, OwnableRoles, Pausable, IAngelSEED {
      * @notice Transfer tokens to a specified address
      * @param to Address to transfer to
      * @param amount Amount to transfer
-     * @dev Overridden to add pause functionality (no fees for AngelSEED)
+     * @dev Overridden to add pause functionality (no fees for AngelSEED) and meta-transactions
      */
     function transfer(
         address to,
         uint256 amount
     ) public override whenNotPaused returns (bool) {
-        return super.transfer(to, amount);
+        _transfer(_msgSender(), to, amount);
+        return true;
     }
 
     /**
@@ -174,14 +295,29 @@ contract AngelSEED is ERC20, OwnableRoles, Pausable, IAngelSEED {
      * @param from Address to transfer from
      * @param to Address to transfer to
      * @param amount Amount to transfer
-     * @dev Overridden to add pause functionality (no fees for AngelSEED)
+     * @dev Overridden to add pause functionality (no fees for AngelSEED) and meta-transactions
      */
     function transferFrom(
         address from,
         address to,
         uint256 amount
     ) public override whenNotPaused returns (bool) {
-        return super.transferFrom(from, to, amount);
+        address spender = _msgSender();
+        require(!blocklist[spender], AccountBlocked());
+        _spendAllowance(from, spender, amount);
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    /**
+     * @notice Set the allowance of `spender` over the caller's tokens
+     * @param spender Address allowed to spend
+     * @param amount Allowance
+     * @dev Overridden for meta-transactions: Solady's approve writes the allowance of msg.sender
+     */
+    function approve(address spender, uint256 amount) public override returns (bool) {
+        _approve(_msgSender(), spender, amount);
+        return true;
     }
 
     ///////////////// PAUSE FUNCTIONS /////////////////
@@ -232,6 +368,85 @@ contract AngelSEED is ERC20, OwnableRoles, Pausable, IAngelSEED {
         emit RoleRevoked(roles, user, msg.sender);
     }
 
+    /**
+     * @notice Set how much a reward minter can mint per rolling window
+     * @param minter REWARD_MINTER_ROLE holder to limit
+     * @param amount Tokens the minter can mint per window (0 stops it minting)
+     * @param window Window in seconds over which the allowance refills linearly, at most
+     *        MAX_ALLOWANCE_WINDOW, or 0 together with a zero amount to remove the limit
+     * @dev Only callable by owner (multisig). A new limit starts full; changing an existing one
+     *      keeps what is left of the current window, capped at the new amount
+     */
+    function setMinterAllowance(
+        address minter,
+        uint256 amount,
+        uint256 window
+    ) external onlyOwner {
+        require(minter != address(0), ZeroAddress());
+        require(
+            amount <= MAX_SUPPLY &&
+                window <= MAX_ALLOWANCE_WINDOW &&
+                (window > 0 || amount == 0),
+            InvalidMinterAllowance()
+        );
+
+        MinterAllowance storage allowance = minterAllowances[minter];
+        uint256 available = allowance.window == 0
+            ? amount
+            : _availableAllowance(allowance);
+        if (available > amount) available = amount;
+
+        minterAllowances[minter] = MinterAllowance(
+            uint128(amount),
+            uint128(available),
+            uint64(window),
+            uint64(block.timestamp)
+        );
+
+        emit MinterAllowanceUpdated(minter, amount, window);
+    }
+
+    /**
+     * @notice Set the ERC-2771 forwarder trusted to relay meta-transactions
+     * @param newForwarder Forwarder contract, or address(0) to stop accepting meta-transactions
+     * @dev Only callable by owner (multisig). Relayed calls act as the signer of the request
+     *      for transfer, transferFrom, burn, burnFrom and role-gated functions.
+     */
+    function setTrustedForwarder(address newForwarder) external onlyOwner {
+        require(
+            newForwarder == address(0) || _isContract(newForwarder),
+            InvalidForwarder()
+        );
+
+        address oldForwarder = trustedForwarder;
+        trustedForwarder = newForwarder;
+
+        emit TrustedForwarderUpdated(oldForwarder, newForwarder);
+    }
+
+    ///////////////// COMPLIANCE FUNCTIONS /////////////////
+
+    /**
+     * @notice Add addresses to or remove them from the blocklist
+     * @param accounts Addresses to update
+     * @param blocked True to block, false to unblock
+     * @dev Only callable by addresses with COMPLIANCE_ROLE, which the owner grants separately;
+     *      the owner itself cannot change the list. Works while paused.
+     */
+    function setBlocked(
+        address[] calldata accounts,
+        bool blocked
+    ) external onlyRole(COMPLIANCE_ROLE) {
+        for (uint256 i; i < accounts.length; ) {
+            require(accounts[i] != address(0), ZeroAddress());
+            blocklist[accounts[i]] = blocked;
+            emit BlocklistUpdated(accounts[i], blocked);
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
     ///////////////// OWNERSHIP FUNCTIONS /////////////////
 
     /**
@@ -283,6 +498,76 @@ contract AngelSEED is ERC20, OwnableRoles, Pausable, IAngelSEED {
         return totalMinted;
     }
 
+    /**
+     * @notice Returns a published reward epoch
+     * @param epochId Epoch identifier
+     * @dev Returns an empty struct for unknown epochs
+     */
+    function getRewardEpoch(
+        uint256 epochId
+    ) external view returns (RewardEpoch memory) {
+        return rewardEpochs[epochId];
+    }
+
+    /**
+     * @notice Check if an account already claimed from an epoch
+     * @param epochId Epoch identifier
+     * @param account Account to check
+     */
+    function isRewardClaimed(
+        uint256 epochId,
+        address account
+    ) external view returns (bool) {
+        return rewardClaimed[epochId][account];
+    }
+
+    /**
+     * @notice Returns the rate limit of a reward minter
+     * @param minter Minter to check
+     * @dev `available` is as of `updatedAt`; getRemainingMintAllowance includes the refill since
+     */
+    function getMinterAllowance(
+        address minter
+    ) external view returns (MinterAllowance memory) {
+        return minterAllowances[minter];
+    }
+
+    /**
+     * @notice Returns how much a reward minter can mint right now
+     * @param minter Minter to check
+     * @dev type(uint256).max for minters without a rate limit (MAX_SUPPLY still applies)
+     */
+    function getRemainingMintAllowance(
+        address minter
+    ) external view returns (uint256) {
+        MinterAllowance storage allowance = minterAllowances[minter];
+        if (allowance.window == 0) return type(uint256).max;
+        return _availableAllowance(allowance);
+    }
+
+    /**
+     * @notice Check if an address is the trusted ERC-2771 forwarder
+     * @param forwarder Address to check
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
+    }
+
+    /**
+     * @notice Returns the trusted ERC-2771 forwarder (address(0) if none)
+     */
+    function getTrustedForwarder() external view returns (address) {
+        return trustedForwarder;
+    }
+
+    /**
+     * @notice Check if an address is on the blocklist
+     * @param account Address to check
+     */
+    function isBlocked(address account) external view returns (bool) {
+        return blocklist[account];
+    }
+
     /**
      * @notice Check if an address has a specific role
      * @param user Address to check
@@ -292,6 +577,22 @@ contract AngelSEED is ERC20, OwnableRoles, Pausable, IAngelSEED {
         return hasAllRoles(user, role);
     }
 
+    /**
+     * @notice Returns the holders of a role, in no particular order
+     * @param role A single role (e.g. REWARD_MINTER_ROLE); combined bitmaps have no members
+     */
+    function roleMembers(uint256 role) external view returns (address[] memory) {
+        return roleMemberSets[role].values();
+    }
+
+    /**
+     * @notice Returns the number of holders of a role
+     * @param role A single role (e.g. REWARD_MINTER_ROLE); combined bitmaps have no members
+     */
+    function roleMemberCount(uint256 role) external view returns (uint256) {
+        return roleMemberSets[role].length();
+    }
+
     /**
      * @notice Returns the default admin role identifier
      * @dev For compatibility with OpenZeppelin's AccessControl
@@ -311,6 +612,58 @@ contract AngelSEED is ERC20, OwnableRoles, Pausable, IAngelSEED {
 
     ///////////////// INTERNAL FUNCTIONS /////////////////
 
+    /**
+     * @dev Keeps the role member sets in step with the role bitmaps. Grants, revokes,
+     *      renunciations and the constructor grant all go through here
+     */
+    function _updateRoles(address user, uint256 roles, bool on) internal override {
+        uint256 current = rolesOf(user);
+        // Only the bits that actually flip change a member set
+        uint256 changed = on ? roles & ~current : roles & current;
+        super._updateRoles(user, roles, on);
+
+        while (changed != 0) {
+            uint256 role = changed & (~changed + 1);
+            if (on) {
+                roleMemberSets[role].add(user);
+            } else {
+                roleMemberSets[role].remove(user);
+            }
+            changed ^= role;
+        }
+    }
+
+    /**
+     * @notice Spend `amount` from a minter's allowance; minters without a rate limit pass
+     */
+    function _spendMinterAllowance(address minter, uint256 amount) internal {
+        MinterAllowance storage allowance = minterAllowances[minter];
+        if (allowance.window == 0) return;
+
+        uint256 available = _availableAllowance(allowance);
+        require(amount <= available, MinterAllowanceExceeded());
+
+        allowance.available = uint128(available - amount);
+        allowance.updatedAt = uint64(block.timestamp);
+    }
+
+    /**
+     * @notice Unspent allowance now: the amount left at the last update plus a linear refill
+     *         of `amount` per `window`, up to `amount`
+     */
+    function _availableAllowance(
+        MinterAllowance storage allowance
+    ) internal view returns (uint256) {
+        uint256 elapsed = block.timestamp - allowance.updatedAt;
+        uint256 amount = allowance.amount;
+        if (elapsed >= allowance.window) return amount;
+
+        uint256 refilled = allowance.available +
+            (amount * elapsed) /
+            allowance.window;
+        return refilled < amount ? refilled : amount;
+    }
+
     /**
      * @notice Check if an address is a contract
      * @param account Address to check
@@ -324,6 +677,48 @@ contract AngelSEED is ERC20, OwnableRoles, Pausable, IAngelSEED {
         return size > 0;
     }
 
+    /**
+     * @notice Blocklist check for every balance change: transfers, mints and burns
+     */
+    function _beforeTokenTransfer(
+        address from,
+        address to,
+        uint256
+    ) internal view override {
+        require(!blocklist[from] && !blocklist[to], AccountBlocked());
+    }
+
+    /**
+     * @notice The account a call acts for: the request signer when relayed by the trusted
+     *         forwarder (ERC-2771 appends it to the calldata), msg.sender otherwise
+     */
+    function _msgSender() internal view override returns (address sender) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            sender = msg.sender;
+        }
+    }
+
+    /**
+     * @notice Calldata without the signer address the trusted forwarder appends
+     */
+    function _msgData() internal view override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return msg.data;
+    }
+
+    /**
+     * @notice Constant name hash, so permit and DOMAIN_SEPARATOR do not hash name() on every call
+     */
+    function _constantNameHash() internal pure override returns (bytes32) {
+        return NAME_HASH;
+    }
+
     ///////////////// ERC20 METADATA /////////////////
 
     /**
@@ -339,4 +734,23 @@ contract AngelSEED is ERC20, OwnableRoles, Pausable, IAngelSEED {
     function symbol() public pure override returns (string memory) {
         return "ANGEL";
     }
+
+    /**
+     * @notice Returns the permit signing domain, without salt or extensions (EIP-5267)
+     */
+    function eip712Domain()
+        external
+        view
+        returns (
+            bytes1 fields,
+            string memory name_,
+            string memory version,
+            uint256 chainId,
+            address verifyingContract,
+            bytes32 salt,
+            uint256[] memory extensions
+        )
+    {
+        return (hex"0f", name(), "1", block.chainid, address(this), bytes32(0), new uint256[](0));
+    }
 }
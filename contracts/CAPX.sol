@@ -2,48 +2,124 @@
 pragma solidity 0.8.30;
 
 import {ERC20} from "solady/src/tokens/ERC20.sol";
+import {ERC20Votes} from "solady/src/tokens/ERC20Votes.sol";
 import {OwnableRoles} from "solady/src/auth/OwnableRoles.sol";
 import {Pausable} from "@openzeppelin/contracts/security/Pausable.sol";
 import {ICAPX} from "./interfaces/ICAPX.sol";
+import {ICAPXVesting} from "./interfaces/ICAPXVesting.sol";
+import {IFeeSplitter} from "./interfaces/IFeeSplitter.sol";
+import {IAggregatorV3} from "./interfaces/IAggregatorV3.sol";
+import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 
 /**
  * @title CAPX
  * @notice CAPShield Token (CAPX) - Shield Token with role-based minting, transfer fees, and revenue-based minting
  * @dev Implements BEP-20 (ERC20-compatible) token standard for BNB Smart Chain
- * @dev Built with Solady's gas-optimized ERC20 and OwnableRoles, plus OpenZeppelin's Pausable
+ * @dev Built with Solady's gas-optimized ERC20Votes and OwnableRoles, plus OpenZeppelin's Pausable
  *
  * Features:
  * - Hard cap of 100M tokens
  * - Role-based minting (Team, Treasury, DAO)
+ * - Owner-configurable allocation cap per minting category
+ * - Team mints into cliff + linear vesting schedules (CAPXVesting)
  * - Revenue-based minting formula: tokensToMint = revenue / marketValue
- * - Transfer hooks: 1% burn + 1% treasury fee (98% to recipient)
+ * - Optional price feed for revenue minting: mint at the feed price, or at a hand-entered
+ *   price within a maximum deviation from it; stale or out-of-band prices are rejected
+ * - Revenue mint ledger: every revenue mint records its epoch and a reference hash of the
+ *   revenue it is based on, each reference mints once and each epoch up to a ceiling
+ * - Transfer hooks: burn + treasury fee in basis points (1% + 1% at deployment)
+ * - Separate fee rates for buys from and sells to registered AMM pairs
+ * - Treasury fee split across up to 5 weighted recipients, who pull their share from a FeeSplitter
+ * - Launch-phase anti-whale limits (max transaction, max wallet) with their own allow-list,
+ *   removable once and for all
+ * - Launch gate: no trading between non-exempt addresses before enableTrading(), then an
+ *   optional per-address cooldown and higher launch fee for the first blocks
+ * - Fee changes go through a 2-day timelock and are capped at 5% combined
  * - Exemptions for Treasury and DAO addresses
+ * - Enumerable role members (roleMembers, roleMemberCount) next to the OwnableRoles bitmaps
+ * - Compliance blocklist, managed by COMPLIANCE_ROLE: listed addresses cannot send, receive,
+ *   be minted to or spend allowances
+ * - Vote delegation with block-number checkpoints of votes and total supply (ERC-5805), so
+ *   governance reads voting power at a snapshot block; every balance change, fee legs and
+ *   burns included, moves votes
  * - Pause/unpause functionality
  * - Burn mechanism
  * - Multisig-only admin
  */
-contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
+contract CAPX is ERC20Votes, OwnableRoles, Pausable, ICAPX {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
     ///////////////// STATE VARIABLES /////////////////
 
     uint256 public constant TEAM_MINTER_ROLE = _ROLE_0;
     uint256 public constant TREASURY_MINTER_ROLE = _ROLE_1;
     uint256 public constant DAO_MINTER_ROLE = _ROLE_2;
+    uint256 public constant COMPLIANCE_ROLE = _ROLE_3;
+
+    uint256 public constant MAX_TOTAL_FEE_BPS = 500;
+    uint256 public constant FEE_CHANGE_DELAY = 2 days;
+    uint256 public constant MAX_FEE_RECIPIENTS = 5;
+    uint256 public constant MAX_LAUNCH_WINDOW_BLOCKS = 28_800; // ~1 day of BSC blocks
+    uint256 public constant MAX_LAUNCH_FEE_BPS = 2_500;
+    uint256 public constant MAX_PRICE_DEVIATION_BPS = 5_000;
 
     uint256 private constant MAX_SUPPLY = 100_000_000 * 10 ** 18;
-    uint256 private constant BURN_FEE_PERCENT = 1;
-    uint256 private constant TREASURY_FEE_PERCENT = 1;
-    uint256 private constant FEE_DENOMINATOR = 100;
+    uint256 private constant FEE_DENOMINATOR = 10_000;
+
+    // keccak256(bytes(name())), used in the EIP-712 domain of permit
+    bytes32 private constant NAME_HASH = keccak256("CAPShield");
 
     address private treasury;
     address private dao;
     uint256 private totalMinted;
+    address private vestingContract;
+    address private feeSplitter;
 
     ///////////////// MAPPINGS /////////////////
 
     mapping(address account => bool exempt) private exemptions;
 
+    // Exempt from the transfer limits only; separate from the fee exemptions
+    mapping(address account => bool exempt) private limitExemptions;
+
+    // Last block a non-exempt account sent or received tokens in, tracked during the launch window
+    mapping(address account => uint256 blockNumber) private lastTransferBlock;
+
+    mapping(address account => bool blocked) private blocklist;
+
     MintAllocation private mintAllocation;
 
+    // Same layout as mintAllocation: offset 0 team, 1 treasury, 2 dao
+    MintCaps private mintCaps;
+
+    mapping(address pair => bool isPair) private ammPairs;
+
+    mapping(FeeKind kind => FeeRates rates) private fees;
+
+    mapping(FeeKind kind => PendingFeeChange pending) private pendingFeeChanges;
+
+    // Empty: the whole treasury fee goes to the treasury
+    FeeRecipient[] private feeRecipients;
+
+    TransferLimits private transferLimits;
+
+    LaunchConfig private launchConfig;
+
+    PriceOracleConfig private priceOracleConfig;
+
+    // Revenue mint ledger, in mint order
+    RevenueMintRecord[] private revenueMints;
+
+    mapping(bytes32 referenceHash => bool used) private usedRevenueReferences;
+
+    mapping(uint64 epoch => uint256 minted) private revenueEpochMinted;
+
+    // Most tokens revenue mints can create per epoch
+    uint256 private revenueEpochCap;
+
+    // Holders of each single-bit role
+    mapping(uint256 role => EnumerableSet.AddressSet members) private roleMemberSets;
+
     ///////////////// CONSTRUCTOR /////////////////
 
     /**
@@ -86,6 +162,31 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
         treasury = _treasury;
         dao = _dao;
 
+        // Every category starts uncapped (MAX_SUPPLY) until the owner sets its allocation
+        mintCaps = MintCaps({
+            teamCap: MAX_SUPPLY,
+            treasuryCap: MAX_SUPPLY,
+            daoCap: MAX_SUPPLY
+        });
+
+        // Revenue mints start bounded by MAX_SUPPLY only, like the categories
+        revenueEpochCap = MAX_SUPPLY;
+        emit RevenueEpochCapUpdated(0, MAX_SUPPLY);
+
+        // Limits start enabled but at MAX_SUPPLY, i.e. no limit until the owner sets them.
+        // The treasury seeds liquidity, so it starts exempt along with the DAO.
+        transferLimits = TransferLimits(MAX_SUPPLY, MAX_SUPPLY, true);
+        limitExemptions[_treasury] = true;
+        limitExemptions[_dao] = true;
+        emit TransferLimitsUpdated(MAX_SUPPLY, MAX_SUPPLY);
+        emit LimitExemptionUpdated(_treasury, true);
+        emit LimitExemptionUpdated(_dao, true);
+
+        // Buys, sells and plain transfers all start at 1% + 1%
+        fees[FeeKind.Transfer] = FeeRates(100, 100);
+        fees[FeeKind.Buy] = FeeRates(100, 100);
+        fees[FeeKind.Sell] = FeeRates(100, 100);
+
         // exemptions[_treasury] = true;
         // exemptions[_dao] = true;
 
@@ -166,6 +267,50 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
                 admin,
                 0x0000000000000000000000000000000000000000
             )
+
+            // emit MintCapUpdated(role, 0, MAX_SUPPLY) for each category
+            mstore(0x00, 0x00)
+            mstore(0x20, MAX_SUPPLY)
+            log2(
+                0x00,
+                0x40,
+                0x2c5884fa65cae2dc45b0cf1e4be65063ba6c031d42e148179f0e1e7c03eb3f08,
+                TEAM_MINTER_ROLE
+            )
+            log2(
+                0x00,
+                0x40,
+                0x2c5884fa65cae2dc45b0cf1e4be65063ba6c031d42e148179f0e1e7c03eb3f08,
+                TREASURY_MINTER_ROLE
+            )
+            log2(
+                0x00,
+                0x40,
+                0x2c5884fa65cae2dc45b0cf1e4be65063ba6c031d42e148179f0e1e7c03eb3f08,
+                DAO_MINTER_ROLE
+            )
+
+            // emit FeesUpdated(kind, 0, 100, 0, 100) for each fee kind
+            let freeMemoryPointer := mload(0x40)
+            mstore(0x00, 0x00)
+            mstore(0x20, 100)
+            mstore(0x40, 0x00)
+            mstore(0x60, 100)
+            for {
+                let kind := 0
+            } lt(kind, 3) {
+                kind := add(kind, 1)
+            } {
+                log2(
+                    0x00,
+                    0x80,
+                    0x43fcde6adeb76ee38729efcbd112de401490890a26a5b222d0dd6320364de1d1,
+                    kind
+                )
+            }
+            // Restore the free memory pointer and the zero slot
+            mstore(0x40, freeMemoryPointer)
+            mstore(0x60, 0x00)
         }
     }
 
@@ -207,13 +352,32 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
         return "CAPX";
     }
 
+    /**
+     * @notice Returns the EIP-712 domain of permit signatures (EIP-5267)
+     */
+    function eip712Domain()
+        external
+        view
+        returns (
+            bytes1 fields,
+            string memory name_,
+            string memory version,
+            uint256 chainId,
+            address verifyingContract,
+            bytes32 salt,
+            uint256[] memory extensions
+        )
+    {
+        return (hex"0f", name(), "1", block.chainid, address(this), bytes32(0), new uint256[](0));
+    }
+
     ///////////////// MINTING FUNCTIONS /////////////////
 
     /**
      * @notice Mints tokens for team allocation
      * @param to Recipient address
      * @param amount Amount to mint
-     * @dev Only TEAM_MINTER_ROLE can call. Respects MAX_SUPPLY cap.
+     * @dev Only TEAM_MINTER_ROLE can call. Respects MAX_SUPPLY and the team allocation cap.
      */
     function teamMint(
         address to,
@@ -225,51 +389,62 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
         validAddress(to)
         validAmount(amount)
     {
-        uint256 newTotal;
-        uint256 newTeamMinted;
+        _teamMint(to, amount);
+    }
 
-        // totalMinted = newTotal;
-        // mintAllocation.teamMinted = newTeamMinted;
+    /**
+     * @notice Mints team tokens into a vesting schedule instead of to the beneficiary
+     * @param beneficiary Address that can release the tokens as they vest
+     * @param amount Amount to mint and vest
+     * @param start Vesting start (unix seconds)
+     * @param cliff Seconds after start before anything vests
+     * @param duration Seconds after start until everything is vested
+     * @param revocable Whether the owner can revoke the unvested part
+     * @return scheduleId Schedule identifier on the vesting contract
+     * @dev Only TEAM_MINTER_ROLE can call. Counts as a team mint and respects MAX_SUPPLY and the team allocation cap.
+     *      Requires a vesting contract set through setVestingContract.
+     */
+    function teamMintVested(
+        address beneficiary,
+        uint256 amount,
+        uint64 start,
+        uint64 cliff,
+        uint64 duration,
+        bool revocable
+    )
+        external
+        onlyRoles(TEAM_MINTER_ROLE)
+        whenNotPaused
+        validAddress(beneficiary)
+        validAmount(amount)
+        returns (uint256 scheduleId)
+    {
+        address vesting = vestingContract;
 
         assembly {
-            let totalMintedSlot := totalMinted.slot
-            let currentTotal := sload(totalMintedSlot)
-
-            // Check: totalMinted + amount <= MAX_SUPPLY
-            newTotal := add(currentTotal, amount)
-            if gt(newTotal, MAX_SUPPLY) {
-                mstore(0x00, 0x8a164f63) // MaxSupplyExceeded()
+            if iszero(vesting) {
+                mstore(0x00, 0x8f84ca57) // VestingNotConfigured()
                 revert(0x1c, 0x04)
             }
-
-            sstore(totalMintedSlot, newTotal)
-
-            let teamSlot := mintAllocation.slot
-            let currentTeam := sload(teamSlot)
-            newTeamMinted := add(currentTeam, amount)
-            sstore(teamSlot, newTeamMinted)
         }
 
-        _mint(to, amount);
+        _teamMint(vesting, amount);
 
-        assembly {
-            // emit Mint(to, amount, TEAM_MINTER_ROLE);
-            mstore(0x00, amount)
-            log3(
-                0x00,
-                0x20,
-                0x4c209b5fc8ad50758f13e2e1088ba56a560dff690a1c6fef26394f4c03821c4f,
-                to,
-                TEAM_MINTER_ROLE
-            )
-        }
+        scheduleId = ICAPXVesting(vesting).createSchedule(
+            beneficiary,
+            amount,
+            start,
+            cliff,
+            duration,
+            revocable
+        );
     }
 
     /**
      * @notice Mints tokens for treasury allocation
      * @param to Recipient address
      * @param amount Amount to mint
-     * @dev Only TREASURY_MINTER_ROLE can call. Respects MAX_SUPPLY cap.
+     * @dev Only TREASURY_MINTER_ROLE can call. Respects MAX_SUPPLY and the treasury allocation cap.
      */
     function treasuryMint(
         address to,
@@ -303,6 +478,13 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
             let treasurySlot := add(mintAllocation.slot, 1)
             let currentTreasuryMint := sload(treasurySlot)
             newTreasuryMinted := add(currentTreasuryMint, amount)
+
+            // Check: treasuryMinted + amount <= mintCaps.treasuryCap
+            if gt(newTreasuryMinted, sload(add(mintCaps.slot, 1))) {
+                mstore(0x00, 0xcff55708) // MintAllocationExceeded()
+                revert(0x1c, 0x04)
+            }
+
             sstore(treasurySlot, newTreasuryMinted)
         }
 
@@ -325,7 +507,7 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
      * @notice Mints tokens for DAO allocation
      * @param to Recipient address
      * @param amount Amount to mint
-     * @dev Only DAO_MINTER_ROLE can call. Respects MAX_SUPPLY cap.
+     * @dev Only DAO_MINTER_ROLE can call. Respects MAX_SUPPLY and the DAO allocation cap.
      */
     function daoMint(
         address to,
@@ -359,6 +541,13 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
             let daoSlot := add(mintAllocation.slot, 2)
             let currentDaoMint := sload(daoSlot)
             newDaoMinted := add(currentDaoMint, amount)
+
+            // Check: daoMinted + amount <= mintCaps.daoCap
+            if gt(newDaoMinted, sload(add(mintCaps.slot, 2))) {
+                mstore(0x00, 0xcff55708) // MintAllocationExceeded()
+                revert(0x1c, 0x04)
+            }
+
             sstore(daoSlot, newDaoMinted)
         }
 
@@ -382,14 +571,75 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
      * @param to Address to mint tokens to
      * @param revenue Revenue amount in wei
      * @param marketValue Market value per token in wei
+     * @param epoch Revenue period the mint belongs to (e.g. 20264 for 2026 Q4)
+     * @param referenceHash Hash of the off-chain revenue record, e.g. the audited revenue report
      * @dev Formula: tokensToMint = revenue / marketValue
-     *      Only owner can call. Respects MAX_SUPPLY cap.
+     *      Only owner can call. Respects MAX_SUPPLY cap and the revenue epoch cap, and each
+     *      referenceHash can only be minted once. Once a price feed is set, marketValue must
+     *      be within maxDeviationBps of a valid feed price.
      */
     function revenueMint(
         address to,
         uint256 revenue,
-        uint256 marketValue
+        uint256 marketValue,
+        uint64 epoch,
+        bytes32 referenceHash
+    ) external onlyOwner whenNotPaused validAddress(to) {
+        if (priceOracleConfig.feed != address(0)) {
+            uint256 price = _oraclePrice();
+            uint256 diff = marketValue > price ? marketValue - price : price - marketValue;
+            if (diff * FEE_DENOMINATOR > price * priceOracleConfig.maxDeviationBps) {
+                assembly {
+                    mstore(0x00, 0xd3c4a2f2) // PriceDeviationTooHigh()
+                    revert(0x1c, 0x04)
+                }
+            }
+        }
+
+        _revenueMint(to, revenue, marketValue, epoch, referenceHash);
+    }
+
+    /**
+     * @notice Mints tokens based on revenue at the price feed's current price
+     * @param to Address to mint tokens to
+     * @param revenue Revenue amount in wei
+     * @param epoch Revenue period the mint belongs to
+     * @param referenceHash Hash of the off-chain revenue record
+     * @dev Only owner can call. Reverts if no feed is set, or its price is stale or outside
+     *      the configured band. Ledger rules as for revenueMint.
+     */
+    function revenueMintAtOraclePrice(
+        address to,
+        uint256 revenue,
+        uint64 epoch,
+        bytes32 referenceHash
     ) external onlyOwner whenNotPaused validAddress(to) {
+        _revenueMint(to, revenue, _oraclePrice(), epoch, referenceHash);
+    }
+
+    /**
+     * @dev Mints revenue / marketValue tokens, records the mint in the ledger and emits RevenueMint
+     */
+    function _revenueMint(
+        address to,
+        uint256 revenue,
+        uint256 marketValue,
+        uint64 epoch,
+        bytes32 referenceHash
+    ) private {
+        if (referenceHash == bytes32(0)) {
+            assembly {
+                mstore(0x00, 0xfb930785) // InvalidRevenueReference()
+                revert(0x1c, 0x04)
+            }
+        }
+        if (usedRevenueReferences[referenceHash]) {
+            assembly {
+                mstore(0x00, 0x096a1d44) // RevenueReferenceUsed()
+                revert(0x1c, 0x04)
+            }
+        }
+
         uint256 tokensToMint;
 
         assembly {
@@ -430,20 +680,30 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
             sstore(totalMinted.slot, newTotal)
         }
 
-        _mint(to, tokensToMint);
+        uint256 epochMinted = revenueEpochMinted[epoch] + tokensToMint;
+        if (epochMinted > revenueEpochCap) {
+            assembly {
+                mstore(0x00, 0xcbea5190) // RevenueEpochCapExceeded()
+                revert(0x1c, 0x04)
+            }
+        }
+        revenueEpochMinted[epoch] = epochMinted;
+        usedRevenueReferences[referenceHash] = true;
+        revenueMints.push(
+            RevenueMintRecord({
+                to: to,
+                epoch: epoch,
+                timestamp: uint32(block.timestamp),
+                referenceHash: referenceHash,
+                revenue: revenue,
+                marketValue: marketValue,
+                tokensMinted: tokensToMint
+            })
+        );
 
-        assembly {
-            // emit RevenueMint(revenue, marketValue, tokensToMint);
-            mstore(0x00, revenue)
-            mstore(0x20, marketValue)
-            mstore(0x40, tokensToMint)
+        _mint(to, tokensToMint);
 
-            log1(
-                0x00,
-                0x60,
-                0xa2873c389c7faf6dc0b7d62bb1e3f2a07e31219d74ab22a42c3278ee693734ee
-            )
-        }
+        emit RevenueMint(to, epoch, referenceHash, revenue, marketValue, tokensToMint);
     }
 
     ///////////////// ADMIN FUNCTIONS /////////////////
@@ -590,122 +850,719 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
     }
 
     /**
-     * @notice Pauses all token transfers and minting
-     * @dev Only owner can call.
+     * @notice Sets the vesting contract that holds teamMintVested allocations
+     * @param newVesting CAPXVesting deployed for this token
+     * @dev Only owner can call. Exempts the new vesting contract from transfer fees so
+     *      releases are not charged. The previous vesting contract keeps its exemption
+     *      because its schedules still release from it.
      */
-    function pause() external onlyOwner {
-        _pause();
-    }
+    function setVestingContract(
+        address newVesting
+    ) external onlyOwner validAddress(newVesting) {
+        if (ICAPXVesting(newVesting).token() != address(this)) {
+            assembly {
+                mstore(0x00, 0xcd74906b) // InvalidVestingContract()
+                revert(0x1c, 0x04)
+            }
+        }
 
-    /**
-     * @notice Unpauses token transfers and minting
-     * @dev Only owner can call.
-     */
-    function unpause() external onlyOwner {
-        _unpause();
-    }
+        address oldVesting = vestingContract;
+        vestingContract = newVesting;
 
-    /**
-     * @notice Override transfer to add fee logic
-     */
-    function transfer(
-        address to,
-        uint256 amount
-    ) public override whenNotPaused returns (bool) {
-        _applyTransferWithFees(msg.sender, to, amount);
-        return true;
-    }
+        assembly {
+            let exemptionsSlot := exemptions.slot
 
-    /**
-     * @notice Override transferFrom to add fee logic
-     */
-    function transferFrom(
-        address from,
-        address to,
-        uint256 amount
-    ) public override whenNotPaused returns (bool) {
-        _spendAllowance(from, msg.sender, amount);
-        _applyTransferWithFees(from, to, amount);
-        return true;
-    }
+            // exemptions[newVesting] = true;
+            mstore(0x00, newVesting)
+            mstore(0x20, exemptionsSlot)
+            sstore(keccak256(0x00, 0x40), 0x01)
 
-    /**
-     * @notice Burns tokens from caller's balance
-     * @param amount Amount to burn
-     */
-    function burn(uint256 amount) external {
-        _burn(msg.sender, amount);
+            // emit VestingContractUpdated(oldVesting, newVesting);
+            log3(
+                0x00,
+                0x00,
+                0x1beaa58c989cfd90048844747a2e509ba5851e73d74d04fc9fa51af192a378be,
+                oldVesting,
+                newVesting
+            )
 
-        assembly {
-            // emit Burn(msg.sender, amount);
-            mstore(0x00, amount)
+            // emit ExemptionUpdated(newVesting, true);
+            mstore(0x00, 0x01)
             log2(
                 0x00,
                 0x20,
-                0xcc16f5dbb4873280815c1ee09dbd06736cffcc184412cf7a71a0fdb75d397ca5,
-                caller()
+                0x6c3adfee332544f29232690459f4fe23a1c9573efbaac65c9fc033355fb413f0,
+                newVesting
             )
         }
     }
 
     /**
-     * @notice Burns tokens from specified address (requires allowance)
-     * @param from Address to burn from
-     * @param amount Amount to burn
+     * @notice Sets the contract that holds split treasury fees until recipients pull them
+     * @param newSplitter FeeSplitter deployed for this token
+     * @dev Only owner can call. Exempts the new splitter from transfer fees so releases
+     *      are not charged. The previous splitter keeps its exemption because fees already
+     *      credited there are still released from it.
      */
-    function burnFrom(address from, uint256 amount) external {
-        _spendAllowance(from, msg.sender, amount);
-        _burn(from, amount);
+    function setFeeSplitter(
+        address newSplitter
+    ) external onlyOwner validAddress(newSplitter) {
+        if (IFeeSplitter(newSplitter).token() != address(this)) {
+            assembly {
+                mstore(0x00, 0x140ecf05) // InvalidFeeSplitter()
+                revert(0x1c, 0x04)
+            }
+        }
+
+        address oldSplitter = feeSplitter;
+        feeSplitter = newSplitter;
 
         assembly {
-            // emit Burn(from, amount);
-            mstore(0x00, amount)
+            // exemptions[newSplitter] = true;
+            mstore(0x00, newSplitter)
+            mstore(0x20, exemptions.slot)
+            sstore(keccak256(0x00, 0x40), 0x01)
+
+            // emit FeeSplitterUpdated(oldSplitter, newSplitter);
+            log3(
+                0x00,
+                0x00,
+                0xe0c6ae09a6c193cf5aae910fefec10b284dda740eb7ea7c9ca1dd625d9a0745e,
+                oldSplitter,
+                newSplitter
+            )
+
+            // emit ExemptionUpdated(newSplitter, true);
+            mstore(0x00, 0x01)
             log2(
                 0x00,
                 0x20,
-                0xcc16f5dbb4873280815c1ee09dbd06736cffcc184412cf7a71a0fdb75d397ca5,
-                from
+                0x6c3adfee332544f29232690459f4fe23a1c9573efbaac65c9fc033355fb413f0,
+                newSplitter
             )
         }
     }
 
     /**
-     * @notice Grant roles to an address
-     * @param user Address to grant roles to
-     * @param roles Roles to grant (as bitmap)
+     * @notice Replaces the list of recipients the treasury fee is split across
+     * @param accounts Fee recipients (e.g. treasury, staking rewards pool, marketing wallet)
+     * @param weightsBps Share of each recipient in basis points, adding up to 10_000
+     * @dev Only owner can call. At most MAX_FEE_RECIPIENTS entries, which keeps the split of
+     *      every taxed transfer gas-bounded. An empty list sends the whole treasury fee to
+     *      the treasury again. Fees already credited on the splitter are not affected.
      */
-    function grantRoles(
-        address user,
-        uint256 roles
-    ) public payable override onlyOwner {
-        super.grantRoles(user, roles);
+    function setFeeRecipients(
+        address[] calldata accounts,
+        uint256[] calldata weightsBps
+    ) external onlyOwner {
+        uint256 count = accounts.length;
+        if (count > 0 && feeSplitter == address(0)) {
+            assembly {
+                mstore(0x00, 0x2b5a528d) // FeeSplitterNotConfigured()
+                revert(0x1c, 0x04)
+            }
+        }
+        if (count != weightsBps.length || count > MAX_FEE_RECIPIENTS) {
+            assembly {
+                mstore(0x00, 0x6c73e45c) // InvalidFeeRecipients()
+                revert(0x1c, 0x04)
+            }
+        }
 
-        assembly {
-            // emit RoleGranted(roles, user, msg.sender);
-            log4(
-                0x00,
-                0x00,
-                0x1ec1667fba5e43c5c76fff54e76d7a4a20a4fecf7b49724ad8d52a3f726e9dbd,
-                roles,
-                user,
-                caller()
-            )
+        delete feeRecipients;
+        uint256 totalWeight;
+        for (uint256 i; i < count; ++i) {
+            address account = accounts[i];
+            uint256 weight = weightsBps[i];
+            assembly {
+                if iszero(account) {
+                    mstore(0x00, 0xd92e233d) // ZeroAddress()
+                    revert(0x1c, 0x04)
+                }
+                if iszero(weight) {
+                    mstore(0x00, 0x6c73e45c) // InvalidFeeRecipients()
+                    revert(0x1c, 0x04)
+                }
+            }
+            totalWeight += weight;
+            feeRecipients.push(FeeRecipient(account, uint96(weight)));
         }
+        if (count > 0 && totalWeight != FEE_DENOMINATOR) {
+            assembly {
+                mstore(0x00, 0x6c73e45c) // InvalidFeeRecipients()
+                revert(0x1c, 0x04)
+            }
+        }
+
+        emit FeeRecipientsUpdated(accounts, weightsBps);
     }
 
     /**
-     * @notice Revoke roles from an address
-     * @param user Address to revoke roles from
-     * @param roles Roles to revoke (as bitmap)
+     * @notice Sets the anti-whale limits
+     * @param maxTxAmount Largest amount a single transfer can move
+     * @param maxWalletAmount Largest balance a transfer can leave the recipient with
+     * @dev Only owner can call, and only until disableTransferLimits(). Both limits must be
+     *      between 1 and MAX_SUPPLY; MAX_SUPPLY effectively turns a limit off.
      */
-    function revokeRoles(
-        address user,
-        uint256 roles
-    ) public payable override onlyOwner {
-        super.revokeRoles(user, roles);
-
-        assembly {
-            // emit RoleRevoked(roles, user, msg.sender);
+    function setTransferLimits(
+        uint256 maxTxAmount,
+        uint256 maxWalletAmount
+    ) external onlyOwner {
+        if (!transferLimits.enabled) {
+            assembly {
+                mstore(0x00, 0xba7b4966) // TransferLimitsDisabled()
+                revert(0x1c, 0x04)
+            }
+        }
+        if (
+            maxTxAmount == 0 ||
+            maxWalletAmount == 0 ||
+            maxTxAmount > MAX_SUPPLY ||
+            maxWalletAmount > MAX_SUPPLY
+        ) {
+            assembly {
+                mstore(0x00, 0x794fa3cc) // InvalidTransferLimit()
+                revert(0x1c, 0x04)
+            }
+        }
+
+        transferLimits.maxTxAmount = maxTxAmount;
+        transferLimits.maxWalletAmount = maxWalletAmount;
+
+        assembly {
+            // emit TransferLimitsUpdated(maxTxAmount, maxWalletAmount);
+            mstore(0x00, maxTxAmount)
+            mstore(0x20, maxWalletAmount)
+            log1(
+                0x00,
+                0x40,
+                0x6760899b76c18d484b54687ae679eda47f1c46f9d901d949807e96339002d2b4
+            )
+        }
+    }
+
+    /**
+     * @notice Sets whether an address is exempt from the transfer limits
+     * @param account Address to update
+     * @param exempt Exemption status
+     * @dev Only owner can call. Independent of the fee exemptions: an account can be
+     *      exempt from one and not the other.
+     */
+    function setLimitExemption(
+        address account,
+        bool exempt
+    ) external onlyOwner validAddress(account) {
+        assembly {
+            // limitExemptions[account] = exempt;
+            mstore(0x00, account)
+            mstore(0x20, limitExemptions.slot)
+            sstore(keccak256(0x00, 0x40), exempt)
+
+            // emit LimitExemptionUpdated(account, exempt);
+            mstore(0x00, exempt)
+            log2(
+                0x00,
+                0x20,
+                0x5cea8c810b0392e753a238e1d073a0ad28fa8534950a456306f29746c53b5b97,
+                account
+            )
+        }
+    }
+
+    /**
+     * @notice Removes the transfer limits for good once the launch phase is over
+     * @dev Only owner can call. Irreversible: setTransferLimits reverts afterwards.
+     */
+    function disableTransferLimits() external onlyOwner {
+        if (!transferLimits.enabled) {
+            assembly {
+                mstore(0x00, 0xba7b4966) // TransferLimitsDisabled()
+                revert(0x1c, 0x04)
+            }
+        }
+
+        transferLimits.enabled = false;
+
+        assembly {
+            // emit TransferLimitsRemoved();
+            log1(
+                0x00,
+                0x00,
+                0x9db7f057395c77ad345011d1dd158d285a8dca12e642c140711d64e61e2c5c4a
+            )
+        }
+    }
+
+    /**
+     * @notice Configures the launch window that follows enableTrading()
+     * @param windowBlocks Number of blocks, starting with the enableTrading block, the launch
+     *        rules apply to
+     * @param cooldownBlocks Blocks a non-exempt address waits between transfers during the
+     *        window (0 for none)
+     * @param launchFeeBps Treasury fee during the window, in basis points, when higher than the
+     *        regular rate (0 for none)
+     * @dev Only owner can call, and only before trading is enabled. The window is capped at
+     *      MAX_LAUNCH_WINDOW_BLOCKS and the launch fee at MAX_LAUNCH_FEE_BPS.
+     */
+    function setLaunchConfig(
+        uint256 windowBlocks,
+        uint256 cooldownBlocks,
+        uint256 launchFeeBps
+    ) external onlyOwner {
+        if (launchConfig.tradingEnabledBlock != 0) {
+            assembly {
+                mstore(0x00, 0xd723eaba) // TradingAlreadyEnabled()
+                revert(0x1c, 0x04)
+            }
+        }
+        if (
+            windowBlocks > MAX_LAUNCH_WINDOW_BLOCKS ||
+            cooldownBlocks > windowBlocks ||
+            launchFeeBps > MAX_LAUNCH_FEE_BPS
+        ) {
+            assembly {
+                mstore(0x00, 0xb63dc688) // InvalidLaunchConfig()
+                revert(0x1c, 0x04)
+            }
+        }
+
+        launchConfig.windowBlocks = uint64(windowBlocks);
+        launchConfig.cooldownBlocks = uint64(cooldownBlocks);
+        launchConfig.launchFeeBps = uint64(launchFeeBps);
+
+        assembly {
+            // emit LaunchConfigUpdated(windowBlocks, cooldownBlocks, launchFeeBps);
+            let freeMemoryPointer := mload(0x40)
+            mstore(0x00, windowBlocks)
+            mstore(0x20, cooldownBlocks)
+            mstore(0x40, launchFeeBps)
+            log1(
+                0x00,
+                0x60,
+                0xc62f786fee250e21506eb0761371ddd74792e97fdcb523e167911dca462d8d31
+            )
+            mstore(0x40, freeMemoryPointer)
+        }
+    }
+
+    /**
+     * @notice Opens trading between non-exempt addresses and starts the launch window
+     * @dev Only owner can call, and only once. Independent of pause(), which stays the
+     *      emergency stop.
+     */
+    function enableTrading() external onlyOwner {
+        if (launchConfig.tradingEnabledBlock != 0) {
+            assembly {
+                mstore(0x00, 0xd723eaba) // TradingAlreadyEnabled()
+                revert(0x1c, 0x04)
+            }
+        }
+
+        launchConfig.tradingEnabledBlock = uint64(block.number);
+
+        assembly {
+            // emit TradingEnabled(block.number);
+            mstore(0x00, number())
+            log1(
+                0x00,
+                0x20,
+                0xb3da2db3dfc3778f99852546c6e9ab39ec253f9de7b0847afec61bd27878e923
+            )
+        }
+    }
+
+    /**
+     * @notice Sets the allocation cap of a minting category
+     * @param role TEAM_MINTER_ROLE, TREASURY_MINTER_ROLE or DAO_MINTER_ROLE
+     * @param cap Maximum amount the category can ever mint
+     * @dev Only owner can call. The cap cannot exceed MAX_SUPPLY or go below what the
+     *      category has already minted. Revenue mints do not belong to a category.
+     */
+    function setMintCap(uint256 role, uint256 cap) external onlyOwner {
+        assembly {
+            // Offset of the category in mintAllocation and mintCaps
+            let offset
+            switch role
+            case 0x01 {
+                // TEAM_MINTER_ROLE
+                offset := 0
+            }
+            case 0x02 {
+                // TREASURY_MINTER_ROLE
+                offset := 1
+            }
+            case 0x04 {
+                // DAO_MINTER_ROLE
+                offset := 2
+            }
+            default {
+                mstore(0x00, 0x807d0b29) // InvalidMintCategory()
+                revert(0x1c, 0x04)
+            }
+
+            if or(
+                gt(cap, MAX_SUPPLY),
+                lt(cap, sload(add(mintAllocation.slot, offset)))
+            ) {
+                mstore(0x00, 0xb08fe884) // InvalidMintCap()
+                revert(0x1c, 0x04)
+            }
+
+            let capSlot := add(mintCaps.slot, offset)
+            let oldCap := sload(capSlot)
+            sstore(capSlot, cap)
+
+            // emit MintCapUpdated(role, oldCap, cap);
+            mstore(0x00, oldCap)
+            mstore(0x20, cap)
+            log2(
+                0x00,
+                0x40,
+                0x2c5884fa65cae2dc45b0cf1e4be65063ba6c031d42e148179f0e1e7c03eb3f08,
+                role
+            )
+        }
+    }
+
+    /**
+     * @notice Sets the most tokens revenue mints can create per epoch
+     * @param cap New ceiling, at most MAX_SUPPLY
+     * @dev Only owner can call. Applies to every epoch, including ones already minted in:
+     *      an epoch that is over a lowered cap takes no further revenue mints.
+     */
+    function setRevenueEpochCap(uint256 cap) external onlyOwner {
+        if (cap > MAX_SUPPLY) {
+            assembly {
+                mstore(0x00, 0x296efd47) // InvalidRevenueEpochCap()
+                revert(0x1c, 0x04)
+            }
+        }
+
+        uint256 oldCap = revenueEpochCap;
+        revenueEpochCap = cap;
+
+        emit RevenueEpochCapUpdated(oldCap, cap);
+    }
+
+    /**
+     * @notice Registers or unregisters an AMM pair, so transfers from it are charged
+     *         buy fees and transfers to it sell fees
+     * @param pair Pair address (e.g. a PancakeSwap CAPX pair)
+     * @param isPair True to register, false to unregister
+     * @dev Only owner can call. Exempt senders and recipients still pay no fees.
+     */
+    function setAmmPair(
+        address pair,
+        bool isPair
+    ) external onlyOwner validAddress(pair) {
+        assembly {
+            // ammPairs[pair] = isPair;
+            mstore(0x00, pair)
+            mstore(0x20, ammPairs.slot)
+            sstore(keccak256(0x00, 0x40), isPair)
+
+            // emit AmmPairUpdated(pair, isPair);
+            mstore(0x00, isPair)
+            log2(
+                0x00,
+                0x20,
+                0x6a99fe055b37fbb43da2bf48bc37ffb6d8f1fb0cd09c1b41e9ccc5ce70397dba,
+                pair
+            )
+        }
+    }
+
+    /**
+     * @notice Sets the price feed revenue minting is checked against
+     * @param feed Chainlink-style AggregatorV3 quoting CAPX in the revenue currency,
+     *        or address(0) to remove the feed
+     * @param maxPriceAge Oldest accepted feed update, in seconds
+     * @param minPrice Lowest accepted price, 18 decimals
+     * @param maxPrice Highest accepted price, 18 decimals
+     * @param maxDeviationBps Largest accepted distance of a revenueMint marketValue from the
+     *        feed price, in basis points of the feed price
+     * @dev Only owner can call. The other parameters are ignored when removing the feed.
+     */
+    function setPriceOracle(
+        address feed,
+        uint256 maxPriceAge,
+        uint256 minPrice,
+        uint256 maxPrice,
+        uint256 maxDeviationBps
+    ) external onlyOwner {
+        uint8 feedDecimals;
+        if (feed == address(0)) {
+            delete priceOracleConfig;
+        } else {
+            feedDecimals = IAggregatorV3(feed).decimals();
+            if (
+                feedDecimals > 18 ||
+                maxPriceAge == 0 ||
+                maxPriceAge > type(uint64).max ||
+                minPrice == 0 ||
+                minPrice > maxPrice ||
+                maxPrice > type(uint128).max ||
+                maxDeviationBps > MAX_PRICE_DEVIATION_BPS
+            ) {
+                assembly {
+                    mstore(0x00, 0x0c01248b) // InvalidPriceOracleConfig()
+                    revert(0x1c, 0x04)
+                }
+            }
+            priceOracleConfig = PriceOracleConfig({
+                feed: feed,
+                feedDecimals: feedDecimals,
+                maxDeviationBps: uint16(maxDeviationBps),
+                maxPriceAge: uint64(maxPriceAge),
+                minPrice: uint128(minPrice),
+                maxPrice: uint128(maxPrice)
+            });
+        }
+
+        emit PriceOracleUpdated(feed, maxPriceAge, minPrice, maxPrice, maxDeviationBps);
+    }
+
+    /**
+     * @notice Schedules new rates for one fee kind, applicable after FEE_CHANGE_DELAY
+     * @param kind Transfer, Buy or Sell
+     * @param newBurnFeeBps Burn fee in basis points
+     * @param newTreasuryFeeBps Treasury fee in basis points
+     * @dev Only owner can call. The combined fee cannot exceed MAX_TOTAL_FEE_BPS.
+     *      Replaces any change already pending for the same kind.
+     */
+    function scheduleFeeChange(
+        FeeKind kind,
+        uint256 newBurnFeeBps,
+        uint256 newTreasuryFeeBps
+    ) external onlyOwner {
+        if (newBurnFeeBps + newTreasuryFeeBps > MAX_TOTAL_FEE_BPS) {
+            assembly {
+                mstore(0x00, 0xcd4e6167) // FeeTooHigh()
+                revert(0x1c, 0x04)
+            }
+        }
+
+        uint256 executeAfter = block.timestamp + FEE_CHANGE_DELAY;
+        pendingFeeChanges[kind] = PendingFeeChange({
+            burnFeeBps: newBurnFeeBps,
+            treasuryFeeBps: newTreasuryFeeBps,
+            executeAfter: executeAfter
+        });
+
+        assembly {
+            // emit FeeChangeScheduled(kind, newBurnFeeBps, newTreasuryFeeBps, executeAfter);
+            let freeMemoryPointer := mload(0x40)
+            mstore(0x00, newBurnFeeBps)
+            mstore(0x20, newTreasuryFeeBps)
+            mstore(0x40, executeAfter)
+            log2(
+                0x00,
+                0x60,
+                0xacef9f345a99f4a7c72c66f9e63839e466ca4055680344c34f91bbf7816c84dd,
+                kind
+            )
+            mstore(0x40, freeMemoryPointer)
+        }
+    }
+
+    /**
+     * @notice Applies the pending change of a fee kind once its delay has passed
+     * @param kind Transfer, Buy or Sell
+     * @dev Only owner can call.
+     */
+    function applyFeeChange(FeeKind kind) external onlyOwner {
+        PendingFeeChange memory pending = pendingFeeChanges[kind];
+        if (pending.executeAfter == 0) {
+            assembly {
+                mstore(0x00, 0x62e6a301) // NoPendingFeeChange()
+                revert(0x1c, 0x04)
+            }
+        }
+        if (block.timestamp < pending.executeAfter) {
+            assembly {
+                mstore(0x00, 0xfbe9af29) // FeeChangeNotReady()
+                revert(0x1c, 0x04)
+            }
+        }
+
+        FeeRates memory old = fees[kind];
+        fees[kind] = FeeRates(pending.burnFeeBps, pending.treasuryFeeBps);
+        delete pendingFeeChanges[kind];
+
+        uint256 oldBurnFeeBps = old.burnFeeBps;
+        uint256 oldTreasuryFeeBps = old.treasuryFeeBps;
+        uint256 newBurnFeeBps = pending.burnFeeBps;
+        uint256 newTreasuryFeeBps = pending.treasuryFeeBps;
+
+        assembly {
+            // emit FeesUpdated(kind, oldBurnFeeBps, newBurnFeeBps, oldTreasuryFeeBps, newTreasuryFeeBps);
+            let freeMemoryPointer := mload(0x40)
+            mstore(0x00, oldBurnFeeBps)
+            mstore(0x20, newBurnFeeBps)
+            mstore(0x40, oldTreasuryFeeBps)
+            mstore(0x60, newTreasuryFeeBps)
+            log2(
+                0x00,
+                0x80,
+                0x43fcde6adeb76ee38729efcbd112de401490890a26a5b222d0dd6320364de1d1,
+                kind
+            )
+            mstore(0x40, freeMemoryPointer)
+            mstore(0x60, 0x00)
+        }
+    }
+
+    /**
+     * @notice Cancels the pending change of a fee kind
+     * @param kind Transfer, Buy or Sell
+     * @dev Only owner can call.
+     */
+    function cancelFeeChange(FeeKind kind) external onlyOwner {
+        PendingFeeChange memory pending = pendingFeeChanges[kind];
+        if (pending.executeAfter == 0) {
+            assembly {
+                mstore(0x00, 0x62e6a301) // NoPendingFeeChange()
+                revert(0x1c, 0x04)
+            }
+        }
+
+        delete pendingFeeChanges[kind];
+
+        uint256 cancelledBurnFeeBps = pending.burnFeeBps;
+        uint256 cancelledTreasuryFeeBps = pending.treasuryFeeBps;
+
+        assembly {
+            // emit FeeChangeCancelled(kind, cancelledBurnFeeBps, cancelledTreasuryFeeBps);
+            mstore(0x00, cancelledBurnFeeBps)
+            mstore(0x20, cancelledTreasuryFeeBps)
+            log2(
+                0x00,
+                0x40,
+                0x7f82c5d7ae2cafb42235765fde77f0a37fcecc380594e07e253edf71e6b441c4,
+                kind
+            )
+        }
+    }
+
+    /**
+     * @notice Pauses all token transfers and minting
+     * @dev Only owner can call.
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+     * @notice Unpauses token transfers and minting
+     * @dev Only owner can call.
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /**
+     * @notice Override transfer to add fee logic
+     */
+    function transfer(
+        address to,
+        uint256 amount
+    ) public override whenNotPaused returns (bool) {
+        _applyTransferWithFees(msg.sender, to, amount);
+        return true;
+    }
+
+    /**
+     * @notice Override transferFrom to add fee logic
+     */
+    function transferFrom(
+        address from,
+        address to,
+        uint256 amount
+    ) public override whenNotPaused returns (bool) {
+        _revertIfBlocked(msg.sender);
+        _spendAllowance(from, msg.sender, amount);
+        _applyTransferWithFees(from, to, amount);
+        return true;
+    }
+
+    /**
+     * @notice Burns tokens from caller's balance
+     * @param amount Amount to burn
+     */
+    function burn(uint256 amount) external {
+        _burn(msg.sender, amount);
+
+        assembly {
+            // emit Burn(msg.sender, amount);
+            mstore(0x00, amount)
+            log2(
+                0x00,
+                0x20,
+                0xcc16f5dbb4873280815c1ee09dbd06736cffcc184412cf7a71a0fdb75d397ca5,
+                caller()
+            )
+        }
+    }
+
+    /**
+     * @notice Burns tokens from specified address (requires allowance)
+     * @param from Address to burn from
+     * @param amount Amount to burn
+     */
+    function burnFrom(address from, uint256 amount) external {
+        _revertIfBlocked(msg.sender);
+        _spendAllowance(from, msg.sender, amount);
+        _burn(from, amount);
+
+        assembly {
+            // emit Burn(from, amount);
+            mstore(0x00, amount)
+            log2(
+                0x00,
+                0x20,
+                0xcc16f5dbb4873280815c1ee09dbd06736cffcc184412cf7a71a0fdb75d397ca5,
+                from
+            )
+        }
+    }
+
+    /**
+     * @notice Grant roles to an address
+     * @param user Address to grant roles to
+     * @param roles Roles to grant (as bitmap)
+     */
+    function grantRoles(
+        address user,
+        uint256 roles
+    ) public payable override onlyOwner {
+        super.grantRoles(user, roles);
+
+        assembly {
+            // emit RoleGranted(roles, user, msg.sender);
+            log4(
+                0x00,
+                0x00,
+                0x1ec1667fba5e43c5c76fff54e76d7a4a20a4fecf7b49724ad8d52a3f726e9dbd,
+                roles,
+                user,
+                caller()
+            )
+        }
+    }
+
+    /**
+     * @notice Revoke roles from an address
+     * @param user Address to revoke roles from
+     * @param roles Roles to revoke (as bitmap)
+     */
+    function revokeRoles(
+        address user,
+        uint256 roles
+    ) public payable override onlyOwner {
+        super.revokeRoles(user, roles);
+
+        assembly {
+            // emit RoleRevoked(roles, user, msg.sender);
             log4(
                 0x00,
                 0x00,
@@ -717,6 +1574,44 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
         }
     }
 
+    ///////////////// COMPLIANCE FUNCTIONS /////////////////
+
+    /**
+     * @notice Adds addresses to or removes them from the blocklist
+     * @param accounts Addresses to update
+     * @param blocked True to block, false to unblock
+     * @dev Only callable by COMPLIANCE_ROLE, which the owner grants separately; the owner
+     *      itself cannot change the list. Works while paused.
+     */
+    function setBlocked(
+        address[] calldata accounts,
+        bool blocked
+    ) external onlyRoles(COMPLIANCE_ROLE) {
+        for (uint256 i; i < accounts.length; ++i) {
+            address account = accounts[i];
+            assembly {
+                if iszero(account) {
+                    mstore(0x00, 0xd92e233d) // ZeroAddress()
+                    revert(0x1c, 0x04)
+                }
+
+                // blocklist[account] = blocked;
+                mstore(0x00, account)
+                mstore(0x20, blocklist.slot)
+                sstore(keccak256(0x00, 0x40), blocked)
+
+                // emit BlocklistUpdated(account, blocked);
+                mstore(0x00, blocked)
+                log2(
+                    0x00,
+                    0x20,
+                    0x2df5e71bacf8a1a1d232ad715b36ae4617b1f75e7c6283373a54c96556cae754,
+                    account
+                )
+            }
+        }
+    }
+
     ///////////////// OWNERSHIP FUNCTIONS /////////////////
 
     /**
@@ -777,6 +1672,28 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
         return dao;
     }
 
+    /**
+     * @notice Returns the vesting contract used by teamMintVested
+     */
+    function getVestingContract() external view returns (address) {
+        return vestingContract;
+    }
+
+    /**
+     * @notice Returns the contract that holds split treasury fees
+     */
+    function getFeeSplitter() external view returns (address) {
+        return feeSplitter;
+    }
+
+    /**
+     * @notice Returns the recipients the treasury fee is split across, empty if it all
+     *         goes to the treasury
+     */
+    function getFeeRecipients() external view returns (FeeRecipient[] memory) {
+        return feeRecipients;
+    }
+
     /**
      * @notice Checks if an address is exempt from transfer fees
      * @param account Address to check
@@ -785,6 +1702,47 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
         return exemptions[account];
     }
 
+    /**
+     * @notice Checks if an address is on the blocklist
+     * @param account Address to check
+     */
+    function isBlocked(address account) external view returns (bool) {
+        return blocklist[account];
+    }
+
+    /**
+     * @notice Checks if an address is exempt from the transfer limits
+     * @param account Address to check
+     */
+    function isLimitExempt(address account) external view returns (bool) {
+        return limitExemptions[account];
+    }
+
+    /**
+     * @notice Returns the anti-whale limits and whether they are still enforced
+     */
+    function getTransferLimits()
+        external
+        view
+        returns (TransferLimits memory)
+    {
+        return transferLimits;
+    }
+
+    /**
+     * @notice Checks whether enableTrading() has been called
+     */
+    function isTradingEnabled() external view returns (bool) {
+        return launchConfig.tradingEnabledBlock != 0;
+    }
+
+    /**
+     * @notice Returns the launch window settings and the block trading was enabled in
+     */
+    function getLaunchConfig() external view returns (LaunchConfig memory) {
+        return launchConfig;
+    }
+
     /**
      * @notice Returns the mint allocation stats
      */
@@ -792,6 +1750,139 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
         return mintAllocation;
     }
 
+    /**
+     * @notice Returns the allocation cap of each minting category
+     */
+    function getMintCaps() external view returns (MintCaps memory) {
+        return mintCaps;
+    }
+
+    /**
+     * @notice Returns how much each minting category can still mint
+     * @dev The smaller of the category's unused cap and the supply left under MAX_SUPPLY
+     */
+    function getMintHeadroom()
+        external
+        view
+        returns (
+            uint256 teamHeadroom,
+            uint256 treasuryHeadroom,
+            uint256 daoHeadroom
+        )
+    {
+        uint256 supplyLeft = MAX_SUPPLY - totalMinted;
+        teamHeadroom = _headroom(
+            mintCaps.teamCap,
+            mintAllocation.teamMinted,
+            supplyLeft
+        );
+        treasuryHeadroom = _headroom(
+            mintCaps.treasuryCap,
+            mintAllocation.treasuryMinted,
+            supplyLeft
+        );
+        daoHeadroom = _headroom(
+            mintCaps.daoCap,
+            mintAllocation.daoMinted,
+            supplyLeft
+        );
+    }
+
+    /**
+     * @notice Get the most tokens revenue mints can create per epoch
+     */
+    function getRevenueEpochCap() external view returns (uint256) {
+        return revenueEpochCap;
+    }
+
+    /**
+     * @notice Get the tokens revenue mints have created in an epoch
+     */
+    function getRevenueEpochMinted(uint64 epoch) external view returns (uint256) {
+        return revenueEpochMinted[epoch];
+    }
+
+    /**
+     * @notice Check if a revenue reference has been minted
+     */
+    function isRevenueReferenceUsed(bytes32 referenceHash) external view returns (bool) {
+        return usedRevenueReferences[referenceHash];
+    }
+
+    /**
+     * @notice Get the number of revenue mints in the ledger
+     */
+    function getRevenueMintCount() external view returns (uint256) {
+        return revenueMints.length;
+    }
+
+    /**
+     * @notice Get a page of the revenue mint ledger, oldest first
+     * @param offset Index of the first record
+     * @param limit Most records to return; the page ends early at the end of the ledger
+     */
+    function getRevenueMints(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (RevenueMintRecord[] memory records) {
+        uint256 count = revenueMints.length;
+        if (offset > count) offset = count;
+        if (limit > count - offset) limit = count - offset;
+
+        records = new RevenueMintRecord[](limit);
+        for (uint256 i; i < limit; ++i) {
+            records[i] = revenueMints[offset + i];
+        }
+    }
+
+    /**
+     * @notice Checks if an address is a registered AMM pair
+     * @param account Address to check
+     */
+    function isAmmPair(address account) external view returns (bool) {
+        return ammPairs[account];
+    }
+
+    /**
+     * @notice Returns the price feed settings
+     */
+    function getPriceOracleConfig()
+        external
+        view
+        returns (PriceOracleConfig memory)
+    {
+        return priceOracleConfig;
+    }
+
+    /**
+     * @notice Returns the feed price revenueMintAtOraclePrice would mint at, 18 decimals
+     * @dev Reverts as the mint would if no feed is set or the price is stale or out of band
+     */
+    function getOraclePrice() external view returns (uint256) {
+        return _oraclePrice();
+    }
+
+    /**
+     * @notice Returns the current rates of a fee kind in basis points
+     * @param kind Transfer, Buy or Sell
+     */
+    function getFees(
+        FeeKind kind
+    ) external view returns (uint256 burnFeeBps, uint256 treasuryFeeBps) {
+        FeeRates memory rates = fees[kind];
+        return (rates.burnFeeBps, rates.treasuryFeeBps);
+    }
+
+    /**
+     * @notice Returns the scheduled change of a fee kind (executeAfter is 0 when none is pending)
+     * @param kind Transfer, Buy or Sell
+     */
+    function getPendingFeeChange(
+        FeeKind kind
+    ) external view returns (PendingFeeChange memory) {
+        return pendingFeeChanges[kind];
+    }
+
     /**
      * @notice Returns the maximum supply cap
      */
@@ -799,6 +1890,23 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
         return MAX_SUPPLY;
     }
 
+    /**
+     * @notice Returns the total amount of tokens minted (including burned)
+     * @dev Used to enforce the hard cap - burning doesn't reduce this value
+     */
+    function getTotalMinted() external view returns (uint256) {
+        return totalMinted;
+    }
+
+    /**
+     * @notice Total supply at the end of a past block, for governors that read IVotes
+     * @param timepoint Block number, must be in the past
+     * @dev Alias of getPastVotesTotalSupply
+     */
+    function getPastTotalSupply(uint256 timepoint) external view returns (uint256) {
+        return getPastVotesTotalSupply(timepoint);
+    }
+
     /**
      * @notice Check if an address has a specific role
      * @param user Address to check
@@ -808,6 +1916,22 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
         return hasAllRoles(user, role);
     }
 
+    /**
+     * @notice Returns the holders of a role, in no particular order
+     * @param role A single role (e.g. TEAM_MINTER_ROLE); combined bitmaps have no members
+     */
+    function roleMembers(uint256 role) external view returns (address[] memory) {
+        return roleMemberSets[role].values();
+    }
+
+    /**
+     * @notice Returns the number of holders of a role
+     * @param role A single role (e.g. TEAM_MINTER_ROLE); combined bitmaps have no members
+     */
+    function roleMemberCount(uint256 role) external view returns (uint256) {
+        return roleMemberSets[role].length();
+    }
+
     /**
      * @notice Returns the default admin role identifier
      * @dev For compatibility with OpenZeppelin's AccessControl
@@ -827,6 +1951,66 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
 
     ///////////////// INTERNAL FUNCTIONS /////////////////
 
+    /**
+     * @dev Keeps the role member sets in step with the role bitmaps. Grants, revokes,
+     *      renunciations and the constructor grant all go through here
+     */
+    function _updateRoles(address user, uint256 roles, bool on) internal override {
+        uint256 current = rolesOf(user);
+        // Only the bits that actually flip change a member set
+        uint256 changed = on ? roles & ~current : roles & current;
+        super._updateRoles(user, roles, on);
+
+        while (changed != 0) {
+            uint256 role = changed & (~changed + 1);
+            if (on) {
+                roleMemberSets[role].add(user);
+            } else {
+                roleMemberSets[role].remove(user);
+            }
+            changed ^= role;
+        }
+    }
+
+    /**
+     * @dev Reads the feed and scales its answer to 18 decimals. Reverts with
+     *      PriceOracleNotConfigured, StalePrice (no update within maxPriceAge) or
+     *      PriceOutOfBounds (outside [minPrice, maxPrice]).
+     */
+    function _oraclePrice() internal view returns (uint256 price) {
+        PriceOracleConfig memory config = priceOracleConfig;
+        if (config.feed == address(0)) {
+            assembly {
+                mstore(0x00, 0xf8df054e) // PriceOracleNotConfigured()
+                revert(0x1c, 0x04)
+            }
+        }
+
+        (, int256 answer, , uint256 updatedAt, ) = IAggregatorV3(config.feed).latestRoundData();
+        if (updatedAt == 0 || block.timestamp > updatedAt + config.maxPriceAge) {
+            assembly {
+                mstore(0x00, 0x19abf40e) // StalePrice()
+                revert(0x1c, 0x04)
+            }
+        }
+
+        // A non-positive answer falls below minPrice, which is at least 1
+        price = answer > 0 ? uint256(answer) * 10 ** (18 - config.feedDecimals) : 0;
+        if (price < config.minPrice || price > config.maxPrice) {
+            assembly {
+                mstore(0x00, 0x6e4ba61d) // PriceOutOfBounds()
+                revert(0x1c, 0x04)
+            }
+        }
+    }
+
+    /**
+     * @notice Constant name hash, so permit and DOMAIN_SEPARATOR do not hash name() on every call
+     */
+    function _constantNameHash() internal pure override returns (bytes32) {
+        return NAME_HASH;
+    }
+
     /**
      * @notice Check if an address is a contract
      * @param account Address to check
@@ -840,10 +2024,148 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
         return size > 0;
     }
 
+    /**
+     * @notice Remaining cap of a category, bounded by the remaining supply
+     */
+    function _headroom(
+        uint256 cap,
+        uint256 minted,
+        uint256 supplyLeft
+    ) internal pure returns (uint256) {
+        uint256 left = cap - minted;
+        return left < supplyLeft ? left : supplyLeft;
+    }
+
+    /**
+     * @notice Internal function to mint team tokens and update the team allocation
+     */
+    function _teamMint(address to, uint256 amount) internal {
+        uint256 newTotal;
+        uint256 newTeamMinted;
+
+        // totalMinted = newTotal;
+        // mintAllocation.teamMinted = newTeamMinted;
+
+        assembly {
+            let totalMintedSlot := totalMinted.slot
+            let currentTotal := sload(totalMintedSlot)
+
+            // Check: totalMinted + amount <= MAX_SUPPLY
+            newTotal := add(currentTotal, amount)
+            if gt(newTotal, MAX_SUPPLY) {
+                mstore(0x00, 0x8a164f63) // MaxSupplyExceeded()
+                revert(0x1c, 0x04)
+            }
+
+            sstore(totalMintedSlot, newTotal)
+
+            let teamSlot := mintAllocation.slot
+            let currentTeam := sload(teamSlot)
+            newTeamMinted := add(currentTeam, amount)
+
+            // Check: teamMinted + amount <= mintCaps.teamCap
+            if gt(newTeamMinted, sload(mintCaps.slot)) {
+                mstore(0x00, 0xcff55708) // MintAllocationExceeded()
+                revert(0x1c, 0x04)
+            }
+
+            sstore(teamSlot, newTeamMinted)
+        }
+
+        _mint(to, amount);
+
+        assembly {
+            // emit Mint(to, amount, TEAM_MINTER_ROLE);
+            mstore(0x00, amount)
+            log3(
+                0x00,
+                0x20,
+                0x4c209b5fc8ad50758f13e2e1088ba56a560dff690a1c6fef26394f4c03821c4f,
+                to,
+                TEAM_MINTER_ROLE
+            )
+        }
+    }
+
+    /**
+     * @notice Sends a treasury fee to the fee splitter and credits each fee recipient its share
+     * @param from Address paying the fee
+     * @param amount Treasury fee
+     * @dev Emits TreasuryFee per recipient. The last recipient also gets the rounding remainder.
+     */
+    function _splitTreasuryFee(address from, uint256 amount) internal {
+        address splitter = feeSplitter;
+        uint256 count = feeRecipients.length;
+        address[] memory accounts = new address[](count);
+        uint256[] memory amounts = new uint256[](count);
+
+        super._transfer(from, splitter, amount);
+
+        uint256 remaining = amount;
+        for (uint256 i; i < count; ++i) {
+            FeeRecipient memory recipient = feeRecipients[i];
+            uint256 share = i == count - 1
+                ? remaining
+                : (amount * recipient.weightBps) / FEE_DENOMINATOR;
+            remaining -= share;
+
+            accounts[i] = recipient.account;
+            amounts[i] = share;
+            emit TreasuryFee(from, recipient.account, share);
+        }
+
+        IFeeSplitter(splitter).creditFees(accounts, amounts);
+    }
+
+    /**
+     * @notice Blocklist check for every balance change: transfers, fee legs, mints and burns
+     */
+    function _beforeTokenTransfer(
+        address from,
+        address to,
+        uint256
+    ) internal view override {
+        _revertIfBlocked(from);
+        _revertIfBlocked(to);
+    }
+
+    function _revertIfBlocked(address account) internal view {
+        if (blocklist[account]) {
+            assembly {
+                mstore(0x00, 0x6bc671fd) // AccountBlocked()
+                revert(0x1c, 0x04)
+            }
+        }
+    }
+
+    /**
+     * @notice Reverts if a launch-window trader transferred too recently, then records
+     *         this block for it
+     * @param account Sender of the transfer, or the buyer on a buy from an AMM pair
+     * @param cooldownBlocks Blocks to wait between transfers
+     * @dev AMM pairs take part in every trade and are not tracked
+     */
+    function _enforceCooldown(address account, uint256 cooldownBlocks) internal {
+        if (ammPairs[account]) {
+            return;
+        }
+        uint256 lastBlock = lastTransferBlock[account];
+        if (lastBlock != 0 && block.number < lastBlock + cooldownBlocks) {
+            assembly {
+                mstore(0x00, 0xd15a5c6b) // TransferCooldownActive()
+                revert(0x1c, 0x04)
+            }
+        }
+        lastTransferBlock[account] = block.number;
+    }
+
     /**
      * @notice Internal function to apply transfer with fees
-     * @dev Applies 1% burn + 1% treasury fee unless sender or recipient is exempt
+     * @dev Applies the burn and treasury fees of the transfer kind (buy from an AMM pair, sell to
+     *      one, or plain transfer) unless sender or recipient is exempt
      *      Exempt transfers bypass all fee logic
+     *      Transfers without an exempt side need trading enabled and follow the launch rules
+     *      While enabled, enforces the transfer limits, which have their own exemptions
      */
     function _applyTransferWithFees(
         address from,
@@ -865,14 +2187,63 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
             }
         }
 
+        // Launch gate: before enableTrading() only transfers with a fee-exempt side go through.
+        // During the launch window non-exempt parties wait between transfers.
+        bool feeExempt = exemptions[from] || exemptions[to];
+        bool inLaunchWindow;
+        if (!feeExempt) {
+            LaunchConfig memory launch = launchConfig;
+            if (launch.tradingEnabledBlock == 0) {
+                assembly {
+                    mstore(0x00, 0x12f1f923) // TradingNotEnabled()
+                    revert(0x1c, 0x04)
+                }
+            }
+            inLaunchWindow =
+                block.number < launch.tradingEnabledBlock + launch.windowBlocks;
+            if (inLaunchWindow && launch.cooldownBlocks > 0) {
+                // Only the side that trades waits, so nobody can lock a wallet by sending to it
+                _enforceCooldown(ammPairs[from] ? to : from, launch.cooldownBlocks);
+            }
+        }
+
+        // Anti-whale limits: the transaction limit applies unless either side is exempt
+        bool limited = transferLimits.enabled;
+        if (
+            limited &&
+            amount > transferLimits.maxTxAmount &&
+            !limitExemptions[from] &&
+            !limitExemptions[to]
+        ) {
+            assembly {
+                mstore(0x00, 0x801bc44b) // MaxTxAmountExceeded()
+                revert(0x1c, 0x04)
+            }
+        }
+
         // Check if either sender or recipient is exempt
-        if (exemptions[from] || exemptions[to]) {
+        if (feeExempt) {
             // Exempt transfer - no fees
             super._transfer(from, to, amount);
         } else {
-            // Calculate fees
-            uint256 burnAmount = (amount * BURN_FEE_PERCENT) / FEE_DENOMINATOR;
-            uint256 treasuryAmount = (amount * TREASURY_FEE_PERCENT) /
+            // Buys come from a pair, sells go to one
+            FeeRates memory rates = fees[
+                ammPairs[from]
+                    ? FeeKind.Buy
+                    : (ammPairs[to] ? FeeKind.Sell : FeeKind.Transfer)
+            ];
+
+            // A higher launch fee replaces the treasury fee during the launch window
+            if (
+                inLaunchWindow &&
+                launchConfig.launchFeeBps > rates.treasuryFeeBps
+            ) {
+                rates.treasuryFeeBps = launchConfig.launchFeeBps;
+            }
+
+            // Calculate fees from the basis-point rates of this kind
+            uint256 burnAmount = (amount * rates.burnFeeBps) / FEE_DENOMINATOR;
+            uint256 treasuryAmount = (amount * rates.treasuryFeeBps) /
                 FEE_DENOMINATOR;
             uint256 recipientAmount = amount - burnAmount - treasuryAmount;
 
@@ -881,14 +2252,32 @@ contract CAPX is ERC20, OwnableRoles, Pausable, ICAPX {
                 _burn(from, burnAmount);
             }
 
-            // Transfer to treasury
+            // Split across the fee recipients, or transfer to treasury
             if (treasuryAmount > 0) {
-                super._transfer(from, treasury, treasuryAmount);
-                emit TreasuryFee(from, treasury, treasuryAmount);
+                if (feeRecipients.length > 0) {
+                    _splitTreasuryFee(from, treasuryAmount);
+                } else {
+                    super._transfer(from, treasury, treasuryAmount);
+                    emit TreasuryFee(from, treasury, treasuryAmount);
+                }
             }
 
             // Transfer to recipient
             super._transfer(from, to, recipientAmount);
         }
+
+        // The wallet limit applies to the recipient's resulting balance. AMM pairs hold the
+        // pool's liquidity, so sells are not capped by it.
+        if (
+            limited &&
+            !limitExemptions[to] &&
+            !ammPairs[to] &&
+            balanceOf(to) > transferLimits.maxWalletAmount
+        ) {
+            assembly {
+                mstore(0x00, 0xa9a44dff) // MaxWalletAmountExceeded()
+                revert(0x1c, 0x04)
+            }
+        }
     }
 }
@@ -0,0 +1,255 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.30;
+
+import {Ownable} from "solady/src/auth/Ownable.sol";
+import {SafeTransferLib} from "solady/src/utils/SafeTransferLib.sol";
+import {ICAPX} from "./interfaces/ICAPX.sol";
+import {ICAPXVesting} from "./interfaces/ICAPXVesting.sol";
+
+/**
+ * @title CAPXVesting
+ * @notice Holds team CAPX minted through CAPX.teamMintVested and releases it on cliff + linear schedules
+ * @dev Must be registered with CAPX.setVestingContract, which also exempts it from transfer fees
+ *
+ * Features:
+ * - One schedule per teamMintVested call: beneficiary, start, cliff, duration, revocability
+ * - Nothing vests before the cliff, then linearly from start until start + duration
+ * - Beneficiaries release their own vested tokens
+ * - Revocation by the CAPX owner: vested tokens go to the beneficiary, unvested to the treasury
+ * - No admin of its own; authority follows the CAPX owner (multisig)
+ */
+contract CAPXVesting is ICAPXVesting {
+    ///////////////// STATE VARIABLES /////////////////
+
+    address public immutable token;
+
+    uint256 public scheduleCount;
+
+    uint256 private totalLocked;
+
+    ///////////////// MAPPINGS /////////////////
+
+    mapping(uint256 => VestingSchedule) private schedules;
+
+    mapping(address => uint256[]) private schedulesOf;
+
+    ///////////////// CONSTRUCTOR /////////////////
+
+    /**
+     * @notice Initializes the vesting contract for a CAPX token
+     * @param _token CAPX token address
+     */
+    constructor(address _token) {
+        require(_token != address(0), ZeroAddress());
+        token = _token;
+    }
+
+    ///////////////// SCHEDULES /////////////////
+
+    /**
+     * @notice Create a schedule for tokens the token contract just minted to this contract
+     * @param beneficiary Address that can release the vested tokens
+     * @param amount Total amount to vest
+     * @param start Vesting start (unix seconds, may be in the past)
+     * @param cliff Seconds after start before anything vests
+     * @param duration Seconds after start until everything is vested
+     * @param revocable Whether the token owner can revoke the unvested part
+     * @return scheduleId Identifier of the new schedule (starting at 1)
+     * @dev Only callable by the token, from teamMintVested
+     */
+    function createSchedule(
+        address beneficiary,
+        uint256 amount,
+        uint64 start,
+        uint64 cliff,
+        uint64 duration,
+        bool revocable
+    ) external returns (uint256 scheduleId) {
+        require(msg.sender == token, OnlyToken());
+        require(beneficiary != address(0), ZeroAddress());
+        require(amount > 0, InvalidAmount());
+        require(duration > 0 && cliff <= duration, InvalidSchedule());
+        require(
+            SafeTransferLib.balanceOf(token, address(this)) >=
+                totalLocked + amount,
+            InsufficientBalance()
+        );
+
+        scheduleId = ++scheduleCount;
+        schedules[scheduleId] = VestingSchedule({
+            beneficiary: beneficiary,
+            start: start,
+            cliff: cliff,
+            duration: duration,
+            revocable: revocable,
+            revoked: false,
+            amount: amount,
+            released: 0
+        });
+        schedulesOf[beneficiary].push(scheduleId);
+        totalLocked += amount;
+
+        emit ScheduleCreated(
+            scheduleId,
+            beneficiary,
+            amount,
+            start,
+            cliff,
+            duration,
+            revocable
+        );
+    }
+
+    /**
+     * @notice Send the vested, unreleased tokens of a schedule to its beneficiary
+     * @param scheduleId Schedule to release from
+     * @dev Only callable by the beneficiary
+     */
+    function release(uint256 scheduleId) external {
+        VestingSchedule storage schedule = _getSchedule(scheduleId);
+        require(msg.sender == schedule.beneficiary, Unauthorized());
+
+        uint256 amount = _vestedAmount(schedule, uint64(block.timestamp)) -
+            schedule.released;
+        require(amount > 0, NothingToRelease());
+
+        schedule.released += amount;
+        totalLocked -= amount;
+        SafeTransferLib.safeTransfer(token, schedule.beneficiary, amount);
+
+        emit TokensReleased(scheduleId, schedule.beneficiary, amount);
+    }
+
+    /**
+     * @notice Stop a revocable schedule and return its unvested tokens to the treasury
+     * @param scheduleId Schedule to revoke
+     * @dev Only callable by the CAPX owner
+     * @dev Tokens vested so far are released to the beneficiary in the same call, or to the
+     *      treasury if CAPX blocklists the beneficiary
+     */
+    function revoke(uint256 scheduleId) external {
+        require(msg.sender == owner(), Unauthorized());
+        VestingSchedule storage schedule = _getSchedule(scheduleId);
+        require(schedule.revocable, NotRevocable());
+        require(!schedule.revoked, AlreadyRevoked());
+
+        uint256 vested = _vestedAmount(schedule, uint64(block.timestamp));
+        uint256 unvested = schedule.amount - vested;
+        uint256 releasable = vested - schedule.released;
+        address treasury = ICAPX(token).getTreasuryAddress();
+
+        schedule.revoked = true;
+        schedule.amount = vested;
+        schedule.released = vested;
+        totalLocked -= unvested + releasable;
+
+        // A blocklisted beneficiary cannot receive CAPX; its vested part goes to the treasury
+        uint256 toTreasury = unvested;
+        if (releasable > 0) {
+            if (ICAPX(token).isBlocked(schedule.beneficiary)) {
+                toTreasury += releasable;
+                emit ReleaseWithheld(scheduleId, schedule.beneficiary, releasable);
+            } else {
+                SafeTransferLib.safeTransfer(token, schedule.beneficiary, releasable);
+                emit TokensReleased(scheduleId, schedule.beneficiary, releasable);
+            }
+        }
+        if (toTreasury > 0) {
+            SafeTransferLib.safeTransfer(token, treasury, toTreasury);
+        }
+
+        emit ScheduleRevoked(scheduleId, vested, unvested, treasury);
+    }
+
+    ///////////////// GETTER FUNCTIONS /////////////////
+
+    /**
+     * @notice Returns the CAPX owner, who is allowed to revoke schedules
+     */
+    function owner() public view returns (address) {
+        return Ownable(token).owner();
+    }
+
+    /**
+     * @notice Returns a vesting schedule
+     * @param scheduleId Schedule identifier
+     * @dev Returns an empty struct for unknown schedules
+     */
+    function getSchedule(
+        uint256 scheduleId
+    ) external view returns (VestingSchedule memory) {
+        return schedules[scheduleId];
+    }
+
+    /**
+     * @notice Returns the schedule IDs of a beneficiary
+     * @param beneficiary Beneficiary address
+     */
+    function getSchedulesOf(
+        address beneficiary
+    ) external view returns (uint256[] memory) {
+        return schedulesOf[beneficiary];
+    }
+
+    /**
+     * @notice Returns the amount of a schedule vested at a given time
+     * @param scheduleId Schedule identifier
+     * @param timestamp Unix seconds
+     * @dev A revoked schedule stays at what had vested when it was revoked
+     */
+    function vestedAmount(
+        uint256 scheduleId,
+        uint64 timestamp
+    ) external view returns (uint256) {
+        return _vestedAmount(_getSchedule(scheduleId), timestamp);
+    }
+
+    /**
+     * @notice Returns the amount the beneficiary can release right now
+     * @param scheduleId Schedule identifier
+     */
+    function releasableAmount(
+        uint256 scheduleId
+    ) external view returns (uint256) {
+        VestingSchedule storage schedule = _getSchedule(scheduleId);
+        return
+            _vestedAmount(schedule, uint64(block.timestamp)) -
+            schedule.released;
+    }
+
+    /**
+     * @notice Returns the total amount held for schedules that is not released yet
+     */
+    function getTotalLocked() external view returns (uint256) {
+        return totalLocked;
+    }
+
+    ///////////////// INTERNAL FUNCTIONS /////////////////
+
+    function _getSchedule(
+        uint256 scheduleId
+    ) internal view returns (VestingSchedule storage schedule) {
+        schedule = schedules[scheduleId];
+        require(schedule.beneficiary != address(0), ScheduleNotFound());
+    }
+
+    /**
+     * @notice Cliff + linear vesting: 0 before start + cliff, amount from start + duration
+     */
+    function _vestedAmount(
+        VestingSchedule storage schedule,
+        uint64 timestamp
+    ) internal view returns (uint256) {
+        if (schedule.revoked) {
+            return schedule.amount;
+        }
+        uint256 start = schedule.start;
+        if (timestamp < start + schedule.cliff) {
+            return 0;
+        }
+        if (timestamp >= start + schedule.duration) {
+            return schedule.amount;
+        }
+        return (schedule.amount * (timestamp - start)) / schedule.duration;
+    }
+}
@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.30;
+
+import {SafeTransferLib} from "solady/src/utils/SafeTransferLib.sol";
+import {IFeeSplitter} from "./interfaces/IFeeSplitter.sol";
+
+/**
+ * @title FeeSplitter
+ * @notice Holds CAPX treasury fees split across the CAPX fee recipients until they pull them
+ * @dev Must be registered with CAPX.setFeeSplitter, which also exempts it from transfer fees
+ *
+ * Features:
+ * - CAPX sends each split fee here in one transfer and credits every recipient's share
+ * - Recipients (or anyone on their behalf) release their credited fees at any time
+ * - Credits survive recipient list changes on CAPX
+ * - No admin of its own; the recipient list and weights live on CAPX
+ */
+contract FeeSplitter is IFeeSplitter {
+    ///////////////// STATE VARIABLES /////////////////
+
+    address public immutable token;
+
+    uint256 private totalOwed;
+
+    ///////////////// MAPPINGS /////////////////
+
+    mapping(address account => uint256 amount) private owed;
+
+    ///////////////// CONSTRUCTOR /////////////////
+
+    /**
+     * @notice Initializes the splitter for a CAPX token
+     * @param _token CAPX token address
+     */
+    constructor(address _token) {
+        require(_token != address(0), ZeroAddress());
+        token = _token;
+    }
+
+    ///////////////// FEES /////////////////
+
+    /**
+     * @notice Record fees the token contract just transferred to this contract
+     * @param accounts Fee recipients
+     * @param amounts Amount credited to each recipient
+     * @dev Only callable by the token, from a taxed transfer. The list is bounded by
+     *      CAPX.MAX_FEE_RECIPIENTS.
+     */
+    function creditFees(
+        address[] calldata accounts,
+        uint256[] calldata amounts
+    ) external {
+        require(msg.sender == token, OnlyToken());
+        require(accounts.length == amounts.length, LengthMismatch());
+
+        uint256 total = totalOwed;
+        for (uint256 i; i < accounts.length; ++i) {
+            owed[accounts[i]] += amounts[i];
+            total += amounts[i];
+        }
+        require(
+            SafeTransferLib.balanceOf(token, address(this)) >= total,
+            InsufficientBalance()
+        );
+        totalOwed = total;
+    }
+
+    /**
+     * @notice Send all fees credited to an account to that account
+     * @param account Fee recipient
+     * @return amount Amount released
+     * @dev Callable by anyone, so contracts such as a staking pool can be paid without
+     *      calling this themselves
+     */
+    function release(address account) external returns (uint256 amount) {
+        amount = owed[account];
+        require(amount > 0, NothingToRelease());
+
+        owed[account] = 0;
+        totalOwed -= amount;
+        SafeTransferLib.safeTransfer(token, account, amount);
+
+        emit FeesReleased(account, amount);
+    }
+
+    ///////////////// GETTER FUNCTIONS /////////////////
+
+    /**
+     * @notice Returns the amount an account can release right now
+     * @param account Fee recipient
+     */
+    function releasableAmount(address account) external view returns (uint256) {
+        return owed[account];
+    }
+
+    /**
+     * @notice Returns the total amount credited and not released yet
+     */
+    function getTotalOwed() external view returns (uint256) {
+        return totalOwed;
+    }
+}
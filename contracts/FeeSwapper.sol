@@ -0,0 +1,193 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.30;
+
+import {Ownable} from "solady/src/auth/Ownable.sol";
+import {ReentrancyGuard} from "solady/src/utils/ReentrancyGuard.sol";
+import {SafeTransferLib} from "solady/src/utils/SafeTransferLib.sol";
+import {ICAPX} from "./interfaces/ICAPX.sol";
+import {IFeeSplitter} from "./interfaces/IFeeSplitter.sol";
+import {IFeeSwapper} from "./interfaces/IFeeSwapper.sol";
+import {IPancakeRouter} from "./interfaces/IPancakeRouter.sol";
+
+/**
+ * @title FeeSwapper
+ * @notice Sells CAPX treasury fees for BNB or a stablecoin and sends the output to the CAPX treasury
+ * @dev Receives fees as one of the CAPX fee recipients (CAPX.setFeeRecipients). Must be exempt
+ *      from CAPX transfer fees and limits (setExemption, setLimitExemption), or its own sells
+ *      are taxed and capped like any other.
+ *
+ * Features:
+ * - Owner-set keepers trigger a swap once the collected CAPX reaches the threshold; each swap
+ *   sells exactly the threshold, so fees reach the market in even pieces
+ * - Pulls the fees credited to it on the FeeSplitter before each swap
+ * - The keeper passes the least output it accepts, derived from a fresh quote, so a pool moved
+ *   between the quote and the swap reverts it
+ * - An owner-set floor price bounds every swap, whatever the keeper passes
+ * - No admin of its own; authority follows the CAPX owner (multisig)
+ */
+contract FeeSwapper is IFeeSwapper, ReentrancyGuard {
+    ///////////////// STATE VARIABLES /////////////////
+
+    address public immutable token;
+
+    SwapConfig private swapConfig;
+
+    // Accounts allowed to call swapBack besides the CAPX owner
+    mapping(address => bool) private keepers;
+
+    ///////////////// CONSTRUCTOR /////////////////
+
+    /**
+     * @notice Initializes the swapper for a CAPX token
+     * @param _token CAPX token address
+     */
+    constructor(address _token) {
+        require(_token != address(0), ZeroAddress());
+        token = _token;
+    }
+
+    ///////////////// SWAPS /////////////////
+
+    /**
+     * @notice Configure the router, output and bounds of every swap
+     * @param router PancakeSwap (Uniswap V2) router
+     * @param outputToken Token to sell CAPX for (e.g. a stablecoin), or address(0) for native BNB
+     * @param threshold Amount of CAPX each swap sells
+     * @param minPrice Lowest accepted price in output token wei per whole CAPX (1e18 wei)
+     * @dev Only callable by the CAPX owner. minPrice is a backstop against a keeper passing
+     *      too low a minimum; the keeper's quote is what protects each swap.
+     */
+    function setSwapConfig(
+        address router,
+        address outputToken,
+        uint256 threshold,
+        uint256 minPrice
+    ) external {
+        require(msg.sender == owner(), Unauthorized());
+        require(router != address(0), ZeroAddress());
+        require(threshold > 0 && minPrice > 0, InvalidSwapConfig());
+
+        swapConfig = SwapConfig({
+            router: router,
+            outputToken: outputToken,
+            threshold: threshold,
+            minPrice: minPrice
+        });
+
+        emit SwapConfigUpdated(router, outputToken, threshold, minPrice);
+    }
+
+    /**
+     * @notice Allow or disallow an account to trigger swaps
+     * @param keeper Account to update
+     * @param allowed True to allow swapBack calls
+     * @dev Only callable by the CAPX owner
+     */
+    function setKeeper(address keeper, bool allowed) external {
+        require(msg.sender == owner(), Unauthorized());
+        require(keeper != address(0), ZeroAddress());
+
+        keepers[keeper] = allowed;
+
+        emit KeeperUpdated(keeper, allowed);
+    }
+
+    /**
+     * @notice Sell threshold CAPX through the router and send the output to the CAPX treasury
+     * @param amountOutMin Least output to accept, e.g. a router quote for threshold CAPX
+     *        minus the tolerated slippage; raised to the minPrice floor when below it
+     * @return amountOut Output received by the treasury
+     * @dev Only callable by keepers and the CAPX owner. Reverts unless threshold CAPX is
+     *      collected, or if the router cannot pay amountOutMin.
+     */
+    function swapBack(
+        uint256 amountOutMin
+    ) external nonReentrant returns (uint256 amountOut) {
+        require(keepers[msg.sender] || msg.sender == owner(), Unauthorized());
+
+        SwapConfig memory config = swapConfig;
+        require(config.router != address(0), SwapNotConfigured());
+
+        address splitter = ICAPX(token).getFeeSplitter();
+        if (
+            splitter != address(0) &&
+            IFeeSplitter(splitter).releasableAmount(address(this)) > 0
+        ) {
+            IFeeSplitter(splitter).release(address(this));
+        }
+        require(
+            SafeTransferLib.balanceOf(token, address(this)) >= config.threshold,
+            BelowThreshold()
+        );
+
+        IPancakeRouter router = IPancakeRouter(config.router);
+        bool toNative = config.outputToken == address(0);
+
+        address[] memory path = new address[](2);
+        path[0] = token;
+        path[1] = toNative ? router.WETH() : config.outputToken;
+
+        address treasury = ICAPX(token).getTreasuryAddress();
+        uint256 balanceBefore = _outputBalance(config.outputToken, treasury);
+        uint256 floor = (config.threshold * config.minPrice) / 1e18;
+        if (amountOutMin < floor) amountOutMin = floor;
+
+        SafeTransferLib.safeApprove(token, config.router, config.threshold);
+        if (toNative) {
+            router.swapExactTokensForETHSupportingFeeOnTransferTokens(
+                config.threshold,
+                amountOutMin,
+                path,
+                treasury,
+                block.timestamp
+            );
+        } else {
+            router.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                config.threshold,
+                amountOutMin,
+                path,
+                treasury,
+                block.timestamp
+            );
+        }
+
+        amountOut = _outputBalance(config.outputToken, treasury) - balanceBefore;
+        emit SwapBack(config.threshold, amountOut, config.outputToken);
+    }
+
+    ///////////////// GETTER FUNCTIONS /////////////////
+
+    /**
+     * @notice Returns the CAPX owner, who configures the swaps
+     */
+    function owner() public view returns (address) {
+        return Ownable(token).owner();
+    }
+
+    /**
+     * @notice Check if an account can trigger swaps (the CAPX owner always can)
+     * @param account Address to check
+     */
+    function isKeeper(address account) external view returns (bool) {
+        return keepers[account];
+    }
+
+    /**
+     * @notice Returns the swap configuration; an unset router means swaps are not configured
+     */
+    function getSwapConfig() external view returns (SwapConfig memory) {
+        return swapConfig;
+    }
+
+    ///////////////// INTERNAL FUNCTIONS /////////////////
+
+    function _outputBalance(
+        address outputToken,
+        address account
+    ) internal view returns (uint256) {
+        return
+            outputToken == address(0)
+                ? account.balance
+                : SafeTransferLib.balanceOf(outputToken, account);
+    }
+}
@@ -15,6 +15,15 @@ interface IAngelSEED {
     error ArrayLengthMismatch();
     error EmptyArrays();
     error AdminMustBeContract();
+    error InvalidMerkleRoot();
+    error InvalidEpoch();
+    error InvalidProof();
+    error AlreadyClaimed();
+    error EpochBudgetExceeded();
+    error AccountBlocked();
+    error InvalidForwarder();
+    error MinterAllowanceExceeded();
+    error InvalidMinterAllowance();
 
     ///////////////// EVENTS /////////////////
 
@@ -22,6 +31,29 @@ interface IAngelSEED {
     event RoleGranted(uint256 indexed role, address indexed account, address indexed sender);
     event RoleRevoked(uint256 indexed role, address indexed account, address indexed sender);
     event Burn(address indexed from, uint256 amount);
+    event RewardEpochPublished(uint256 indexed epochId, bytes32 merkleRoot, uint256 budget, string reason);
+    event RewardClaimed(uint256 indexed epochId, address indexed account, uint256 amount);
+    event BlocklistUpdated(address indexed account, bool blocked);
+    event TrustedForwarderUpdated(address indexed oldForwarder, address indexed newForwarder);
+    event MinterAllowanceUpdated(address indexed minter, uint256 amount, uint256 window);
+
+    ///////////////// STRUCTS /////////////////
+
+    struct RewardEpoch {
+        bytes32 merkleRoot;
+        uint256 budget;
+        uint256 claimed;
+        string reason;
+    }
+
+    /// @dev `amount` refills linearly over `window` seconds; `available` is the unspent amount at
+    ///      `updatedAt`. A zero window means the minter is not rate limited
+    struct MinterAllowance {
+        uint128 amount;
+        uint128 available;
+        uint64 window;
+        uint64 updatedAt;
+    }
 
     ///////////////// FUNCTIONS /////////////////
 
@@ -42,6 +74,41 @@ interface IAngelSEED {
     function batchRewardMint(address[] calldata recipients, uint256[] calldata amounts, string calldata reason)
         external;
 
+    /**
+     * @notice Publish a Merkle root of reward claims
+     * @param merkleRoot Root of the tree of (account, amount) leaves
+     * @param budget Total amount claimable in this epoch
+     * @param reason Reason emitted with every claim
+     * @return epochId Identifier of the new epoch
+     */
+    function publishRewardEpoch(bytes32 merkleRoot, uint256 budget, string calldata reason)
+        external
+        returns (uint256 epochId);
+
+    /**
+     * @notice Claim a reward from a published epoch
+     * @param epochId Epoch to claim from
+     * @param account Account the leaf belongs to (receives the tokens)
+     * @param amount Amount in the leaf
+     * @param proof Merkle proof of the leaf
+     */
+    function claimReward(uint256 epochId, address account, uint256 amount, bytes32[] calldata proof) external;
+
+    /**
+     * @notice Get a published reward epoch
+     * @param epochId Epoch identifier
+     * @return The epoch's root, budget, claimed amount and reason
+     */
+    function getRewardEpoch(uint256 epochId) external view returns (RewardEpoch memory);
+
+    /**
+     * @notice Check if an account already claimed from an epoch
+     * @param epochId Epoch identifier
+     * @param account Account to check
+     * @return True if claimed
+     */
+    function isRewardClaimed(uint256 epochId, address account) external view returns (bool);
+
     /**
      * @notice Burn tokens
      * @param amount Amount to burn
@@ -55,6 +122,59 @@ interface IAngelSEED {
      */
     function burnFrom(address from, uint256 amount) external;
 
+    /**
+     * @notice Set how much a reward minter can mint per rolling window
+     * @param minter REWARD_MINTER_ROLE holder to limit
+     * @param amount Tokens the minter can mint per window (0 stops it minting)
+     * @param window Window in seconds over which the allowance refills, or 0 with a zero amount
+     *        to remove the limit
+     */
+    function setMinterAllowance(address minter, uint256 amount, uint256 window) external;
+
+    /**
+     * @notice Get the rate limit of a reward minter
+     * @param minter Minter to check
+     * @return The minter's allowance per window, window and unspent amount at the last update
+     */
+    function getMinterAllowance(address minter) external view returns (MinterAllowance memory);
+
+    /**
+     * @notice Get how much a reward minter can mint right now under its rate limit
+     * @param minter Minter to check
+     * @return Remaining allowance, type(uint256).max if the minter is not rate limited
+     */
+    function getRemainingMintAllowance(address minter) external view returns (uint256);
+
+    /**
+     * @notice Set the ERC-2771 forwarder trusted to relay meta-transactions
+     * @param newForwarder Forwarder contract, or address(0) to stop accepting meta-transactions
+     */
+    function setTrustedForwarder(address newForwarder) external;
+
+    /**
+     * @notice Check if an address is the trusted ERC-2771 forwarder
+     * @param forwarder Address to check
+     */
+    function isTrustedForwarder(address forwarder) external view returns (bool);
+
+    /**
+     * @notice Returns the trusted ERC-2771 forwarder (address(0) if none)
+     */
+    function getTrustedForwarder() external view returns (address);
+
+    /**
+     * @notice Add addresses to or remove them from the blocklist
+     * @param accounts Addresses to update
+     * @param blocked True to block, false to unblock
+     */
+    function setBlocked(address[] calldata accounts, bool blocked) external;
+
+    /**
+     * @notice Check if an address is on the blocklist
+     * @param account Address to check
+     */
+    function isBlocked(address account) external view returns (bool);
+
     /**
      * @notice Pause token transfers and minting
      */
@@ -85,6 +205,22 @@ interface IAngelSEED {
      */
     function getMaxSupply() external pure returns (uint256);
 
+    /**
+     * @notice Describe the EIP-712 domain used by permit (EIP-5267)
+     */
+    function eip712Domain()
+        external
+        view
+        returns (
+            bytes1 fields,
+            string memory name,
+            string memory version,
+            uint256 chainId,
+            address verifyingContract,
+            bytes32 salt,
+            uint256[] memory extensions
+        );
+
     /**
      * @notice Check if an address has a specific role
      * @param role Role to check (as bitmap)
@@ -93,6 +229,20 @@ interface IAngelSEED {
      */
     function hasRole(uint256 role, address user) external view returns (bool);
 
+    /**
+     * @notice Get the holders of a role, in no particular order
+     * @param role A single role (e.g. REWARD_MINTER_ROLE); combined bitmaps have no members
+     * @return Role holders
+     */
+    function roleMembers(uint256 role) external view returns (address[] memory);
+
+    /**
+     * @notice Get the number of holders of a role
+     * @param role A single role (e.g. REWARD_MINTER_ROLE); combined bitmaps have no members
+     * @return Number of role holders
+     */
+    function roleMemberCount(uint256 role) external view returns (uint256);
+
     /**
      * @notice Check if the owner is a multisig contract
      * @return True if owner is a contract
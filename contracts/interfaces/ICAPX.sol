@@ -11,11 +11,47 @@ interface ICAPX {
     error InvalidMarketValue();
     error MintAllocationExceeded();
     error AdminMustBeContract();
+    error VestingNotConfigured();
+    error InvalidVestingContract();
+    error InvalidMintCategory();
+    error InvalidMintCap();
+    error FeeTooHigh();
+    error NoPendingFeeChange();
+    error FeeChangeNotReady();
+    error InvalidFeeSplitter();
+    error FeeSplitterNotConfigured();
+    error InvalidFeeRecipients();
+    error MaxTxAmountExceeded();
+    error MaxWalletAmountExceeded();
+    error InvalidTransferLimit();
+    error TransferLimitsDisabled();
+    error TradingNotEnabled();
+    error TradingAlreadyEnabled();
+    error TransferCooldownActive();
+    error InvalidLaunchConfig();
+    error AccountBlocked();
+    error InvalidPriceOracleConfig();
+    error PriceOracleNotConfigured();
+    error StalePrice();
+    error PriceOutOfBounds();
+    error PriceDeviationTooHigh();
+    error InvalidRevenueReference();
+    error RevenueReferenceUsed();
+    error RevenueEpochCapExceeded();
+    error InvalidRevenueEpochCap();
 
     ///////////////// EVENTS /////////////////
 
     event Mint(address indexed to, uint256 amount, uint256 indexed role);
-    event RevenueMint(uint256 revenue, uint256 marketValue, uint256 tokensMinted);
+    event RevenueMint(
+        address indexed to,
+        uint64 indexed epoch,
+        bytes32 indexed referenceHash,
+        uint256 revenue,
+        uint256 marketValue,
+        uint256 tokensMinted
+    );
+    event RevenueEpochCapUpdated(uint256 oldCap, uint256 newCap);
     event TreasuryFee(address indexed from, address indexed to, uint256 amount);
     event TreasuryAddressUpdated(address indexed oldTreasury, address indexed newTreasury);
     event DaoAddressUpdated(address indexed oldDao, address indexed newDao);
@@ -23,6 +59,47 @@ interface ICAPX {
     event RoleGranted(uint256 indexed role, address indexed account, address indexed sender);
     event RoleRevoked(uint256 indexed role, address indexed account, address indexed sender);
     event Burn(address indexed from, uint256 amount);
+    event VestingContractUpdated(address indexed oldVesting, address indexed newVesting);
+    event MintCapUpdated(uint256 indexed role, uint256 oldCap, uint256 newCap);
+    event FeeChangeScheduled(
+        FeeKind indexed kind,
+        uint256 burnFeeBps,
+        uint256 treasuryFeeBps,
+        uint256 executeAfter
+    );
+    event FeeChangeCancelled(FeeKind indexed kind, uint256 burnFeeBps, uint256 treasuryFeeBps);
+    event FeesUpdated(
+        FeeKind indexed kind,
+        uint256 oldBurnFeeBps,
+        uint256 newBurnFeeBps,
+        uint256 oldTreasuryFeeBps,
+        uint256 newTreasuryFeeBps
+    );
+    event AmmPairUpdated(address indexed pair, bool isPair);
+    event FeeSplitterUpdated(address indexed oldSplitter, address indexed newSplitter);
+    event FeeRecipientsUpdated(address[] accounts, uint256[] weightsBps);
+    event TransferLimitsUpdated(uint256 maxTxAmount, uint256 maxWalletAmount);
+    event LimitExemptionUpdated(address indexed account, bool exempt);
+    event TransferLimitsRemoved();
+    event LaunchConfigUpdated(uint256 windowBlocks, uint256 cooldownBlocks, uint256 launchFeeBps);
+    event TradingEnabled(uint256 blockNumber);
+    event BlocklistUpdated(address indexed account, bool blocked);
+    event PriceOracleUpdated(
+        address indexed feed,
+        uint256 maxPriceAge,
+        uint256 minPrice,
+        uint256 maxPrice,
+        uint256 maxDeviationBps
+    );
+
+    ///////////////// ENUMS /////////////////
+
+    /// @dev Buy: sent by an AMM pair. Sell: sent to an AMM pair. Transfer: everything else.
+    enum FeeKind {
+        Transfer,
+        Buy,
+        Sell
+    }
 
     ///////////////// STRUCTS /////////////////
 
@@ -32,15 +109,99 @@ interface ICAPX {
         uint256 daoMinted;
     }
 
+    struct MintCaps {
+        uint256 teamCap;
+        uint256 treasuryCap;
+        uint256 daoCap;
+    }
+
+    struct FeeRates {
+        uint256 burnFeeBps;
+        uint256 treasuryFeeBps;
+    }
+
+    /// @dev Weights are basis points of the treasury fee and add up to 10_000
+    struct FeeRecipient {
+        address account;
+        uint96 weightBps;
+    }
+
+    /// @dev enabled is only ever switched off, by disableTransferLimits
+    struct TransferLimits {
+        uint256 maxTxAmount;
+        uint256 maxWalletAmount;
+        bool enabled;
+    }
+
+    /// @dev tradingEnabledBlock is 0 until enableTrading; the launch window covers the
+    ///      windowBlocks blocks starting there
+    struct LaunchConfig {
+        uint64 tradingEnabledBlock;
+        uint64 windowBlocks;
+        uint64 cooldownBlocks;
+        uint64 launchFeeBps;
+    }
+
+    /// @dev Prices are market values per token with 18 decimals, the unit revenueMint takes;
+    ///      feed answers are scaled up from feedDecimals. feed address(0) means no oracle.
+    struct PriceOracleConfig {
+        address feed;
+        uint8 feedDecimals;
+        uint16 maxDeviationBps;
+        uint64 maxPriceAge;
+        uint128 minPrice;
+        uint128 maxPrice;
+    }
+
+    /// @dev One entry per revenue mint, in mint order. referenceHash identifies the off-chain
+    ///      revenue the mint is based on (e.g. the hash of an audited revenue report).
+    struct RevenueMintRecord {
+        address to;
+        uint64 epoch;
+        uint32 timestamp;
+        bytes32 referenceHash;
+        uint256 revenue;
+        uint256 marketValue;
+        uint256 tokensMinted;
+    }
+
+    struct PendingFeeChange {
+        uint256 burnFeeBps;
+        uint256 treasuryFeeBps;
+        uint256 executeAfter;
+    }
+
     ///////////////// FUNCTIONS /////////////////
 
     function teamMint(address to, uint256 amount) external;
 
+    function teamMintVested(
+        address beneficiary,
+        uint256 amount,
+        uint64 start,
+        uint64 cliff,
+        uint64 duration,
+        bool revocable
+    ) external returns (uint256 scheduleId);
+
     function treasuryMint(address to, uint256 amount) external;
 
     function daoMint(address to, uint256 amount) external;
 
-    function revenueMint(address to, uint256 revenue, uint256 marketValue) external;
+    function revenueMint(
+        address to,
+        uint256 revenue,
+        uint256 marketValue,
+        uint64 epoch,
+        bytes32 referenceHash
+    ) external;
+
+    function revenueMintAtOraclePrice(
+        address to,
+        uint256 revenue,
+        uint64 epoch,
+        bytes32 referenceHash
+    ) external;
 
     function setTreasuryAddress(address newTreasury) external;
 
@@ -48,6 +209,48 @@ interface ICAPX {
 
     function setExemption(address account, bool exempt) external;
 
+    function setVestingContract(address newVesting) external;
+
+    function setMintCap(uint256 role, uint256 cap) external;
+
+    function setRevenueEpochCap(uint256 cap) external;
+
+    function scheduleFeeChange(
+        FeeKind kind,
+        uint256 newBurnFeeBps,
+        uint256 newTreasuryFeeBps
+    ) external;
+
+    function applyFeeChange(FeeKind kind) external;
+
+    function cancelFeeChange(FeeKind kind) external;
+
+    function setAmmPair(address pair, bool isPair) external;
+
+    function setFeeSplitter(address newSplitter) external;
+
+    function setFeeRecipients(address[] calldata accounts, uint256[] calldata weightsBps) external;
+
+    function setTransferLimits(uint256 maxTxAmount, uint256 maxWalletAmount) external;
+
+    function setLimitExemption(address account, bool exempt) external;
+
+    function disableTransferLimits() external;
+
+    function setLaunchConfig(uint256 windowBlocks, uint256 cooldownBlocks, uint256 launchFeeBps) external;
+
+    function enableTrading() external;
+
+    function setBlocked(address[] calldata accounts, bool blocked) external;
+
+    function setPriceOracle(
+        address feed,
+        uint256 maxPriceAge,
+        uint256 minPrice,
+        uint256 maxPrice,
+        uint256 maxDeviationBps
+    ) external;
+
     function pause() external;
 
     function unpause() external;
@@ -56,9 +259,76 @@ interface ICAPX {
 
     function getDaoAddress() external view returns (address);
 
+    function getVestingContract() external view returns (address);
+
+    function getFeeSplitter() external view returns (address);
+
+    function getFeeRecipients() external view returns (FeeRecipient[] memory);
+
     function isExempt(address account) external view returns (bool);
 
+    function isLimitExempt(address account) external view returns (bool);
+
+    function isBlocked(address account) external view returns (bool);
+
+    function getTransferLimits() external view returns (TransferLimits memory);
+
+    function isTradingEnabled() external view returns (bool);
+
+    function getLaunchConfig() external view returns (LaunchConfig memory);
+
     function getMintAllocation() external view returns (MintAllocation memory);
 
+    function getMintCaps() external view returns (MintCaps memory);
+
+    function getMintHeadroom()
+        external
+        view
+        returns (uint256 teamHeadroom, uint256 treasuryHeadroom, uint256 daoHeadroom);
+
+    function getRevenueEpochCap() external view returns (uint256);
+
+    function getRevenueEpochMinted(uint64 epoch) external view returns (uint256);
+
+    function isRevenueReferenceUsed(bytes32 referenceHash) external view returns (bool);
+
+    function getRevenueMintCount() external view returns (uint256);
+
+    function getRevenueMints(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (RevenueMintRecord[] memory records);
+
+    function isAmmPair(address account) external view returns (bool);
+
+    function getPriceOracleConfig() external view returns (PriceOracleConfig memory);
+
+    function getOraclePrice() external view returns (uint256);
+
+    function getFees(FeeKind kind) external view returns (uint256 burnFeeBps, uint256 treasuryFeeBps);
+
+    function getPendingFeeChange(FeeKind kind) external view returns (PendingFeeChange memory);
+
     function getMaxSupply() external pure returns (uint256);
+
+    function getTotalMinted() external view returns (uint256);
+
+    function roleMembers(uint256 role) external view returns (address[] memory);
+
+    function roleMemberCount(uint256 role) external view returns (uint256);
+
+    function getPastTotalSupply(uint256 timepoint) external view returns (uint256);
+
+    function eip712Domain()
+        external
+        view
+        returns (
+            bytes1 fields,
+            string memory name,
+            string memory version,
+            uint256 chainId,
+            address verifyingContract,
+            bytes32 salt,
+            uint256[] memory extensions
+        );
 }
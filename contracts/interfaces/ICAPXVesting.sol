@@ -0,0 +1,108 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.30;
+
+interface ICAPXVesting {
+    ///////////////// ERRORS /////////////////
+
+    error ZeroAddress();
+    error InvalidAmount();
+    error InvalidSchedule();
+    error InsufficientBalance();
+    error OnlyToken();
+    error Unauthorized();
+    error ScheduleNotFound();
+    error NotRevocable();
+    error AlreadyRevoked();
+    error NothingToRelease();
+
+    ///////////////// EVENTS /////////////////
+
+    event ScheduleCreated(
+        uint256 indexed scheduleId,
+        address indexed beneficiary,
+        uint256 amount,
+        uint64 start,
+        uint64 cliff,
+        uint64 duration,
+        bool revocable
+    );
+    event TokensReleased(uint256 indexed scheduleId, address indexed beneficiary, uint256 amount);
+    event ScheduleRevoked(uint256 indexed scheduleId, uint256 vested, uint256 unvested, address indexed treasury);
+    event ReleaseWithheld(uint256 indexed scheduleId, address indexed beneficiary, uint256 amount);
+
+    ///////////////// STRUCTS /////////////////
+
+    struct VestingSchedule {
+        address beneficiary;
+        uint64 start;
+        uint64 cliff;
+        uint64 duration;
+        bool revocable;
+        bool revoked;
+        uint256 amount;
+        uint256 released;
+    }
+
+    ///////////////// FUNCTIONS /////////////////
+
+    /**
+     * @notice Create a schedule for tokens the token contract just minted to this contract
+     * @param beneficiary Address that can release the vested tokens
+     * @param amount Total amount to vest
+     * @param start Vesting start (unix seconds)
+     * @param cliff Seconds after start before anything vests
+     * @param duration Seconds after start until everything is vested
+     * @param revocable Whether the token owner can revoke the unvested part
+     * @return scheduleId Identifier of the new schedule
+     */
+    function createSchedule(
+        address beneficiary,
+        uint256 amount,
+        uint64 start,
+        uint64 cliff,
+        uint64 duration,
+        bool revocable
+    ) external returns (uint256 scheduleId);
+
+    /**
+     * @notice Send the vested, unreleased tokens of a schedule to its beneficiary
+     * @param scheduleId Schedule to release from
+     */
+    function release(uint256 scheduleId) external;
+
+    /**
+     * @notice Stop a revocable schedule and return its unvested tokens to the treasury
+     * @param scheduleId Schedule to revoke
+     */
+    function revoke(uint256 scheduleId) external;
+
+    /**
+     * @notice The CAPX token this contract vests
+     */
+    function token() external view returns (address);
+
+    /**
+     * @notice Get a vesting schedule
+     * @param scheduleId Schedule identifier
+     */
+    function getSchedule(uint256 scheduleId) external view returns (VestingSchedule memory);
+
+    /**
+     * @notice Get the schedule IDs of a beneficiary
+     * @param beneficiary Beneficiary address
+     */
+    function getSchedulesOf(address beneficiary) external view returns (uint256[] memory);
+
+    /**
+     * @notice Amount of a schedule vested at a given time
+     * @param scheduleId Schedule identifier
+     * @param timestamp Unix seconds
+     */
+    function vestedAmount(uint256 scheduleId, uint64 timestamp) external view returns (uint256);
+
+    /**
+     * @notice Amount the beneficiary can release right now
+     * @param scheduleId Schedule identifier
+     */
+    function releasableAmount(uint256 scheduleId) external view returns (uint256);
+}
@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.30;
+
+interface IFeeSplitter {
+    ///////////////// ERRORS /////////////////
+
+    error ZeroAddress();
+    error OnlyToken();
+    error LengthMismatch();
+    error InsufficientBalance();
+    error NothingToRelease();
+
+    ///////////////// EVENTS /////////////////
+
+    event FeesReleased(address indexed account, uint256 amount);
+
+    ///////////////// FUNCTIONS /////////////////
+
+    /**
+     * @notice Record fees the token contract just transferred to this contract
+     * @param accounts Fee recipients
+     * @param amounts Amount credited to each recipient
+     */
+    function creditFees(address[] calldata accounts, uint256[] calldata amounts) external;
+
+    /**
+     * @notice Send all fees credited to an account to that account
+     * @param account Fee recipient
+     * @return amount Amount released
+     */
+    function release(address account) external returns (uint256 amount);
+
+    /**
+     * @notice The CAPX token whose fees this contract holds
+     */
+    function token() external view returns (address);
+
+    /**
+     * @notice Amount an account can release right now
+     * @param account Fee recipient
+     */
+    function releasableAmount(address account) external view returns (uint256);
+
+    /**
+     * @notice Total amount credited and not released yet
+     */
+    function getTotalOwed() external view returns (uint256);
+}
@@ -0,0 +1,77 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.30;
+
+interface IFeeSwapper {
+    ///////////////// ERRORS /////////////////
+
+    error ZeroAddress();
+    error Unauthorized();
+    error InvalidSwapConfig();
+    error SwapNotConfigured();
+    error BelowThreshold();
+
+    ///////////////// EVENTS /////////////////
+
+    event SwapConfigUpdated(
+        address indexed router,
+        address indexed outputToken,
+        uint256 threshold,
+        uint256 minPrice
+    );
+    event KeeperUpdated(address indexed keeper, bool allowed);
+    event SwapBack(uint256 tokensSwapped, uint256 amountOut, address indexed outputToken);
+
+    ///////////////// STRUCTS /////////////////
+
+    struct SwapConfig {
+        address router;
+        address outputToken; // address(0) for native BNB
+        uint256 threshold;
+        uint256 minPrice; // output token wei per whole CAPX
+    }
+
+    ///////////////// FUNCTIONS /////////////////
+
+    /**
+     * @notice Configure the router, output and bounds of every swap
+     * @param router PancakeSwap (Uniswap V2) router
+     * @param outputToken Token to sell CAPX for, or address(0) for native BNB
+     * @param threshold Amount of CAPX each swap sells
+     * @param minPrice Lowest accepted price in output token wei per whole CAPX
+     */
+    function setSwapConfig(address router, address outputToken, uint256 threshold, uint256 minPrice) external;
+
+    /**
+     * @notice Allow or disallow an account to trigger swaps
+     * @param keeper Account to update
+     * @param allowed True to allow swapBack calls
+     */
+    function setKeeper(address keeper, bool allowed) external;
+
+    /**
+     * @notice Sell threshold CAPX and send the output to the CAPX treasury
+     * @param amountOutMin Least output to accept; the minPrice floor applies when higher
+     * @return amountOut Output received by the treasury
+     */
+    function swapBack(uint256 amountOutMin) external returns (uint256 amountOut);
+
+    /**
+     * @notice The CAPX token whose fees this contract sells
+     */
+    function token() external view returns (address);
+
+    /**
+     * @notice The CAPX owner, who configures the swaps
+     */
+    function owner() external view returns (address);
+
+    /**
+     * @notice Whether an account can trigger swaps besides the CAPX owner
+     */
+    function isKeeper(address account) external view returns (bool);
+
+    /**
+     * @notice The swap configuration; an unset router means swaps are not configured
+     */
+    function getSwapConfig() external view returns (SwapConfig memory);
+}
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.30;
+
+import {IAggregatorV3} from "../interfaces/IAggregatorV3.sol";
+
+/**
+ * @title MockAggregator
+ * @notice Minimal Chainlink AggregatorV3 price feed for testing
+ * @dev The answer is set by anyone; each update starts a new round stamped with the current
+ *      block time. setUpdatedAt backdates the latest round to simulate a stale feed.
+ */
+contract MockAggregator is IAggregatorV3 {
+    uint8 public immutable decimals;
+
+    uint80 private roundId;
+    int256 private answer;
+    uint256 private updatedAt;
+
+    constructor(uint8 _decimals, int256 initialAnswer) {
+        decimals = _decimals;
+        setAnswer(initialAnswer);
+    }
+
+    function setAnswer(int256 newAnswer) public {
+        roundId++;
+        answer = newAnswer;
+        updatedAt = block.timestamp;
+    }
+
+    function setUpdatedAt(uint256 timestamp) external {
+        updatedAt = timestamp;
+    }
+
+    function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80) {
+        return (roundId, answer, updatedAt, updatedAt, roundId);
+    }
+}
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.30;
+
+import {MinimalForwarder} from "@openzeppelin/contracts/metatx/MinimalForwarder.sol";
+
+/**
+ * @title MockForwarder
+ * @notice ERC-2771 forwarder for local testing of AngelSEED meta-transactions
+ * @dev OpenZeppelin's MinimalForwarder: verifies an EIP-712 signed ForwardRequest, bumps the
+ *      signer's nonce and calls the target with the signer's address appended to the calldata.
+ *      A failing inner call does not revert execute(); it returns (false, returndata).
+ */
+contract MockForwarder is MinimalForwarder {}
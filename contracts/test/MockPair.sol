@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.30;
+
+import "solady/src/utils/SafeTransferLib.sol";
+
+/**
+ * @title MockPair
+ * @notice Minimal stand-in for a PancakeSwap / Uniswap V2 pair for testing
+ * @dev Implements the parts of the V2 pair used for swaps: constant-product pricing with a
+ *      0.25% fee (PancakeSwap V2), getReserves, swap and sync. Liquidity is added by
+ *      transferring both tokens to the pair and calling sync; there are no LP tokens.
+ */
+contract MockPair {
+    address public immutable token0;
+    address public immutable token1;
+
+    uint112 private reserve0;
+    uint112 private reserve1;
+
+    event Swap(
+        address indexed sender,
+        uint256 amount0In,
+        uint256 amount1In,
+        uint256 amount0Out,
+        uint256 amount1Out,
+        address indexed to
+    );
+    event Sync(uint112 reserve0, uint112 reserve1);
+
+    /**
+     * @notice Create a pair, ordering the tokens by address like the V2 factory does
+     */
+    constructor(address tokenA, address tokenB) {
+        (token0, token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+    }
+
+    function getReserves()
+        external
+        view
+        returns (uint112, uint112, uint32)
+    {
+        return (reserve0, reserve1, uint32(block.timestamp));
+    }
+
+    /**
+     * @notice Send out tokens after the input was transferred in, like UniswapV2Pair.swap
+     * @param amount0Out Amount of token0 to send
+     * @param amount1Out Amount of token1 to send
+     * @param to Recipient
+     * @dev The input amount is whatever the balance grew by since the last sync, which is
+     *      how fee-on-transfer tokens are supported
+     */
+    function swap(
+        uint256 amount0Out,
+        uint256 amount1Out,
+        address to,
+        bytes calldata
+    ) external {
+        require(amount0Out > 0 || amount1Out > 0, "MockPair: INSUFFICIENT_OUTPUT_AMOUNT");
+        require(amount0Out < reserve0 && amount1Out < reserve1, "MockPair: INSUFFICIENT_LIQUIDITY");
+
+        if (amount0Out > 0) SafeTransferLib.safeTransfer(token0, to, amount0Out);
+        if (amount1Out > 0) SafeTransferLib.safeTransfer(token1, to, amount1Out);
+
+        uint256 balance0 = SafeTransferLib.balanceOf(token0, address(this));
+        uint256 balance1 = SafeTransferLib.balanceOf(token1, address(this));
+        uint256 amount0In = balance0 > reserve0 - amount0Out
+            ? balance0 - (reserve0 - amount0Out)
+            : 0;
+        uint256 amount1In = balance1 > reserve1 - amount1Out
+            ? balance1 - (reserve1 - amount1Out)
+            : 0;
+        require(amount0In > 0 || amount1In > 0, "MockPair: INSUFFICIENT_INPUT_AMOUNT");
+
+        // Constant product after the 0.25% input fee
+        uint256 adjusted0 = balance0 * 10000 - amount0In * 25;
+        uint256 adjusted1 = balance1 * 10000 - amount1In * 25;
+        require(
+            adjusted0 * adjusted1 >= uint256(reserve0) * reserve1 * 10000 ** 2,
+            "MockPair: K"
+        );
+
+        _update(balance0, balance1);
+        emit Swap(msg.sender, amount0In, amount1In, amount0Out, amount1Out, to);
+    }
+
+    /**
+     * @notice Set the reserves to the current balances
+     */
+    function sync() external {
+        _update(
+            SafeTransferLib.balanceOf(token0, address(this)),
+            SafeTransferLib.balanceOf(token1, address(this))
+        );
+    }
+
+    function _update(uint256 balance0, uint256 balance1) private {
+        reserve0 = uint112(balance0);
+        reserve1 = uint112(balance1);
+        emit Sync(reserve0, reserve1);
+    }
+}
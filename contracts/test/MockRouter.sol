@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.30;
+
+import {WETH as WrappedNative} from "solady/src/tokens/WETH.sol";
+import "solady/src/utils/SafeTransferLib.sol";
+import "./MockPair.sol";
+
+/**
+ * @title MockRouter
+ * @notice Minimal stand-in for the PancakeSwap V2 router over a single MockPair for testing
+ * @dev Implements the fee-on-transfer swap functions used by FeeSwapper. A configurable
+ *      output shortfall simulates a pool moved against the swap.
+ */
+contract MockRouter {
+    MockPair public immutable pair;
+    address public immutable WETH;
+
+    uint256 public outputShortfallBps;
+
+    constructor(address _pair, address _weth) {
+        pair = MockPair(_pair);
+        WETH = _weth;
+    }
+
+    receive() external payable {}
+
+    /**
+     * @notice Make swaps deliver this much less than quoted, in basis points
+     */
+    function setOutputShortfallBps(uint256 bps) external {
+        outputShortfallBps = bps;
+    }
+
+    function getAmountsOut(
+        uint256 amountIn,
+        address[] calldata path
+    ) external view returns (uint256[] memory amounts) {
+        (uint256 reserveIn, uint256 reserveOut) = _getReserves(path);
+        amounts = new uint256[](2);
+        amounts[0] = amountIn;
+        amounts[1] = _getAmountOut(amountIn, reserveIn, reserveOut);
+    }
+
+    function swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external {
+        require(deadline >= block.timestamp, "MockRouter: EXPIRED");
+        uint256 amountOut = _swap(amountIn, path, to);
+        require(amountOut >= amountOutMin, "MockRouter: INSUFFICIENT_OUTPUT_AMOUNT");
+    }
+
+    function swapExactTokensForETHSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external {
+        require(deadline >= block.timestamp, "MockRouter: EXPIRED");
+        require(path[1] == WETH, "MockRouter: INVALID_PATH");
+        uint256 amountOut = _swap(amountIn, path, address(this));
+        require(amountOut >= amountOutMin, "MockRouter: INSUFFICIENT_OUTPUT_AMOUNT");
+        WrappedNative(payable(WETH)).withdraw(amountOut);
+        SafeTransferLib.safeTransferETH(to, amountOut);
+    }
+
+    function _swap(
+        uint256 amountIn,
+        address[] calldata path,
+        address to
+    ) private returns (uint256 amountOut) {
+        SafeTransferLib.safeTransferFrom(path[0], msg.sender, address(pair), amountIn);
+
+        // Like the V2 router, the input is what the pair actually received
+        (uint256 reserveIn, uint256 reserveOut) = _getReserves(path);
+        uint256 received = SafeTransferLib.balanceOf(path[0], address(pair)) - reserveIn;
+        amountOut = _getAmountOut(received, reserveIn, reserveOut);
+        amountOut -= (amountOut * outputShortfallBps) / 10000;
+
+        (uint256 amount0Out, uint256 amount1Out) = path[0] == pair.token0()
+            ? (uint256(0), amountOut)
+            : (amountOut, uint256(0));
+        pair.swap(amount0Out, amount1Out, to, "");
+    }
+
+    function _getReserves(
+        address[] calldata path
+    ) private view returns (uint256 reserveIn, uint256 reserveOut) {
+        require(path.length == 2, "MockRouter: INVALID_PATH");
+        (uint112 reserve0, uint112 reserve1, ) = pair.getReserves();
+        if (path[0] == pair.token0() && path[1] == pair.token1()) {
+            return (reserve0, reserve1);
+        }
+        require(path[0] == pair.token1() && path[1] == pair.token0(), "MockRouter: INVALID_PATH");
+        return (reserve1, reserve0);
+    }
+
+    // Same pricing as MockPair: constant product with a 0.25% input fee
+    function _getAmountOut(
+        uint256 amountIn,
+        uint256 reserveIn,
+        uint256 reserveOut
+    ) private pure returns (uint256) {
+        uint256 amountInWithFee = amountIn * 9975;
+        return (amountInWithFee * reserveOut) / (reserveIn * 10000 + amountInWithFee);
+    }
+}
@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.30;
+
+import "solady/src/tokens/WETH.sol";
+
+/**
+ * @title MockWBNB
+ * @notice Wrapped native token for mock AMM pairs in tests
+ */
+contract MockWBNB is WETH {}
@@ -2,6 +2,48 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@nomicfoundation/hardhat-verify");
 require("dotenv").config();
+const { forkingConfig } = require("./scripts/lib/dryRun");
+require("./tasks/admin");
+require("./tasks/roles");
+require("./tasks/swapper");
+
+const networks = {
+  hardhat: {
+    chainId: 31337,
+  },
+  sepolia: {
+    url: "https://ethereum-sepolia-rpc.publicnode.com",
+    chainId: 11155111,
+    accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+    timeout: 60000,
+  },
+  mumbai: {
+    url: "https://rpc-mumbai.maticvigil.com/",
+    chainId: 80001,
+    accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+  },
+  bscTestnet: {
+    url: process.env.BSC_TESTNET_RPC || "https://data-seed-prebsc-1-s1.binance.org:8545",
+    chainId: 97,
+    accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+    gasPrice: 10000000000, // 10 gwei
+  },
+  bscMainnet: {
+    url: process.env.BSC_MAINNET_RPC || "https://bsc-dataseed.binance.org",
+    chainId: 56,
+    accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+    gasPrice: "auto",
+  },
+};
+
+// Deployment dry runs (scripts/deploy.js) fork the target into the in-process network
+if (process.env.DEPLOY_DRY_RUN) {
+  networks.hardhat.forking = forkingConfig(
+    process.env.DEPLOY_DRY_RUN,
+    networks,
+    process.env.DEPLOY_FORK_BLOCK
+  );
+}
 
 module.exports = {
   solidity: {
@@ -13,34 +55,7 @@ module.exports = {
       },
     },
   },
-  networks: {
-    hardhat: {
-      chainId: 31337,
-    },
-    sepolia: {
-      url: "https://ethereum-sepolia-rpc.publicnode.com",
-      chainId: 11155111,
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      timeout: 60000,
-    },
-    mumbai: {
-      url: "https://rpc-mumbai.maticvigil.com/",
-      chainId: 80001,
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-    },
-    bscTestnet: {
-      url: process.env.BSC_TESTNET_RPC || "https://data-seed-prebsc-1-s1.binance.org:8545",
-      chainId: 97,
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      gasPrice: 10000000000, // 10 gwei
-    },
-    bscMainnet: {
-      url: process.env.BSC_MAINNET_RPC || "https://bsc-dataseed.binance.org",
-      chainId: 56,
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      gasPrice: "auto",
-    },
-  },
+  networks,
   etherscan: {
     apiKey: {
       sepolia: process.env.ETHERSCAN_API_KEY || "",
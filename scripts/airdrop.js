@@ -0,0 +1,355 @@
+// scripts/airdrop.js
+//
+// Mints AngelSEED rewards to every row of a CSV through batchRewardMint, in gas-bounded chunks.
+// Progress is kept in deployments/airdrop-state-<network>-<timestamp>.json so a rerun with
+// --resume skips the chunks that already went through. With --payload a chunk is only
+// "exported" until its RewardMint logs show up on-chain; --resume checks for them.
+//
+//   HARDHAT_NETWORK=bscMainnet node scripts/airdrop.js --csv rewards.csv --reason "Q3 campaign"
+//
+// Options:
+//   --csv <file>        Rows of `address,amount`
+//   --reason <text>     Reason emitted with every RewardMint
+//   --token <address>   AngelSEED address (defaults to the latest deployment on this network)
+//   --units <u>         "tokens" (default, decimal amounts) or "wei"
+//   --max-gas <n>       Gas budget per chunk (default 10,000,000)
+//   --payload           Write each chunk as a Safe batch for the multisig instead of sending it
+//   --resume <file>     State file of an interrupted run
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { DeploymentPipeline } = require("./lib/deployPipeline");
+const { findDeployedAddress, encodeAdminCall, requireReason } = require("./lib/adminCalls");
+const { buildBatch, writeBatch } = require("./lib/safeBatch");
+const { sendResumable } = require("./lib/transactions");
+const {
+  DEFAULT_MAX_GAS,
+  parseRecipients,
+  chunkRecipients,
+  hashRecipients,
+  totalAmount,
+} = require("./lib/airdrop");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// Blocks per eth_getLogs request when looking for executed payloads
+const LOG_RANGE = 50_000;
+
+/**
+ * Reads the command line, falling back to AIRDROP_* environment variables
+ * (`npx hardhat run` does not forward script arguments)
+ */
+function parseArgs(argv) {
+  const args = {
+    csv: process.env.AIRDROP_CSV || "",
+    reason: process.env.AIRDROP_REASON || "",
+    token: process.env.AIRDROP_TOKEN || "",
+    units: process.env.AIRDROP_UNITS || "tokens",
+    maxGas: process.env.AIRDROP_MAX_GAS || DEFAULT_MAX_GAS.toString(),
+    payload: process.env.AIRDROP_PAYLOAD === "true",
+    resume: process.env.AIRDROP_RESUME || "",
+  };
+  const flags = {
+    "--csv": "csv",
+    "--reason": "reason",
+    "--token": "token",
+    "--units": "units",
+    "--max-gas": "maxGas",
+    "--resume": "resume",
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--payload") {
+      args.payload = true;
+    } else if (flags[argv[i]]) {
+      const value = argv[i + 1];
+      if (!value || value.startsWith("--")) {
+        throw new Error(`${argv[i]} requires a value`);
+      }
+      args[flags[argv[i]]] = value;
+      i++;
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+/**
+ * Sends one chunk, or picks up the transaction an interrupted run sent for it
+ */
+async function sendChunkStep(context, seed, signer, chunk, reason, log) {
+  const { txHash, receipt } = await sendResumable(
+    context,
+    signer,
+    (overrides) =>
+      seed.connect(signer).batchRewardMint(
+        chunk.map((r) => r.address),
+        chunk.map((r) => r.amount),
+        reason,
+        overrides
+      ),
+    log
+  );
+  return { txHash, gasUsed: receipt.gasUsed.toString(), recipients: chunk.length };
+}
+
+/**
+ * Looks for the multisig transaction that executed an exported chunk. One batchRewardMint
+ * call logs a RewardMint per recipient, so the chunk ran if a single transaction since the
+ * export logged all of them with this reason.
+ * @param {object} seed AngelSEED contract (ethers)
+ * @param {Array<{address: string, amount: bigint}>} chunk Recipients of the chunk
+ * @param {string} reason Airdrop reason
+ * @param {number} fromBlock Block number when the chunk was exported
+ * @returns {Promise<string|null>} Transaction hash, or null if it has not executed
+ */
+async function findChunkMint(seed, chunk, reason, fromBlock) {
+  const expected = new Map(chunk.map((r) => [r.address.toLowerCase(), r.amount]));
+  const matches = (log) => {
+    const { to, amount, reason: logged } = log.args;
+    return logged === reason && expected.get(to.toLowerCase()) === amount;
+  };
+
+  const toBlock = await ethers.provider.getBlockNumber();
+  for (let from = fromBlock; from <= toBlock; from += LOG_RANGE) {
+    const to = Math.min(from + LOG_RANGE - 1, toBlock);
+    // `to` is indexed, so filter on the first recipient and check the rest per transaction
+    const candidates = await seed.queryFilter(seed.filters.RewardMint(chunk[0].address), from, to);
+    for (const candidate of candidates.filter(matches)) {
+      const receipt = await ethers.provider.getTransactionReceipt(candidate.transactionHash);
+      const minted = new Set();
+      for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== seed.target.toLowerCase()) continue;
+        const parsed = seed.interface.parseLog(log);
+        if (parsed && parsed.name === "RewardMint" && matches(parsed)) {
+          minted.add(parsed.args.to.toLowerCase());
+        }
+      }
+      if (minted.size === expected.size) {
+        return candidate.transactionHash;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Runs an airdrop
+ * @param {object} options
+ * @param {string} options.csv CSV file of `address,amount`
+ * @param {string} options.reason Reason emitted with every RewardMint
+ * @param {string} [options.token] AngelSEED address
+ * @param {"tokens"|"wei"} [options.units] How to read CSV amounts
+ * @param {bigint|number|string} [options.maxGas] Gas budget per chunk
+ * @param {boolean} [options.payload] Write multisig payloads instead of sending
+ * @param {string} [options.resume] State file of an interrupted run
+ * @param {object} [options.signer] Minter, defaults to the first Hardhat signer
+ * @param {string} [options.deploymentsDir] Where deployments are looked up and state and payload files go
+ * @param {Function} [options.log] Logger, defaults to console.log
+ */
+async function airdrop(options) {
+  const log = options.log || console.log;
+  const deploymentsDir = options.deploymentsDir || DEPLOYMENTS_DIR;
+  const maxGas = BigInt(options.maxGas || DEFAULT_MAX_GAS);
+  const reason = requireReason(options.reason);
+  const chainId = (await ethers.provider.getNetwork()).chainId;
+
+  const token = options.token || findDeployedAddress(deploymentsDir, network.name, "AngelSEED");
+  if (!token) {
+    throw new Error(`No AngelSEED address for ${network.name}. Pass --token.`);
+  }
+  const seed = await ethers.getContractAt("AngelSEED", token);
+
+  // Parse and validate every row before touching the chain
+  const { recipients, duplicates, errors } = parseRecipients(fs.readFileSync(options.csv, "utf8"), {
+    units: options.units,
+  });
+  if (errors.length > 0) {
+    const listed = errors.slice(0, 20).map((e) => `  line ${e.line}: ${e.message}`);
+    if (errors.length > 20) listed.push(`  ... and ${errors.length - 20} more`);
+    throw new Error(`${options.csv} has ${errors.length} invalid row(s):\n${listed.join("\n")}`);
+  }
+  if (recipients.length === 0) {
+    throw new Error(`${options.csv} has no recipients`);
+  }
+  for (const d of duplicates) {
+    log(`⚠️  Skipping duplicate ${d.address} on line ${d.line} (first seen on line ${d.firstLine})`);
+  }
+
+  const chunks = chunkRecipients(recipients, reason, maxGas);
+
+  const pipelineOptions = {
+    network: network.name,
+    chainId,
+    config: {
+      token: ethers.getAddress(token),
+      reason,
+      recipients: hashRecipients(recipients),
+      maxGas: maxGas.toString(),
+      mode: options.payload ? "payload" : "send",
+    },
+    log,
+  };
+  const resumed = options.resume ? DeploymentPipeline.resume(options.resume, pipelineOptions) : null;
+
+  // An exported payload is only done once the multisig has executed it
+  if (resumed) {
+    for (let i = 0; i < chunks.length; i++) {
+      if (!resumed.isExported(`chunk-${i}`)) continue;
+      const { fromBlock } = resumed.state.steps[`chunk-${i}`].result;
+      const txHash = await findChunkMint(seed, chunks[i], reason, fromBlock);
+      if (txHash) {
+        resumed.confirm(`chunk-${i}`, { txHash });
+        log(`Chunk ${i + 1} was executed by the multisig in ${txHash}`);
+      }
+    }
+  }
+  const remaining = chunks.filter((_, i) => !(resumed && resumed.isDone(`chunk-${i}`)));
+
+  // Check everything the contract would revert on before the state file is created
+  const outstanding = totalAmount(remaining.flat());
+  const capacity = (await seed.getMaxSupply()) - (await seed.getTotalMinted());
+  if (outstanding > capacity) {
+    throw new Error(
+      `Airdrop needs ${ethers.formatUnits(outstanding, 18)} SEED but only ` +
+        `${ethers.formatUnits(capacity, 18)} can still be minted (MaxSupplyExceeded)`
+    );
+  }
+
+  const REWARD_MINTER_ROLE = await seed.REWARD_MINTER_ROLE();
+  let signer;
+  let minter;
+  if (options.payload) {
+    minter = await seed.owner();
+    if (!(await seed.hasRole(REWARD_MINTER_ROLE, minter))) {
+      throw new Error(`Multisig ${minter} does not have REWARD_MINTER_ROLE on ${token}`);
+    }
+  } else {
+    signer = options.signer || (await ethers.getSigners())[0];
+    minter = signer.address;
+    if (!(await seed.hasRole(REWARD_MINTER_ROLE, minter))) {
+      throw new Error(`${minter} does not have REWARD_MINTER_ROLE on ${token}`);
+    }
+    if (await seed.paused()) {
+      throw new Error("AngelSEED is paused");
+    }
+  }
+
+  const allowance = await seed.getRemainingMintAllowance(minter);
+  if (outstanding > allowance) {
+    throw new Error(
+      `Airdrop needs ${ethers.formatUnits(outstanding, 18)} SEED but ${minter} can only mint ` +
+        `${ethers.formatUnits(allowance, 18)} right now (MinterAllowanceExceeded)`
+    );
+  }
+
+  // One blocked recipient reverts its whole chunk
+  const blocked = [];
+  for (const r of remaining.flat()) {
+    if (await seed.isBlocked(r.address)) {
+      blocked.push(r);
+    }
+  }
+  if (blocked.length > 0) {
+    const listed = blocked.slice(0, 20).map((r) => `  line ${r.line}: ${r.address}`);
+    if (blocked.length > 20) listed.push(`  ... and ${blocked.length - 20} more`);
+    throw new Error(
+      `${options.csv} has ${blocked.length} blocked recipient(s) (AccountBlocked):\n${listed.join("\n")}`
+    );
+  }
+
+  const pipeline =
+    resumed ||
+    DeploymentPipeline.create({ dir: deploymentsDir, prefix: "airdrop-state", ...pipelineOptions });
+
+  log("==========================================");
+  log("AngelSEED Airdrop");
+  log("==========================================");
+  log("Network:", network.name);
+  log("Token:", token);
+  log("Reason:", reason);
+  log("Recipients:", recipients.length, `(${duplicates.length} duplicate(s) skipped)`);
+  log("Total:", ethers.formatUnits(totalAmount(recipients), 18), "SEED");
+  const exported = chunks.filter((_, i) => pipeline.isExported(`chunk-${i}`)).length;
+  log(
+    "Chunks:",
+    chunks.length,
+    `(${chunks.length - remaining.length} already done, ${exported} exported and not executed yet)`
+  );
+  log("State file:", pipeline.statePath);
+  log("==========================================");
+
+  const results = [];
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    log(`Chunk ${i + 1}/${chunks.length} (${chunk.length} recipients)`);
+
+    if (!options.payload) {
+      const result = await pipeline.run(`chunk-${i}`, (context) =>
+        sendChunkStep(context, seed, signer, chunk, reason, log)
+      );
+      log(`  ✓ ${result.txHash}`);
+      results.push(result);
+      continue;
+    }
+
+    const result = await pipeline.export(`chunk-${i}`, async () => {
+      const call = encodeAdminCall("AngelSEED", token, "batchRewardMint", [
+        chunk.map((r) => r.address),
+        chunk.map((r) => r.amount),
+        reason,
+      ]);
+      const payload = path.join(
+        deploymentsDir,
+        `${path.basename(pipeline.statePath, ".json").replace("airdrop-state", "airdrop-payload")}-chunk-${i}.json`
+      );
+      writeBatch(
+        payload,
+        buildBatch({
+          chainId,
+          calls: [call],
+          name: `AngelSEED airdrop chunk ${i + 1}/${chunks.length}`,
+          description: `${reason}: ${chunk.length} recipients, lines ${chunk[0].line}-${chunk[chunk.length - 1].line}`,
+        })
+      );
+      return { payload, recipients: chunk.length, fromBlock: await ethers.provider.getBlockNumber() };
+    });
+
+    log(result.txHash ? `  ✓ ${result.txHash}` : `  ✓ ${result.payload}`);
+    results.push(result);
+  }
+
+  const waiting = results.filter((r) => !r.txHash).length;
+  log("==========================================");
+  if (!options.payload || waiting === 0) {
+    log("Airdrop Complete!");
+  } else {
+    log(`${waiting} payload(s) waiting for the multisig. Once executed, confirm them with:`);
+    log(`  --resume ${pipeline.statePath}`);
+  }
+  log("==========================================");
+
+  return { statePath: pipeline.statePath, chunks: results };
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => airdrop(parseArgs(process.argv.slice(2))))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("Airdrop failed:");
+      console.error(error);
+      if (error.statePath) {
+        console.error(
+          `\nProgress is recorded in ${error.statePath}. Resume with the same options plus:\n` +
+            `  --resume ${error.statePath}`
+        );
+      }
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  airdrop,
+  parseArgs,
+};
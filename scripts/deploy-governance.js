@@ -0,0 +1,302 @@
+// scripts/deploy-governance.js
+//
+// Deploys the TimelockController and CAPXGovernor that take over ownership of CAPX and AngelSEED
+// from the multisig. The Governor becomes the Timelock's only proposer and canceller, anyone may
+// execute a proposal once its delay has passed, and the deployer gives up its admin role, so the
+// Timelock is administered by governance alone.
+//
+//   HARDHAT_NETWORK=bscMainnet node scripts/deploy-governance.js
+//   HARDHAT_NETWORK=bscMainnet node scripts/deploy-governance.js --resume deployments/governance-state-...
+//
+// Options:
+//   --capx <address>        CAPX address (defaults to the latest deployment on this network)
+//   --voting-delay <n>      Blocks between a proposal and the start of its vote (default 28800)
+//   --voting-period <n>     Blocks a vote stays open (default 201600)
+//   --threshold <tokens>    CAPX votes needed to propose, in whole tokens (default 100000)
+//   --quorum <percent>      Share of the CAPX supply that must vote For or Abstain (default 4)
+//   --min-delay <seconds>   Timelock delay between queueing and executing (default 172800)
+//   --resume <file>         State file of an interrupted run
+//
+// Next step: scripts/governance-handover.js moves ownership of the tokens to the Timelock.
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { DeploymentPipeline } = require("./lib/deployPipeline");
+const { findDeployedAddress } = require("./lib/adminCalls");
+const { DEFAULT_SETTINGS } = require("./lib/governance");
+const { deployContractStep, assertDeployed } = require("./deploy");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+/**
+ * Reads the command line, falling back to GOVERNANCE_* environment variables
+ * (`npx hardhat run` does not forward script arguments)
+ */
+function parseArgs(argv) {
+  const args = {
+    capx: process.env.GOVERNANCE_CAPX || "",
+    votingDelay: process.env.GOVERNANCE_VOTING_DELAY || String(DEFAULT_SETTINGS.votingDelay),
+    votingPeriod: process.env.GOVERNANCE_VOTING_PERIOD || String(DEFAULT_SETTINGS.votingPeriod),
+    threshold:
+      process.env.GOVERNANCE_THRESHOLD || ethers.formatUnits(DEFAULT_SETTINGS.proposalThreshold, 18).replace(/\.0$/, ""),
+    quorum: process.env.GOVERNANCE_QUORUM || String(DEFAULT_SETTINGS.quorumPercent),
+    minDelay: process.env.GOVERNANCE_MIN_DELAY || String(DEFAULT_SETTINGS.minDelay),
+    resume: process.env.GOVERNANCE_RESUME || "",
+  };
+  const flags = {
+    "--capx": "capx",
+    "--voting-delay": "votingDelay",
+    "--voting-period": "votingPeriod",
+    "--threshold": "threshold",
+    "--quorum": "quorum",
+    "--min-delay": "minDelay",
+    "--resume": "resume",
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (flags[argv[i]]) {
+      const value = argv[i + 1];
+      if (!value || value.startsWith("--")) {
+        throw new Error(`${argv[i]} requires a value`);
+      }
+      args[flags[argv[i]]] = value;
+      i++;
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+/**
+ * Validates the Governor and Timelock settings
+ * @returns {{votingDelay: bigint, votingPeriod: bigint, proposalThreshold: bigint, quorumPercent: bigint, minDelay: bigint}}
+ */
+function parseSettings(options) {
+  const integer = (value, label) => {
+    if (!/^\d+$/.test(String(value))) {
+      throw new Error(`${label} must be a non-negative integer, got ${value}`);
+    }
+    return BigInt(value);
+  };
+
+  const settings = {
+    votingDelay: integer(options.votingDelay ?? DEFAULT_SETTINGS.votingDelay, "voting delay"),
+    votingPeriod: integer(options.votingPeriod ?? DEFAULT_SETTINGS.votingPeriod, "voting period"),
+    proposalThreshold:
+      options.threshold === undefined ? DEFAULT_SETTINGS.proposalThreshold : ethers.parseUnits(String(options.threshold), 18),
+    quorumPercent: integer(options.quorum ?? DEFAULT_SETTINGS.quorumPercent, "quorum"),
+    minDelay: integer(options.minDelay ?? DEFAULT_SETTINGS.minDelay, "min delay"),
+  };
+  // GovernorSettings rejects a zero voting period, GovernorVotesQuorumFraction a quorum above 100
+  if (settings.votingPeriod === 0n) throw new Error("voting period must be greater than zero");
+  if (settings.quorumPercent === 0n || settings.quorumPercent > 100n) {
+    throw new Error(`quorum must be between 1 and 100 percent, got ${settings.quorumPercent}`);
+  }
+  return settings;
+}
+
+/**
+ * Deploys and wires the Timelock and Governor
+ * @param {object} [options] Command-line options as returned by parseArgs()
+ * @param {object} [options.signer] Deployer, defaults to the first Hardhat signer
+ * @param {string} [options.deploymentsDir] Where state and deployment info files are written
+ * @param {Function} [options.log] Logger, defaults to console.log
+ * @returns {Promise<{deploymentInfo: object, deploymentInfoPath: string, statePath: string}>}
+ */
+async function deployGovernance(options = {}) {
+  const log = options.log || console.log;
+  const deploymentsDir = options.deploymentsDir || DEPLOYMENTS_DIR;
+  const deployer = options.signer || (await ethers.getSigners())[0];
+  const chainId = (await ethers.provider.getNetwork()).chainId;
+  const settings = parseSettings(options);
+
+  const capxAddress = options.capx || findDeployedAddress(deploymentsDir, network.name, "CAPX");
+  if (!capxAddress || !ethers.isAddress(capxAddress)) {
+    throw new Error(`No CAPX address for ${network.name}. Pass --capx.`);
+  }
+  await assertDeployed("CAPX", capxAddress, network.name);
+  const capx = await ethers.getContractAt("CAPX", capxAddress);
+
+  log("==========================================");
+  log("CAPShield Governance Deployment");
+  log("==========================================");
+  log("Network:", network.name);
+  log("Deployer:", deployer.address);
+  log("CAPX:", capxAddress, `(clock: ${await capx.CLOCK_MODE()})`);
+  log("Voting delay:", settings.votingDelay.toString(), "blocks");
+  log("Voting period:", settings.votingPeriod.toString(), "blocks");
+  log("Proposal threshold:", ethers.formatUnits(settings.proposalThreshold, 18), "CAPX");
+  log("Quorum:", `${settings.quorumPercent}%`);
+  log("Timelock delay:", settings.minDelay.toString(), "seconds");
+  log("==========================================\n");
+
+  const pipelineOptions = {
+    network: network.name,
+    chainId,
+    config: {
+      capx: capxAddress,
+      votingDelay: settings.votingDelay.toString(),
+      votingPeriod: settings.votingPeriod.toString(),
+      proposalThreshold: settings.proposalThreshold.toString(),
+      quorumPercent: settings.quorumPercent.toString(),
+      minDelay: settings.minDelay.toString(),
+    },
+    log,
+  };
+  const pipeline = options.resume
+    ? DeploymentPipeline.resume(options.resume, pipelineOptions)
+    : DeploymentPipeline.create({ dir: deploymentsDir, prefix: "governance-state", ...pipelineOptions });
+  log("Deployment state file:", pipeline.statePath);
+  log("");
+
+  // Step 1: Timelock, administered by the deployer until the Governor is wired in
+  const timelockDeployment = await pipeline.run("deployTimelock", async (context) => {
+    log("Deploying TimelockController...");
+    return deployContractStep(
+      context,
+      "TimelockController",
+      [settings.minDelay.toString(), [], [ethers.ZeroAddress], deployer.address],
+      deployer,
+      log
+    );
+  });
+  await assertDeployed("TimelockController", timelockDeployment.address, network.name);
+  const timelockAddress = timelockDeployment.address;
+  log("✓ TimelockController deployed to:", timelockAddress);
+  log("");
+
+  // Step 2: Governor
+  const governorDeployment = await pipeline.run("deployGovernor", async (context) => {
+    log("Deploying CAPXGovernor...");
+    return deployContractStep(
+      context,
+      "CAPXGovernor",
+      [
+        capxAddress,
+        timelockAddress,
+        settings.votingDelay.toString(),
+        settings.votingPeriod.toString(),
+        settings.proposalThreshold.toString(),
+        settings.quorumPercent.toString(),
+      ],
+      deployer,
+      log
+    );
+  });
+  await assertDeployed("CAPXGovernor", governorDeployment.address, network.name);
+  const governorAddress = governorDeployment.address;
+  log("✓ CAPXGovernor deployed to:", governorAddress);
+  log("");
+
+  // Step 3: Governor proposes and cancels, the deployer steps down. Every call checks the role
+  // first, so a resumed run only sends what is missing.
+  const timelock = await ethers.getContractAt("TimelockController", timelockAddress, deployer);
+  const roles = {
+    admin: await timelock.TIMELOCK_ADMIN_ROLE(),
+    proposer: await timelock.PROPOSER_ROLE(),
+    canceller: await timelock.CANCELLER_ROLE(),
+    executor: await timelock.EXECUTOR_ROLE(),
+  };
+  await pipeline.run("configureTimelock", async () => {
+    log("Handing the Timelock to the Governor...");
+    for (const role of ["proposer", "canceller"]) {
+      if (!(await timelock.hasRole(roles[role], governorAddress))) {
+        const tx = await timelock.grantRole(roles[role], governorAddress);
+        await tx.wait();
+        log(`  ✓ Granted ${role} role to the Governor: ${tx.hash}`);
+      }
+    }
+    if (await timelock.hasRole(roles.admin, deployer.address)) {
+      const tx = await timelock.renounceRole(roles.admin, deployer.address);
+      await tx.wait();
+      log(`  ✓ Deployer renounced the admin role: ${tx.hash}`);
+    }
+    return { governor: governorAddress };
+  });
+  log("");
+
+  // Step 4: Verify
+  const governor = await ethers.getContractAt("CAPXGovernor", governorAddress);
+  const checks = {
+    TimelockController: {
+      minDelay: (await timelock.getMinDelay()).toString(),
+      governorIsProposer: await timelock.hasRole(roles.proposer, governorAddress),
+      governorIsCanceller: await timelock.hasRole(roles.canceller, governorAddress),
+      openExecution: await timelock.hasRole(roles.executor, ethers.ZeroAddress),
+      deployerIsAdmin: await timelock.hasRole(roles.admin, deployer.address),
+    },
+    CAPXGovernor: {
+      name: await governor.name(),
+      token: await governor.token(),
+      timelock: await governor.timelock(),
+      votingDelay: (await governor.votingDelay()).toString(),
+      votingPeriod: (await governor.votingPeriod()).toString(),
+      proposalThreshold: (await governor.proposalThreshold()).toString(),
+      quorumNumerator: (await governor["quorumNumerator()"]()).toString(),
+    },
+  };
+  const t = checks.TimelockController;
+  if (!t.governorIsProposer || !t.governorIsCanceller || !t.openExecution || t.deployerIsAdmin) {
+    throw new Error(`Timelock roles are not set up as expected: ${JSON.stringify(t)}`);
+  }
+  log("✓ Governor is the Timelock's proposer and canceller; anyone can execute; no admin left");
+
+  const deploymentInfo = {
+    network: network.name,
+    chainId: Number(chainId),
+    deployer: deployer.address,
+    timestamp: new Date().toISOString(),
+    stateFile: pipeline.statePath,
+    contracts: {
+      TimelockController: {
+        address: timelockAddress,
+        ...checks.TimelockController,
+        deploymentTx: timelockDeployment.deploymentTx,
+        constructorArgs: timelockDeployment.constructorArgs,
+      },
+      CAPXGovernor: {
+        address: governorAddress,
+        ...checks.CAPXGovernor,
+        deploymentTx: governorDeployment.deploymentTx,
+        constructorArgs: governorDeployment.constructorArgs,
+      },
+    },
+    config: pipelineOptions.config,
+  };
+
+  if (!fs.existsSync(deploymentsDir)) {
+    fs.mkdirSync(deploymentsDir, { recursive: true });
+  }
+  const deploymentInfoPath = path.join(deploymentsDir, `governance-${network.name}-${Date.now()}.json`);
+  fs.writeFileSync(deploymentInfoPath, JSON.stringify(deploymentInfo, null, 2));
+  log("✓ Deployment info saved to:", deploymentInfoPath);
+  log("");
+  log("==========================================");
+  log("Next: hand CAPX and AngelSEED over to the Timelock");
+  log(`HARDHAT_NETWORK=${network.name} node scripts/governance-handover.js`);
+  log("==========================================");
+
+  return { deploymentInfo, deploymentInfoPath, statePath: pipeline.statePath };
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => deployGovernance(parseArgs(process.argv.slice(2))))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      if (error.statePath) {
+        console.error(
+          `\nProgress is recorded in ${error.statePath}. Resume with:\n` +
+            `  HARDHAT_NETWORK=${network.name} node scripts/deploy-governance.js --resume ${error.statePath}`
+        );
+      }
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  deployGovernance,
+  parseArgs,
+  parseSettings,
+};
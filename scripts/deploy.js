@@ -1,10 +1,246 @@
 // scripts/deploy.js
+
+// Hardhat reads DEPLOY_DRY_RUN / DEPLOY_FORK_BLOCK while loading its config, so when the
+// script is started with `node scripts/deploy.js --dry-run ...` they must be set first
+if (require.main === module) {
+  Object.assign(process.env, dryRunEnvFromArgs(process.argv.slice(2)));
+}
+
 const { ethers, network } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { DeploymentPipeline } = require("./lib/deployPipeline");
+const dryRun = require("./lib/dryRun");
+const { waitForReceipt } = require("./lib/transactions");
+const { buildBatchFromActions, writeBatch } = require("./lib/safeBatch");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// ICAPX.FeeKind.Transfer
+const TRANSFER_FEE_KIND = 0;
+
+/**
+ * Reads `--resume <file>`, `--dry-run <network|url>`, `--fork-block <n>`, `--deployer <address>`
+ * and `--report <file>` from the command line.
+ * `npx hardhat run` does not forward script arguments, so DEPLOY_RESUME, DEPLOY_DRY_RUN,
+ * DEPLOY_FORK_BLOCK, DEPLOY_DRY_RUN_DEPLOYER and DEPLOY_DRY_RUN_REPORT are accepted as well.
+ */
+function parseArgs(argv) {
+  const args = {
+    resume: process.env.DEPLOY_RESUME || "",
+    dryRun: process.env.DEPLOY_DRY_RUN || "",
+    deployer: process.env.DEPLOY_DRY_RUN_DEPLOYER || "",
+    report: process.env.DEPLOY_DRY_RUN_REPORT || "",
+  };
+  const flags = {
+    "--resume": "resume",
+    "--dry-run": "dryRun",
+    "--deployer": "deployer",
+    "--report": "report",
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--fork-block") {
+      i++; // consumed by dryRunEnvFromArgs before Hardhat loads
+    } else if (flags[argv[i]]) {
+      const value = argv[i + 1];
+      if (!value || value.startsWith("--")) {
+        throw new Error(`${argv[i]} requires a value`);
+      }
+      args[flags[argv[i]]] = value;
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Extracts the settings Hardhat needs at config load time for a dry run
+ */
+function dryRunEnvFromArgs(argv) {
+  const env = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run" && argv[i + 1]) {
+      env.DEPLOY_DRY_RUN = argv[i + 1];
+    } else if (argv[i] === "--fork-block" && argv[i + 1]) {
+      env.DEPLOY_FORK_BLOCK = argv[i + 1];
+    }
+  }
+  return env;
+}
+
+/**
+ * Deploys a contract inside a pipeline step.
+ * Like sendResumable() in scripts/lib/transactions.js, the nonce is pinned and recorded with
+ * the address it deploys to before broadcasting. A resumed run checks that nonce and address,
+ * and never deploys again once the nonce was used.
+ */
+async function deployContractStep(context, contractName, constructorArgs, deployer, log) {
+  const { provider } = ethers;
+  let nonce;
+
+  if (context.pending && context.pending.nonce !== undefined) {
+    const { txHash, address } = context.pending;
+    log(`  Found deployment from a previous run: nonce ${context.pending.nonce}, address ${address}`);
+
+    if (txHash && (await provider.getTransaction(txHash)) && !(await waitForReceipt(provider, txHash))) {
+      throw new Error(
+        `Deployment transaction ${txHash} is still pending. Wait for it to be mined, then resume again.`
+      );
+    }
+
+    if ((await provider.getTransactionCount(deployer.address, "latest")) > context.pending.nonce) {
+      if ((await provider.getCode(address)) === "0x") {
+        throw new Error(
+          `Nonce ${context.pending.nonce} of ${deployer.address} was used, but ${address} has no code: ` +
+            "the deployment reverted or another transaction took the nonce. Check the account history " +
+            "before deploying again from a fresh state file."
+        );
+      }
+      log("  ✓ Previous deployment was mined");
+      const receipt = txHash ? await provider.getTransactionReceipt(txHash) : null;
+      return {
+        address,
+        deploymentTx: txHash || null,
+        gasUsed: receipt ? receipt.gasUsed.toString() : null,
+        constructorArgs,
+      };
+    }
+
+    // Reuse the nonce: if the dropped transaction resurfaces, only one of the two can be mined
+    nonce = context.pending.nonce;
+    log(`  ⚠️  Nonce ${nonce} is still unused, deploying again with it`);
+  }
+
+  if (nonce === undefined) {
+    nonce = await deployer.getNonce("pending");
+  }
+  const address = ethers.getCreateAddress({ from: deployer.address, nonce });
+
+  // Persist the nonce and address before broadcasting so an interrupted run never deploys twice
+  context.recordPending({ nonce, address });
+
+  const factory = await ethers.getContractFactory(contractName, deployer);
+  const contract = await factory.deploy(...constructorArgs, { nonce });
+  const deploymentTx = contract.deploymentTransaction().hash;
+  context.recordPending({ nonce, address, txHash: deploymentTx });
+
+  const receipt = await contract.deploymentTransaction().wait();
+
+  return { address, deploymentTx, gasUsed: receipt.gasUsed.toString(), constructorArgs };
+}
+
+/**
+ * Reads the optional swap-back settings. Swap-back is on when a router is given; the FeeSwapper
+ * then needs a keeper, a threshold and a floor price.
+ * @returns {object|null} `{router, outputToken, threshold, minPrice, keeper, weightBps}`, or null
+ */
+function readSwapConfig(config) {
+  const router = config.swapRouter || process.env.SWAP_ROUTER || "";
+  if (!router) {
+    return null;
+  }
+
+  const swap = {
+    router,
+    outputToken: config.swapOutputToken || process.env.SWAP_OUTPUT_TOKEN || "bnb",
+    threshold: String(config.swapThreshold || process.env.SWAP_THRESHOLD || ""),
+    minPrice: String(config.swapMinPrice || process.env.SWAP_MIN_PRICE || ""),
+    keeper: config.swapKeeper || process.env.SWAP_KEEPER || "",
+    weightBps: String(config.swapWeightBps || process.env.SWAP_FEE_WEIGHT_BPS || "10000"),
+  };
+  if (!ethers.isAddress(swap.router)) {
+    throw new Error("Invalid SWAP_ROUTER. Set via environment variable.");
+  }
+  if (!ethers.isAddress(swap.keeper)) {
+    throw new Error("Invalid or missing SWAP_KEEPER. Swap-back needs a keeper to trigger the swaps.");
+  }
+  if (!/^[1-9][0-9]*$/.test(swap.threshold) || !/^[1-9][0-9]*$/.test(swap.minPrice)) {
+    throw new Error("SWAP_THRESHOLD and SWAP_MIN_PRICE must be amounts in wei greater than zero.");
+  }
+  const weight = Number(swap.weightBps);
+  if (!Number.isInteger(weight) || weight < 1 || weight > 10000) {
+    throw new Error(`SWAP_FEE_WEIGHT_BPS must be between 1 and 10000, got ${swap.weightBps}`);
+  }
+  return swap;
+}
 
-async function main() {
-  const [deployer] = await ethers.getSigners();
+/**
+ * Owner-only calls that register the deployed contracts on CAPX, for the multisig to execute.
+ * With swap-back, the FeeSwapper becomes a fee recipient (the treasury gets the rest of the
+ * weight), is exempted from fees and limits and gets its swap config and keeper.
+ * @returns {Array<object>} Actions for buildBatchFromActions()
+ */
+function setupActions({ vesting, splitter, swapper, treasury, swap }) {
+  const actions = [
+    { contract: "CAPX", method: "setVestingContract", args: [vesting] },
+    { contract: "CAPX", method: "setFeeSplitter", args: [splitter] },
+  ];
+  if (!swap) {
+    return actions;
+  }
+
+  const weight = BigInt(swap.weightBps);
+  const recipients =
+    weight === 10_000n ? [[swapper], [weight]] : [[swapper, treasury], [weight, 10_000n - weight]];
+  actions.push(
+    { contract: "CAPX", method: "setExemption", args: [swapper, true] },
+    { contract: "CAPX", method: "setLimitExemption", args: [swapper, true] },
+    { contract: "CAPX", method: "setFeeRecipients", args: recipients },
+    {
+      contract: "FeeSwapper",
+      method: "setSwapConfig",
+      args: [swap.router, swap.outputToken, swap.threshold, swap.minPrice],
+    },
+    { contract: "FeeSwapper", method: "setKeeper", args: [swap.keeper, true] }
+  );
+  return actions;
+}
+
+/**
+ * Guards against a state file that points at contracts which no longer exist
+ * (e.g. a restarted local node)
+ */
+async function assertDeployed(contractName, address, networkName) {
+  const code = await ethers.provider.getCode(address);
+  if (code === "0x") {
+    throw new Error(
+      `${contractName} recorded at ${address} has no code on ${networkName}. ` +
+        "The state file does not match this chain; start a fresh deployment."
+    );
+  }
+}
+
+/**
+ * Runs the CAPX + AngelSEED deployment pipeline
+ * @param {object} [options]
+ * @param {string} [options.resume] State file of a previous run to resume
+ * @param {string} [options.dryRun] Network name or RPC URL to rehearse against on a local fork
+ *   (Hardhat must have been started with DEPLOY_DRY_RUN set to the same value)
+ * @param {string} [options.deployer] Deployer to impersonate in a dry run
+ * @param {string} [options.report] File to write the dry-run report to as JSON
+ * @param {object} [options.config] { multisig, treasury, dao } and the optional swap-back settings
+ *   { swapRouter, swapOutputToken, swapThreshold, swapMinPrice, swapKeeper, swapWeightBps },
+ *   defaults to environment variables
+ * @param {string} [options.deploymentsDir] Where state and deployment info files are written
+ * @param {Function} [options.log] Logger, defaults to console.log
+ */
+async function deploy(options = {}) {
+  if (!options.dryRun) {
+    return runDeployment(options);
+  }
+  if (options.resume) {
+    throw new Error("--dry-run cannot be combined with --resume");
+  }
+
+  const fork = await dryRun.startFork(options.dryRun, { deployer: options.deployer });
+  return runDeployment(options, fork);
+}
+
+async function runDeployment(options, fork) {
+  const { resume, deploymentsDir = DEPLOYMENTS_DIR, log = console.log } = options;
+  const deployer = fork ? fork.signer : (await ethers.getSigners())[0];
+  const networkName = fork ? fork.name : network.name;
+  const chainId = fork ? fork.chainId : network.config.chainId;
 
   // Get network-specific info
   const networkInfo = {
@@ -15,22 +251,23 @@ async function main() {
     hardhat: { symbol: "ETH", tokenStandard: "ERC-20", explorer: "Local" },
   };
 
-  const currentNetwork = networkInfo[network.name] || { symbol: "ETH", tokenStandard: "ERC-20", explorer: "Explorer" };
+  const currentNetwork = networkInfo[networkName] || { symbol: "ETH", tokenStandard: "ERC-20", explorer: "Explorer" };
 
-  console.log("==========================================");
-  console.log("CAPShield Token Deployment");
-  console.log("==========================================");
-  console.log("Network:", network.name);
-  console.log("Chain ID:", network.config.chainId);
-  console.log("Deployer:", deployer.address);
-  console.log("Balance:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)), currentNetwork.symbol);
-  console.log("==========================================\n");
+  log("==========================================");
+  log(fork ? "CAPShield Token Deployment (DRY RUN)" : "CAPShield Token Deployment");
+  log("==========================================");
+  log("Network:", fork ? `${networkName} (local fork at block ${fork.blockNumber})` : networkName);
+  log("Chain ID:", chainId);
+  log("Deployer:", deployer.address);
+  log("Balance:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)), currentNetwork.symbol);
+  log("==========================================\n");
 
   // CONFIGURATION
   // IMPORTANT: Update these addresses before deployment
-  const MULTISIG_ADDRESS = process.env.MULTISIG_ADDRESS || "";
-  const TREASURY_ADDRESS = process.env.TREASURY_ADDRESS || "";
-  const DAO_ADDRESS = process.env.DAO_ADDRESS || "";
+  const config = options.config || {};
+  const MULTISIG_ADDRESS = config.multisig || process.env.MULTISIG_ADDRESS || "";
+  const TREASURY_ADDRESS = config.treasury || process.env.TREASURY_ADDRESS || "";
+  const DAO_ADDRESS = config.dao || process.env.DAO_ADDRESS || "";
 
   // Validate configuration
   if (!MULTISIG_ADDRESS || !ethers.isAddress(MULTISIG_ADDRESS)) {
@@ -43,11 +280,14 @@ async function main() {
     throw new Error("Invalid or missing DAO_ADDRESS. Set via environment variable.");
   }
 
-  console.log("Configuration:");
-  console.log("  Multisig (Admin):", MULTISIG_ADDRESS);
-  console.log("  Treasury:", TREASURY_ADDRESS);
-  console.log("  DAO:", DAO_ADDRESS);
-  console.log("");
+  const SWAP = readSwapConfig(config);
+
+  log("Configuration:");
+  log("  Multisig (Admin):", MULTISIG_ADDRESS);
+  log("  Treasury:", TREASURY_ADDRESS);
+  log("  DAO:", DAO_ADDRESS);
+  log("  Swap-back:", SWAP ? `router ${SWAP.router}, keeper ${SWAP.keeper}` : "off");
+  log("");
 
   // Verify multisig is a contract
   const multisigCode = await ethers.provider.getCode(MULTISIG_ADDRESS);
@@ -57,140 +297,385 @@ async function main() {
       "Admin MUST be a multisig contract for security. Deployment aborted."
     );
   }
-  console.log("✓ Verified: Multisig address is a contract\n");
-
-  // Deploy CAPX Token
-  console.log("Deploying CAPX Token (Shield Token)...");
-  const CAPX = await ethers.getContractFactory("CAPX");
-  const capx = await CAPX.deploy(MULTISIG_ADDRESS, TREASURY_ADDRESS, DAO_ADDRESS);
-  await capx.waitForDeployment();
-  const capxAddress = await capx.getAddress();
-  console.log(`✓ CAPX (${currentNetwork.tokenStandard}) deployed to:`, capxAddress);
-  console.log("  Transaction:", capx.deploymentTransaction().hash);
-  console.log("");
-
-  // Deploy AngelSEED Token
-  console.log("Deploying AngelSEED Token (Community Token)...");
-  const AngelSEED = await ethers.getContractFactory("AngelSEED");
-  const angelSeed = await AngelSEED.deploy(MULTISIG_ADDRESS);
-  await angelSeed.waitForDeployment();
-  const angelSeedAddress = await angelSeed.getAddress();
-  console.log(`✓ AngelSEED (${currentNetwork.tokenStandard}) deployed to:`, angelSeedAddress);
-  console.log("  Transaction:", angelSeed.deploymentTransaction().hash);
-  console.log("");
-
-  // Verify deployments
-  console.log("Verifying deployments...");
-
-  const capxName = await capx.name();
-  const capxSymbol = await capx.symbol();
-  const capxDecimals = await capx.decimals();
-  const capxMaxSupply = await capx.getMaxSupply();
-  const capxOwner = await capx.owner();
-  const capxIsMultisig = await capx.isOwnerMultisig();
-
-  const angelSeedName = await angelSeed.name();
-  const angelSeedSymbol = await angelSeed.symbol();
-  const angelSeedDecimals = await angelSeed.decimals();
-  const angelSeedMaxSupply = await angelSeed.getMaxSupply();
-  const angelSeedOwner = await angelSeed.owner();
-  const angelSeedIsMultisig = await angelSeed.isOwnerMultisig();
-
-  console.log("CAPX Token:");
-  console.log("  Name:", capxName);
-  console.log("  Symbol:", capxSymbol);
-  console.log("  Decimals:", capxDecimals);
-  console.log("  Max Supply:", ethers.formatUnits(capxMaxSupply, 18), "CAPX");
-  console.log("  Owner:", capxOwner);
-  console.log("  Owner is Multisig:", capxIsMultisig);
-  console.log("");
-
-  console.log("AngelSEED Token:");
-  console.log("  Name:", angelSeedName);
-  console.log("  Symbol:", angelSeedSymbol);
-  console.log("  Decimals:", angelSeedDecimals);
-  console.log("  Max Supply:", ethers.formatUnits(angelSeedMaxSupply, 18), "AngelSEED");
-  console.log("  Owner:", angelSeedOwner);
-  console.log("  Owner is Multisig:", angelSeedIsMultisig);
-  console.log("");
+  log("✓ Verified: Multisig address is a contract\n");
+
+  // Open (or resume) the deployment state file; dry runs keep state in memory
+  const pipelineOptions = {
+    network: networkName,
+    chainId,
+    config: {
+      multisig: MULTISIG_ADDRESS,
+      treasury: TREASURY_ADDRESS,
+      dao: DAO_ADDRESS,
+      ...(SWAP && {
+        swapRouter: SWAP.router,
+        swapOutputToken: SWAP.outputToken,
+        swapThreshold: SWAP.threshold,
+        swapMinPrice: SWAP.minPrice,
+        swapKeeper: SWAP.keeper,
+        swapWeightBps: SWAP.weightBps,
+      }),
+    },
+    log,
+  };
+  let pipeline;
+  if (fork) {
+    pipeline = DeploymentPipeline.ephemeral(pipelineOptions);
+  } else if (resume) {
+    pipeline = DeploymentPipeline.resume(resume, pipelineOptions);
+    log("Resuming deployment from:", pipeline.statePath);
+    log("");
+  } else {
+    pipeline = DeploymentPipeline.create({ dir: deploymentsDir, ...pipelineOptions });
+    log("Deployment state file:", pipeline.statePath);
+    log("");
+  }
+
+  // Step 1: Deploy CAPX Token
+  const capxDeployment = await pipeline.run("deployCAPX", async (context) => {
+    log("Deploying CAPX Token (Shield Token)...");
+    return deployContractStep(
+      context,
+      "CAPX",
+      [MULTISIG_ADDRESS, TREASURY_ADDRESS, DAO_ADDRESS],
+      deployer,
+      log
+    );
+  });
+  await assertDeployed("CAPX", capxDeployment.address, networkName);
+  const capxAddress = capxDeployment.address;
+  log(`✓ CAPX (${currentNetwork.tokenStandard}) deployed to:`, capxAddress);
+  log("  Transaction:", capxDeployment.deploymentTx);
+  log("");
+
+  // Step 2: Deploy AngelSEED Token
+  const angelSeedDeployment = await pipeline.run("deployAngelSEED", async (context) => {
+    log("Deploying AngelSEED Token (Community Token)...");
+    return deployContractStep(context, "AngelSEED", [MULTISIG_ADDRESS], deployer, log);
+  });
+  await assertDeployed("AngelSEED", angelSeedDeployment.address, networkName);
+  const angelSeedAddress = angelSeedDeployment.address;
+  log(`✓ AngelSEED (${currentNetwork.tokenStandard}) deployed to:`, angelSeedAddress);
+  log("  Transaction:", angelSeedDeployment.deploymentTx);
+  log("");
+
+  // Step 3: Deploy the vesting contract for CAPX team allocations
+  const vestingDeployment = await pipeline.run("deployCAPXVesting", async (context) => {
+    log("Deploying CAPXVesting (team vesting)...");
+    return deployContractStep(context, "CAPXVesting", [capxAddress], deployer, log);
+  });
+  await assertDeployed("CAPXVesting", vestingDeployment.address, networkName);
+  const vestingAddress = vestingDeployment.address;
+  log("✓ CAPXVesting deployed to:", vestingAddress);
+  log("  Transaction:", vestingDeployment.deploymentTx);
+  log("");
+
+  // Step 4: Deploy the splitter for weighted CAPX treasury fee recipients
+  const splitterDeployment = await pipeline.run("deployFeeSplitter", async (context) => {
+    log("Deploying FeeSplitter (treasury fee recipients)...");
+    return deployContractStep(context, "FeeSplitter", [capxAddress], deployer, log);
+  });
+  await assertDeployed("FeeSplitter", splitterDeployment.address, networkName);
+  const splitterAddress = splitterDeployment.address;
+  log("✓ FeeSplitter deployed to:", splitterAddress);
+  log("  Transaction:", splitterDeployment.deploymentTx);
+  log("");
+
+  // Step 5: Deploy the swapper that sells CAPX treasury fees for BNB or a stablecoin
+  const swapperDeployment = await pipeline.run("deployFeeSwapper", async (context) => {
+    log("Deploying FeeSwapper (treasury fee swaps)...");
+    return deployContractStep(context, "FeeSwapper", [capxAddress], deployer, log);
+  });
+  await assertDeployed("FeeSwapper", swapperDeployment.address, networkName);
+  const swapperAddress = swapperDeployment.address;
+  log("✓ FeeSwapper deployed to:", swapperAddress);
+  log("  Transaction:", swapperDeployment.deploymentTx);
+  log("");
+
+  // Step 6: Verify deployments
+  const checks = await pipeline.run("postDeployChecks", async () => {
+    log("Verifying deployments...");
+
+    const capx = await ethers.getContractAt("CAPX", capxAddress);
+    const angelSeed = await ethers.getContractAt("AngelSEED", angelSeedAddress);
+    const vesting = await ethers.getContractAt("CAPXVesting", vestingAddress);
+    const splitter = await ethers.getContractAt("FeeSplitter", splitterAddress);
+    const swapper = await ethers.getContractAt("FeeSwapper", swapperAddress);
+
+    return {
+      CAPX: {
+        name: await capx.name(),
+        symbol: await capx.symbol(),
+        decimals: Number(await capx.decimals()),
+        maxSupply: (await capx.getMaxSupply()).toString(),
+        treasury: await capx.getTreasuryAddress(),
+        owner: await capx.owner(),
+        isOwnerMultisig: await capx.isOwnerMultisig(),
+      },
+      AngelSEED: {
+        name: await angelSeed.name(),
+        symbol: await angelSeed.symbol(),
+        decimals: Number(await angelSeed.decimals()),
+        maxSupply: (await angelSeed.getMaxSupply()).toString(),
+        owner: await angelSeed.owner(),
+        isOwnerMultisig: await angelSeed.isOwnerMultisig(),
+      },
+      CAPXVesting: {
+        token: await vesting.token(),
+        owner: await vesting.owner(),
+      },
+      FeeSplitter: {
+        token: await splitter.token(),
+      },
+      FeeSwapper: {
+        token: await swapper.token(),
+        owner: await swapper.owner(),
+      },
+    };
+  });
+
+  log("CAPX Token:");
+  log("  Name:", checks.CAPX.name);
+  log("  Symbol:", checks.CAPX.symbol);
+  log("  Decimals:", checks.CAPX.decimals);
+  log("  Max Supply:", ethers.formatUnits(checks.CAPX.maxSupply, 18), "CAPX");
+  log("  Treasury:", checks.CAPX.treasury);
+  log("  Owner:", checks.CAPX.owner);
+  log("  Owner is Multisig:", checks.CAPX.isOwnerMultisig);
+  log("");
+
+  log("AngelSEED Token:");
+  log("  Name:", checks.AngelSEED.name);
+  log("  Symbol:", checks.AngelSEED.symbol);
+  log("  Decimals:", checks.AngelSEED.decimals);
+  log("  Max Supply:", ethers.formatUnits(checks.AngelSEED.maxSupply, 18), "AngelSEED");
+  log("  Owner:", checks.AngelSEED.owner);
+  log("  Owner is Multisig:", checks.AngelSEED.isOwnerMultisig);
+  log("");
+
+  log("CAPXVesting:");
+  log("  Token:", checks.CAPXVesting.token);
+  log("  Revocations by:", checks.CAPXVesting.owner);
+  log("");
+
+  log("FeeSplitter:");
+  log("  Token:", checks.FeeSplitter.token);
+  log("");
+
+  log("FeeSwapper:");
+  log("  Token:", checks.FeeSwapper.token);
+  log("  Configured by:", checks.FeeSwapper.owner);
+  log("");
+
+  // Step 7: Batch the owner-only calls that register the new contracts on CAPX
+  const setup = await pipeline.run("setupBatch", async () => {
+    const batch = buildBatchFromActions(
+      setupActions({
+        vesting: vestingAddress,
+        splitter: splitterAddress,
+        swapper: swapperAddress,
+        treasury: TREASURY_ADDRESS,
+        swap: SWAP,
+      }),
+      {
+        chainId,
+        name: "CAPShield deployment setup",
+        safeAddress: MULTISIG_ADDRESS,
+        addresses: { CAPX: capxAddress, FeeSwapper: swapperAddress },
+      }
+    );
+
+    let volumePerSwap = null;
+    if (SWAP) {
+      // Each swap sells threshold CAPX, collected from the swapper's share of the treasury fee
+      const capx = await ethers.getContractAt("CAPX", capxAddress);
+      const [, treasuryFeeBps] = await capx.getFees(TRANSFER_FEE_KIND);
+      const share = treasuryFeeBps * BigInt(SWAP.weightBps);
+      volumePerSwap = share === 0n ? null : ((BigInt(SWAP.threshold) * 10_000n * 10_000n) / share).toString();
+    }
+
+    // Dry runs only report the batch
+    let batchPath = null;
+    if (!fork) {
+      fs.mkdirSync(deploymentsDir, { recursive: true });
+      batchPath = path.join(deploymentsDir, `setup-batch-${networkName}-${Date.now()}.json`);
+      writeBatch(batchPath, batch);
+    }
+    return { batchPath, transactions: batch.transactions.length, volumePerSwap };
+  });
+
+  log("Setup batch:", setup.batchPath || "(dry run, not written)");
+  log("  Transactions:", setup.transactions);
+  if (SWAP) {
+    log(
+      "  Swap-back: one swap per",
+      setup.volumePerSwap === null ? "(no treasury fee on transfers)" : ethers.formatUnits(setup.volumePerSwap, 18),
+      "CAPX of transfers at the current treasury fee"
+    );
+  }
+  log("");
 
   // Validate multisig enforcement
-  if (!capxIsMultisig || !angelSeedIsMultisig) {
+  if (!checks.CAPX.isOwnerMultisig || !checks.AngelSEED.isOwnerMultisig) {
     console.error("⚠️  WARNING: One or more tokens do not have a multisig owner!");
   } else {
-    console.log("✓ All tokens correctly configured with multisig admin");
+    log("✓ All tokens correctly configured with multisig admin");
+  }
+  log("");
+
+  if (fork) {
+    const steps = [
+      { name: "deployCAPX", ...capxDeployment },
+      { name: "deployAngelSEED", ...angelSeedDeployment },
+      { name: "deployCAPXVesting", ...vestingDeployment },
+      { name: "deployFeeSplitter", ...splitterDeployment },
+      { name: "deployFeeSwapper", ...swapperDeployment },
+    ].map(({ name, gasUsed, constructorArgs }) => ({ name, gasUsed, constructorArgs }));
+    const totalGas = steps.reduce((sum, step) => sum + BigInt(step.gasUsed), 0n);
+
+    const dryRunReport = {
+      target: networkName,
+      chainId,
+      forkBlock: fork.blockNumber,
+      deployer: deployer.address,
+      impersonated: fork.impersonated,
+      multisig: {
+        address: MULTISIG_ADDRESS,
+        codeSize: (multisigCode.length - 2) / 2,
+        isContract: multisigCode !== "0x",
+      },
+      steps,
+      checks,
+      totalGas: totalGas.toString(),
+      gasPrice: fork.gasPrice === null ? null : fork.gasPrice.toString(),
+      estimatedCost: fork.gasPrice === null ? null : (totalGas * fork.gasPrice).toString(),
+    };
+
+    dryRun.printReport(dryRunReport, log);
+    if (options.report) {
+      fs.writeFileSync(options.report, JSON.stringify(dryRunReport, null, 2));
+      log("✓ Dry run report saved to:", options.report);
+    }
+    return { dryRunReport };
   }
-  console.log("");
 
   // Create deployment info
   const deploymentInfo = {
-    network: network.name,
-    chainId: network.config.chainId,
+    network: networkName,
+    chainId,
     deployer: deployer.address,
     timestamp: new Date().toISOString(),
+    stateFile: pipeline.statePath,
     contracts: {
       CAPX: {
         address: capxAddress,
-        name: capxName,
-        symbol: capxSymbol,
-        decimals: Number(capxDecimals),
-        maxSupply: capxMaxSupply.toString(),
-        owner: capxOwner,
-        isOwnerMultisig: capxIsMultisig,
-        deploymentTx: capx.deploymentTransaction().hash,
-        constructorArgs: [MULTISIG_ADDRESS, TREASURY_ADDRESS, DAO_ADDRESS],
+        ...checks.CAPX,
+        deploymentTx: capxDeployment.deploymentTx,
+        constructorArgs: capxDeployment.constructorArgs,
       },
       AngelSEED: {
         address: angelSeedAddress,
-        name: angelSeedName,
-        symbol: angelSeedSymbol,
-        decimals: Number(angelSeedDecimals),
-        maxSupply: angelSeedMaxSupply.toString(),
-        owner: angelSeedOwner,
-        isOwnerMultisig: angelSeedIsMultisig,
-        deploymentTx: angelSeed.deploymentTransaction().hash,
-        constructorArgs: [MULTISIG_ADDRESS],
+        ...checks.AngelSEED,
+        deploymentTx: angelSeedDeployment.deploymentTx,
+        constructorArgs: angelSeedDeployment.constructorArgs,
+      },
+      CAPXVesting: {
+        address: vestingAddress,
+        ...checks.CAPXVesting,
+        deploymentTx: vestingDeployment.deploymentTx,
+        constructorArgs: vestingDeployment.constructorArgs,
+      },
+      FeeSplitter: {
+        address: splitterAddress,
+        ...checks.FeeSplitter,
+        deploymentTx: splitterDeployment.deploymentTx,
+        constructorArgs: splitterDeployment.constructorArgs,
+      },
+      FeeSwapper: {
+        address: swapperAddress,
+        ...checks.FeeSwapper,
+        deploymentTx: swapperDeployment.deploymentTx,
+        constructorArgs: swapperDeployment.constructorArgs,
       },
     },
     config: {
       multisig: MULTISIG_ADDRESS,
       treasury: TREASURY_ADDRESS,
       dao: DAO_ADDRESS,
+      swapBack: SWAP,
     },
+    setupBatch: setup.batchPath,
   };
 
   // Save deployment info
-  const deploymentsDir = path.join(__dirname, "..", "deployments");
   if (!fs.existsSync(deploymentsDir)) {
-    fs.mkdirSync(deploymentsDir);
+    fs.mkdirSync(deploymentsDir, { recursive: true });
   }
 
-  const filename = `deployment-${network.name}-${Date.now()}.json`;
+  const filename = `deployment-${networkName}-${Date.now()}.json`;
   const filepath = path.join(deploymentsDir, filename);
   fs.writeFileSync(filepath, JSON.stringify(deploymentInfo, null, 2));
-  console.log("✓ Deployment info saved to:", filepath);
-  console.log("");
+  log("✓ Deployment info saved to:", filepath);
+  log("");
 
   // Output verification commands
-  console.log("==========================================");
-  console.log(`Contract Verification Commands (${currentNetwork.explorer})`);
-  console.log("==========================================");
-  console.log("");
-  console.log("CAPX Token:");
-  console.log(`npx hardhat verify --network ${network.name} ${capxAddress} "${MULTISIG_ADDRESS}" "${TREASURY_ADDRESS}" "${DAO_ADDRESS}"`);
-  console.log("");
-  console.log("AngelSEED Token:");
-  console.log(`npx hardhat verify --network ${network.name} ${angelSeedAddress} "${MULTISIG_ADDRESS}"`);
-  console.log("");
-  console.log("==========================================");
-  console.log("Deployment Complete!");
-  console.log("==========================================");
+  log("==========================================");
+  log(`Contract Verification Commands (${currentNetwork.explorer})`);
+  log("==========================================");
+  log("");
+  log("CAPX Token:");
+  log(`npx hardhat verify --network ${networkName} ${capxAddress} "${MULTISIG_ADDRESS}" "${TREASURY_ADDRESS}" "${DAO_ADDRESS}"`);
+  log("");
+  log("AngelSEED Token:");
+  log(`npx hardhat verify --network ${networkName} ${angelSeedAddress} "${MULTISIG_ADDRESS}"`);
+  log("");
+  log("CAPXVesting:");
+  log(`npx hardhat verify --network ${networkName} ${vestingAddress} "${capxAddress}"`);
+  log("");
+  log("FeeSplitter:");
+  log(`npx hardhat verify --network ${networkName} ${splitterAddress} "${capxAddress}"`);
+  log("");
+  log("FeeSwapper:");
+  log(`npx hardhat verify --network ${networkName} ${swapperAddress} "${capxAddress}"`);
+  log("");
+  log("==========================================");
+  log("Next: review and execute the setup batch through the multisig");
+  log(`node scripts/safe-batch.js review ${setup.batchPath} --deployment ${filepath}`);
+  log("Then open trading once the treasury has added liquidity");
+  log(`npx hardhat capx:enable-trading --network ${networkName}`);
+  log("==========================================");
+  log("Deployment Complete!");
+  log("==========================================");
+
+  return {
+    deploymentInfo,
+    deploymentInfoPath: filepath,
+    statePath: pipeline.statePath,
+    setupBatchPath: setup.batchPath,
+  };
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error("Deployment failed:");
-    console.error(error);
-    process.exit(1);
-  });
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => deploy(parseArgs(process.argv.slice(2))))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("Deployment failed:");
+      console.error(error);
+      if (error.statePath) {
+        console.error(
+          `\nProgress is recorded in ${error.statePath}. Resume with:\n` +
+            `  DEPLOY_RESUME=${error.statePath} npx hardhat run scripts/deploy.js --network ${network.name}`
+        );
+      }
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  deploy,
+  parseArgs,
+  deployContractStep,
+  assertDeployed,
+  setupActions,
+};
@@ -0,0 +1,263 @@
+// scripts/governance-handover.js
+//
+// Walks CAPX and AngelSEED ownership from the multisig over to the governance Timelock. The
+// tokens only accept contract owners and use Ownable's two-step handover, so:
+//
+//   1. The Timelock calls requestOwnershipHandover() on both tokens. Only the Governor can make
+//      the Timelock act, so this is a governance proposal: propose, vote, queue, execute.
+//   2. Within 48 hours the multisig calls completeOwnershipHandover(timelock) on both tokens.
+//
+// Each run reads where the handover stands and takes the next step, so rerun it until it
+// reports that the Timelock owns both tokens:
+//
+//   HARDHAT_NETWORK=bscMainnet node scripts/governance-handover.js              # propose
+//   HARDHAT_NETWORK=bscMainnet node scripts/governance-handover.js --vote for   # while active
+//   HARDHAT_NETWORK=bscMainnet node scripts/governance-handover.js              # queue, later execute
+//   HARDHAT_NETWORK=bscMainnet node scripts/governance-handover.js              # multisig batch
+//
+// Proposing needs the proposal threshold in delegated CAPX votes; queueing and executing can be
+// done by anyone. On a local network the multisig step runs through MockMultisig directly.
+//
+// Options:
+//   --capx <address>        CAPX address (defaults to the latest deployment on this network)
+//   --angelseed <address>   AngelSEED address (defaults to the latest deployment on this network)
+//   --governor <address>    CAPXGovernor address (defaults to the latest governance deployment)
+//   --description <text>    Proposal description; pass a new one to propose again after the
+//                           vote failed or the handover request expired
+//   --vote <for|against|abstain>  Cast the signer's vote while the proposal is active
+//   --out <file>            Batch file for the multisig (default deployments/handover-batch-*)
+//   --batch                 Write the multisig batch even on a local network
+const { ethers, network } = require("hardhat");
+const path = require("path");
+const { findDeployedAddress, encodeAdminCall } = require("./lib/adminCalls");
+const { buildBatch, writeBatch } = require("./lib/safeBatch");
+const {
+  HANDOVER_DESCRIPTION,
+  buildHandoverProposal,
+  proposeArgs,
+  proposalArgs,
+  getProposalStatus,
+  parseVote,
+} = require("./lib/governance");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const LOCAL_CHAIN_ID = 31337n;
+
+const TOKENS = ["CAPX", "AngelSEED"];
+
+/**
+ * Reads the command line, falling back to HANDOVER_* environment variables
+ * (`npx hardhat run` does not forward script arguments)
+ */
+function parseArgs(argv) {
+  const args = {
+    capx: process.env.HANDOVER_CAPX || "",
+    angelseed: process.env.HANDOVER_ANGELSEED || "",
+    governor: process.env.HANDOVER_GOVERNOR || "",
+    description: process.env.HANDOVER_DESCRIPTION || HANDOVER_DESCRIPTION,
+    vote: process.env.HANDOVER_VOTE || "",
+    out: process.env.HANDOVER_OUT || "",
+    batch: process.env.HANDOVER_BATCH === "true",
+  };
+  const flags = {
+    "--capx": "capx",
+    "--angelseed": "angelseed",
+    "--governor": "governor",
+    "--description": "description",
+    "--vote": "vote",
+    "--out": "out",
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--batch") {
+      args.batch = true;
+    } else if (flags[argv[i]]) {
+      const value = argv[i + 1];
+      if (!value || value.startsWith("--")) {
+        throw new Error(`${argv[i]} requires a value`);
+      }
+      args[flags[argv[i]]] = value;
+      i++;
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+/**
+ * Takes the next step of the handover
+ * @param {object} [options] Command-line options as returned by parseArgs()
+ * @param {object} [options.signer] Proposer / voter / executor, defaults to the first Hardhat signer
+ * @param {string} [options.deploymentsDir] Where deployment info is read from and the batch goes
+ * @param {Function} [options.log] Logger, defaults to console.log
+ * @returns {Promise<object>} `{stage, ...}` where stage is one of "proposed", "voting", "queued",
+ *   "waiting", "completed" (multisig calls executed locally), "batch" (batch written for the
+ *   multisig) or "done"
+ */
+async function handover(options = {}) {
+  const log = options.log || console.log;
+  const deploymentsDir = options.deploymentsDir || DEPLOYMENTS_DIR;
+  const signer = options.signer || (await ethers.getSigners())[0];
+  const chainId = (await ethers.provider.getNetwork()).chainId;
+
+  const governorAddress =
+    options.governor || findDeployedAddress(deploymentsDir, network.name, "CAPXGovernor", "governance");
+  if (!governorAddress) {
+    throw new Error(`No CAPXGovernor address for ${network.name}. Pass --governor or run scripts/deploy-governance.js.`);
+  }
+  const governor = await ethers.getContractAt("CAPXGovernor", governorAddress, signer);
+  const timelock = await governor.timelock();
+
+  const tokens = [];
+  for (const name of TOKENS) {
+    const address = options[name.toLowerCase()] || findDeployedAddress(deploymentsDir, network.name, name);
+    if (!address) {
+      throw new Error(`No ${name} address for ${network.name}. Pass --${name.toLowerCase()}.`);
+    }
+    const token = await ethers.getContractAt(name, address);
+    tokens.push({ name, token, owner: await token.owner() });
+  }
+
+  log("==========================================");
+  log("Ownership Handover to Governance");
+  log("==========================================");
+  log("Network:", network.name);
+  log("Governor:", governorAddress);
+  log("Timelock:", timelock);
+  for (const { name, token, owner } of tokens) {
+    log(`${name}:`, token.target, `(owner ${owner})`);
+  }
+  log("==========================================");
+
+  const pending = tokens.filter(({ owner }) => owner !== timelock);
+  if (pending.length === 0) {
+    log("✓ The Timelock owns CAPX and AngelSEED");
+    return { stage: "done", timelock };
+  }
+
+  const proposal = buildHandoverProposal(
+    tokens.map(({ token }) => token.target),
+    options.description || HANDOVER_DESCRIPTION
+  );
+  let status = await getProposalStatus(governor, proposal);
+  log("Proposal:", status.id.toString());
+  log("State:", status.state || "not proposed");
+
+  if (status.state === null) {
+    const votes = await governor.getVotes(signer.address, (await ethers.provider.getBlockNumber()) - 1);
+    const threshold = await governor.proposalThreshold();
+    if (votes < threshold) {
+      throw new Error(
+        `${signer.address} has ${ethers.formatUnits(votes, 18)} CAPX votes; proposing needs ` +
+          `${ethers.formatUnits(threshold, 18)}. Delegate votes to the proposer first.`
+      );
+    }
+    const tx = await governor.propose(...proposeArgs(proposal));
+    await tx.wait();
+    status = await getProposalStatus(governor, proposal);
+    log(`✓ Proposed: ${tx.hash}`);
+    log(`  Voting runs from block ${status.snapshot + 1n} to block ${status.deadline}`);
+    return { stage: "proposed", proposalId: status.id, txHash: tx.hash };
+  }
+
+  if (status.state === "Pending" || status.state === "Active") {
+    const result = { stage: "voting", proposalId: status.id };
+    if (options.vote) {
+      if (status.state === "Pending") {
+        throw new Error(`Voting has not started; it opens after block ${status.snapshot}`);
+      }
+      const tx = await governor.castVote(status.id, parseVote(options.vote));
+      await tx.wait();
+      log(`✓ ${signer.address} voted ${options.vote}: ${tx.hash}`);
+      result.txHash = tx.hash;
+    }
+    const [against, forVotes, abstain] = await governor.proposalVotes(status.id);
+    log(`  For ${ethers.formatUnits(forVotes, 18)}, against ${ethers.formatUnits(against, 18)}, abstain ${ethers.formatUnits(abstain, 18)}`);
+    log(`  Voting ends at block ${status.deadline}; rerun afterwards to queue the proposal`);
+    return result;
+  }
+
+  if (status.state === "Succeeded") {
+    const tx = await governor.queue(...proposalArgs(proposal));
+    await tx.wait();
+    const eta = await governor.proposalEta(status.id);
+    log(`✓ Queued: ${tx.hash}`);
+    log(`  Executable from ${new Date(Number(eta) * 1000).toISOString()}`);
+    return { stage: "queued", proposalId: status.id, eta, txHash: tx.hash };
+  }
+
+  if (status.state === "Queued") {
+    const now = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+    if (now < status.eta) {
+      log(`  Executable from ${new Date(Number(status.eta) * 1000).toISOString()}; rerun then`);
+      return { stage: "waiting", proposalId: status.id, eta: status.eta };
+    }
+    const tx = await governor.execute(...proposalArgs(proposal));
+    await tx.wait();
+    log(`✓ Executed, the Timelock requested the handover: ${tx.hash}`);
+    status = await getProposalStatus(governor, proposal);
+  }
+
+  if (status.state !== "Executed") {
+    throw new Error(
+      `The handover proposal is ${status.state}. Propose again with a new --description.`
+    );
+  }
+
+  // Step 2: the multisig completes the handover before the requests expire
+  const now = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+  const calls = [];
+  for (const { name, token } of pending) {
+    const expiresAt = await token.ownershipHandoverExpiresAt(timelock);
+    if (expiresAt <= now) {
+      throw new Error(
+        `The handover request on ${name} has expired. Propose again with a new --description.`
+      );
+    }
+    log(`  ${name}: request valid until ${new Date(Number(expiresAt) * 1000).toISOString()}`);
+    calls.push(encodeAdminCall(name, token.target, "completeOwnershipHandover", [timelock]));
+  }
+
+  if (chainId === LOCAL_CHAIN_ID && !options.batch) {
+    const txHashes = [];
+    for (const call of calls) {
+      const { token } = pending.find(({ name }) => name === call.contract);
+      // As tasks/admin.js does: the first Hardhat signer owns MockMultisig
+      const multisig = await ethers.getContractAt("MockMultisig", await token.owner());
+      const tx = await multisig.execute(call.to, call.data);
+      await tx.wait();
+      log(`✓ ${call.contract}.completeOwnershipHandover through MockMultisig ${multisig.target}: ${tx.hash}`);
+      txHashes.push(tx.hash);
+    }
+    return { stage: "completed", timelock, txHashes };
+  }
+
+  const batchPath = options.out || path.join(deploymentsDir, `handover-batch-${network.name}-${Date.now()}.json`);
+  writeBatch(
+    batchPath,
+    buildBatch({
+      chainId,
+      calls,
+      name: "Ownership handover to governance",
+      description: `completeOwnershipHandover(${timelock}) on ${pending.map(({ name }) => name).join(" and ")}`,
+    })
+  );
+  log("✓ Batch for the multisig written to:", batchPath);
+  log("  Execute it before the requests expire, then rerun to confirm");
+  return { stage: "batch", timelock, calls, batchPath };
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => handover(parseArgs(process.argv.slice(2))))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  handover,
+  parseArgs,
+};
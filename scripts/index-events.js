@@ -0,0 +1,277 @@
+// scripts/index-events.js
+//
+// Indexes the supply-related events of CAPX and AngelSEED into a local JSON store and reports
+// on it: supply per mint role, fee burns versus voluntary burns, treasury fee income and
+// reward reasons.
+//
+//   HARDHAT_NETWORK=bscMainnet node scripts/index-events.js sync --from-block 45000000
+//   HARDHAT_NETWORK=bscMainnet node scripts/index-events.js report --since 2026-10-01 --until 2026-11-01
+//   node scripts/index-events.js sync --rpc https://bsc-dataseed.bnbchain.org --store bsc.json --capx 0x...
+//
+// Events indexed: Mint, RevenueMint, TreasuryFee, Burn, Transfer, RewardMint, ExemptionUpdated,
+// RoleGranted and RoleRevoked. Each sync continues from the last block in the store and saves
+// after every log range, so an interrupted sync resumes where it stopped.
+//
+// Options:
+//   --store <file>          JSON store (default deployments/events-<network>.json)
+//   --rpc <url>             Index through this JSON-RPC endpoint instead of the Hardhat network (sync)
+//   --capx <address>        CAPX address (new store; defaults to the latest deployment on this network)
+//   --angelseed <address>   AngelSEED address (new store; defaults to the latest deployment)
+//   --from-block <n>        First block of a new store (default 0; pass the deployment block)
+//   --to-block <n>          Last block to index (default the latest block minus --confirmations)
+//   --confirmations <n>     Blocks to stay behind the chain head (default 15, 0 on a local network)
+//   --log-range <n>         Blocks per eth_getLogs request (default 50000)
+//   --since <date>          Only report events from this date (report; UTC date or unix seconds)
+//   --until <date>          Only report events before this date (report)
+const { ethers, network } = require("hardhat");
+const path = require("path");
+const { findDeployedAddress } = require("./lib/adminCalls");
+const { parseStart } = require("./lib/vesting");
+const {
+  createStore,
+  loadStore,
+  saveStore,
+  checkStore,
+  syncEvents,
+  eventsBetween,
+  supplyByRole,
+  burnReport,
+  treasuryFeeIncome,
+  rewardReasons,
+} = require("./lib/indexer");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const LOCAL_CHAIN_ID = 31337n;
+const DEFAULT_CONFIRMATIONS = 15;
+
+/**
+ * Reads the command line, falling back to INDEXER_* environment variables
+ * (`npx hardhat run` does not forward script arguments)
+ */
+function parseArgs(argv) {
+  const args = {
+    command: process.env.INDEXER_COMMAND || "",
+    store: process.env.INDEXER_STORE || "",
+    rpc: process.env.INDEXER_RPC || "",
+    capx: process.env.INDEXER_CAPX || "",
+    angelseed: process.env.INDEXER_ANGELSEED || "",
+    fromBlock: process.env.INDEXER_FROM_BLOCK || "",
+    toBlock: process.env.INDEXER_TO_BLOCK || "",
+    confirmations: process.env.INDEXER_CONFIRMATIONS || "",
+    logRange: process.env.INDEXER_LOG_RANGE || "",
+    since: process.env.INDEXER_SINCE || "",
+    until: process.env.INDEXER_UNTIL || "",
+  };
+  const flags = {
+    "--store": "store",
+    "--rpc": "rpc",
+    "--capx": "capx",
+    "--angelseed": "angelseed",
+    "--from-block": "fromBlock",
+    "--to-block": "toBlock",
+    "--confirmations": "confirmations",
+    "--log-range": "logRange",
+    "--since": "since",
+    "--until": "until",
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (flags[argv[i]]) {
+      const value = argv[i + 1];
+      if (!value || value.startsWith("--")) {
+        throw new Error(`${argv[i]} requires a value`);
+      }
+      args[flags[argv[i]]] = value;
+      i++;
+    } else if (!argv[i].startsWith("--") && i === 0) {
+      args.command = argv[i];
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+function storePath(options, deploymentsDir) {
+  return options.store || path.join(deploymentsDir, `events-${network.name}.json`);
+}
+
+/**
+ * Indexes new events into the store, creating it on the first run
+ * @param {object} [options] Command-line options as returned by parseArgs()
+ * @param {object} [options.provider] Provider to index through (defaults to --rpc, then the Hardhat network)
+ * @param {string} [options.deploymentsDir] Where deployment info is read from and the store goes
+ * @param {Function} [options.log] Logger, defaults to console.log
+ * @returns {Promise<{store: object, file: string, fromBlock: number, toBlock: number, added: number}>}
+ */
+async function syncStore(options = {}) {
+  const log = options.log || console.log;
+  const deploymentsDir = options.deploymentsDir || DEPLOYMENTS_DIR;
+
+  for (const [key, flag] of [
+    ["fromBlock", "--from-block"],
+    ["toBlock", "--to-block"],
+    ["confirmations", "--confirmations"],
+    ["logRange", "--log-range"],
+  ]) {
+    if (options[key] && !/^\d+$/.test(String(options[key]))) {
+      throw new Error(`${flag} must be a whole number, got "${options[key]}"`);
+    }
+  }
+  if (options.logRange && Number(options.logRange) === 0) {
+    throw new Error("--log-range must be greater than zero");
+  }
+
+  const provider = options.provider || (options.rpc ? new ethers.JsonRpcProvider(options.rpc) : ethers.provider);
+  const { chainId } = await provider.getNetwork();
+  const contracts = {
+    CAPX: options.capx || findDeployedAddress(deploymentsDir, network.name, "CAPX"),
+    AngelSEED: options.angelseed || findDeployedAddress(deploymentsDir, network.name, "AngelSEED"),
+  };
+  for (const [name, address] of Object.entries(contracts)) {
+    if (address && !ethers.isAddress(address)) {
+      throw new Error(`--${name.toLowerCase()} must be an address, got "${address}"`);
+    }
+  }
+
+  const file = storePath(options, deploymentsDir);
+  let store = loadStore(file);
+  if (store) {
+    // Addresses only need to match when given explicitly; the store remembers its own
+    checkStore(store, { chainId, contracts: { CAPX: options.capx, AngelSEED: options.angelseed } });
+    if (options.fromBlock && Number(options.fromBlock) !== store.fromBlock) {
+      throw new Error(`${file} starts at block ${store.fromBlock}; --from-block only applies to a new store`);
+    }
+  } else {
+    if (!contracts.CAPX && !contracts.AngelSEED) {
+      throw new Error(`No CAPX or AngelSEED address for ${network.name}. Pass --capx and/or --angelseed.`);
+    }
+    store = createStore({ chainId, contracts, fromBlock: Number(options.fromBlock || 0) });
+  }
+
+  const confirmations = options.confirmations
+    ? Number(options.confirmations)
+    : chainId === LOCAL_CHAIN_ID
+      ? 0
+      : DEFAULT_CONFIRMATIONS;
+  const toBlock = options.toBlock
+    ? Number(options.toBlock)
+    : Math.max((await provider.getBlockNumber()) - confirmations, 0);
+
+  log("==========================================");
+  log("CAPX / AngelSEED Event Indexer");
+  log("==========================================");
+  log("Chain ID:", chainId.toString());
+  for (const [name, address] of Object.entries(store.contracts)) {
+    log(`${name}:`, address);
+  }
+  log("Store:", file);
+
+  if (toBlock <= store.lastBlock) {
+    log(`✓ Already indexed up to block ${store.lastBlock}`);
+    return { store, file, fromBlock: store.lastBlock + 1, toBlock, added: 0 };
+  }
+
+  log(`Indexing blocks ${store.lastBlock + 1} - ${toBlock}...`);
+  const result = await syncEvents(provider, store, {
+    toBlock,
+    logRange: options.logRange ? Number(options.logRange) : undefined,
+    onProgress: (progress) => saveStore(file, progress),
+  });
+  log(`✓ ${result.added} event(s) added, ${store.events.length} in the store`);
+  log(`✓ Indexed up to block ${store.lastBlock}`);
+
+  return { store, file, ...result };
+}
+
+/**
+ * Prints the supply reports of a store
+ * @param {object} [options] Command-line options as returned by parseArgs()
+ * @param {string} [options.deploymentsDir] Where the store is read from by default
+ * @param {Function} [options.log] Logger, defaults to console.log
+ * @returns {Promise<{supply: object, burns: object, treasuryFees: object, rewards: Array<object>}>}
+ */
+async function eventReport(options = {}) {
+  const log = options.log || console.log;
+  const file = storePath(options, options.deploymentsDir || DEPLOYMENTS_DIR);
+  const store = loadStore(file);
+  if (!store) {
+    throw new Error(`No store at ${file}. Run "sync" first.`);
+  }
+
+  const since = options.since ? Number(parseStart(options.since)) : undefined;
+  const until = options.until ? Number(parseStart(options.until)) : undefined;
+  const events = eventsBetween(store.events, { since, until });
+  const supply = supplyByRole(events);
+  const burns = burnReport(events);
+  const treasuryFees = treasuryFeeIncome(events);
+  const rewards = rewardReasons(events);
+  const format = (amount) => ethers.formatUnits(amount, 18);
+  const date = (seconds) => new Date(seconds * 1000).toISOString();
+
+  log("==========================================");
+  log("CAPX / AngelSEED Supply Report");
+  log("==========================================");
+  log("Store:", file, `(blocks ${store.fromBlock} - ${store.lastBlock})`);
+  log("Period:", since !== undefined ? date(since) : "start", "-", until !== undefined ? date(until) : "now");
+  log("Events:", events.length);
+
+  for (const [contract, report] of Object.entries(supply)) {
+    log("------------------------------------------");
+    log(`${contract} supply`);
+    log("  Minted:", format(report.minted));
+    for (const [role, total] of Object.entries(report.byRole)) {
+      log(`    ${role}:`, format(total.amount), `(${total.count} mint(s))`);
+    }
+    if (report.unattributed !== 0n) {
+      log("  ⚠️  Not attributed to a mint role:", format(report.unattributed));
+    }
+    log("  Burned:", format(report.burned));
+    log(`    fees: ${format(burns[contract].fee)}`);
+    log(`    voluntary: ${format(burns[contract].voluntary)} (${burns[contract].voluntaryCount} burn(s))`);
+    log("  Net change:", format(report.netSupply));
+  }
+
+  if (treasuryFees.count > 0) {
+    log("------------------------------------------");
+    log("CAPX treasury fee income:", format(treasuryFees.total), `(${treasuryFees.count} fee(s))`);
+    for (const [recipient, total] of Object.entries(treasuryFees.byRecipient)) {
+      log(`  ${recipient}:`, format(total.amount));
+    }
+  }
+
+  if (rewards.length > 0) {
+    log("------------------------------------------");
+    log("AngelSEED rewards by reason");
+    for (const reward of rewards) {
+      log(
+        `  "${reward.reason}":`,
+        format(reward.amount),
+        `(${reward.count} mint(s) to ${reward.recipients} account(s))`
+      );
+    }
+  }
+  log("==========================================");
+
+  return { supply, burns, treasuryFees, rewards };
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => {
+      const args = parseArgs(process.argv.slice(2));
+      if (args.command === "sync") return syncStore(args);
+      if (args.command === "report") return eventReport(args);
+      throw new Error(`Unknown command "${args.command}". Expected "sync" or "report".`);
+    })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  syncStore,
+  eventReport,
+  parseArgs,
+};
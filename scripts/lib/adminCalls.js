@@ -0,0 +1,481 @@
+// scripts/lib/adminCalls.js
+//
+// Encodes and validates the owner-only calls on CAPX and AngelSEED so they can be handed to
+// the multisig. Only depends on the standalone ethers package because it is loaded from
+// hardhat.config.js (through tasks/admin.js).
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Role bitmaps as defined by the contracts (Solady _ROLE_n = 1 << n)
+const ROLES = {
+  CAPX: {
+    TEAM_MINTER_ROLE: 1n << 0n,
+    TREASURY_MINTER_ROLE: 1n << 1n,
+    DAO_MINTER_ROLE: 1n << 2n,
+    COMPLIANCE_ROLE: 1n << 3n,
+  },
+  AngelSEED: {
+    REWARD_MINTER_ROLE: 1n << 0n,
+    COMPLIANCE_ROLE: 1n << 1n,
+  },
+};
+
+// Functions routed through the multisig: everything owner-only, plus minting with the roles
+// the multisig receives at deployment. setBlocked belongs to COMPLIANCE_ROLE, usually a Safe of
+// its own. CAPXVesting and FeeSwapper have no owner of their own; they defer to CAPX.
+const ADMIN_ABI = {
+  CAPX: [
+    "function setTreasuryAddress(address newTreasury)",
+    "function setDaoAddress(address newDao)",
+    "function setExemption(address account, bool exempt)",
+    "function pause()",
+    "function unpause()",
+    "function grantRoles(address user, uint256 roles)",
+    "function revokeRoles(address user, uint256 roles)",
+    "function revenueMint(address to, uint256 revenue, uint256 marketValue, uint64 epoch, bytes32 referenceHash)",
+    "function revenueMintAtOraclePrice(address to, uint256 revenue, uint64 epoch, bytes32 referenceHash)",
+    "function setRevenueEpochCap(uint256 cap)",
+    "function setPriceOracle(address feed, uint256 maxPriceAge, uint256 minPrice, uint256 maxPrice, uint256 maxDeviationBps)",
+    "function setVestingContract(address newVesting)",
+    "function setFeeSplitter(address newSplitter)",
+    "function setFeeRecipients(address[] accounts, uint256[] weightsBps)",
+    "function setTransferLimits(uint256 maxTxAmount, uint256 maxWalletAmount)",
+    "function setLimitExemption(address account, bool exempt)",
+    "function disableTransferLimits()",
+    "function setLaunchConfig(uint256 windowBlocks, uint256 cooldownBlocks, uint256 launchFeeBps)",
+    "function enableTrading()",
+    "function setMintCap(uint256 role, uint256 cap)",
+    "function setAmmPair(address pair, bool isPair)",
+    "function setBlocked(address[] accounts, bool blocked)",
+    "function scheduleFeeChange(uint8 kind, uint256 newBurnFeeBps, uint256 newTreasuryFeeBps)",
+    "function applyFeeChange(uint8 kind)",
+    "function cancelFeeChange(uint8 kind)",
+    "function teamMintVested(address beneficiary, uint256 amount, uint64 start, uint64 cliff, uint64 duration, bool revocable)",
+    "function completeOwnershipHandover(address pendingOwner)",
+  ],
+  AngelSEED: [
+    "function pause()",
+    "function unpause()",
+    "function grantRoles(address user, uint256 roles)",
+    "function revokeRoles(address user, uint256 roles)",
+    "function batchRewardMint(address[] recipients, uint256[] amounts, string reason)",
+    "function publishRewardEpoch(bytes32 merkleRoot, uint256 budget, string reason)",
+    "function setTrustedForwarder(address newForwarder)",
+    "function setBlocked(address[] accounts, bool blocked)",
+    "function setMinterAllowance(address minter, uint256 amount, uint256 window)",
+    "function completeOwnershipHandover(address pendingOwner)",
+  ],
+  CAPXVesting: ["function revoke(uint256 scheduleId)"],
+  FeeSwapper: [
+    "function setSwapConfig(address router, address outputToken, uint256 threshold, uint256 minPrice)",
+    "function setKeeper(address keeper, bool allowed)",
+  ],
+};
+
+// AngelSEED.MAX_REASON_LENGTH
+const MAX_REASON_LENGTH = 256;
+
+// CAPX.MAX_SUPPLY
+const CAPX_MAX_SUPPLY = 100_000_000n * 10n ** 18n;
+
+// AngelSEED.MAX_SUPPLY and AngelSEED.MAX_ALLOWANCE_WINDOW (seconds)
+const SEED_MAX_SUPPLY = 10_000_000_000n * 10n ** 18n;
+const MAX_ALLOWANCE_WINDOW = 365n * 24n * 60n * 60n;
+
+// CAPX.MAX_TOTAL_FEE_BPS
+const MAX_TOTAL_FEE_BPS = 500n;
+
+// CAPX.MAX_PRICE_DEVIATION_BPS
+const MAX_PRICE_DEVIATION_BPS = 5000n;
+
+// CAPX.MAX_FEE_RECIPIENTS; fee recipient weights add up to 10_000 bps
+const MAX_FEE_RECIPIENTS = 5;
+const FEE_WEIGHT_TOTAL_BPS = 10_000n;
+
+// CAPX.MAX_LAUNCH_WINDOW_BLOCKS and CAPX.MAX_LAUNCH_FEE_BPS
+const MAX_LAUNCH_WINDOW_BLOCKS = 28_800n;
+const MAX_LAUNCH_FEE_BPS = 2500n;
+
+// ICAPX.FeeKind
+const FEE_KINDS = ["transfer", "buy", "sell"];
+
+const interfaces = Object.fromEntries(
+  Object.entries(ADMIN_ABI).map(([name, abi]) => [name, new ethers.Interface(abi)])
+);
+
+function getInterface(contractName) {
+  const iface = interfaces[contractName];
+  if (!iface) {
+    throw new Error(`Unknown contract "${contractName}". Expected one of: ${Object.keys(ADMIN_ABI).join(", ")}`);
+  }
+  return iface;
+}
+
+/**
+ * Checks an address argument the same way the contracts' validAddress modifier does
+ * @param {string} value Address to check
+ * @param {string} label Argument name used in error messages
+ * @returns {string} The checksummed address
+ */
+function requireAddress(value, label) {
+  if (!value || !ethers.isAddress(value)) {
+    throw new Error(`${label} is not a valid address: ${value}`);
+  }
+  if (value.toLowerCase() === ethers.ZeroAddress) {
+    throw new Error(`${label} cannot be the zero address`);
+  }
+  return ethers.getAddress(value);
+}
+
+/**
+ * Parses a role argument into a bitmap
+ * @param {string} contractName "CAPX" or "AngelSEED"
+ * @param {string|number|bigint} value Bitmap (e.g. "3", "0x5") or comma-separated role names
+ *   (e.g. "TEAM_MINTER_ROLE,DAO_MINTER_ROLE")
+ * @returns {bigint} Role bitmap containing only roles defined on the contract
+ */
+function parseRoles(contractName, value) {
+  const roles = ROLES[contractName];
+  if (!roles) {
+    throw new Error(`Unknown contract "${contractName}"`);
+  }
+
+  let bitmap;
+  if (typeof value === "bigint" || typeof value === "number" || /^(0x[0-9a-f]+|\d+)$/i.test(String(value).trim())) {
+    bitmap = BigInt(value);
+  } else {
+    bitmap = 0n;
+    for (const name of String(value).split(",").map((s) => s.trim()).filter(Boolean)) {
+      if (roles[name] === undefined) {
+        throw new Error(
+          `Unknown ${contractName} role "${name}". Expected one of: ${Object.keys(roles).join(", ")}`
+        );
+      }
+      bitmap |= roles[name];
+    }
+  }
+
+  const valid = Object.values(roles).reduce((acc, role) => acc | role, 0n);
+  if (bitmap === 0n) {
+    throw new Error("Role bitmap cannot be empty");
+  }
+  if ((bitmap & ~valid) !== 0n) {
+    throw new Error(
+      `Role bitmap 0x${bitmap.toString(16)} contains bits not defined on ${contractName} ` +
+        `(valid mask 0x${valid.toString(16)})`
+    );
+  }
+  return bitmap;
+}
+
+/**
+ * Parses a CAPX fee kind
+ * @param {string|number} value "transfer", "buy", "sell" or the enum value (0-2)
+ * @returns {bigint} ICAPX.FeeKind value
+ */
+function parseFeeKind(value) {
+  const text = String(value).trim().toLowerCase();
+  const index = /^\d+$/.test(text) ? Number(text) : FEE_KINDS.indexOf(text);
+  if (index < 0 || index >= FEE_KINDS.length) {
+    throw new Error(`Unknown fee kind "${value}". Expected one of: ${FEE_KINDS.join(", ")}`);
+  }
+  return BigInt(index);
+}
+
+/**
+ * Parses a fee recipient list
+ * @param {string} value Comma-separated "address:weightBps" entries
+ *   (e.g. "0xTreasury:5000,0xStaking:3000,0xMarketing:2000"); empty or "none" for no recipients
+ * @returns {[string[], string[]]} Accounts and weights, in the order of setFeeRecipients
+ */
+function parseFeeRecipients(value) {
+  const text = String(value || "").trim();
+  if (text === "" || text.toLowerCase() === "none") {
+    return [[], []];
+  }
+
+  const accounts = [];
+  const weights = [];
+  for (const entry of text.split(",").map((s) => s.trim())) {
+    const [account, weight, ...rest] = entry.split(":").map((s) => s.trim());
+    if (!account || !weight || rest.length > 0) {
+      throw new Error(`Fee recipient "${entry}" must be "address:weightBps"`);
+    }
+    accounts.push(account);
+    weights.push(weight);
+  }
+  return [accounts, weights];
+}
+
+/**
+ * Checks a reward mint reason the same way AngelSEED does
+ * @param {string} reason Reason string
+ * @returns {string} The reason
+ */
+function requireReason(reason) {
+  const length = Buffer.byteLength(reason || "", "utf8");
+  if (length === 0 || length > MAX_REASON_LENGTH) {
+    throw new Error(`reason must be 1-${MAX_REASON_LENGTH} bytes, got ${length}`);
+  }
+  return reason;
+}
+
+/**
+ * Checks a token amount the same way the contracts' InvalidAmount checks do
+ * @param {string|number|bigint} value Amount in wei
+ * @param {string} label Argument name used in error messages
+ * @returns {bigint}
+ */
+function requireAmount(value, label) {
+  const amount = BigInt(value);
+  if (amount <= 0n) {
+    throw new Error(`${label} must be greater than zero`);
+  }
+  return amount;
+}
+
+/**
+ * Validates the arguments of an admin call against the contract's rules
+ * @returns {Array} Normalized arguments, ready for ABI encoding
+ */
+function validateArgs(contractName, fragment, args) {
+  if (args.length !== fragment.inputs.length) {
+    throw new Error(
+      `${fragment.name} expects ${fragment.inputs.length} argument(s), got ${args.length}`
+    );
+  }
+
+  const normalized = fragment.inputs.map((input, i) => {
+    const value = args[i];
+    if (input.name === "outputToken" && (String(value).toLowerCase() === "bnb" || value === ethers.ZeroAddress)) {
+      // FeeSwapper output: address(0) selects native BNB
+      return ethers.ZeroAddress;
+    }
+    if (input.name === "newForwarder" && (String(value).toLowerCase() === "none" || value === ethers.ZeroAddress)) {
+      // address(0) turns meta-transactions off
+      return ethers.ZeroAddress;
+    }
+    if (input.name === "feed" && (String(value).toLowerCase() === "none" || value === ethers.ZeroAddress)) {
+      // address(0) removes the price feed
+      return ethers.ZeroAddress;
+    }
+    if (input.type === "address") {
+      return requireAddress(value, input.name);
+    }
+    if (input.type === "address[]") {
+      return value.map((item, j) => requireAddress(item, `${input.name}[${j}]`));
+    }
+    if (input.type === "uint256[]") {
+      return value.map((item, j) => requireAmount(item, `${input.name}[${j}]`));
+    }
+    if (input.type === "string") {
+      return requireReason(value);
+    }
+    if (input.type === "bytes32") {
+      if (!ethers.isHexString(value, 32)) {
+        throw new Error(`${input.name} must be a 32-byte hex string, got ${value}`);
+      }
+      if (BigInt(value) === 0n) throw new Error(`${input.name} cannot be zero`);
+      return value;
+    }
+    if (input.type === "bool") {
+      if (typeof value === "boolean") return value;
+      if (value === "true" || value === "false") return value === "true";
+      throw new Error(`${input.name} must be true or false, got ${value}`);
+    }
+    if (input.name === "roles" || input.name === "role") {
+      return parseRoles(contractName, value);
+    }
+    if (input.name === "kind") {
+      return parseFeeKind(value);
+    }
+    return BigInt(value);
+  });
+
+  if (fragment.name === "batchRewardMint") {
+    if (normalized[0].length !== normalized[1].length) {
+      throw new Error("recipients and amounts must have the same length");
+    }
+    if (normalized[0].length === 0) throw new Error("recipients cannot be empty");
+  }
+
+  if (fragment.name === "setBlocked" && normalized[0].length === 0) {
+    throw new Error("accounts cannot be empty");
+  }
+
+  if (fragment.name === "teamMintVested") {
+    const [, amount, , cliff, duration] = normalized;
+    if (amount === 0n) throw new Error("amount must be greater than zero");
+    if (duration === 0n) throw new Error("duration must be greater than zero");
+    if (cliff > duration) throw new Error("cliff cannot be longer than duration");
+  }
+
+  if (fragment.name === "setMintCap") {
+    // One minting category, as CAPX keeps a cap per minter role
+    const categories = ["TEAM_MINTER_ROLE", "TREASURY_MINTER_ROLE", "DAO_MINTER_ROLE"];
+    if (!categories.some((name) => ROLES.CAPX[name] === normalized[0])) {
+      throw new Error(`role must be exactly one of ${categories.join(", ")}`);
+    }
+    if (normalized[1] > CAPX_MAX_SUPPLY) {
+      throw new Error(`cap cannot exceed MAX_SUPPLY (${ethers.formatUnits(CAPX_MAX_SUPPLY, 18)} tokens)`);
+    }
+  }
+
+  if (fragment.name === "setRevenueEpochCap" && normalized[0] > CAPX_MAX_SUPPLY) {
+    throw new Error(`cap cannot exceed MAX_SUPPLY (${ethers.formatUnits(CAPX_MAX_SUPPLY, 18)} tokens)`);
+  }
+
+  if (fragment.name === "scheduleFeeChange" && normalized[1] + normalized[2] > MAX_TOTAL_FEE_BPS) {
+    throw new Error(`combined fee cannot exceed ${MAX_TOTAL_FEE_BPS} bps, got ${normalized[1] + normalized[2]}`);
+  }
+
+  if (fragment.name === "setSwapConfig") {
+    if (normalized[2] === 0n) throw new Error("threshold must be greater than zero");
+    if (normalized[3] === 0n) throw new Error("minPrice must be greater than zero");
+  }
+
+  if (fragment.name === "setTransferLimits") {
+    for (const [i, label] of ["maxTxAmount", "maxWalletAmount"].entries()) {
+      if (normalized[i] === 0n) throw new Error(`${label} must be greater than zero`);
+      if (normalized[i] > CAPX_MAX_SUPPLY) {
+        throw new Error(`${label} cannot exceed MAX_SUPPLY (${ethers.formatUnits(CAPX_MAX_SUPPLY, 18)} tokens)`);
+      }
+    }
+  }
+
+  if (fragment.name === "setLaunchConfig") {
+    const [windowBlocks, cooldownBlocks, launchFeeBps] = normalized;
+    if (windowBlocks > MAX_LAUNCH_WINDOW_BLOCKS) {
+      throw new Error(`windowBlocks cannot exceed ${MAX_LAUNCH_WINDOW_BLOCKS}`);
+    }
+    if (cooldownBlocks > windowBlocks) throw new Error("cooldownBlocks cannot exceed windowBlocks");
+    if (launchFeeBps > MAX_LAUNCH_FEE_BPS) throw new Error(`launchFeeBps cannot exceed ${MAX_LAUNCH_FEE_BPS}`);
+  }
+
+  if (fragment.name === "setFeeRecipients") {
+    const [accounts, weights] = normalized;
+    if (accounts.length !== weights.length) {
+      throw new Error("accounts and weightsBps must have the same length");
+    }
+    if (accounts.length > MAX_FEE_RECIPIENTS) {
+      throw new Error(`at most ${MAX_FEE_RECIPIENTS} fee recipients, got ${accounts.length}`);
+    }
+    const total = weights.reduce((sum, weight) => sum + weight, 0n);
+    if (accounts.length > 0 && total !== FEE_WEIGHT_TOTAL_BPS) {
+      throw new Error(`weightsBps must add up to ${FEE_WEIGHT_TOTAL_BPS}, got ${total}`);
+    }
+  }
+
+  if (fragment.name === "setMinterAllowance") {
+    const [, amount, window] = normalized;
+    if (amount > SEED_MAX_SUPPLY) {
+      throw new Error(`amount cannot exceed MAX_SUPPLY (${ethers.formatUnits(SEED_MAX_SUPPLY, 18)} tokens)`);
+    }
+    if (window > MAX_ALLOWANCE_WINDOW) throw new Error(`window cannot exceed ${MAX_ALLOWANCE_WINDOW} seconds`);
+    if (window === 0n && amount !== 0n) {
+      throw new Error("window must be greater than zero, or amount zero to remove the limit");
+    }
+  }
+
+  if (fragment.name === "publishRewardEpoch" && normalized[1] === 0n) {
+    throw new Error("budget must be greater than zero");
+  }
+
+  if (fragment.name === "revenueMintAtOraclePrice" && normalized[1] === 0n) {
+    throw new Error("revenue must be greater than zero");
+  }
+
+  if (fragment.name === "setPriceOracle" && normalized[0] !== ethers.ZeroAddress) {
+    const [, maxPriceAge, minPrice, maxPrice, maxDeviationBps] = normalized;
+    if (maxPriceAge === 0n) throw new Error("maxPriceAge must be greater than zero");
+    if (minPrice === 0n) throw new Error("minPrice must be greater than zero");
+    if (minPrice > maxPrice) throw new Error("minPrice cannot exceed maxPrice");
+    if (maxDeviationBps > MAX_PRICE_DEVIATION_BPS) {
+      throw new Error(`maxDeviationBps cannot exceed ${MAX_PRICE_DEVIATION_BPS}`);
+    }
+  }
+
+  if (fragment.name === "revenueMint") {
+    if (normalized[1] === 0n) throw new Error("revenue must be greater than zero");
+    if (normalized[2] === 0n) throw new Error("marketValue must be greater than zero");
+    if ((normalized[1] * 10n ** 18n) / normalized[2] === 0n) {
+      throw new Error("revenue / marketValue rounds down to zero tokens");
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Encodes an owner-only call after validating its arguments
+ * @param {string} contractName "CAPX" or "AngelSEED"
+ * @param {string} target Deployed token address
+ * @param {string} method Function name (e.g. "setExemption")
+ * @param {Array} args Function arguments
+ * @returns {{to: string, value: string, data: string, contract: string, method: string, args: string[]}}
+ */
+function encodeAdminCall(contractName, target, method, args = []) {
+  const iface = getInterface(contractName);
+  const fragment = iface.getFunction(method);
+  if (!fragment) {
+    throw new Error(`${method} is not an admin function on ${contractName}`);
+  }
+
+  const to = requireAddress(target, `${contractName} address`);
+  const normalized = validateArgs(contractName, fragment, args);
+
+  return {
+    to,
+    value: "0",
+    data: iface.encodeFunctionData(fragment, normalized),
+    contract: contractName,
+    method: fragment.name,
+    // Arrays as JSON, the way the Safe Transaction Builder expects them
+    args: normalized.map((arg) =>
+      Array.isArray(arg) ? JSON.stringify(arg.map((item) => item.toString())) : arg.toString()
+    ),
+  };
+}
+
+/**
+ * Looks up a token address in the most recent deployment info file for a network
+ * @param {string} dir Deployments directory
+ * @param {string} networkName Hardhat network name
+ * @param {string} contractName "CAPX" or "AngelSEED"
+ * @param {string} [kind] Info file prefix: "deployment" (scripts/deploy.js) or "governance"
+ *   (scripts/deploy-governance.js)
+ * @returns {string|undefined}
+ */
+function findDeployedAddress(dir, networkName, contractName, kind = "deployment") {
+  if (!fs.existsSync(dir)) {
+    return undefined;
+  }
+
+  const prefix = `${kind}-${networkName}-`;
+  const latest = fs
+    .readdirSync(dir)
+    .filter((file) => file.startsWith(prefix) && file.endsWith(".json"))
+    .sort((a, b) => Number(b.slice(prefix.length, -5)) - Number(a.slice(prefix.length, -5)))[0];
+  if (!latest) {
+    return undefined;
+  }
+
+  const info = JSON.parse(fs.readFileSync(path.join(dir, latest), "utf8"));
+  return info.contracts && info.contracts[contractName] ? info.contracts[contractName].address : undefined;
+}
+
+module.exports = {
+  ROLES,
+  ADMIN_ABI,
+  MAX_REASON_LENGTH,
+  requireAddress,
+  requireAmount,
+  requireReason,
+  parseRoles,
+  FEE_KINDS,
+  parseFeeKind,
+  parseFeeRecipients,
+  encodeAdminCall,
+  findDeployedAddress,
+};
@@ -0,0 +1,148 @@
+// scripts/lib/airdrop.js
+//
+// CSV parsing, validation and chunking for AngelSEED.batchRewardMint airdrops
+const { ethers } = require("ethers");
+
+// Measured batchRewardMint cost, rounded up: ~72k per call and ~29.5k per new holder
+// (including its blocklist check), plus the reason string that RewardMint logs once per recipient
+const BASE_GAS = 75_000n;
+const GAS_PER_RECIPIENT = 32_000n;
+const GAS_PER_REASON_BYTE = 8n;
+
+const DEFAULT_MAX_GAS = 10_000_000n;
+
+/**
+ * Parses an airdrop CSV of `address,amount` rows.
+ * Blank lines, `#` comments and a header row are ignored.
+ * @param {string} text CSV contents
+ * @param {object} [options]
+ * @param {"tokens"|"wei"} [options.units] How to read amounts: decimal token amounts (default) or wei
+ * @returns {{recipients: Array<{line: number, address: string, amount: bigint}>,
+ *   duplicates: Array<{line: number, address: string, firstLine: number}>,
+ *   errors: Array<{line: number, message: string}>}}
+ */
+function parseRecipients(text, { units = "tokens" } = {}) {
+  if (units !== "tokens" && units !== "wei") {
+    throw new Error(`Unknown units "${units}". Expected "tokens" or "wei".`);
+  }
+
+  const recipients = [];
+  const duplicates = [];
+  const errors = [];
+  const seen = new Map();
+  let firstRow = true;
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const row = raw.trim();
+    if (!row || row.startsWith("#")) {
+      return;
+    }
+
+    const [address, amountText, ...rest] = row.split(",").map((cell) => cell.trim());
+    const isHeader = firstRow && !address.toLowerCase().startsWith("0x");
+    firstRow = false;
+    if (isHeader) {
+      return;
+    }
+    if (rest.some(Boolean) || amountText === undefined) {
+      errors.push({ line, message: "expected exactly two columns: address,amount" });
+      return;
+    }
+
+    // Same rules as AngelSEED.batchRewardMint
+    if (!ethers.isAddress(address)) {
+      errors.push({ line, message: `invalid address ${address}` });
+      return;
+    }
+    if (address.toLowerCase() === ethers.ZeroAddress) {
+      errors.push({ line, message: "ZeroAddress" });
+      return;
+    }
+
+    let amount;
+    try {
+      amount = units === "wei" ? BigInt(amountText) : ethers.parseUnits(amountText, 18);
+    } catch {
+      errors.push({ line, message: `invalid amount ${amountText}` });
+      return;
+    }
+    if (amount <= 0n) {
+      errors.push({ line, message: "InvalidAmount" });
+      return;
+    }
+
+    const key = address.toLowerCase();
+    if (seen.has(key)) {
+      duplicates.push({ line, address: ethers.getAddress(address), firstLine: seen.get(key) });
+      return;
+    }
+    seen.set(key, line);
+    recipients.push({ line, address: ethers.getAddress(address), amount });
+  });
+
+  return { recipients, duplicates, errors };
+}
+
+/**
+ * Estimates the gas of one batchRewardMint call
+ * @param {number} count Number of recipients
+ * @param {string} reason Mint reason
+ * @returns {bigint}
+ */
+function estimateBatchGas(count, reason) {
+  const perRecipient = GAS_PER_RECIPIENT + GAS_PER_REASON_BYTE * BigInt(Buffer.byteLength(reason, "utf8"));
+  return BASE_GAS + perRecipient * BigInt(count);
+}
+
+/**
+ * Splits recipients into chunks whose estimated gas stays under `maxGas`
+ * @param {Array<object>} recipients Result of parseRecipients().recipients
+ * @param {string} reason Mint reason
+ * @param {bigint|number|string} [maxGas] Gas budget per transaction
+ * @returns {Array<Array<object>>}
+ */
+function chunkRecipients(recipients, reason, maxGas = DEFAULT_MAX_GAS) {
+  const budget = BigInt(maxGas);
+  let size = 0;
+  while (size < recipients.length && estimateBatchGas(size + 1, reason) <= budget) {
+    size++;
+  }
+  if (size === 0 && recipients.length > 0) {
+    throw new Error(`maxGas ${budget} is too low for a single recipient`);
+  }
+
+  const chunks = [];
+  for (let i = 0; i < recipients.length; i += size) {
+    chunks.push(recipients.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Fingerprints a recipient list so a resumed run can detect an edited CSV
+ * @returns {string} keccak256 hash
+ */
+function hashRecipients(recipients) {
+  return ethers.solidityPackedKeccak256(
+    ["address[]", "uint256[]"],
+    [recipients.map((r) => r.address), recipients.map((r) => r.amount)]
+  );
+}
+
+/**
+ * Sums the amounts of a recipient list
+ * @returns {bigint}
+ */
+function totalAmount(recipients) {
+  return recipients.reduce((acc, r) => acc + r.amount, 0n);
+}
+
+module.exports = {
+  DEFAULT_MAX_GAS,
+  parseRecipients,
+  estimateBatchGas,
+  chunkRecipients,
+  hashRecipients,
+  totalAmount,
+};
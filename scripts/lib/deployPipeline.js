@@ -0,0 +1,265 @@
+// scripts/lib/deployPipeline.js
+const fs = require("fs");
+const path = require("path");
+
+const STATE_VERSION = 1;
+
+const StepStatus = {
+  PENDING: "pending",
+  DONE: "done",
+  EXPORTED: "exported",
+};
+
+function initialState(network, chainId, config) {
+  const now = new Date().toISOString();
+  return {
+    version: STATE_VERSION,
+    network,
+    chainId: Number(chainId),
+    config,
+    createdAt: now,
+    updatedAt: now,
+    steps: {},
+  };
+}
+
+/**
+ * Multi-step deployment runner that persists its progress to a JSON state file.
+ *
+ * Every step is recorded under its name once it finishes, so a rerun with the same
+ * state file skips it and reuses its result. Steps that broadcast a transaction can
+ * record the transaction hash as "pending" before waiting on it, which lets a resumed
+ * run pick the transaction up again instead of broadcasting a second one. Steps whose
+ * transaction is sent by someone else (a Safe batch for the multisig) are recorded as
+ * "exported" and only count as done once the caller confirms them.
+ * scripts/airdrop.js uses the same runner with one step per chunk.
+ */
+class DeploymentPipeline {
+  constructor(statePath, state, log = console.log) {
+    this.statePath = statePath;
+    this.state = state;
+    this.log = log;
+  }
+
+  /**
+   * Starts a fresh pipeline with a new state file under `dir`
+   * @param {object} options
+   * @param {string} options.dir Directory for the state file
+   * @param {string} options.network Hardhat network name
+   * @param {number|bigint} options.chainId Chain ID of the target network
+   * @param {object} options.config Deployment configuration (addresses, etc.)
+   * @param {Function} [options.log] Logger, defaults to console.log
+   * @param {string} [options.prefix] State file name prefix, defaults to "deploy-state"
+   */
+  static create({ dir, network, chainId, config, log, prefix = "deploy-state" }) {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const statePath = path.join(dir, `${prefix}-${network}-${Date.now()}.json`);
+    const pipeline = new DeploymentPipeline(statePath, initialState(network, chainId, config), log);
+    pipeline.save();
+    return pipeline;
+  }
+
+  /**
+   * Starts a pipeline that keeps its state in memory only (used for dry runs)
+   * @param {object} options Same shape as create(), without `dir`
+   */
+  static ephemeral({ network, chainId, config, log }) {
+    return new DeploymentPipeline(null, initialState(network, chainId, config), log);
+  }
+
+  /**
+   * Loads an existing state file and checks it belongs to the same network and configuration
+   * @param {string} statePath Path to the state file written by a previous run
+   * @param {object} options Same shape as create(), without `dir`
+   */
+  static resume(statePath, { network, chainId, config, log }) {
+    if (!fs.existsSync(statePath)) {
+      throw new Error(`Deployment state file not found: ${statePath}`);
+    }
+
+    const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+
+    if (state.version !== STATE_VERSION) {
+      throw new Error(
+        `Unsupported deployment state version ${state.version} (expected ${STATE_VERSION})`
+      );
+    }
+    if (state.network !== network || state.chainId !== Number(chainId)) {
+      throw new Error(
+        `State file was written for ${state.network} (chain ${state.chainId}), ` +
+          `not ${network} (chain ${Number(chainId)}). Refusing to resume.`
+      );
+    }
+
+    for (const [key, value] of Object.entries(config)) {
+      if (String(state.config[key]).toLowerCase() !== String(value).toLowerCase()) {
+        throw new Error(
+          `Configuration mismatch for "${key}": state file has ${state.config[key]}, ` +
+            `current run has ${value}. Refusing to resume.`
+        );
+      }
+    }
+
+    return new DeploymentPipeline(statePath, state, log);
+  }
+
+  /**
+   * Returns true if the step finished in a previous or the current run
+   * @param {string} name Step name
+   */
+  isDone(name) {
+    const step = this.state.steps[name];
+    return Boolean(step && step.status === StepStatus.DONE);
+  }
+
+  /**
+   * Returns true if the step was exported but has not been confirmed yet
+   * @param {string} name Step name
+   */
+  isExported(name) {
+    const step = this.state.steps[name];
+    return Boolean(step && step.status === StepStatus.EXPORTED);
+  }
+
+  /**
+   * Returns the recorded result of a finished step
+   * @param {string} name Step name
+   */
+  getResult(name) {
+    if (!this.isDone(name)) {
+      throw new Error(`Step "${name}" has not completed`);
+    }
+    return this.state.steps[name].result;
+  }
+
+  /**
+   * Runs a step unless it already completed
+   * @param {string} name Step name
+   * @param {Function} fn Async step body, called with a context object:
+   *   - pending: data recorded by an interrupted attempt of this step, or undefined
+   *   - recordPending(data): persists in-flight data (e.g. a transaction hash)
+   * @returns {Promise<*>} The step result (fresh or recorded)
+   * @throws The step's error, with `statePath` set to this pipeline's state file
+   */
+  async run(name, fn) {
+    if (this.isDone(name)) {
+      this.log(`↷ Skipping "${name}" (completed ${this.state.steps[name].completedAt})`);
+      return this.getResult(name);
+    }
+
+    const previous = this.state.steps[name];
+    const context = {
+      pending: previous && previous.status === StepStatus.PENDING ? previous.data : undefined,
+      recordPending: (data) => {
+        this.state.steps[name] = {
+          status: StepStatus.PENDING,
+          data,
+          updatedAt: new Date().toISOString(),
+        };
+        this.save();
+      },
+    };
+
+    let result;
+    try {
+      result = await fn(context);
+    } catch (error) {
+      // Lets callers point the operator at the file to resume from
+      if (this.statePath) {
+        error.statePath = this.statePath;
+      }
+      throw error;
+    }
+
+    this.state.steps[name] = {
+      status: StepStatus.DONE,
+      result,
+      completedAt: new Date().toISOString(),
+    };
+    this.save();
+
+    return result;
+  }
+
+  /**
+   * Runs a step whose transaction is executed outside this pipeline (e.g. a Safe batch)
+   * and records it as "exported" instead of done. Confirm it with confirm() once it has
+   * executed; until then a rerun reports it as waiting and does not export it again.
+   * @param {string} name Step name
+   * @param {Function} fn Async step body, returns what was exported (e.g. the batch path)
+   * @returns {Promise<*>} The exported (or finished) result
+   */
+  async export(name, fn) {
+    if (this.isDone(name)) {
+      this.log(`↷ Skipping "${name}" (completed ${this.state.steps[name].completedAt})`);
+      return this.getResult(name);
+    }
+    if (this.isExported(name)) {
+      this.log(`↷ "${name}" was exported ${this.state.steps[name].exportedAt}, waiting for execution`);
+      return this.state.steps[name].result;
+    }
+
+    let result;
+    try {
+      result = await fn();
+    } catch (error) {
+      if (this.statePath) {
+        error.statePath = this.statePath;
+      }
+      throw error;
+    }
+
+    this.state.steps[name] = {
+      status: StepStatus.EXPORTED,
+      result,
+      exportedAt: new Date().toISOString(),
+    };
+    this.save();
+
+    return result;
+  }
+
+  /**
+   * Marks an exported step as done once its transaction is known to have executed
+   * @param {string} name Step name
+   * @param {object} [extra] Fields merged into the recorded result (e.g. the transaction hash)
+   * @returns {*} The finished result
+   */
+  confirm(name, extra = {}) {
+    if (!this.isExported(name)) {
+      throw new Error(`Step "${name}" was not exported`);
+    }
+
+    const { result, exportedAt } = this.state.steps[name];
+    this.state.steps[name] = {
+      status: StepStatus.DONE,
+      result: { ...result, ...extra },
+      exportedAt,
+      completedAt: new Date().toISOString(),
+    };
+    this.save();
+
+    return this.state.steps[name].result;
+  }
+
+  /**
+   * Writes the state file atomically (temp file + rename)
+   */
+  save() {
+    this.state.updatedAt = new Date().toISOString();
+    if (!this.statePath) {
+      return;
+    }
+    const tmpPath = `${this.statePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmpPath, this.statePath);
+  }
+}
+
+module.exports = {
+  DeploymentPipeline,
+  StepStatus,
+};
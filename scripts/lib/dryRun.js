@@ -0,0 +1,142 @@
+// scripts/lib/dryRun.js
+//
+// Dry runs rehearse scripts/deploy.js on the in-process Hardhat network forked from the
+// target. Hardhat can only fork reliably when the network starts forked, so hardhat.config.js
+// calls forkingConfig() when DEPLOY_DRY_RUN is set. Hardhat itself is required lazily because
+// this module is also loaded from the config file.
+
+/**
+ * Resolves a dry-run target to a JSON-RPC URL.
+ * Accepts either a network name from hardhat.config.js or a raw http(s) URL.
+ * @param {string} target Network name or RPC URL
+ * @param {object} networks The `networks` section of the Hardhat config
+ */
+function resolveForkTarget(target, networks) {
+  if (/^https?:\/\//.test(target)) {
+    return { name: "custom", url: target, accounts: [] };
+  }
+
+  const networkConfig = networks[target];
+  if (!networkConfig || !networkConfig.url) {
+    throw new Error(
+      `Unknown dry-run target "${target}". Use a network name from hardhat.config.js or an RPC URL.`
+    );
+  }
+
+  return {
+    name: target,
+    url: networkConfig.url,
+    accounts: Array.isArray(networkConfig.accounts) ? networkConfig.accounts : [],
+  };
+}
+
+/**
+ * Builds the `forking` section of the Hardhat network config for a dry run
+ * @param {string} target Network name or RPC URL
+ * @param {object} networks The `networks` section of the Hardhat config
+ * @param {string|number} [blockNumber] Block to fork from, defaults to latest
+ */
+function forkingConfig(target, networks, blockNumber) {
+  const { url } = resolveForkTarget(target, networks);
+  return blockNumber ? { url, blockNumber: Number(blockNumber) } : { url };
+}
+
+/**
+ * Prepares the forked network for a dry run
+ * @param {string} target Network name or RPC URL (must match DEPLOY_DRY_RUN)
+ * @param {object} [options]
+ * @param {string} [options.deployer] Address to impersonate, defaults to the target's PRIVATE_KEY account
+ * @returns {Promise<object>} Fork descriptor used by the deploy script
+ */
+async function startFork(target, { deployer } = {}) {
+  const { ethers, network, config } = require("hardhat");
+  const helpers = require("@nomicfoundation/hardhat-network-helpers");
+
+  const fork = resolveForkTarget(target, config.networks);
+  const forking = network.config.forking;
+
+  if (network.name !== "hardhat" || !forking || forking.enabled === false || forking.url !== fork.url) {
+    throw new Error(
+      `Dry runs need the in-process Hardhat network to start as a fork of ${fork.url}. ` +
+        `Set DEPLOY_DRY_RUN=${target} and run without --network.`
+    );
+  }
+
+  const remote = new ethers.JsonRpcProvider(fork.url);
+  try {
+    fork.chainId = Number((await remote.getNetwork()).chainId);
+    fork.gasPrice = (await remote.getFeeData()).gasPrice;
+  } finally {
+    remote.destroy();
+  }
+
+  fork.blockNumber = await ethers.provider.getBlockNumber();
+
+  // Impersonate the real deployer so balances and nonces match the target chain
+  const deployerAddress =
+    deployer || (fork.accounts.length > 0 ? new ethers.Wallet(fork.accounts[0]).address : undefined);
+  if (deployerAddress) {
+    await helpers.impersonateAccount(deployerAddress);
+    fork.signer = await ethers.getSigner(deployerAddress);
+    fork.impersonated = true;
+  } else {
+    [fork.signer] = await ethers.getSigners();
+    fork.impersonated = false;
+  }
+
+  return fork;
+}
+
+/**
+ * Prints the dry-run summary
+ * @param {object} report Report built by the deploy script
+ * @param {Function} log Logger
+ */
+function printReport(report, log) {
+  const { ethers } = require("hardhat");
+
+  log("==========================================");
+  log("Dry Run Report (nothing was broadcast)");
+  log("==========================================");
+  log("Target:", report.target, `(chain ${report.chainId})`);
+  log("Forked at block:", report.forkBlock);
+  log("Deployer:", report.deployer, report.impersonated ? "(impersonated)" : "(local test account)");
+  log("");
+
+  log("Multisig check:");
+  log("  Address:", report.multisig.address);
+  log("  Code size:", report.multisig.codeSize, "bytes");
+  log("  Is contract:", report.multisig.isContract);
+  log("");
+
+  for (const step of report.steps) {
+    log(`Step ${step.name}:`);
+    log("  Gas used:", step.gasUsed);
+    log("  Constructor args:", JSON.stringify(step.constructorArgs));
+  }
+  log("");
+
+  log("Post-deploy state:");
+  log("  CAPX isOwnerMultisig():", report.checks.CAPX.isOwnerMultisig);
+  log("  CAPX getMaxSupply():", report.checks.CAPX.maxSupply);
+  log("  CAPX getTreasuryAddress():", report.checks.CAPX.treasury);
+  log("  AngelSEED isOwnerMultisig():", report.checks.AngelSEED.isOwnerMultisig);
+  log("  AngelSEED getMaxSupply():", report.checks.AngelSEED.maxSupply);
+  log("  CAPXVesting token():", report.checks.CAPXVesting.token);
+  log("  FeeSplitter token():", report.checks.FeeSplitter.token);
+  log("  FeeSwapper token():", report.checks.FeeSwapper.token);
+  log("");
+
+  log("Total gas:", report.totalGas);
+  if (report.estimatedCost !== null) {
+    log("Estimated cost:", ethers.formatEther(report.estimatedCost), `(at ${report.gasPrice} wei/gas)`);
+  }
+  log("==========================================");
+}
+
+module.exports = {
+  resolveForkTarget,
+  forkingConfig,
+  startFork,
+  printReport,
+};
@@ -0,0 +1,122 @@
+// scripts/lib/governance.js
+//
+// Proposal helpers for CAPXGovernor and the ownership handover of CAPX and AngelSEED to its
+// Timelock. Only depends on the standalone ethers package.
+const { ethers } = require("ethers");
+
+// IGovernor.ProposalState, by enum value
+const PROPOSAL_STATES = ["Pending", "Active", "Canceled", "Defeated", "Succeeded", "Queued", "Expired", "Executed"];
+
+// GovernorCountingSimple.VoteType
+const VOTE_TYPES = { against: 0, for: 1, abstain: 2 };
+
+// Deployment defaults. CAPX counts votes in blocks, so the voting delay and period assume
+// 3-second blocks (BSC): 1 day and 1 week.
+const DEFAULT_SETTINGS = {
+  votingDelay: 28_800n,
+  votingPeriod: 201_600n,
+  proposalThreshold: 100_000n * 10n ** 18n, // 0.1% of CAPX.MAX_SUPPLY
+  quorumPercent: 4n,
+  minDelay: 2n * 24n * 60n * 60n, // Timelock delay in seconds
+};
+
+const HANDOVER_DESCRIPTION = "Request ownership handover of CAPX and AngelSEED to the Timelock";
+
+const HANDOVER_ABI = ["function requestOwnershipHandover()"];
+
+/**
+ * Builds a proposal from a list of calls
+ * @param {Array<{target: string, data: string, value?: bigint}>} actions Calls the Timelock makes
+ * @param {string} description Proposal description; also makes the proposal ID unique
+ * @returns {{targets: string[], values: bigint[], calldatas: string[], description: string, descriptionHash: string}}
+ */
+function buildProposal(actions, description) {
+  if (actions.length === 0) {
+    throw new Error("a proposal needs at least one action");
+  }
+  if (!description) {
+    throw new Error("description is required");
+  }
+  return {
+    targets: actions.map((action) => ethers.getAddress(action.target)),
+    values: actions.map((action) => BigInt(action.value || 0)),
+    calldatas: actions.map((action) => action.data),
+    description,
+    descriptionHash: ethers.id(description),
+  };
+}
+
+/**
+ * Builds the proposal in which the Timelock requests the ownership handover of each token
+ * @param {Array<string>} tokens Token addresses
+ * @param {string} [description] Defaults to HANDOVER_DESCRIPTION; change it to propose again
+ *   after a request expired or the vote failed
+ */
+function buildHandoverProposal(tokens, description = HANDOVER_DESCRIPTION) {
+  const data = new ethers.Interface(HANDOVER_ABI).encodeFunctionData("requestOwnershipHandover");
+  return buildProposal(
+    tokens.map((target) => ({ target, data })),
+    description
+  );
+}
+
+/**
+ * Arguments for Governor.propose()
+ */
+function proposeArgs(proposal) {
+  return [proposal.targets, proposal.values, proposal.calldatas, proposal.description];
+}
+
+/**
+ * Arguments for Governor.hashProposal(), queue() and execute()
+ */
+function proposalArgs(proposal) {
+  return [proposal.targets, proposal.values, proposal.calldatas, proposal.descriptionHash];
+}
+
+/**
+ * Reads where a proposal stands
+ * @param {object} governor CAPXGovernor contract
+ * @param {object} proposal Result of buildProposal()
+ * @returns {Promise<{id: bigint, state: string|null, snapshot: bigint, deadline: bigint, eta: bigint}>}
+ *   `state` is null when the proposal was never made
+ */
+async function getProposalStatus(governor, proposal) {
+  const id = await governor.hashProposal(...proposalArgs(proposal));
+  const snapshot = await governor.proposalSnapshot(id);
+  if (snapshot === 0n) {
+    return { id, state: null, snapshot, deadline: 0n, eta: 0n };
+  }
+  return {
+    id,
+    state: PROPOSAL_STATES[Number(await governor.state(id))],
+    snapshot,
+    deadline: await governor.proposalDeadline(id),
+    eta: await governor.proposalEta(id),
+  };
+}
+
+/**
+ * Parses a vote option ("for", "against" or "abstain")
+ * @returns {number} GovernorCountingSimple support value
+ */
+function parseVote(value) {
+  const support = VOTE_TYPES[String(value).toLowerCase()];
+  if (support === undefined) {
+    throw new Error(`vote must be one of ${Object.keys(VOTE_TYPES).join(", ")}, got ${value}`);
+  }
+  return support;
+}
+
+module.exports = {
+  PROPOSAL_STATES,
+  VOTE_TYPES,
+  DEFAULT_SETTINGS,
+  HANDOVER_DESCRIPTION,
+  buildProposal,
+  buildHandoverProposal,
+  proposeArgs,
+  proposalArgs,
+  getProposalStatus,
+  parseVote,
+};
@@ -0,0 +1,328 @@
+// scripts/lib/indexer.js
+//
+// Indexes the supply-related events of CAPX and AngelSEED into a local JSON store and builds
+// supply reports from it. Works through any JSON-RPC provider and only depends on the
+// standalone ethers package.
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { ROLES } = require("./adminCalls");
+
+// Bumped whenever the store layout changes; older stores have to be rebuilt
+const STORE_VERSION = 1;
+
+// Blocks per eth_getLogs request
+const DEFAULT_LOG_RANGE = 50_000;
+
+const INDEXER_ABI = [
+  "event Mint(address indexed to, uint256 amount, uint256 indexed role)",
+  "event RevenueMint(address indexed to, uint64 indexed epoch, bytes32 indexed referenceHash, uint256 revenue, uint256 marketValue, uint256 tokensMinted)",
+  "event TreasuryFee(address indexed from, address indexed to, uint256 amount)",
+  "event Burn(address indexed from, uint256 amount)",
+  "event Transfer(address indexed from, address indexed to, uint256 amount)",
+  "event RewardMint(address indexed to, uint256 amount, string reason)",
+  "event ExemptionUpdated(address indexed account, bool exempt)",
+  "event RoleGranted(uint256 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(uint256 indexed role, address indexed account, address indexed sender)",
+];
+
+const INDEXER_INTERFACE = new ethers.Interface(INDEXER_ABI);
+
+const INDEXED_EVENTS = INDEXER_INTERFACE.fragments.map((fragment) => fragment.name);
+
+/**
+ * An empty store for a chain and a set of token addresses
+ * @param {object} options
+ * @param {bigint|number} options.chainId Chain the contracts live on
+ * @param {{CAPX?: string, AngelSEED?: string}} options.contracts Addresses to index
+ * @param {number} [options.fromBlock] First block to index, ideally the deployment block
+ */
+function createStore({ chainId, contracts, fromBlock = 0 }) {
+  const addresses = {};
+  for (const [name, address] of Object.entries(contracts)) {
+    if (address) addresses[name] = ethers.getAddress(address);
+  }
+  if (Object.keys(addresses).length === 0) {
+    throw new Error("No contract to index");
+  }
+  return {
+    version: STORE_VERSION,
+    chainId: chainId.toString(),
+    contracts: addresses,
+    fromBlock,
+    lastBlock: fromBlock - 1,
+    events: [],
+  };
+}
+
+/**
+ * Reads a store written by saveStore()
+ * @returns {object|undefined} The store, or undefined if the file does not exist
+ */
+function loadStore(file) {
+  if (!fs.existsSync(file)) {
+    return undefined;
+  }
+  const store = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (store.version !== STORE_VERSION) {
+    throw new Error(`${file} has store version ${store.version}, expected ${STORE_VERSION}. Index into a new file.`);
+  }
+  return store;
+}
+
+/**
+ * Writes a store through a temporary file, so an interrupted write never leaves half a store
+ */
+function saveStore(file, store) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temporary = `${file}.tmp`;
+  fs.writeFileSync(temporary, JSON.stringify(store, null, 2));
+  fs.renameSync(temporary, file);
+}
+
+/**
+ * Checks that a store belongs to the chain and contracts about to be indexed into it
+ */
+function checkStore(store, { chainId, contracts }) {
+  if (store.chainId !== chainId.toString()) {
+    throw new Error(`The store was built on chain ${store.chainId}, not ${chainId}`);
+  }
+  for (const [name, address] of Object.entries(contracts)) {
+    if (address && store.contracts[name] !== ethers.getAddress(address)) {
+      throw new Error(`The store indexes ${name} at ${store.contracts[name] || "no address"}, not ${address}`);
+    }
+  }
+}
+
+/**
+ * Indexes the events from the block after `store.lastBlock` up to `toBlock` into the store.
+ * `store.lastBlock` advances after each log range, so a sync that fails halfway resumes from
+ * the last complete range.
+ * @param {object} provider ethers provider
+ * @param {object} store Store from createStore() or loadStore(), updated in place
+ * @param {object} [options]
+ * @param {number} [options.toBlock] Last block to index, defaults to the latest block
+ * @param {number} [options.logRange] Blocks per log request
+ * @param {Function} [options.onProgress] Called with the store after each log range, e.g. to save it
+ * @returns {Promise<{fromBlock: number, toBlock: number, added: number}>} Range indexed and the
+ *   number of events added
+ */
+async function syncEvents(provider, store, options = {}) {
+  const toBlock = options.toBlock ?? (await provider.getBlockNumber());
+  const logRange = options.logRange || DEFAULT_LOG_RANGE;
+  const fromBlock = store.lastBlock + 1;
+  const names = new Map(Object.entries(store.contracts).map(([name, address]) => [address.toLowerCase(), name]));
+  const topics = INDEXER_INTERFACE.fragments.map((fragment) => fragment.topicHash);
+
+  let added = 0;
+  for (let from = fromBlock; from <= toBlock; from += logRange) {
+    const to = Math.min(from + logRange - 1, toBlock);
+    const logs = await provider.getLogs({
+      address: Object.values(store.contracts),
+      topics: [topics],
+      fromBlock: from,
+      toBlock: to,
+    });
+
+    const timestamps = new Map();
+    for (const log of logs) {
+      if (!timestamps.has(log.blockNumber)) {
+        timestamps.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+      }
+      const parsed = INDEXER_INTERFACE.parseLog(log);
+      const args = {};
+      parsed.fragment.inputs.forEach((input, i) => {
+        const value = parsed.args[i];
+        args[input.name] = typeof value === "bigint" ? value.toString() : value;
+      });
+      store.events.push({
+        contract: names.get(log.address.toLowerCase()),
+        event: parsed.name,
+        blockNumber: log.blockNumber,
+        timestamp: timestamps.get(log.blockNumber),
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        args,
+      });
+      added++;
+    }
+
+    store.lastBlock = to;
+    if (options.onProgress) await options.onProgress(store);
+  }
+
+  return { fromBlock, toBlock, added };
+}
+
+/**
+ * Events of a store within a time window
+ * @param {Array<object>} events Store events
+ * @param {object} [window]
+ * @param {number} [window.since] First timestamp to include (unix seconds)
+ * @param {number} [window.until] Timestamp to stop before (unix seconds)
+ */
+function eventsBetween(events, { since, until } = {}) {
+  return events.filter(
+    (event) => (since === undefined || event.timestamp >= since) && (until === undefined || event.timestamp < until)
+  );
+}
+
+// "team", "treasury" and "dao" for the CAPX minter roles in Mint events
+const MINT_ROLE_LABELS = Object.fromEntries(
+  Object.entries(ROLES.CAPX)
+    .filter(([name]) => name.endsWith("_MINTER_ROLE"))
+    .map(([name, bit]) => [bit.toString(), name.slice(0, -"_MINTER_ROLE".length).toLowerCase()])
+);
+
+function addTo(totals, key, amount) {
+  const total = totals.get(key) || { amount: 0n, count: 0 };
+  total.amount += amount;
+  total.count++;
+  totals.set(key, total);
+}
+
+function contractTotals(events, contract, build) {
+  const totals = new Map();
+  for (const event of events) {
+    if (event.contract === contract) build(totals, event);
+  }
+  return totals;
+}
+
+/**
+ * Tokens minted per mint role: CAPX mints by category (`team`, `treasury`, `dao`) and revenue
+ * mints (`revenue`), AngelSEED reward mints (`reward`, including Merkle claims)
+ * @param {Array<object>} events Store events
+ * @returns {object} Per contract: `{minted, burned, netSupply, byRole: {[role]: {amount, count}},
+ *   unattributed}`. `minted` counts every mint Transfer; `unattributed` is what no mint event
+ *   accounts for and should be zero
+ */
+function supplyByRole(events) {
+  const report = {};
+  for (const contract of contractsIn(events)) {
+    const byRole = contractTotals(events, contract, (totals, event) => {
+      if (event.event === "Mint") {
+        addTo(totals, MINT_ROLE_LABELS[event.args.role] || `role ${event.args.role}`, BigInt(event.args.amount));
+      } else if (event.event === "RevenueMint") {
+        addTo(totals, "revenue", BigInt(event.args.tokensMinted));
+      } else if (event.event === "RewardMint") {
+        addTo(totals, "reward", BigInt(event.args.amount));
+      }
+    });
+    const minted = sumTransfers(events, contract, (event) => event.args.from === ethers.ZeroAddress);
+    const { total: burned } = burnTotals(events, contract);
+    const attributed = [...byRole.values()].reduce((sum, total) => sum + total.amount, 0n);
+    report[contract] = {
+      minted,
+      burned,
+      netSupply: minted - burned,
+      byRole: Object.fromEntries(byRole),
+      unattributed: minted - attributed,
+    };
+  }
+  return report;
+}
+
+/**
+ * Fee burns versus voluntary burns (burn and burnFrom)
+ * @param {Array<object>} events Store events
+ * @returns {object} Per contract: `{total, fee, voluntary, voluntaryCount}`
+ */
+function burnReport(events) {
+  const report = {};
+  for (const contract of contractsIn(events)) {
+    report[contract] = burnTotals(events, contract);
+  }
+  return report;
+}
+
+// Voluntary burns emit Burn next to their Transfer to the zero address; the CAPX burn fee only
+// emits the Transfer. CAPX rejects transfers to the zero address, so there every such Transfer
+// is a burn. AngelSEED accepts them without reducing the supply, so there only Burn events count.
+function burnTotals(events, contract) {
+  let voluntary = 0n;
+  let voluntaryCount = 0;
+  for (const event of events) {
+    if (event.contract === contract && event.event === "Burn") {
+      voluntary += BigInt(event.args.amount);
+      voluntaryCount++;
+    }
+  }
+  const total =
+    contract === "CAPX" ? sumTransfers(events, contract, (event) => event.args.to === ethers.ZeroAddress) : voluntary;
+  return { total, fee: total - voluntary, voluntary, voluntaryCount };
+}
+
+/**
+ * Treasury fee income per recipient: the treasury or the fee splitter's recipients
+ * @param {Array<object>} events Store events
+ * @returns {{total: bigint, count: number, byRecipient: {[address]: {amount, count}}}}
+ */
+function treasuryFeeIncome(events) {
+  const byRecipient = contractTotals(events, "CAPX", (totals, event) => {
+    if (event.event === "TreasuryFee") addTo(totals, event.args.to, BigInt(event.args.amount));
+  });
+  let total = 0n;
+  let count = 0;
+  for (const recipient of byRecipient.values()) {
+    total += recipient.amount;
+    count += recipient.count;
+  }
+  return { total, count, byRecipient: Object.fromEntries(byRecipient) };
+}
+
+/**
+ * AngelSEED reward mints per reason, largest first
+ * @param {Array<object>} events Store events
+ * @returns {Array<{reason: string, amount: bigint, count: number, recipients: number}>}
+ */
+function rewardReasons(events) {
+  const reasons = new Map();
+  for (const event of events) {
+    if (event.contract !== "AngelSEED" || event.event !== "RewardMint") continue;
+    const reason = reasons.get(event.args.reason) || {
+      reason: event.args.reason,
+      amount: 0n,
+      count: 0,
+      accounts: new Set(),
+    };
+    reason.amount += BigInt(event.args.amount);
+    reason.count++;
+    reason.accounts.add(event.args.to);
+    reasons.set(event.args.reason, reason);
+  }
+  return [...reasons.values()]
+    .map(({ accounts, ...reason }) => ({ ...reason, recipients: accounts.size }))
+    .sort((a, b) => (b.amount > a.amount ? 1 : b.amount < a.amount ? -1 : 0));
+}
+
+function contractsIn(events) {
+  return [...new Set(events.map((event) => event.contract))].sort();
+}
+
+function sumTransfers(events, contract, match) {
+  let sum = 0n;
+  for (const event of events) {
+    if (event.contract === contract && event.event === "Transfer" && match(event)) {
+      sum += BigInt(event.args.amount);
+    }
+  }
+  return sum;
+}
+
+module.exports = {
+  STORE_VERSION,
+  DEFAULT_LOG_RANGE,
+  INDEXER_ABI,
+  INDEXED_EVENTS,
+  createStore,
+  loadStore,
+  saveStore,
+  checkStore,
+  syncEvents,
+  eventsBetween,
+  supplyByRole,
+  burnReport,
+  treasuryFeeIncome,
+  rewardReasons,
+};
@@ -0,0 +1,263 @@
+// scripts/lib/invariants.js
+//
+// Supply and ownership invariants of CAPX and AngelSEED, and a watcher that checks them on
+// every poll and alerts through pluggable sinks when one breaks or clears, or when a token is
+// paused or unpaused. Only depends on the standalone ethers package.
+const fs = require("fs");
+const path = require("path");
+
+// Ledger records per getRevenueMints call
+const REVENUE_PAGE_SIZE = 100;
+
+/**
+ * Reads the state the invariants need from both tokens at one block
+ * @param {object} tokens
+ * @param {object} [tokens.capx] CAPX contract (ethers)
+ * @param {object} [tokens.seed] AngelSEED contract (ethers)
+ * @param {object} [options]
+ * @param {number} [options.blockTag] Block to read at, defaults to the latest block
+ * @param {{count: bigint, total: bigint}} [options.revenue] Revenue ledger totals of a previous
+ *   read, so only the records added since are fetched
+ * @returns {Promise<object>} `{blockNumber, CAPX?, AngelSEED?}`
+ */
+async function readTokenState({ capx, seed }, options = {}) {
+  const token = capx || seed;
+  const provider = token.runner.provider || token.runner;
+  const blockTag = options.blockTag ?? (await provider.getBlockNumber());
+  const at = { blockTag };
+  const state = { blockNumber: blockTag };
+
+  const readCommon = async (contract) => {
+    const owner = await contract.owner(at);
+    return {
+      paused: await contract.paused(at),
+      totalSupply: await contract.totalSupply(at),
+      totalMinted: await contract.getTotalMinted(at),
+      maxSupply: await contract.getMaxSupply(at),
+      owner,
+      ownerIsContract: (await provider.getCode(owner, blockTag)) !== "0x",
+    };
+  };
+
+  if (capx) {
+    const allocation = await capx.getMintAllocation(at);
+    const treasury = await capx.getTreasuryAddress(at);
+    const dao = await capx.getDaoAddress(at);
+    state.CAPX = {
+      ...(await readCommon(capx)),
+      teamMinted: allocation.teamMinted,
+      treasuryMinted: allocation.treasuryMinted,
+      daoMinted: allocation.daoMinted,
+      revenue: await readRevenueTotal(capx, at, options.revenue),
+      treasury,
+      treasuryExempt: await capx.isExempt(treasury, at),
+      dao,
+      daoExempt: await capx.isExempt(dao, at),
+    };
+  }
+  if (seed) {
+    state.AngelSEED = await readCommon(seed);
+  }
+  return state;
+}
+
+// Sums the tokens of the on-chain revenue ledger. Records are append-only, so a previous total
+// is extended with the new records; a ledger shorter than before (a reorg) is read again.
+async function readRevenueTotal(capx, at, previous) {
+  const count = await capx.getRevenueMintCount(at);
+  let revenue = previous && previous.count <= count ? { ...previous } : { count: 0n, total: 0n };
+  while (revenue.count < count) {
+    const records = await capx.getRevenueMints(revenue.count, REVENUE_PAGE_SIZE, at);
+    if (records.length === 0) break;
+    for (const record of records) {
+      revenue = { count: revenue.count + 1n, total: revenue.total + record.tokensMinted };
+    }
+  }
+  return revenue;
+}
+
+/**
+ * Checks the invariants against a state from readTokenState()
+ * @returns {Array<{token: string, invariant: string, message: string}>} Broken invariants
+ */
+function checkInvariants(state) {
+  const violations = [];
+  const fail = (token, invariant, message) => violations.push({ token, invariant, message });
+
+  for (const token of ["CAPX", "AngelSEED"]) {
+    const s = state[token];
+    if (!s) continue;
+    if (s.totalSupply > s.totalMinted) {
+      fail(token, "supply-within-minted", `totalSupply ${s.totalSupply} exceeds totalMinted ${s.totalMinted}`);
+    }
+    if (s.totalMinted > s.maxSupply) {
+      fail(token, "minted-within-max-supply", `totalMinted ${s.totalMinted} exceeds MAX_SUPPLY ${s.maxSupply}`);
+    }
+    if (!s.ownerIsContract) {
+      fail(token, "owner-is-contract", `owner ${s.owner} has no contract code`);
+    }
+  }
+
+  const capx = state.CAPX;
+  if (capx) {
+    const allocated = capx.teamMinted + capx.treasuryMinted + capx.daoMinted + capx.revenue.total;
+    if (allocated !== capx.totalMinted) {
+      fail(
+        "CAPX",
+        "allocations-add-up",
+        `team ${capx.teamMinted} + treasury ${capx.treasuryMinted} + dao ${capx.daoMinted} + ` +
+          `revenue ${capx.revenue.total} = ${allocated}, but totalMinted is ${capx.totalMinted}`
+      );
+    }
+    if (!capx.treasuryExempt) {
+      fail("CAPX", "treasury-exempt", `treasury ${capx.treasury} is not fee exempt`);
+    }
+    if (!capx.daoExempt) {
+      fail("CAPX", "dao-exempt", `DAO ${capx.dao} is not fee exempt`);
+    }
+  }
+  return violations;
+}
+
+/**
+ * Polls the tokens and alerts on changes. Each broken invariant alerts once when it breaks
+ * (`violation`) and once when it holds again (`resolved`); pausing alerts as `paused` /
+ * `unpaused`. A failed poll alerts as `error` once, and the next successful one as `recovered`.
+ * @param {object} tokens `{capx, seed}` as for readTokenState()
+ * @param {object} options
+ * @param {Array<{send: Function}>} options.sinks Where alerts go
+ * @param {string} [options.network] Network name included in alerts
+ * @param {Function} [options.now] Clock for alert timestamps, defaults to Date.now
+ * @param {Function} [options.onSinkError] Called with `(error, sink, alert)` when a sink fails;
+ *   the other sinks still get the alert. Defaults to console.error
+ * @returns {{poll: Function, state: Function}} `poll()` runs one check and resolves to the alerts it sent
+ */
+function createWatcher(tokens, { sinks, network, now = Date.now, onSinkError }) {
+  const reportSinkError =
+    onSinkError || ((error, sink) => console.error(`Alert sink ${sink.name} failed: ${error.message}`));
+  let last;
+  let broken = new Map();
+  let failing = false;
+
+  const alert = (fields) => ({ time: new Date(now()).toISOString(), network, ...fields });
+
+  async function send(alerts) {
+    for (const item of alerts) {
+      for (const sink of sinks) {
+        try {
+          await sink.send(item);
+        } catch (error) {
+          reportSinkError(error, sink, item);
+        }
+      }
+    }
+    return alerts;
+  }
+
+  async function poll() {
+    let state;
+    try {
+      state = await readTokenState(tokens, { revenue: last && last.CAPX ? last.CAPX.revenue : undefined });
+    } catch (error) {
+      if (failing) return [];
+      failing = true;
+      return send([alert({ kind: "error", message: `poll failed: ${error.shortMessage || error.message}` })]);
+    }
+
+    const alerts = [];
+    if (failing) {
+      failing = false;
+      alerts.push(alert({ kind: "recovered", block: state.blockNumber, message: "polling works again" }));
+    }
+
+    for (const token of ["CAPX", "AngelSEED"]) {
+      if (!state[token] || !last || !last[token] || state[token].paused === last[token].paused) continue;
+      const kind = state[token].paused ? "paused" : "unpaused";
+      alerts.push(alert({ kind, token, block: state.blockNumber, message: `${token} was ${kind}` }));
+    }
+
+    const current = new Map(checkInvariants(state).map((v) => [`${v.token}:${v.invariant}`, v]));
+    for (const [key, violation] of current) {
+      if (!broken.has(key)) alerts.push(alert({ kind: "violation", block: state.blockNumber, ...violation }));
+    }
+    for (const [key, violation] of broken) {
+      if (!current.has(key)) {
+        alerts.push(
+          alert({
+            kind: "resolved",
+            block: state.blockNumber,
+            token: violation.token,
+            invariant: violation.invariant,
+            message: `${violation.invariant} holds again`,
+          })
+        );
+      }
+    }
+
+    last = state;
+    broken = current;
+    return send(alerts);
+  }
+
+  return { poll, state: () => last };
+}
+
+/**
+ * One-line description of an alert
+ */
+function formatAlert(alert) {
+  const where = [alert.network, alert.token, alert.block !== undefined && `block ${alert.block}`].filter(Boolean);
+  const what = alert.invariant ? `${alert.invariant}: ${alert.message}` : alert.message;
+  return `[${alert.time}] ${alert.kind.toUpperCase()} (${where.join(", ")}) ${what}`;
+}
+
+/**
+ * Sink that writes alerts as lines to a logger
+ * @param {Function} [log] Defaults to console.log
+ */
+function stdoutSink(log = console.log) {
+  return { name: "stdout", send: async (alert) => log(formatAlert(alert)) };
+}
+
+/**
+ * Sink that POSTs each alert as JSON. `text` holds the formatted line, which Slack and Discord
+ * style incoming webhooks display as is.
+ * @param {string} url Webhook URL
+ * @param {object} [options]
+ * @param {Function} [options.fetch] fetch implementation, defaults to the global one
+ */
+function webhookSink(url, options = {}) {
+  const fetchImpl = options.fetch || fetch;
+  return {
+    name: "webhook",
+    send: async (alert) => {
+      const response = await fetchImpl(url, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ text: formatAlert(alert), alert }),
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook returned HTTP ${response.status}`);
+      }
+    },
+  };
+}
+
+/**
+ * Sink that appends each alert to a file as one JSON line
+ */
+function fileSink(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  return { name: "file", send: async (alert) => fs.appendFileSync(file, JSON.stringify(alert) + "\n") };
+}
+
+module.exports = {
+  REVENUE_PAGE_SIZE,
+  readTokenState,
+  checkInvariants,
+  createWatcher,
+  formatAlert,
+  stdoutSink,
+  webhookSink,
+  fileSink,
+};
@@ -0,0 +1,94 @@
+// scripts/lib/merkle.js
+//
+// Merkle trees for AngelSEED reward epochs. Leaves and pair hashing match claimReward():
+// leaf = keccak256(bytes.concat(keccak256(abi.encode(account, amount)))), pairs hashed sorted
+// (Solady MerkleProofLib), and an unpaired node is carried up to the next layer as is.
+const { ethers } = require("ethers");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Hashes one claim into a leaf
+ * @param {string} account Claimant
+ * @param {bigint|string} amount Amount in wei
+ * @returns {string} bytes32 leaf
+ */
+function hashLeaf(account, amount) {
+  return ethers.keccak256(
+    ethers.keccak256(coder.encode(["address", "uint256"], [account, amount]))
+  );
+}
+
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Builds a reward tree
+ * @param {Array<{address: string, amount: bigint}>} claims One claim per account
+ * @returns {{root: string, total: bigint, claims: Array<{address: string, amount: bigint, leaf: string, proof: string[]}>}}
+ */
+function buildRewardTree(claims) {
+  if (claims.length === 0) {
+    throw new Error("A reward tree needs at least one claim");
+  }
+
+  const seen = new Set();
+  for (const claim of claims) {
+    const key = claim.address.toLowerCase();
+    if (seen.has(key)) {
+      throw new Error(`Duplicate claim for ${claim.address}. Each account can only claim once per epoch.`);
+    }
+    seen.add(key);
+  }
+
+  // Sorting the leaves makes the root independent of the CSV order
+  const leaves = claims
+    .map((claim) => ({ ...claim, leaf: hashLeaf(claim.address, claim.amount) }))
+    .sort((a, b) => (BigInt(a.leaf) < BigInt(b.leaf) ? -1 : 1));
+
+  const layers = [leaves.map((l) => l.leaf)];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  const withProofs = leaves.map((claim, leafIndex) => {
+    const proof = [];
+    let index = leafIndex;
+    for (let level = 0; level < layers.length - 1; level++) {
+      const sibling = index ^ 1;
+      if (sibling < layers[level].length) {
+        proof.push(layers[level][sibling]);
+      }
+      index >>= 1;
+    }
+    return { address: claim.address, amount: claim.amount, leaf: claim.leaf, proof };
+  });
+
+  return {
+    root: layers[layers.length - 1][0],
+    total: claims.reduce((acc, claim) => acc + claim.amount, 0n),
+    claims: withProofs,
+  };
+}
+
+/**
+ * Recomputes a root from a leaf and its proof (mirrors MerkleProofLib.verify)
+ * @returns {boolean}
+ */
+function verifyProof(root, leaf, proof) {
+  return proof.reduce((acc, node) => hashPair(acc, node), leaf) === root;
+}
+
+module.exports = {
+  hashLeaf,
+  buildRewardTree,
+  verifyProof,
+};
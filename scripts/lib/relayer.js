@@ -0,0 +1,152 @@
+// scripts/lib/relayer.js
+//
+// ERC-2771 meta-transactions for AngelSEED: holders sign a ForwardRequest off-chain and a
+// relayer checks it and submits it through the trusted forwarder, paying the gas. Works with
+// OpenZeppelin's MinimalForwarder (contracts/test/MockForwarder.sol locally).
+const { ethers } = require("ethers");
+
+const FORWARDER_ABI = [
+  "function getNonce(address from) view returns (uint256)",
+  "function verify((address from, address to, uint256 value, uint256 gas, uint256 nonce, bytes data) req, bytes signature) view returns (bool)",
+  "function execute((address from, address to, uint256 value, uint256 gas, uint256 nonce, bytes data) req, bytes signature) payable returns (bool, bytes)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+];
+
+// Read from the target to make sure it treats the forwarder's calls as the signer's
+const TRUSTED_FORWARDER_ABI = ["function isTrustedForwarder(address forwarder) view returns (bool)"];
+
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "data", type: "bytes" },
+  ],
+};
+
+// Added to the estimated gas of the inner call, which the forwarder forwards as a hard limit
+const GAS_MARGIN = 10_000n;
+
+async function getForwarderDomain(forwarder) {
+  const [, name, version, chainId, verifyingContract] = await forwarder.eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+/**
+ * Builds a ForwardRequest for `from` to call `to` with `data`
+ * @param {object} forwarder Forwarder contract (FORWARDER_ABI) with a provider
+ * @param {object} request
+ * @param {string} request.from Signer the call acts for
+ * @param {string} request.to Target contract (AngelSEED)
+ * @param {string} request.data Encoded call, e.g. `seed.interface.encodeFunctionData("transfer", [to, amount])`
+ * @param {bigint} [request.gas] Gas for the inner call; estimated from a forwarded call by default
+ * @param {bigint} [request.nonce] Defaults to the signer's next nonce on the forwarder
+ * @returns {Promise<object>} The request, with `value` 0
+ */
+async function buildRequest(forwarder, { from, to, data, gas, nonce }) {
+  const provider = forwarder.runner.provider || forwarder.runner;
+  const request = {
+    from: ethers.getAddress(from),
+    to: ethers.getAddress(to),
+    value: 0n,
+    gas: 0n,
+    nonce: nonce === undefined ? await forwarder.getNonce(from) : BigInt(nonce),
+    data,
+  };
+  if (gas !== undefined) {
+    request.gas = BigInt(gas);
+  } else {
+    // Estimate the call exactly as the forwarder makes it: from the forwarder, signer appended
+    const estimate = await provider.estimateGas({
+      from: forwarder.target,
+      to: request.to,
+      data: ethers.concat([data, request.from]),
+    });
+    request.gas = estimate + GAS_MARGIN;
+  }
+  return request;
+}
+
+/**
+ * Signs a ForwardRequest as its `from`
+ * @param {object} signer ethers signer of `request.from`
+ * @param {object} forwarder Forwarder contract (FORWARDER_ABI)
+ * @param {object} request Result of buildRequest()
+ * @returns {Promise<string>} EIP-712 signature
+ */
+async function signRequest(signer, forwarder, request) {
+  const signerAddress = await signer.getAddress();
+  if (signerAddress !== request.from) {
+    throw new Error(`request is from ${request.from} but the signer is ${signerAddress}`);
+  }
+  return signer.signTypedData(await getForwarderDomain(forwarder), FORWARD_REQUEST_TYPES, request);
+}
+
+/**
+ * Checks a signed request and submits it through the forwarder. The forwarder does not revert
+ * when the inner call fails, so the call is simulated first and a failing one is never sent.
+ * @param {object} relayer ethers signer that pays for the transaction
+ * @param {object} forwarder Forwarder contract (FORWARDER_ABI)
+ * @param {object} request Signed ForwardRequest
+ * @param {string} signature Signature from signRequest()
+ * @param {object} [options]
+ * @param {Array<string>} [options.allowedTargets] Only relay calls to these contracts
+ * @param {object} [options.targetInterface] ethers Interface used to decode revert reasons
+ * @returns {Promise<{txHash: string, receipt: object}>}
+ */
+async function relayRequest(relayer, forwarder, request, signature, options = {}) {
+  const to = ethers.getAddress(request.to);
+  if (options.allowedTargets && !options.allowedTargets.some((target) => ethers.getAddress(target) === to)) {
+    throw new Error(`${to} is not an allowed target`);
+  }
+  if (BigInt(request.value) !== 0n) {
+    throw new Error("requests with value are not relayed");
+  }
+
+  const connected = forwarder.connect(relayer);
+  if (!(await connected.verify(request, signature))) {
+    throw new Error(`invalid signature or stale nonce for request from ${request.from}`);
+  }
+
+  const target = new ethers.Contract(to, TRUSTED_FORWARDER_ABI, relayer);
+  let trusted = false;
+  try {
+    trusted = await target.isTrustedForwarder(forwarder.target);
+  } catch (error) {
+    // Not an ERC-2771 recipient
+  }
+  if (!trusted) {
+    throw new Error(`${to} does not trust forwarder ${forwarder.target}`);
+  }
+
+  const [success, returndata] = await connected.execute.staticCall(request, signature);
+  if (!success) {
+    throw new Error(`request from ${request.from} would revert: ${describeRevert(returndata, options.targetInterface)}`);
+  }
+
+  const tx = await connected.execute(request, signature);
+  const receipt = await tx.wait();
+  return { txHash: tx.hash, receipt };
+}
+
+function describeRevert(returndata, iface) {
+  if (iface) {
+    try {
+      const parsed = iface.parseError(returndata);
+      if (parsed) return `${parsed.name}(${parsed.args.join(", ")})`;
+    } catch (error) {
+      // Fall through to the raw data
+    }
+  }
+  return returndata === "0x" ? "no reason" : returndata;
+}
+
+module.exports = {
+  FORWARDER_ABI,
+  FORWARD_REQUEST_TYPES,
+  buildRequest,
+  signRequest,
+  relayRequest,
+};
@@ -0,0 +1,283 @@
+// scripts/lib/revenue.js
+//
+// Revenue-mint arithmetic, price feed and ledger checks, mirroring CAPX.revenueMint,
+// revenueMintAtOraclePrice and the validation behind them, so a mint can be previewed before
+// the multisig signs it. Only depends on the standalone ethers package.
+const { ethers } = require("ethers");
+
+const BPS = 10_000n;
+
+const AGGREGATOR_ABI = [
+  "function decimals() view returns (uint8)",
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+
+/**
+ * Reference hash of an off-chain revenue record: keccak256 of the file's bytes
+ * @param {Buffer|Uint8Array|string} contents Report contents
+ */
+function hashRevenueReport(contents) {
+  return ethers.keccak256(typeof contents === "string" ? ethers.toUtf8Bytes(contents) : contents);
+}
+
+/**
+ * Tokens a revenue mint creates: revenue * 1e18 / marketValue, rounded down
+ * @param {bigint} revenue Revenue in wei
+ * @param {bigint} marketValue Market value per token in wei
+ */
+function tokensForRevenue(revenue, marketValue) {
+  if (marketValue === 0n) {
+    throw new Error("marketValue must be greater than zero");
+  }
+  return (revenue * 10n ** 18n) / marketValue;
+}
+
+/**
+ * Checks a feed round the way CAPX does
+ * @param {{answer: bigint, updatedAt: bigint}} round Latest round of the feed
+ * @param {object} config CAPX.getPriceOracleConfig()
+ * @param {bigint} now Current block timestamp
+ * @returns {{price: bigint, age: bigint, stale: boolean, outOfBounds: boolean}} `price` has 18 decimals
+ */
+function checkFeedRound(round, config, now) {
+  const answer = BigInt(round.answer);
+  const updatedAt = BigInt(round.updatedAt);
+  const price = answer > 0n ? answer * 10n ** (18n - BigInt(config.feedDecimals)) : 0n;
+  return {
+    price,
+    age: now > updatedAt ? now - updatedAt : 0n,
+    stale: updatedAt === 0n || now > updatedAt + BigInt(config.maxPriceAge),
+    outOfBounds: price < BigInt(config.minPrice) || price > BigInt(config.maxPrice),
+  };
+}
+
+/**
+ * Distance of an explicit market value from the feed price, in basis points of the feed price
+ * (rounded up, so a value CAPX rejects never shows as within the limit)
+ */
+function deviationBps(marketValue, price) {
+  const diff = marketValue > price ? marketValue - price : price - marketValue;
+  return (diff * BPS + price - 1n) / price;
+}
+
+/**
+ * Previews a revenue mint against the chain without sending anything
+ * @param {object} capx CAPX contract with a provider
+ * @param {object} mint
+ * @param {string} mint.to Recipient
+ * @param {bigint} mint.revenue Revenue in wei
+ * @param {bigint} [mint.marketValue] Explicit market value per token in wei (revenueMint);
+ *   omitted to mint at the feed price (revenueMintAtOraclePrice)
+ * @param {bigint|number} mint.epoch Revenue period the mint belongs to
+ * @param {string} mint.referenceHash Hash of the off-chain revenue record
+ * @returns {Promise<object>} `{method, args, feed, price, tokensToMint, epoch, problems, simulation, ok}`.
+ *   `epoch` holds what the epoch has minted and its cap. `problems` lists the checks that would
+ *   make the mint revert; `simulation` is the result of calling the mint from the owner, which
+ *   also catches what the checks here do not (paused, supply cap, blocked recipient)
+ */
+async function previewRevenueMint(capx, { to, revenue, marketValue, epoch, referenceHash }) {
+  const provider = capx.runner.provider || capx.runner;
+  const config = await capx.getPriceOracleConfig();
+  const now = BigInt((await provider.getBlock("latest")).timestamp);
+  const problems = [];
+
+  let feed = null;
+  if (config.feed !== ethers.ZeroAddress) {
+    const aggregator = new ethers.Contract(config.feed, AGGREGATOR_ABI, provider);
+    const [, answer, , updatedAt] = await aggregator.latestRoundData();
+    feed = { address: config.feed, answer, updatedAt, ...checkFeedRound({ answer, updatedAt }, config, now) };
+    if (feed.stale) {
+      problems.push(`feed price is stale: updated ${feed.age}s ago, max ${config.maxPriceAge}s`);
+    }
+    if (feed.outOfBounds) {
+      problems.push(
+        `feed price ${ethers.formatUnits(feed.price, 18)} is outside ` +
+          `[${ethers.formatUnits(config.minPrice, 18)}, ${ethers.formatUnits(config.maxPrice, 18)}]`
+      );
+    }
+  }
+
+  const explicit = marketValue !== undefined && marketValue !== null;
+  let price;
+  if (explicit) {
+    price = BigInt(marketValue);
+    if (feed && feed.price > 0n) {
+      feed.deviationBps = deviationBps(price, feed.price);
+      if (feed.deviationBps > config.maxDeviationBps) {
+        problems.push(`marketValue is ${feed.deviationBps} bps from the feed price, max ${config.maxDeviationBps}`);
+      }
+    }
+  } else {
+    if (!feed) problems.push("no price feed is configured");
+    price = feed ? feed.price : 0n;
+  }
+
+  const tokensToMint = price > 0n ? tokensForRevenue(BigInt(revenue), price) : 0n;
+  if (price > 0n && tokensToMint === 0n) {
+    problems.push("revenue / marketValue rounds down to zero tokens");
+  }
+
+  if (BigInt(referenceHash) === 0n) {
+    problems.push("the reference hash cannot be zero");
+  } else if (await capx.isRevenueReferenceUsed(referenceHash)) {
+    problems.push(`reference ${referenceHash} has already been minted`);
+  }
+  const epochState = {
+    id: BigInt(epoch),
+    minted: await capx.getRevenueEpochMinted(epoch),
+    cap: await capx.getRevenueEpochCap(),
+  };
+  if (epochState.minted + tokensToMint > epochState.cap) {
+    problems.push(
+      `epoch ${epochState.id} would reach ${ethers.formatUnits(epochState.minted + tokensToMint, 18)} ` +
+        `tokens, over its cap of ${ethers.formatUnits(epochState.cap, 18)}`
+    );
+  }
+
+  const method = explicit ? "revenueMint" : "revenueMintAtOraclePrice";
+  const args = explicit
+    ? [to, BigInt(revenue), price, epochState.id, referenceHash]
+    : [to, BigInt(revenue), epochState.id, referenceHash];
+
+  // The owner is a contract, but eth_call does not check signatures
+  const owner = await capx.owner();
+  let simulation;
+  try {
+    await capx.connect(provider)[method].staticCall(...args, { from: owner });
+    simulation = { ok: true };
+  } catch (error) {
+    simulation = { ok: false, error: describeError(capx.interface, error) };
+  }
+
+  return {
+    method,
+    args,
+    owner,
+    config,
+    feed,
+    price,
+    tokensToMint,
+    epoch: epochState,
+    problems,
+    simulation,
+    ok: problems.length === 0 && simulation.ok,
+  };
+}
+
+// Blocks per eth_getLogs request when rebuilding the ledger
+const DEFAULT_LOG_RANGE = 50_000;
+
+const LEDGER_COLUMNS = [
+  "index",
+  "blockNumber",
+  "timestamp",
+  "date",
+  "transactionHash",
+  "epoch",
+  "referenceHash",
+  "to",
+  "revenue",
+  "marketValue",
+  "tokensMinted",
+  "epochMinted",
+];
+
+/**
+ * Rebuilds the revenue-mint ledger from RevenueMint events
+ * @param {object} capx CAPX contract (ethers)
+ * @param {object} [options]
+ * @param {number} [options.fromBlock] First block to scan, ideally the deployment block
+ * @param {number} [options.toBlock] Last block to scan, defaults to the latest block
+ * @param {number} [options.logRange] Blocks per log request
+ * @returns {Promise<Array<object>>} One row per mint in chain order, with LEDGER_COLUMNS as keys.
+ *   `epochMinted` is the epoch's running total after the mint
+ */
+async function readRevenueLedger(capx, options = {}) {
+  const provider = capx.runner.provider || capx.runner;
+  const toBlock = options.toBlock ?? (await provider.getBlockNumber());
+  const logRange = options.logRange || DEFAULT_LOG_RANGE;
+
+  const rows = [];
+  const epochTotals = new Map();
+  const timestamps = new Map();
+  for (let from = options.fromBlock || 0; from <= toBlock; from += logRange) {
+    const to = Math.min(from + logRange - 1, toBlock);
+    const events = await capx.queryFilter(capx.filters.RevenueMint(), from, to);
+    for (const event of events) {
+      if (!timestamps.has(event.blockNumber)) {
+        timestamps.set(event.blockNumber, (await provider.getBlock(event.blockNumber)).timestamp);
+      }
+      const timestamp = timestamps.get(event.blockNumber);
+      const { to: recipient, epoch, referenceHash, revenue, marketValue, tokensMinted } = event.args;
+      const epochMinted = (epochTotals.get(epoch) || 0n) + tokensMinted;
+      epochTotals.set(epoch, epochMinted);
+      rows.push({
+        index: rows.length,
+        blockNumber: event.blockNumber,
+        timestamp,
+        date: new Date(timestamp * 1000).toISOString(),
+        transactionHash: event.transactionHash,
+        epoch,
+        referenceHash,
+        to: recipient,
+        revenue,
+        marketValue,
+        tokensMinted,
+        epochMinted,
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Totals of a ledger per epoch, in order of first mint
+ * @param {Array<object>} rows readRevenueLedger() rows
+ * @returns {Array<{epoch: bigint, mints: number, revenue: bigint, tokensMinted: bigint}>}
+ */
+function summarizeLedger(rows) {
+  const epochs = new Map();
+  for (const row of rows) {
+    const total = epochs.get(row.epoch) || { epoch: row.epoch, mints: 0, revenue: 0n, tokensMinted: 0n };
+    total.mints++;
+    total.revenue += row.revenue;
+    total.tokensMinted += row.tokensMinted;
+    epochs.set(row.epoch, total);
+  }
+  return [...epochs.values()];
+}
+
+/**
+ * Formats ledger rows as CSV with a header row. Amounts stay in wei so the file sums exactly.
+ */
+function ledgerToCsv(rows) {
+  const lines = rows.map((row) => LEDGER_COLUMNS.map((column) => row[column].toString()).join(","));
+  return [LEDGER_COLUMNS.join(","), ...lines].join("\n") + "\n";
+}
+
+function describeError(iface, error) {
+  const data = error.data || (error.info && error.info.error && error.info.error.data);
+  if (data) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) return `${parsed.name}(${parsed.args.join(", ")})`;
+    } catch (parseError) {
+      // Fall through to the message
+    }
+  }
+  return error.shortMessage || error.message;
+}
+
+module.exports = {
+  AGGREGATOR_ABI,
+  DEFAULT_LOG_RANGE,
+  LEDGER_COLUMNS,
+  hashRevenueReport,
+  tokensForRevenue,
+  checkFeedRound,
+  deviationBps,
+  previewRevenueMint,
+  readRevenueLedger,
+  summarizeLedger,
+  ledgerToCsv,
+};
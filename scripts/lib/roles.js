@@ -0,0 +1,120 @@
+// scripts/lib/roles.js
+//
+// Compares the role members of CAPX and AngelSEED with an expected-roles file, for the
+// quarterly access review. Only depends on the standalone ethers package because it is loaded
+// from hardhat.config.js (through tasks/roles.js).
+//
+// The file lists the expected holders of each role per contract:
+//
+//   {
+//     "CAPX": {
+//       "TEAM_MINTER_ROLE": ["0x1111...2222"],
+//       "COMPLIANCE_ROLE": ["0x3333...4444", "0x5555...6666"]
+//     },
+//     "AngelSEED": {
+//       "REWARD_MINTER_ROLE": ["0x7777...8888"]
+//     }
+//   }
+//
+// A role left out of a listed contract is expected to have no members; a contract left out is
+// not audited.
+const { ethers } = require("ethers");
+const { ROLES } = require("./adminCalls");
+
+/**
+ * Parses and validates an expected-roles file
+ * @param {string} text File contents (JSON)
+ * @returns {object} `{[contract]: {[role]: Array<string>}}` with every role of each listed
+ *   contract and checksummed addresses
+ */
+function parseExpectedRoles(text) {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Expected roles file is not valid JSON: ${error.message}`);
+  }
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("Expected roles file must be an object keyed by contract name");
+  }
+
+  const expected = {};
+  for (const [contract, roles] of Object.entries(config)) {
+    if (!ROLES[contract]) {
+      throw new Error(`Unknown contract "${contract}". Expected one of: ${Object.keys(ROLES).join(", ")}`);
+    }
+    if (!roles || typeof roles !== "object" || Array.isArray(roles)) {
+      throw new Error(`${contract} must map role names to address lists`);
+    }
+    expected[contract] = {};
+    for (const role of Object.keys(ROLES[contract])) {
+      expected[contract][role] = [];
+    }
+    for (const [role, members] of Object.entries(roles)) {
+      if (ROLES[contract][role] === undefined) {
+        throw new Error(
+          `Unknown ${contract} role "${role}". Expected one of: ${Object.keys(ROLES[contract]).join(", ")}`
+        );
+      }
+      if (!Array.isArray(members)) {
+        throw new Error(`${contract}.${role} must be a list of addresses`);
+      }
+      members.forEach((member, i) => {
+        if (typeof member !== "string" || !ethers.isAddress(member)) {
+          throw new Error(`${contract}.${role}[${i}]: invalid address ${JSON.stringify(member)}`);
+        }
+        const address = ethers.getAddress(member);
+        if (expected[contract][role].includes(address)) {
+          throw new Error(`${contract}.${role}[${i}]: ${address} is listed twice`);
+        }
+        expected[contract][role].push(address);
+      });
+    }
+  }
+  return expected;
+}
+
+/**
+ * Reads the members of every role of a contract
+ * @param {object} token CAPX or AngelSEED contract (ethers)
+ * @param {string} contractName "CAPX" or "AngelSEED"
+ * @param {object} [overrides] Call overrides, e.g. `{blockTag}`
+ * @returns {Promise<{[role]: Array<string>}>}
+ */
+async function readRoleMembers(token, contractName, overrides = {}) {
+  const members = {};
+  for (const [role, bit] of Object.entries(ROLES[contractName])) {
+    members[role] = [...(await token.roleMembers(bit, overrides))];
+  }
+  return members;
+}
+
+/**
+ * Compares expected and on-chain members of each role
+ * @param {{[role]: Array<string>}} expected Roles of one contract from parseExpectedRoles()
+ * @param {{[role]: Array<string>}} actual Roles of the same contract from readRoleMembers()
+ * @returns {Array<{role: string, expected: Array<string>, members: Array<string>,
+ *   missing: Array<string>, unexpected: Array<string>, ok: boolean}>} One entry per role. `missing` are expected but do
+ *   not hold the role, `unexpected` hold it without being expected
+ */
+function diffRoles(expected, actual) {
+  return Object.keys(expected).map((role) => {
+    const members = actual[role] || [];
+    const missing = expected[role].filter((address) => !members.includes(address));
+    const unexpected = members.filter((address) => !expected[role].includes(address));
+    return {
+      role,
+      expected: expected[role],
+      members,
+      missing,
+      unexpected,
+      ok: missing.length === 0 && unexpected.length === 0,
+    };
+  });
+}
+
+module.exports = {
+  parseExpectedRoles,
+  readRoleMembers,
+  diffRoles,
+};
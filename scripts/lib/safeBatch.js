@@ -0,0 +1,362 @@
+// scripts/lib/safeBatch.js
+//
+// Reads and writes Safe Transaction Builder batch files (https://app.safe.global, "Transaction
+// Builder" app) for admin calls on CAPX, AngelSEED, CAPXVesting and FeeSwapper, and decodes them
+// for signer review.
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { ROLES, ADMIN_ABI, FEE_KINDS, encodeAdminCall } = require("./adminCalls");
+
+const ARTIFACTS_DIR = path.join(__dirname, "..", "..", "artifacts", "contracts");
+const CONTRACTS = ["CAPX", "AngelSEED", "CAPXVesting", "FeeSwapper"];
+
+// Arguments shown with 18 decimals next to their raw value in reviews
+const TOKEN_AMOUNT_ARGS = [
+  "amount",
+  "amounts",
+  "revenue",
+  "marketValue",
+  "budget",
+  "cap",
+  "threshold",
+  "maxTxAmount",
+  "maxWalletAmount",
+];
+
+/**
+ * Converts an ABI-encoded argument to the string form used by contractInputsValues
+ */
+function toInputValue(value) {
+  if (Array.isArray(value)) {
+    return JSON.stringify(value.map((v) => v.toString()));
+  }
+  return value.toString();
+}
+
+/**
+ * Converts an encoded admin call into a Transaction Builder transaction
+ * @param {object} call Result of encodeAdminCall()
+ */
+function toSafeTransaction(call) {
+  const fragment = new ethers.Interface(ADMIN_ABI[call.contract]).getFunction(call.method);
+  const values = fragment.inputs.map((input, i) => [input.name, call.args[i]]);
+
+  return {
+    to: call.to,
+    value: call.value,
+    data: call.data,
+    contractMethod: {
+      inputs: fragment.inputs.map((input) => ({
+        internalType: input.type,
+        name: input.name,
+        type: input.type,
+      })),
+      name: fragment.name,
+      payable: fragment.payable,
+    },
+    contractInputsValues: Object.fromEntries(values),
+  };
+}
+
+/**
+ * Builds a Transaction Builder batch
+ * @param {object} options
+ * @param {number|bigint|string} options.chainId Chain the batch is meant for
+ * @param {Array<object>} options.calls Results of encodeAdminCall()
+ * @param {string} [options.name] Batch name shown in the Safe UI
+ * @param {string} [options.description] Batch description shown in the Safe UI
+ * @param {string} [options.safeAddress] Safe that will execute the batch
+ */
+function buildBatch({ chainId, calls, name, description, safeAddress }) {
+  return {
+    version: "1.0",
+    chainId: String(chainId),
+    createdAt: Date.now(),
+    meta: {
+      name: name || "CAPShield admin batch",
+      description: description || calls.map(describeCall).join("\n"),
+      txBuilderVersion: "1.16.5",
+      createdFromSafeAddress: safeAddress || "",
+      createdFromOwnerAddress: "",
+    },
+    transactions: calls.map(toSafeTransaction),
+  };
+}
+
+/**
+ * Encodes a list of intended admin actions and builds a batch from them
+ * @param {Array<{contract: string, method: string, args?: Array, address?: string}>} actions
+ * @param {object} options Same as buildBatch() plus `addresses`, a map of contract name to
+ *   deployed address used for actions without an explicit `address`
+ */
+function buildBatchFromActions(actions, { addresses = {}, ...options }) {
+  const calls = actions.map((action, i) => {
+    const address = action.address || addresses[action.contract];
+    if (!address) {
+      throw new Error(`Action ${i}: no address for ${action.contract}`);
+    }
+    try {
+      return encodeAdminCall(action.contract, address, action.method, action.args || []);
+    } catch (error) {
+      throw new Error(`Action ${i} (${action.contract}.${action.method}): ${error.message}`);
+    }
+  });
+  return buildBatch({ ...options, calls });
+}
+
+function describeCall(call) {
+  return `${call.contract}.${call.method}(${call.args.join(", ")})`;
+}
+
+/**
+ * Appends calls to a batch file, creating it if needed
+ * @param {string} file Batch file path
+ * @param {number|bigint} chainId Chain the calls are meant for
+ * @param {Array<object>} calls Results of encodeAdminCall()
+ * @returns {object} The batch as written
+ */
+function appendToBatch(file, chainId, calls) {
+  let batch;
+  if (fs.existsSync(file)) {
+    batch = readBatch(file);
+    if (batch.chainId !== String(chainId)) {
+      throw new Error(`Batch ${file} is for chain ${batch.chainId}, not ${chainId}`);
+    }
+    batch.transactions.push(...calls.map(toSafeTransaction));
+    batch.meta.description = [batch.meta.description, ...calls.map(describeCall)]
+      .filter(Boolean)
+      .join("\n");
+  } else {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    batch = buildBatch({ chainId, calls });
+  }
+
+  writeBatch(file, batch);
+  return batch;
+}
+
+/**
+ * Writes a batch file
+ */
+function writeBatch(file, batch) {
+  fs.writeFileSync(file, JSON.stringify(batch, null, 2));
+}
+
+/**
+ * Reads a batch file and checks it has the Transaction Builder shape
+ * @param {string} file Batch file path
+ */
+function readBatch(file) {
+  const batch = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!batch || typeof batch.chainId !== "string" || !Array.isArray(batch.transactions)) {
+    throw new Error(`${file} is not a Safe Transaction Builder batch`);
+  }
+  batch.meta = batch.meta || {};
+  return batch;
+}
+
+/**
+ * Loads the full CAPX, AngelSEED, CAPXVesting and FeeSwapper ABIs from the Hardhat artifacts
+ * @param {string} [artifactsDir] Defaults to artifacts/contracts
+ * @returns {Object<string, ethers.Interface>}
+ */
+function loadInterfaces(artifactsDir = ARTIFACTS_DIR) {
+  return Object.fromEntries(
+    CONTRACTS.map((name) => {
+      const file = path.join(artifactsDir, `${name}.sol`, `${name}.json`);
+      if (!fs.existsSync(file)) {
+        throw new Error(`Missing artifact ${file}. Run \`npx hardhat compile\` first.`);
+      }
+      return [name, new ethers.Interface(JSON.parse(fs.readFileSync(file, "utf8")).abi)];
+    })
+  );
+}
+
+/**
+ * Encodes a transaction that only carries contractMethod and contractInputsValues
+ */
+function encodeFromInputs(tx) {
+  const fragment = ethers.FunctionFragment.from({ type: "function", ...tx.contractMethod });
+  const values = fragment.inputs.map((input) => {
+    const raw = (tx.contractInputsValues || {})[input.name];
+    if (input.type.endsWith("]")) return JSON.parse(raw);
+    if (input.type === "bool") return raw === "true";
+    return raw;
+  });
+  return new ethers.Interface([fragment]).encodeFunctionData(fragment, values);
+}
+
+function roleNames(contractName, bitmap) {
+  const names = Object.entries(ROLES[contractName] || {})
+    .filter(([, role]) => (bitmap & role) !== 0n)
+    .map(([name]) => name);
+  const known = Object.values(ROLES[contractName] || {}).reduce((acc, role) => acc | role, 0n);
+  if ((bitmap & ~known) !== 0n) {
+    names.push(`UNKNOWN(0x${(bitmap & ~known).toString(16)})`);
+  }
+  return names;
+}
+
+function displayArg(contractName, input, value) {
+  if (input.name === "roles") {
+    return `${value} (${roleNames(contractName, value).join(" | ") || "none"})`;
+  }
+  if (input.name === "kind" && contractName === "CAPX") {
+    return `${value} (${FEE_KINDS[Number(value)] || "unknown"})`;
+  }
+  if (TOKEN_AMOUNT_ARGS.includes(input.name)) {
+    const format = (v) => `${v} (${ethers.formatUnits(v, 18)})`;
+    return Array.isArray(value) ? `[${value.map(format).join(", ")}]` : format(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map((v) => v.toString()).join(", ")}]`;
+  }
+  return value.toString();
+}
+
+/**
+ * Decodes every transaction in a batch against the CAPX, AngelSEED, CAPXVesting and FeeSwapper ABIs
+ * @param {object} batch Batch read with readBatch()
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.addresses] Expected contract addresses by name. A call
+ *   to any other address is decoded against every ABI, and flagged as ambiguous when several match
+ * @param {number|string} [options.chainId] Expected chain ID
+ * @param {Object<string, ethers.Interface>} [options.interfaces] Defaults to loadInterfaces()
+ * @returns {{warnings: string[], transactions: Array<object>}}
+ */
+function decodeBatch(batch, { addresses = {}, chainId, interfaces = loadInterfaces() } = {}) {
+  const warnings = [];
+  if (chainId !== undefined && batch.chainId !== String(chainId)) {
+    warnings.push(`Batch is for chain ${batch.chainId}, expected ${chainId}`);
+  }
+
+  const byAddress = {};
+  for (const [name, address] of Object.entries(addresses)) {
+    if (address) byAddress[address.toLowerCase()] = name;
+  }
+
+  const transactions = batch.transactions.map((tx, index) => {
+    const entry = { index, to: tx.to, value: String(tx.value || "0"), warnings: [] };
+
+    if (entry.value !== "0") {
+      entry.warnings.push(`Sends ${ethers.formatEther(entry.value)} native tokens`);
+    }
+
+    // Transaction Builder exports leave data empty and keep the method inputs only
+    const data = tx.data || (tx.contractMethod ? encodeFromInputs(tx) : null);
+    if (!data || data === "0x") {
+      entry.warnings.push("No calldata");
+      return entry;
+    }
+
+    let candidates = Object.keys(interfaces);
+    const knownContract = tx.to && byAddress[tx.to.toLowerCase()];
+    if (knownContract) {
+      candidates = [knownContract];
+    } else if (Object.keys(byAddress).length > 0) {
+      entry.warnings.push("Target is not a known contract address");
+    }
+
+    // Without a known target, every contract whose ABI has the selector is a possible reading
+    const decodings = candidates
+      .map((name) => ({ name, parsed: interfaces[name].parseTransaction({ data }) }))
+      .filter(({ parsed }) => parsed);
+    if (decodings.length > 0) {
+      const [{ parsed }] = decodings;
+      entry.contract = decodings.map(({ name }) => name).join("/");
+      entry.method = parsed.name;
+      entry.signature = parsed.signature;
+      entry.args = parsed.fragment.inputs.map((input, i) => {
+        const displays = decodings.map(({ name }) => displayArg(name, input, parsed.args[i]));
+        const readings = decodings.map(({ name }, j) => `${name}: ${displays[j]}`);
+        return {
+          name: input.name,
+          type: input.type,
+          value: toInputValue(parsed.args[i]),
+          display: new Set(displays).size === 1 ? displays[0] : `ambiguous, ${readings.join("; ")}`,
+        };
+      });
+      if (decodings.length > 1) {
+        entry.warnings.push(
+          `Ambiguous: decodes as ${decodings.map(({ name }) => name).join(", ")}. Pass the contract addresses`
+        );
+      }
+    }
+    if (!entry.method) {
+      entry.warnings.push(`Unknown function selector ${data.slice(0, 10)}`);
+      return entry;
+    }
+
+    // The UI shows contractInputsValues, so they must agree with what is actually executed
+    if (tx.data && tx.contractInputsValues) {
+      for (const arg of entry.args) {
+        const shown = tx.contractInputsValues[arg.name];
+        if (shown !== undefined && String(shown).toLowerCase() !== arg.value.toLowerCase()) {
+          entry.warnings.push(`contractInputsValues.${arg.name} is ${shown} but calldata encodes ${arg.value}`);
+        }
+      }
+    }
+    if (entry.args.some((arg) => arg.type === "address" && arg.value === ethers.ZeroAddress)) {
+      entry.warnings.push("Passes the zero address");
+    }
+    if (entry.args.some((arg) => arg.display.includes("UNKNOWN("))) {
+      entry.warnings.push("Role bitmap contains roles the contract does not define");
+    }
+
+    return entry;
+  });
+
+  return { warnings, transactions };
+}
+
+/**
+ * Formats a decoded batch as a human-readable review
+ * @param {object} batch Batch read with readBatch()
+ * @param {object} decoded Result of decodeBatch()
+ * @returns {string}
+ */
+function formatReview(batch, decoded) {
+  const lines = [];
+  lines.push("==========================================");
+  lines.push(`Safe Batch Review: ${batch.meta.name || "(unnamed)"}`);
+  lines.push("==========================================");
+  lines.push(`Chain ID: ${batch.chainId}`);
+  if (batch.meta.createdFromSafeAddress) {
+    lines.push(`Safe: ${batch.meta.createdFromSafeAddress}`);
+  }
+  lines.push(`Transactions: ${batch.transactions.length}`);
+  for (const warning of decoded.warnings) {
+    lines.push(`⚠️  ${warning}`);
+  }
+  lines.push("");
+
+  for (const tx of decoded.transactions) {
+    lines.push(`#${tx.index + 1} ${tx.contract || "?"}.${tx.method || "?"} → ${tx.to}`);
+    for (const arg of tx.args || []) {
+      lines.push(`    ${arg.name} (${arg.type}): ${arg.display}`);
+    }
+    for (const warning of tx.warnings) {
+      lines.push(`    ⚠️  ${warning}`);
+    }
+  }
+
+  const total =
+    decoded.warnings.length + decoded.transactions.reduce((acc, tx) => acc + tx.warnings.length, 0);
+  lines.push("");
+  lines.push(total === 0 ? "✓ No warnings" : `⚠️  ${total} warning(s), check before signing`);
+  lines.push("==========================================");
+  return lines.join("\n");
+}
+
+module.exports = {
+  toSafeTransaction,
+  buildBatch,
+  buildBatchFromActions,
+  appendToBatch,
+  readBatch,
+  writeBatch,
+  loadInterfaces,
+  decodeBatch,
+  formatReview,
+};
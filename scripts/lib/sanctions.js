@@ -0,0 +1,117 @@
+// scripts/lib/sanctions.js
+//
+// Sanctions list parsing and blocklist diffing for the CAPX and AngelSEED compliance blocklists
+const { ethers } = require("ethers");
+
+// Accounts per setBlocked call, so a large list never runs into the block gas limit
+const DEFAULT_BATCH_SIZE = 200;
+
+// Blocks per eth_getLogs request when rebuilding the on-chain blocklist
+const DEFAULT_LOG_RANGE = 50_000;
+
+/**
+ * Parses a sanctions list: one address per line, or a CSV whose first column is the address.
+ * Blank lines, `#` comments and a header row are ignored; duplicates are merged.
+ * @param {string} text File contents
+ * @returns {{addresses: Array<string>, errors: Array<{line: number, message: string}>}}
+ *   Checksummed addresses in file order
+ */
+function parseSanctionsList(text) {
+  const addresses = [];
+  const errors = [];
+  const seen = new Set();
+
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].replace(/#.*$/, "").trim();
+    if (!line) continue;
+
+    const value = line.split(",")[0].trim();
+    if (i === 0 && !value.startsWith("0x")) continue; // header row
+
+    if (!ethers.isAddress(value)) {
+      errors.push({ line: i + 1, message: `invalid address ${value}` });
+      continue;
+    }
+    if (value.toLowerCase() === ethers.ZeroAddress) {
+      errors.push({ line: i + 1, message: "the zero address cannot be blocked" });
+      continue;
+    }
+    const address = ethers.getAddress(value);
+    if (!seen.has(address)) {
+      seen.add(address);
+      addresses.push(address);
+    }
+  }
+
+  return { addresses, errors };
+}
+
+/**
+ * Rebuilds the set of blocked addresses from BlocklistUpdated events, since the contracts keep
+ * the blocklist in a mapping that cannot be enumerated
+ * @param {object} token CAPX or AngelSEED contract (ethers)
+ * @param {object} [options]
+ * @param {number} [options.fromBlock] First block to scan, ideally the deployment block
+ * @param {number} [options.toBlock] Last block to scan, defaults to the latest block
+ * @param {number} [options.logRange] Blocks per log request
+ * @returns {Promise<Array<string>>} Checksummed addresses that are blocked at `toBlock`
+ */
+async function readBlocklist(token, options = {}) {
+  const provider = token.runner.provider || token.runner;
+  const toBlock = options.toBlock ?? (await provider.getBlockNumber());
+  const logRange = options.logRange || DEFAULT_LOG_RANGE;
+
+  // Later events overwrite earlier ones, so the map ends up holding each address's latest state
+  const state = new Map();
+  for (let from = options.fromBlock || 0; from <= toBlock; from += logRange) {
+    const to = Math.min(from + logRange - 1, toBlock);
+    const events = await token.queryFilter(token.filters.BlocklistUpdated(), from, to);
+    for (const event of events) {
+      state.set(ethers.getAddress(event.args.account), event.args.blocked);
+    }
+  }
+
+  return [...state].filter(([, blocked]) => blocked).map(([account]) => account);
+}
+
+/**
+ * Compares the sanctions list with the on-chain blocklist
+ * @param {Array<string>} listed Addresses that should be blocked
+ * @param {Array<string>} blocked Addresses that are blocked on-chain
+ * @returns {{add: Array<string>, remove: Array<string>}} Addresses to block and to unblock
+ */
+function planBlocklistSync(listed, blocked) {
+  const listedSet = new Set(listed.map((a) => ethers.getAddress(a)));
+  const blockedSet = new Set(blocked.map((a) => ethers.getAddress(a)));
+  return {
+    add: [...listedSet].filter((a) => !blockedSet.has(a)),
+    remove: [...blockedSet].filter((a) => !listedSet.has(a)),
+  };
+}
+
+/**
+ * Turns a sync plan into setBlocked argument lists, `batchSize` accounts per call
+ * @returns {Array<[Array<string>, boolean]>} `[accounts, blocked]` per call, additions first
+ */
+function blocklistCalls({ add, remove }, batchSize = DEFAULT_BATCH_SIZE) {
+  const calls = [];
+  for (const [accounts, blocked] of [
+    [add, true],
+    [remove, false],
+  ]) {
+    for (let i = 0; i < accounts.length; i += batchSize) {
+      calls.push([accounts.slice(i, i + batchSize), blocked]);
+    }
+  }
+  return calls;
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  DEFAULT_LOG_RANGE,
+  parseSanctionsList,
+  readBlocklist,
+  planBlocklistSync,
+  blocklistCalls,
+};
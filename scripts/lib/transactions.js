@@ -0,0 +1,84 @@
+// scripts/lib/transactions.js
+
+// How long a resumed run waits for a transaction recorded by an interrupted run
+const PENDING_TX_TIMEOUT_MS = 5 * 60 * 1000;
+const RECEIPT_POLL_INTERVAL_MS = 3000;
+
+/**
+ * Polls for a transaction receipt (the Hardhat provider has no waitForTransaction)
+ * @param {object} provider ethers provider
+ * @param {string} txHash Transaction hash
+ * @param {number} [timeoutMs] Defaults to PENDING_TX_TIMEOUT_MS
+ * @returns {Promise<object|null>} The receipt, or null if it did not arrive within `timeoutMs`
+ */
+async function waitForReceipt(provider, txHash, timeoutMs = PENDING_TX_TIMEOUT_MS) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (receipt) {
+      return receipt;
+    }
+    await new Promise((resolve) => setTimeout(resolve, RECEIPT_POLL_INTERVAL_MS));
+  }
+  return null;
+}
+
+/**
+ * Sends the transaction of a pipeline step, or picks up the one an interrupted run sent for it.
+ * The nonce is recorded with the hash, so a replacement can never be mined twice.
+ * @param {object} context Step context from DeploymentPipeline.run()
+ * @param {object} signer Sending signer
+ * @param {Function} send `(overrides) => Promise<TransactionResponse>`
+ * @param {Function} log Logger
+ * @returns {Promise<{txHash: string, receipt: object}>}
+ */
+async function sendResumable(context, signer, send, log) {
+  const { provider } = signer;
+  let nonce;
+
+  if (context.pending && context.pending.txHash) {
+    const { txHash } = context.pending;
+    log(`  Found transaction from a previous run: ${txHash}`);
+
+    const tx = await provider.getTransaction(txHash);
+    if (tx) {
+      const receipt = await waitForReceipt(provider, txHash);
+      if (!receipt) {
+        throw new Error(`Transaction ${txHash} is still pending. Wait for it to be mined, then resume again.`);
+      }
+      if (receipt.status === 1) {
+        log("  ✓ Previous transaction was mined");
+        return { txHash, receipt };
+      }
+      log("  ⚠️  Previous transaction reverted, sending again");
+    } else {
+      // Reuse the nonce: if the dropped transaction resurfaces, only one of the two can be mined
+      nonce = context.pending.nonce;
+      if ((await signer.getNonce("latest")) > nonce) {
+        throw new Error(
+          `Transaction ${txHash} is unknown to the node but nonce ${nonce} was already used. ` +
+            "Check the account history before resuming."
+        );
+      }
+      log(`  ⚠️  Previous transaction is unknown to the node, resending with nonce ${nonce}`);
+    }
+  }
+
+  if (nonce === undefined) {
+    nonce = await signer.getNonce("pending");
+  }
+
+  const tx = await send({ nonce });
+
+  // Persist the hash before waiting so an interrupted run never sends twice
+  context.recordPending({ txHash: tx.hash, nonce });
+
+  const receipt = await tx.wait();
+  return { txHash: tx.hash, receipt };
+}
+
+module.exports = {
+  PENDING_TX_TIMEOUT_MS,
+  waitForReceipt,
+  sendResumable,
+};
@@ -0,0 +1,150 @@
+// scripts/lib/vesting.js
+//
+// Spreadsheet parsing and vesting math for CAPX.teamMintVested schedules
+const { ethers } = require("ethers");
+
+const DAY = 24 * 60 * 60;
+
+// Duration suffixes accepted in the spreadsheet; a bare number is a number of days
+const DURATION_UNITS = {
+  d: DAY,
+  w: 7 * DAY,
+  m: 30 * DAY,
+  y: 365 * DAY,
+};
+
+const COLUMNS = ["beneficiary", "amount", "start", "cliff", "duration", "revocable"];
+
+/**
+ * Parses a duration such as "90", "90d", "6m" or "4y" into seconds
+ * @param {string} text Duration; a bare number is days, m is 30 days and y is 365 days
+ * @returns {bigint} Seconds
+ */
+function parseDuration(text) {
+  const match = /^(\d+)\s*([dwmy]?)$/i.exec(String(text).trim());
+  if (!match) {
+    throw new Error(`invalid duration ${text}`);
+  }
+  return BigInt(match[1]) * BigInt(DURATION_UNITS[(match[2] || "d").toLowerCase()]);
+}
+
+/**
+ * Parses a start date: unix seconds or anything Date.parse reads as UTC (e.g. 2026-01-01)
+ * @returns {bigint} Unix seconds
+ */
+function parseStart(text) {
+  const value = String(text).trim();
+  if (/^\d+$/.test(value)) {
+    return BigInt(value);
+  }
+  const ms = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`invalid start ${text}`);
+  }
+  return BigInt(Math.floor(ms / 1000));
+}
+
+function parseRevocable(text) {
+  const value = String(text || "").trim().toLowerCase();
+  if (value === "" || value === "false" || value === "no") return false;
+  if (value === "true" || value === "yes") return true;
+  throw new Error(`invalid revocable ${text}`);
+}
+
+/**
+ * Parses a vesting spreadsheet exported as CSV with the columns
+ * `beneficiary,amount,start,cliff,duration,revocable` (revocable may be left empty).
+ * Blank lines, `#` comments and a header row are ignored.
+ * @param {string} text CSV contents
+ * @param {object} [options]
+ * @param {"tokens"|"wei"} [options.units] How to read amounts: decimal token amounts (default) or wei
+ * @returns {{schedules: Array<{line: number, beneficiary: string, amount: bigint, start: bigint,
+ *   cliff: bigint, duration: bigint, revocable: boolean}>, errors: Array<{line: number, message: string}>}}
+ */
+function parseSchedules(text, { units = "tokens" } = {}) {
+  if (units !== "tokens" && units !== "wei") {
+    throw new Error(`Unknown units "${units}". Expected "tokens" or "wei".`);
+  }
+
+  const schedules = [];
+  const errors = [];
+  let firstRow = true;
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const row = raw.trim();
+    if (!row || row.startsWith("#")) {
+      return;
+    }
+
+    const cells = row.split(",").map((cell) => cell.trim());
+    const isHeader = firstRow && !cells[0].toLowerCase().startsWith("0x");
+    firstRow = false;
+    if (isHeader) {
+      return;
+    }
+    if (cells.length < COLUMNS.length - 1 || cells.length > COLUMNS.length) {
+      errors.push({ line, message: `expected columns: ${COLUMNS.join(",")}` });
+      return;
+    }
+
+    const [beneficiary, amountText, startText, cliffText, durationText, revocableText] = cells;
+    try {
+      // Same rules as CAPX.teamMintVested and CAPXVesting.createSchedule
+      if (!ethers.isAddress(beneficiary)) throw new Error(`invalid address ${beneficiary}`);
+      if (beneficiary.toLowerCase() === ethers.ZeroAddress) throw new Error("ZeroAddress");
+
+      let amount;
+      try {
+        amount = units === "wei" ? BigInt(amountText) : ethers.parseUnits(amountText, 18);
+      } catch {
+        throw new Error(`invalid amount ${amountText}`);
+      }
+      if (amount <= 0n) throw new Error("InvalidAmount");
+
+      const start = parseStart(startText);
+      const cliff = parseDuration(cliffText);
+      const duration = parseDuration(durationText);
+      if (duration === 0n || cliff > duration) {
+        throw new Error("InvalidSchedule: duration must be positive and at least the cliff");
+      }
+
+      schedules.push({
+        line,
+        beneficiary: ethers.getAddress(beneficiary),
+        amount,
+        start,
+        cliff,
+        duration,
+        revocable: parseRevocable(revocableText),
+      });
+    } catch (error) {
+      errors.push({ line, message: error.message });
+    }
+  });
+
+  return { schedules, errors };
+}
+
+/**
+ * Mirrors CAPXVesting's vesting formula
+ * @param {{amount: bigint, start: bigint, cliff: bigint, duration: bigint, revoked?: boolean}} schedule
+ * @param {bigint|number} timestamp Unix seconds
+ * @returns {bigint} Vested amount
+ */
+function vestedAt(schedule, timestamp) {
+  const t = BigInt(timestamp);
+  const start = BigInt(schedule.start);
+  if (schedule.revoked) return BigInt(schedule.amount);
+  if (t < start + BigInt(schedule.cliff)) return 0n;
+  if (t >= start + BigInt(schedule.duration)) return BigInt(schedule.amount);
+  return (BigInt(schedule.amount) * (t - start)) / BigInt(schedule.duration);
+}
+
+module.exports = {
+  COLUMNS,
+  parseDuration,
+  parseStart,
+  parseSchedules,
+  vestedAt,
+};
@@ -0,0 +1,134 @@
+// scripts/revenue-ledger.js
+//
+// Rebuilds the CAPX revenue-mint ledger from RevenueMint events and writes it as CSV: one row per
+// mint with its block, transaction, epoch, reference hash, recipient, amounts and the epoch's
+// running total. Prints a summary per epoch and checks the row count against the on-chain ledger.
+//
+//   HARDHAT_NETWORK=bscMainnet node scripts/revenue-ledger.js
+//   HARDHAT_NETWORK=bscMainnet node scripts/revenue-ledger.js --epoch 20264 --out q4-2026.csv
+//
+// Options:
+//   --capx <address>    CAPX address (defaults to the latest deployment on this network)
+//   --from-block <n>    First block to read RevenueMint events from (default 0; pass the
+//                       deployment block on RPCs that limit log queries)
+//   --to-block <n>      Last block to read (default latest)
+//   --epoch <id>        Only write the mints of this epoch
+//   --out <file>        CSV file (default deployments/revenue-ledger-<network>-<timestamp>.csv)
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { findDeployedAddress } = require("./lib/adminCalls");
+const { readRevenueLedger, summarizeLedger, ledgerToCsv } = require("./lib/revenue");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+/**
+ * Reads the command line, falling back to LEDGER_* environment variables
+ * (`npx hardhat run` does not forward script arguments)
+ */
+function parseArgs(argv) {
+  const args = {
+    capx: process.env.LEDGER_CAPX || "",
+    fromBlock: process.env.LEDGER_FROM_BLOCK || "0",
+    toBlock: process.env.LEDGER_TO_BLOCK || "",
+    epoch: process.env.LEDGER_EPOCH || "",
+    out: process.env.LEDGER_OUT || "",
+  };
+  const flags = {
+    "--capx": "capx",
+    "--from-block": "fromBlock",
+    "--to-block": "toBlock",
+    "--epoch": "epoch",
+    "--out": "out",
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (flags[argv[i]]) {
+      const value = argv[i + 1];
+      if (!value || value.startsWith("--")) {
+        throw new Error(`${argv[i]} requires a value`);
+      }
+      args[flags[argv[i]]] = value;
+      i++;
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+/**
+ * Writes the revenue-mint ledger as CSV
+ * @param {object} [options] Command-line options as returned by parseArgs()
+ * @param {string} [options.deploymentsDir] Where deployment info is read from and the CSV goes
+ * @param {Function} [options.log] Logger, defaults to console.log
+ * @returns {Promise<{rows: Array<object>, epochs: Array<object>, out: string}>} Rows written
+ *   (filtered by epoch) and the per-epoch totals of the whole ledger
+ */
+async function revenueLedger(options = {}) {
+  const log = options.log || console.log;
+  const deploymentsDir = options.deploymentsDir || DEPLOYMENTS_DIR;
+
+  for (const [key, flag] of [
+    ["fromBlock", "--from-block"],
+    ["toBlock", "--to-block"],
+    ["epoch", "--epoch"],
+  ]) {
+    if (options[key] && !/^\d+$/.test(String(options[key]))) {
+      throw new Error(`${flag} must be a whole number, got "${options[key]}"`);
+    }
+  }
+
+  const address = options.capx || findDeployedAddress(deploymentsDir, network.name, "CAPX");
+  if (!address) {
+    throw new Error(`No CAPX address for ${network.name}. Pass --capx.`);
+  }
+  const capx = await ethers.getContractAt("CAPX", address);
+
+  const allRows = await readRevenueLedger(capx, {
+    fromBlock: Number(options.fromBlock || 0),
+    toBlock: options.toBlock ? Number(options.toBlock) : undefined,
+  });
+  const rows = options.epoch ? allRows.filter((row) => row.epoch === BigInt(options.epoch)) : allRows;
+  const epochs = summarizeLedger(allRows);
+
+  log("==========================================");
+  log("CAPX Revenue Mint Ledger");
+  log("==========================================");
+  log("Network:", network.name);
+  log("CAPX:", capx.target);
+  for (const epoch of epochs) {
+    log(
+      `Epoch ${epoch.epoch}: ${epoch.mints} mint(s), revenue ${ethers.formatUnits(epoch.revenue, 18)}, ` +
+        `${ethers.formatUnits(epoch.tokensMinted, 18)} CAPX`
+    );
+  }
+  log("------------------------------------------");
+
+  // Without --to-block the events cover the whole on-chain ledger unless --from-block was too late
+  const onChain = await capx.getRevenueMintCount();
+  if (!options.toBlock && BigInt(allRows.length) !== onChain) {
+    log(`✗ Found ${allRows.length} RevenueMint event(s), but CAPX records ${onChain} mint(s); lower --from-block`);
+  }
+
+  const out = options.out || path.join(deploymentsDir, `revenue-ledger-${network.name}-${Date.now()}.csv`);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, ledgerToCsv(rows));
+  log(`✓ ${rows.length} mint(s) written to:`, out);
+
+  return { rows, epochs, out };
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => revenueLedger(parseArgs(process.argv.slice(2))))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  revenueLedger,
+  parseArgs,
+};
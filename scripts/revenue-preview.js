@@ -0,0 +1,176 @@
+// scripts/revenue-preview.js
+//
+// Previews a CAPX revenue mint before the multisig signs it: the feed price and its checks,
+// the tokens the mint would create, and a simulation of the call from the owner.
+//
+//   HARDHAT_NETWORK=bscMainnet node scripts/revenue-preview.js --to 0x... --revenue 125000 --epoch 20264 --report q4.pdf
+//   HARDHAT_NETWORK=bscMainnet node scripts/revenue-preview.js --to 0x... --revenue 125000 --market-value 0.42 \
+//     --epoch 20264 --reference 0x...
+//
+// Amounts are in whole units of the revenue currency (18 decimals). Without --market-value the
+// preview is for revenueMintAtOraclePrice; with it, for revenueMint, which must stay within the
+// configured deviation from the feed price. The reference must not have been minted before and
+// the epoch must stay within its cap. Exits with status 1 if the mint would revert.
+//
+// Options:
+//   --to <address>          Recipient of the minted CAPX
+//   --revenue <amount>      Revenue the mint is based on
+//   --market-value <price>  Explicit market value per CAPX (optional)
+//   --epoch <id>            Revenue period the mint belongs to
+//   --reference <hash>      Hash of the revenue record the mint is based on
+//   --report <file>         Revenue report to hash into the reference instead (keccak256 of the file)
+//   --capx <address>        CAPX address (defaults to the latest deployment on this network)
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { findDeployedAddress } = require("./lib/adminCalls");
+const { hashRevenueReport, previewRevenueMint } = require("./lib/revenue");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+/**
+ * Reads the command line, falling back to REVENUE_* environment variables
+ * (`npx hardhat run` does not forward script arguments)
+ */
+function parseArgs(argv) {
+  const args = {
+    to: process.env.REVENUE_TO || "",
+    revenue: process.env.REVENUE_AMOUNT || "",
+    marketValue: process.env.REVENUE_MARKET_VALUE || "",
+    epoch: process.env.REVENUE_EPOCH || "",
+    reference: process.env.REVENUE_REFERENCE || "",
+    report: process.env.REVENUE_REPORT || "",
+    capx: process.env.REVENUE_CAPX || "",
+  };
+  const flags = {
+    "--to": "to",
+    "--revenue": "revenue",
+    "--market-value": "marketValue",
+    "--epoch": "epoch",
+    "--reference": "reference",
+    "--report": "report",
+    "--capx": "capx",
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (flags[argv[i]]) {
+      const value = argv[i + 1];
+      if (!value || value.startsWith("--")) {
+        throw new Error(`${argv[i]} requires a value`);
+      }
+      args[flags[argv[i]]] = value;
+      i++;
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+/**
+ * Prints a revenue-mint preview
+ * @param {object} options
+ * @param {string} options.to Recipient
+ * @param {string} options.revenue Revenue in whole units
+ * @param {string} [options.marketValue] Explicit market value per token in whole units
+ * @param {string} options.epoch Revenue period
+ * @param {string} [options.reference] Reference hash
+ * @param {string} [options.report] Report file to hash into the reference instead
+ * @param {string} [options.capx] CAPX address
+ * @param {Function} [options.log] Logger, defaults to console.log
+ * @returns {Promise<object>} Result of previewRevenueMint()
+ */
+async function preview(options) {
+  const log = options.log || console.log;
+  if (!options.to || !ethers.isAddress(options.to)) {
+    throw new Error(`--to must be an address, got "${options.to || ""}"`);
+  }
+  if (!options.revenue) {
+    throw new Error("--revenue is required");
+  }
+  if (!/^\d+$/.test(String(options.epoch || ""))) {
+    throw new Error(`--epoch must be a whole number, got "${options.epoch || ""}"`);
+  }
+  if (!options.reference === !options.report) {
+    throw new Error("Pass either --reference or --report");
+  }
+  const referenceHash = options.report ? hashRevenueReport(fs.readFileSync(options.report)) : options.reference;
+  if (!ethers.isHexString(referenceHash, 32)) {
+    throw new Error(`--reference must be a 32-byte hex string, got "${referenceHash}"`);
+  }
+  const revenue = ethers.parseUnits(String(options.revenue), 18);
+  const marketValue = options.marketValue ? ethers.parseUnits(String(options.marketValue), 18) : undefined;
+
+  const address = options.capx || findDeployedAddress(DEPLOYMENTS_DIR, network.name, "CAPX");
+  if (!address) {
+    throw new Error(`No CAPX address for ${network.name}. Pass --capx.`);
+  }
+  const capx = await ethers.getContractAt("CAPX", address);
+  const result = await previewRevenueMint(capx, {
+    to: options.to,
+    revenue,
+    marketValue,
+    epoch: BigInt(options.epoch),
+    referenceHash,
+  });
+  const { feed, config, epoch } = result;
+
+  log("==========================================");
+  log("CAPX Revenue Mint Preview");
+  log("==========================================");
+  log("Network:", network.name);
+  log("CAPX:", capx.target);
+  log("Call:", `${result.method}(${result.args.join(", ")})`);
+  log("Revenue:", ethers.formatUnits(revenue, 18));
+  log("Reference:", referenceHash, options.report ? `(${path.basename(options.report)})` : "");
+  log(
+    `Epoch ${epoch.id}:`,
+    `${ethers.formatUnits(epoch.minted, 18)} of ${ethers.formatUnits(epoch.cap, 18)} CAPX minted so far`
+  );
+  if (feed) {
+    log("Price feed:", feed.address);
+    log("  Price:", ethers.formatUnits(feed.price, 18), `(updated ${feed.age}s ago, max ${config.maxPriceAge}s)`);
+    log("  Band:", `${ethers.formatUnits(config.minPrice, 18)} - ${ethers.formatUnits(config.maxPrice, 18)}`);
+    if (feed.deviationBps !== undefined) {
+      log("  Market value deviation:", `${feed.deviationBps} bps (max ${config.maxDeviationBps})`);
+    }
+  } else {
+    log("Price feed: none");
+  }
+  log("Market value:", ethers.formatUnits(result.price, 18));
+  log("Tokens to mint:", ethers.formatUnits(result.tokensToMint, 18), "CAPX");
+  log("------------------------------------------");
+  for (const problem of result.problems) {
+    log(`✗ ${problem}`);
+  }
+  if (result.simulation.ok) {
+    log(`✓ Simulated from the owner (${result.owner}): succeeds`);
+  } else {
+    log(`✗ Simulated from the owner (${result.owner}): reverts with ${result.simulation.error}`);
+  }
+  log("==========================================");
+  if (result.ok) {
+    const [to, wei] = result.args;
+    const ledger = `--epoch ${epoch.id} --reference ${referenceHash}`;
+    log(
+      result.method === "revenueMint"
+        ? `npx hardhat capx:revenue-mint --network ${network.name} --to ${to} --revenue ${wei} --market-value ${result.price} ${ledger}`
+        : `npx hardhat capx:revenue-mint-oracle --network ${network.name} --to ${to} --revenue ${wei} ${ledger}`
+    );
+  }
+  return result;
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => preview(parseArgs(process.argv.slice(2))))
+    .then((result) => process.exit(result.ok ? 0 : 1))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  preview,
+  parseArgs,
+};
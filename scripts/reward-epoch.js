@@ -0,0 +1,145 @@
+// scripts/reward-epoch.js
+//
+// Builds the Merkle tree of an AngelSEED reward epoch from a CSV of `address,amount` rows and
+// writes the root, budget, per-account proofs and claim calldata to a JSON file.
+//
+//   node scripts/reward-epoch.js <rewards.csv> --epoch <id> --out <proofs.json> [options]
+//
+// Options:
+//   --epoch <id>      ID that publishRewardEpoch will return (rewardEpochCount() + 1)
+//   --out <file>      Proofs file to write
+//   --units <u>       "tokens" (default, decimal amounts) or "wei"
+//   --reason <text>   Also encode the publishRewardEpoch call for the REWARD_MINTER_ROLE holder
+//
+// Publishing goes through the multisig like any other admin call, e.g. with
+// `npx hardhat seed:publish-epoch --root <merkleRoot> --budget <budget> --reason <text>`.
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { parseRecipients } = require("./lib/airdrop");
+const { buildRewardTree } = require("./lib/merkle");
+const { requireReason } = require("./lib/adminCalls");
+
+const REWARD_ABI = new ethers.Interface([
+  "function publishRewardEpoch(bytes32 merkleRoot, uint256 budget, string reason)",
+  "function claimReward(uint256 epochId, address account, uint256 amount, bytes32[] proof)",
+]);
+
+const OPTIONS = {
+  "--epoch": "epoch",
+  "--out": "out",
+  "--units": "units",
+  "--reason": "reason",
+};
+
+function parseArgs(argv) {
+  const args = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (OPTIONS[argv[i]]) {
+      const value = argv[i + 1];
+      if (!value || value.startsWith("--")) {
+        throw new Error(`${argv[i]} requires a value`);
+      }
+      args[OPTIONS[argv[i]]] = value;
+      i++;
+    } else if (argv[i].startsWith("--")) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+/**
+ * Builds the contents of a proofs file
+ * @param {Array<{address: string, amount: bigint}>} recipients Result of parseRecipients().recipients
+ * @param {object} options
+ * @param {number|string|bigint} options.epochId Epoch the claims are for
+ * @param {string} [options.reason] Epoch reason; adds the publishRewardEpoch calldata
+ * @returns {object} JSON-serializable epoch file
+ */
+function buildEpochFile(recipients, { epochId, reason }) {
+  const epoch = BigInt(epochId);
+  if (epoch === 0n) {
+    throw new Error("Epoch IDs start at 1");
+  }
+
+  const tree = buildRewardTree(recipients);
+  const file = {
+    epochId: epoch.toString(),
+    merkleRoot: tree.root,
+    budget: tree.total.toString(),
+  };
+
+  if (reason !== undefined) {
+    file.reason = requireReason(reason);
+    file.publishCalldata = REWARD_ABI.encodeFunctionData("publishRewardEpoch", [tree.root, tree.total, reason]);
+  }
+
+  file.claims = Object.fromEntries(
+    tree.claims.map((claim) => [
+      claim.address,
+      {
+        amount: claim.amount.toString(),
+        proof: claim.proof,
+        calldata: REWARD_ABI.encodeFunctionData("claimReward", [epoch, claim.address, claim.amount, claim.proof]),
+      },
+    ])
+  );
+
+  return file;
+}
+
+/**
+ * Runs the CLI
+ * @param {string[]} argv Arguments after `node scripts/reward-epoch.js`
+ * @param {Function} [log] Logger, defaults to console.log
+ * @returns {number} Process exit code
+ */
+function main(argv, log = console.log) {
+  const args = parseArgs(argv);
+  const [csv] = args.positional;
+  if (!csv || !args.out || !args.epoch) {
+    throw new Error("Usage: reward-epoch.js <rewards.csv> --epoch <id> --out <proofs.json>");
+  }
+
+  const { recipients, duplicates, errors } = parseRecipients(fs.readFileSync(csv, "utf8"), { units: args.units });
+  if (errors.length > 0) {
+    throw new Error(
+      `${csv} has ${errors.length} invalid row(s):\n${errors.map((e) => `  line ${e.line}: ${e.message}`).join("\n")}`
+    );
+  }
+  // A duplicate would be a second leaf for the same account, which claimReward can never pay out
+  if (duplicates.length > 0) {
+    throw new Error(
+      `${csv} lists ${duplicates.length} account(s) more than once:\n` +
+        duplicates.map((d) => `  line ${d.line}: ${d.address} (first seen on line ${d.firstLine})`).join("\n")
+    );
+  }
+  if (recipients.length === 0) {
+    throw new Error(`${csv} has no recipients`);
+  }
+
+  const file = buildEpochFile(recipients, { epochId: args.epoch, reason: args.reason });
+  fs.writeFileSync(args.out, JSON.stringify(file, null, 2));
+
+  log(`✓ Wrote ${recipients.length} claim(s) for epoch ${file.epochId} to ${args.out}`);
+  log(`  Merkle root: ${file.merkleRoot}`);
+  log(`  Budget:      ${file.budget} (${ethers.formatUnits(file.budget, 18)} SEED)`);
+  return 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exit(main(process.argv.slice(2)));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  main,
+  parseArgs,
+  buildEpochFile,
+};
@@ -0,0 +1,142 @@
+// scripts/safe-batch.js
+//
+// Builds and reviews Safe Transaction Builder batches for CAPX and AngelSEED admin calls.
+//
+//   node scripts/safe-batch.js build <actions.json> --out <batch.json> [options]
+//   node scripts/safe-batch.js review <batch.json> [options]
+//
+// Options:
+//   --deployment <file>  Deployment info written by scripts/deploy.js (chain ID + token addresses)
+//   --chain-id <id>      Chain ID (overrides --deployment)
+//   --capx <address>     CAPX address (overrides --deployment)
+//   --seed <address>     AngelSEED address (overrides --deployment)
+//   --vesting <address>  CAPXVesting address (overrides --deployment)
+//   --swapper <address>  FeeSwapper address (overrides --deployment)
+//   --safe <address>     Safe that will execute the batch (build only)
+//   --name <text>        Batch name shown in the Safe UI (build only)
+//
+// The actions file is a JSON array such as:
+//   [{ "contract": "CAPX", "method": "grantRoles", "args": ["0x...", "TEAM_MINTER_ROLE"] }]
+const fs = require("fs");
+const safeBatch = require("./lib/safeBatch");
+
+const OPTIONS = {
+  "--deployment": "deployment",
+  "--chain-id": "chainId",
+  "--capx": "capx",
+  "--seed": "seed",
+  "--vesting": "vesting",
+  "--swapper": "swapper",
+  "--safe": "safe",
+  "--name": "name",
+  "--out": "out",
+};
+
+function parseArgs(argv) {
+  const args = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (OPTIONS[argv[i]]) {
+      const value = argv[i + 1];
+      if (!value || value.startsWith("--")) {
+        throw new Error(`${argv[i]} requires a value`);
+      }
+      args[OPTIONS[argv[i]]] = value;
+      i++;
+    } else if (argv[i].startsWith("--")) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+/**
+ * Resolves the chain ID and token addresses from --deployment and the explicit flags
+ */
+function resolveTarget(args) {
+  let chainId;
+  const addresses = {};
+
+  if (args.deployment) {
+    const info = JSON.parse(fs.readFileSync(args.deployment, "utf8"));
+    chainId = info.chainId;
+    addresses.CAPX = info.contracts.CAPX.address;
+    addresses.AngelSEED = info.contracts.AngelSEED.address;
+    if (info.contracts.CAPXVesting) addresses.CAPXVesting = info.contracts.CAPXVesting.address;
+    if (info.contracts.FeeSwapper) addresses.FeeSwapper = info.contracts.FeeSwapper.address;
+  }
+  if (args.chainId) chainId = args.chainId;
+  if (args.capx) addresses.CAPX = args.capx;
+  if (args.seed) addresses.AngelSEED = args.seed;
+  if (args.vesting) addresses.CAPXVesting = args.vesting;
+  if (args.swapper) addresses.FeeSwapper = args.swapper;
+
+  return { chainId, addresses };
+}
+
+/**
+ * Runs the CLI
+ * @param {string[]} argv Arguments after `node scripts/safe-batch.js`
+ * @param {Function} [log] Logger, defaults to console.log
+ * @returns {number} Process exit code (1 when a review has warnings)
+ */
+function main(argv, log = console.log) {
+  const args = parseArgs(argv);
+  const [command, file] = args.positional;
+  const { chainId, addresses } = resolveTarget(args);
+
+  if (command === "build") {
+    if (!file || !args.out) {
+      throw new Error("Usage: safe-batch.js build <actions.json> --out <batch.json>");
+    }
+    if (chainId === undefined) {
+      throw new Error("Chain ID unknown. Pass --chain-id or --deployment.");
+    }
+
+    const actions = JSON.parse(fs.readFileSync(file, "utf8"));
+    const batch = safeBatch.buildBatchFromActions(actions, {
+      chainId,
+      addresses,
+      name: args.name,
+      safeAddress: args.safe,
+    });
+    safeBatch.writeBatch(args.out, batch);
+    log(`✓ Wrote ${batch.transactions.length} transaction(s) to ${args.out}`);
+    log("");
+
+    // Show signers exactly what the file will execute
+    log(safeBatch.formatReview(batch, safeBatch.decodeBatch(batch, { addresses, chainId })));
+    return 0;
+  }
+
+  if (command === "review") {
+    if (!file) {
+      throw new Error("Usage: safe-batch.js review <batch.json>");
+    }
+
+    const batch = safeBatch.readBatch(file);
+    const decoded = safeBatch.decodeBatch(batch, { addresses, chainId });
+    log(safeBatch.formatReview(batch, decoded));
+
+    const hasWarnings =
+      decoded.warnings.length > 0 || decoded.transactions.some((tx) => tx.warnings.length > 0);
+    return hasWarnings ? 1 : 0;
+  }
+
+  throw new Error(`Unknown command "${command}". Expected "build" or "review".`);
+}
+
+if (require.main === module) {
+  try {
+    process.exit(main(process.argv.slice(2)));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  main,
+  parseArgs,
+};
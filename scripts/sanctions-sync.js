@@ -0,0 +1,212 @@
+// scripts/sanctions-sync.js
+//
+// Compares a local sanctions list with the CAPX and AngelSEED blocklists and produces the
+// setBlocked calls that bring them in line: listed addresses that are not blocked yet are added,
+// blocked addresses that are no longer listed are removed.
+//
+//   HARDHAT_NETWORK=bscMainnet node scripts/sanctions-sync.js --list sanctions.txt
+//   HARDHAT_NETWORK=bscMainnet node scripts/sanctions-sync.js --list sanctions.txt --send
+//
+// The list has one address per line (or a CSV whose first column is the address); blank lines,
+// `#` comments and a header row are ignored.
+//
+// Options:
+//   --list <file>         Sanctions list
+//   --tokens <names>      Comma-separated tokens to sync (default "CAPX,AngelSEED")
+//   --capx <address>      CAPX address (defaults to the latest deployment on this network)
+//   --angelseed <addr>    AngelSEED address (defaults to the latest deployment on this network)
+//   --from-block <n>      First block to read BlocklistUpdated events from (default 0; pass the
+//                         deployment block on RPCs that limit log queries)
+//   --batch-size <n>      Accounts per setBlocked call (default 200)
+//   --out <file>          Batch file for the compliance Safe (default deployments/sanctions-batch-*)
+//   --send                Send the calls with the first Hardhat signer, which must hold
+//                         COMPLIANCE_ROLE, instead of writing a batch
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { findDeployedAddress, encodeAdminCall } = require("./lib/adminCalls");
+const { buildBatch, writeBatch } = require("./lib/safeBatch");
+const {
+  DEFAULT_BATCH_SIZE,
+  parseSanctionsList,
+  readBlocklist,
+  planBlocklistSync,
+  blocklistCalls,
+} = require("./lib/sanctions");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+const TOKENS = ["CAPX", "AngelSEED"];
+
+/**
+ * Reads the command line, falling back to SANCTIONS_* environment variables
+ * (`npx hardhat run` does not forward script arguments)
+ */
+function parseArgs(argv) {
+  const args = {
+    list: process.env.SANCTIONS_LIST || "",
+    tokens: process.env.SANCTIONS_TOKENS || TOKENS.join(","),
+    capx: process.env.SANCTIONS_CAPX || "",
+    angelseed: process.env.SANCTIONS_ANGELSEED || "",
+    fromBlock: process.env.SANCTIONS_FROM_BLOCK || "0",
+    batchSize: process.env.SANCTIONS_BATCH_SIZE || String(DEFAULT_BATCH_SIZE),
+    out: process.env.SANCTIONS_OUT || "",
+    send: process.env.SANCTIONS_SEND === "true",
+  };
+  const flags = {
+    "--list": "list",
+    "--tokens": "tokens",
+    "--capx": "capx",
+    "--angelseed": "angelseed",
+    "--from-block": "fromBlock",
+    "--batch-size": "batchSize",
+    "--out": "out",
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--send") {
+      args.send = true;
+    } else if (flags[argv[i]]) {
+      const value = argv[i + 1];
+      if (!value || value.startsWith("--")) {
+        throw new Error(`${argv[i]} requires a value`);
+      }
+      args[flags[argv[i]]] = value;
+      i++;
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+function parseTokens(value) {
+  const names = String(value).split(",").map((s) => s.trim()).filter(Boolean);
+  for (const name of names) {
+    if (!TOKENS.includes(name)) {
+      throw new Error(`Unknown token "${name}". Expected one of: ${TOKENS.join(", ")}`);
+    }
+  }
+  if (names.length === 0) {
+    throw new Error("No tokens to sync");
+  }
+  return names;
+}
+
+/**
+ * Brings the blocklists in line with a sanctions list
+ * @param {object} options
+ * @param {string} options.list Sanctions list file
+ * @param {string|Array<string>} [options.tokens] Tokens to sync, defaults to both
+ * @param {string} [options.capx] CAPX address
+ * @param {string} [options.angelseed] AngelSEED address
+ * @param {number|string} [options.fromBlock] First block to read BlocklistUpdated events from
+ * @param {number|string} [options.batchSize] Accounts per setBlocked call
+ * @param {boolean} [options.send] Send with `signer` instead of writing a Safe batch
+ * @param {string} [options.out] Batch file path
+ * @param {object} [options.signer] COMPLIANCE_ROLE holder, defaults to the first Hardhat signer
+ * @param {string} [options.deploymentsDir] Where the batch file goes
+ * @param {Function} [options.log] Logger, defaults to console.log
+ * @returns {Promise<{plans: object, calls: Array<object>, batchPath?: string, txHashes?: Array<string>}>}
+ */
+async function syncBlocklist(options) {
+  const log = options.log || console.log;
+  const deploymentsDir = options.deploymentsDir || DEPLOYMENTS_DIR;
+  const names = Array.isArray(options.tokens) ? options.tokens : parseTokens(options.tokens || TOKENS.join(","));
+  const fromBlock = Number(options.fromBlock || 0);
+  const batchSize = Number(options.batchSize || DEFAULT_BATCH_SIZE);
+  if (!Number.isInteger(batchSize) || batchSize <= 0) {
+    throw new Error(`batch size must be a positive integer, got ${options.batchSize}`);
+  }
+
+  const { addresses: listed, errors } = parseSanctionsList(fs.readFileSync(options.list, "utf8"));
+  if (errors.length > 0) {
+    const lines = errors.map((e) => `  line ${e.line}: ${e.message}`);
+    throw new Error(`${options.list} has ${errors.length} invalid line(s):\n${lines.join("\n")}`);
+  }
+
+  const signer = options.send ? options.signer || (await ethers.getSigners())[0] : undefined;
+  const chainId = (await ethers.provider.getNetwork()).chainId;
+
+  log("==========================================");
+  log("Sanctions Blocklist Sync");
+  log("==========================================");
+  log("Network:", network.name);
+  log("List:", options.list);
+  log("Listed addresses:", listed.length);
+
+  const plans = {};
+  const calls = [];
+  for (const name of names) {
+    const address = options[name.toLowerCase()] || findDeployedAddress(DEPLOYMENTS_DIR, network.name, name);
+    if (!address) {
+      throw new Error(`No ${name} address for ${network.name}. Pass --${name.toLowerCase()}.`);
+    }
+    const token = await ethers.getContractAt(name, address);
+
+    // Check the role up front so a send never stops halfway through the tokens
+    if (signer && !(await token.hasRole(await token.COMPLIANCE_ROLE(), signer.address))) {
+      throw new Error(`${signer.address} does not have COMPLIANCE_ROLE on ${name} (${address})`);
+    }
+
+    const blocked = await readBlocklist(token, { fromBlock });
+    const plan = planBlocklistSync(listed, blocked);
+    plans[name] = { address: token.target, blocked, ...plan };
+
+    log("------------------------------------------");
+    log(`${name} (${token.target}): ${blocked.length} blocked on-chain`);
+    log(`  add ${plan.add.length}${plan.add.length ? `: ${plan.add.join(", ")}` : ""}`);
+    log(`  remove ${plan.remove.length}${plan.remove.length ? `: ${plan.remove.join(", ")}` : ""}`);
+
+    for (const [accounts, isBlocked] of blocklistCalls(plan, batchSize)) {
+      calls.push(encodeAdminCall(name, token.target, "setBlocked", [accounts, isBlocked]));
+    }
+  }
+  log("==========================================");
+
+  if (calls.length === 0) {
+    log("✓ Blocklists already match the list");
+    return { plans, calls };
+  }
+
+  if (!options.send) {
+    const batchPath =
+      options.out || path.join(deploymentsDir, `sanctions-batch-${network.name}-${Date.now()}.json`);
+    writeBatch(
+      batchPath,
+      buildBatch({
+        chainId,
+        calls,
+        name: `Sanctions blocklist sync (${calls.length} call(s))`,
+        description: `Blocklist updates from ${path.basename(options.list)}`,
+      })
+    );
+    log("✓ Batch written to:", batchPath);
+    return { plans, calls, batchPath };
+  }
+
+  // Rerunning after a failure is safe: the diff is recomputed from the chain
+  const txHashes = [];
+  for (let i = 0; i < calls.length; i++) {
+    const call = calls[i];
+    const tx = await signer.sendTransaction({ to: call.to, data: call.data });
+    await tx.wait();
+    log(`  ✓ ${call.contract}.setBlocked (${i + 1}/${calls.length}): ${tx.hash}`);
+    txHashes.push(tx.hash);
+  }
+  return { plans, calls, txHashes };
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => syncBlocklist(parseArgs(process.argv.slice(2))))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  syncBlocklist,
+  parseArgs,
+};
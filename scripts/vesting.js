@@ -0,0 +1,327 @@
+// scripts/vesting.js
+//
+// Creates CAPX team vesting schedules from a spreadsheet and reports vested/unvested amounts.
+//
+//   HARDHAT_NETWORK=bscMainnet node scripts/vesting.js create --csv team.csv --payload
+//   HARDHAT_NETWORK=bscMainnet node scripts/vesting.js report [--beneficiary 0x...] [--out report.csv]
+//
+// The spreadsheet (exported as CSV) has the columns:
+//   beneficiary,amount,start,cliff,duration,revocable
+//   0x1111...2222,250000,2026-01-01,12m,4y,true
+// start is a date (UTC) or unix seconds; cliff and duration are days, or take a d/w/m/y suffix
+// (m = 30 days, y = 365 days).
+//
+// Options:
+//   --csv <file>          Schedules to create (create)
+//   --units <u>           "tokens" (default, decimal amounts) or "wei" (create)
+//   --payload             Write the teamMintVested calls as one Safe batch instead of sending (create)
+//   --out <file>          Batch file (create --payload) or report CSV (report)
+//   --resume <file>       State file of an interrupted run (create)
+//   --token <address>     CAPX address (defaults to the latest deployment on this network)
+//   --vesting <address>   CAPXVesting address (report; defaults to the one set on CAPX)
+//   --beneficiary <addr>  Only report this beneficiary's schedules (report)
+//   --at <date>           Report vested amounts at this date instead of now (report)
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { DeploymentPipeline } = require("./lib/deployPipeline");
+const { findDeployedAddress, encodeAdminCall } = require("./lib/adminCalls");
+const { buildBatch, writeBatch } = require("./lib/safeBatch");
+const { sendResumable } = require("./lib/transactions");
+const { parseSchedules, parseStart, vestedAt } = require("./lib/vesting");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+/**
+ * Reads the command line, falling back to VESTING_* environment variables
+ * (`npx hardhat run` does not forward script arguments)
+ */
+function parseArgs(argv) {
+  const args = {
+    command: process.env.VESTING_COMMAND || "",
+    csv: process.env.VESTING_CSV || "",
+    units: process.env.VESTING_UNITS || "tokens",
+    payload: process.env.VESTING_PAYLOAD === "true",
+    out: process.env.VESTING_OUT || "",
+    resume: process.env.VESTING_RESUME || "",
+    token: process.env.VESTING_TOKEN || "",
+    vesting: process.env.VESTING_ADDRESS || "",
+    beneficiary: process.env.VESTING_BENEFICIARY || "",
+    at: process.env.VESTING_AT || "",
+  };
+  const flags = {
+    "--csv": "csv",
+    "--units": "units",
+    "--out": "out",
+    "--resume": "resume",
+    "--token": "token",
+    "--vesting": "vesting",
+    "--beneficiary": "beneficiary",
+    "--at": "at",
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--payload") {
+      args.payload = true;
+    } else if (flags[argv[i]]) {
+      const value = argv[i + 1];
+      if (!value || value.startsWith("--")) {
+        throw new Error(`${argv[i]} requires a value`);
+      }
+      args[flags[argv[i]]] = value;
+      i++;
+    } else if (!argv[i].startsWith("--") && i === 0) {
+      args.command = argv[i];
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+async function getToken(options) {
+  const token = options.token || findDeployedAddress(DEPLOYMENTS_DIR, network.name, "CAPX");
+  if (!token) {
+    throw new Error(`No CAPX address for ${network.name}. Pass --token.`);
+  }
+  return ethers.getContractAt("CAPX", token);
+}
+
+const formatTokens = (amount) => ethers.formatUnits(amount, 18);
+
+/**
+ * Creates one vesting schedule per spreadsheet row through CAPX.teamMintVested
+ * @param {object} options
+ * @param {string} options.csv Spreadsheet exported as CSV
+ * @param {"tokens"|"wei"} [options.units] How to read amounts
+ * @param {string} [options.token] CAPX address
+ * @param {boolean} [options.payload] Write a Safe batch for the multisig instead of sending
+ * @param {string} [options.out] Batch file path (payload mode)
+ * @param {string} [options.resume] State file of an interrupted run
+ * @param {object} [options.signer] TEAM_MINTER_ROLE holder, defaults to the first Hardhat signer
+ * @param {string} [options.deploymentsDir] Where state and batch files go
+ * @param {Function} [options.log] Logger, defaults to console.log
+ */
+async function createSchedules(options) {
+  const log = options.log || console.log;
+  const deploymentsDir = options.deploymentsDir || DEPLOYMENTS_DIR;
+  const capx = await getToken(options);
+  const chainId = (await ethers.provider.getNetwork()).chainId;
+
+  const { schedules, errors } = parseSchedules(fs.readFileSync(options.csv, "utf8"), {
+    units: options.units,
+  });
+  if (errors.length > 0) {
+    const listed = errors.map((e) => `  line ${e.line}: ${e.message}`);
+    throw new Error(`${options.csv} has ${errors.length} invalid row(s):\n${listed.join("\n")}`);
+  }
+  if (schedules.length === 0) {
+    throw new Error(`${options.csv} has no schedules`);
+  }
+
+  // Check everything the contract would revert on before anything is written or sent
+  const vesting = await capx.getVestingContract();
+  if (vesting === ethers.ZeroAddress) {
+    throw new Error("CAPX has no vesting contract. Deploy CAPXVesting and run `npx hardhat capx:set-vesting` first.");
+  }
+  const TEAM_MINTER_ROLE = await capx.TEAM_MINTER_ROLE();
+  const minter = options.payload
+    ? await capx.owner()
+    : (options.signer || (await ethers.getSigners())[0]).address;
+  if (!(await capx.hasRole(TEAM_MINTER_ROLE, minter))) {
+    throw new Error(`${minter} does not have TEAM_MINTER_ROLE on ${capx.target}`);
+  }
+  if (!options.payload && (await capx.paused())) {
+    throw new Error("CAPX is paused");
+  }
+
+  const total = schedules.reduce((acc, s) => acc + s.amount, 0n);
+  // A resumed run has already minted part of the total, so only fresh runs are checked
+  if (!options.resume) {
+    const { teamHeadroom } = await capx.getMintHeadroom();
+    if (total > teamHeadroom) {
+      throw new Error(
+        `Schedules total ${formatTokens(total)} CAPX but the team allocation only has ` +
+          `${formatTokens(teamHeadroom)} CAPX left`
+      );
+    }
+  }
+  log("==========================================");
+  log("CAPX Vesting Schedules");
+  log("==========================================");
+  log("Network:", network.name);
+  log("Token:", capx.target);
+  log("Vesting contract:", vesting);
+  log("Schedules:", schedules.length);
+  log("Total:", formatTokens(total), "CAPX");
+  log("==========================================");
+
+  const calls = schedules.map((s) =>
+    encodeAdminCall("CAPX", capx.target, "teamMintVested", [
+      s.beneficiary,
+      s.amount,
+      s.start,
+      s.cliff,
+      s.duration,
+      s.revocable,
+    ])
+  );
+
+  if (options.payload) {
+    const batchPath =
+      options.out || path.join(deploymentsDir, `vesting-batch-${network.name}-${Date.now()}.json`);
+    writeBatch(
+      batchPath,
+      buildBatch({
+        chainId,
+        calls,
+        name: `CAPX vesting schedules (${schedules.length})`,
+        description: `${formatTokens(total)} CAPX from ${path.basename(options.csv)}`,
+      })
+    );
+    log("✓ Batch written to:", batchPath);
+    return { batchPath, calls };
+  }
+
+  const signer = options.signer || (await ethers.getSigners())[0];
+  const pipelineOptions = {
+    network: network.name,
+    chainId,
+    config: {
+      token: ethers.getAddress(capx.target),
+      schedules: ethers.id(JSON.stringify(calls.map((c) => c.data))),
+    },
+    log,
+  };
+  const pipeline = options.resume
+    ? DeploymentPipeline.resume(options.resume, pipelineOptions)
+    : DeploymentPipeline.create({ dir: deploymentsDir, prefix: "vesting-state", ...pipelineOptions });
+  log("State file:", pipeline.statePath);
+
+  const vestingContract = await ethers.getContractAt("CAPXVesting", vesting);
+  const results = [];
+  for (let i = 0; i < schedules.length; i++) {
+    const s = schedules[i];
+    log(`Schedule ${i + 1}/${schedules.length}: ${formatTokens(s.amount)} CAPX for ${s.beneficiary}`);
+
+    // Steps are keyed by row index so a resumed run never mints the same row twice
+    const result = await pipeline.run(`schedule-${i}`, async (context) => {
+      const { txHash, receipt } = await sendResumable(
+        context,
+        signer,
+        (overrides) =>
+          capx
+            .connect(signer)
+            .teamMintVested(s.beneficiary, s.amount, s.start, s.cliff, s.duration, s.revocable, overrides),
+        log
+      );
+      const created = receipt.logs
+        .map((entry) => vestingContract.interface.parseLog(entry))
+        .find((parsed) => parsed && parsed.name === "ScheduleCreated");
+      return { txHash, scheduleId: created.args.scheduleId.toString(), beneficiary: s.beneficiary };
+    });
+
+    log(`  ✓ Schedule #${result.scheduleId}: ${result.txHash}`);
+    results.push(result);
+  }
+
+  return { statePath: pipeline.statePath, schedules: results };
+}
+
+/**
+ * Reports every schedule on the vesting contract
+ * @param {object} options
+ * @param {string} [options.token] CAPX address, used to find the vesting contract
+ * @param {string} [options.vesting] CAPXVesting address
+ * @param {string} [options.beneficiary] Only report this beneficiary
+ * @param {string} [options.at] Date or unix seconds to compute vested amounts at (defaults to now)
+ * @param {string} [options.out] Also write the report as CSV
+ * @param {Function} [options.log] Logger, defaults to console.log
+ * @returns {Promise<{at: bigint, rows: Array<object>}>}
+ */
+async function vestingReport(options) {
+  const log = options.log || console.log;
+
+  let vestingAddress = options.vesting || findDeployedAddress(DEPLOYMENTS_DIR, network.name, "CAPXVesting");
+  if (!vestingAddress) {
+    vestingAddress = await (await getToken(options)).getVestingContract();
+  }
+  const vesting = await ethers.getContractAt("CAPXVesting", vestingAddress);
+
+  const now = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+  const at = options.at ? parseStart(options.at) : now;
+
+  const ids = options.beneficiary
+    ? await vesting.getSchedulesOf(options.beneficiary)
+    : Array.from({ length: Number(await vesting.scheduleCount()) }, (_, i) => BigInt(i + 1));
+
+  const rows = [];
+  for (const id of ids) {
+    const s = await vesting.getSchedule(id);
+    const vested = vestedAt(s, at);
+    rows.push({
+      scheduleId: id.toString(),
+      beneficiary: s.beneficiary,
+      amount: s.amount,
+      vested,
+      unvested: s.amount - vested,
+      released: s.released,
+      releasable: at === now ? await vesting.releasableAmount(id) : vested > s.released ? vested - s.released : 0n,
+      cliffEnd: new Date(Number(s.start + s.cliff) * 1000).toISOString(),
+      end: new Date(Number(s.start + s.duration) * 1000).toISOString(),
+      revocable: s.revocable,
+      revoked: s.revoked,
+    });
+  }
+
+  const sum = (key) => rows.reduce((acc, row) => acc + row[key], 0n);
+  log("==========================================");
+  log(`CAPX Vesting Report at ${new Date(Number(at) * 1000).toISOString()}`);
+  log("==========================================");
+  for (const row of rows) {
+    log(
+      `#${row.scheduleId} ${row.beneficiary}${row.revoked ? " (revoked)" : ""}\n` +
+        `  total ${formatTokens(row.amount)}, vested ${formatTokens(row.vested)}, ` +
+        `unvested ${formatTokens(row.unvested)}, released ${formatTokens(row.released)}, ` +
+        `releasable ${formatTokens(row.releasable)}\n` +
+        `  cliff ends ${row.cliffEnd}, fully vested ${row.end}`
+    );
+  }
+  log("------------------------------------------");
+  log(`Vested: ${formatTokens(sum("vested"))} CAPX, unvested: ${formatTokens(sum("unvested"))} CAPX`);
+
+  if (options.out) {
+    const header = Object.keys(rows[0] || { scheduleId: "" }).join(",");
+    const lines = rows.map((row) => Object.values(row).map((v) => v.toString()).join(","));
+    fs.writeFileSync(options.out, [header, ...lines].join("\n") + "\n");
+    log("✓ Report written to:", options.out);
+  }
+
+  return { at, rows };
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => {
+      const args = parseArgs(process.argv.slice(2));
+      if (args.command === "create") return createSchedules(args);
+      if (args.command === "report") return vestingReport(args);
+      throw new Error(`Unknown command "${args.command}". Expected "create" or "report".`);
+    })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      if (error.statePath) {
+        console.error(
+          `\nProgress is recorded in ${error.statePath}. Resume with the same options plus:\n` +
+            `  --resume ${error.statePath}`
+        );
+      }
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  createSchedules,
+  vestingReport,
+  parseArgs,
+};
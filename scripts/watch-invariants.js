@@ -0,0 +1,178 @@
+// scripts/watch-invariants.js
+//
+// Polls CAPX and AngelSEED and alerts when a supply or ownership invariant breaks or holds
+// again, or when a token is paused or unpaused:
+//   - CAPX team + treasury + DAO + revenue mints add up to totalMinted
+//   - totalSupply <= totalMinted <= MAX_SUPPLY on both tokens
+//   - the owner of both tokens is a contract
+//   - the CAPX treasury and DAO are fee exempt
+//
+//   HARDHAT_NETWORK=bscMainnet node scripts/watch-invariants.js --webhook https://hooks.slack.com/...
+//   HARDHAT_NETWORK=bscMainnet node scripts/watch-invariants.js --once
+//
+// Alerts always go to stdout, and to every sink passed. With --once the script checks a single
+// time and exits with status 1 if an invariant is broken.
+//
+// Options:
+//   --capx <address>        CAPX address (defaults to the latest deployment on this network)
+//   --angelseed <address>   AngelSEED address (defaults to the latest deployment on this network)
+//   --interval <seconds>    Time between polls (default 60)
+//   --webhook <url>         Also POST each alert as JSON to this URL
+//   --file <path>           Also append each alert as a JSON line to this file
+//   --once                  Check once and exit
+const { ethers, network } = require("hardhat");
+const path = require("path");
+const { findDeployedAddress } = require("./lib/adminCalls");
+const { checkInvariants, createWatcher, stdoutSink, webhookSink, fileSink } = require("./lib/invariants");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const DEFAULT_INTERVAL_SECONDS = 60;
+
+/**
+ * Reads the command line, falling back to WATCH_* environment variables
+ * (`npx hardhat run` does not forward script arguments)
+ */
+function parseArgs(argv) {
+  const args = {
+    capx: process.env.WATCH_CAPX || "",
+    angelseed: process.env.WATCH_ANGELSEED || "",
+    interval: process.env.WATCH_INTERVAL || "",
+    webhook: process.env.WATCH_WEBHOOK || "",
+    file: process.env.WATCH_FILE || "",
+    once: process.env.WATCH_ONCE === "true",
+  };
+  const flags = {
+    "--capx": "capx",
+    "--angelseed": "angelseed",
+    "--interval": "interval",
+    "--webhook": "webhook",
+    "--file": "file",
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--once") {
+      args.once = true;
+    } else if (flags[argv[i]]) {
+      const value = argv[i + 1];
+      if (!value || value.startsWith("--")) {
+        throw new Error(`${argv[i]} requires a value`);
+      }
+      args[flags[argv[i]]] = value;
+      i++;
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+/**
+ * Watches the invariants until stopped, or checks them once
+ * @param {object} [options] Command-line options as returned by parseArgs()
+ * @param {string} [options.deploymentsDir] Where deployment info is read from
+ * @param {Array<object>} [options.sinks] Extra sinks next to the ones from --webhook and --file
+ * @param {Function} [options.log] Logger for stdout, defaults to console.log
+ * @param {AbortSignal} [options.signal] Stops the watch loop; SIGINT and SIGTERM also stop it
+ * @returns {Promise<{alerts: Array<object>, violations: Array<object>}>} Alerts sent and the
+ *   invariants broken at the last poll
+ */
+async function watchInvariants(options = {}) {
+  const log = options.log || console.log;
+  const deploymentsDir = options.deploymentsDir || DEPLOYMENTS_DIR;
+
+  if (options.interval && !/^[1-9]\d*$/.test(String(options.interval))) {
+    throw new Error(`--interval must be a positive number of seconds, got "${options.interval}"`);
+  }
+  if (options.webhook && !/^https?:\/\//.test(options.webhook)) {
+    throw new Error(`--webhook must be an http(s) URL, got "${options.webhook}"`);
+  }
+
+  const addresses = {
+    CAPX: options.capx || findDeployedAddress(deploymentsDir, network.name, "CAPX"),
+    AngelSEED: options.angelseed || findDeployedAddress(deploymentsDir, network.name, "AngelSEED"),
+  };
+  if (!addresses.CAPX && !addresses.AngelSEED) {
+    throw new Error(`No CAPX or AngelSEED address for ${network.name}. Pass --capx and/or --angelseed.`);
+  }
+  const tokens = {
+    capx: addresses.CAPX && (await ethers.getContractAt("CAPX", addresses.CAPX)),
+    seed: addresses.AngelSEED && (await ethers.getContractAt("AngelSEED", addresses.AngelSEED)),
+  };
+
+  const sinks = [stdoutSink(log)];
+  if (options.webhook) sinks.push(webhookSink(options.webhook));
+  if (options.file) sinks.push(fileSink(options.file));
+  sinks.push(...(options.sinks || []));
+
+  log("==========================================");
+  log("CAPX / AngelSEED Invariant Watcher");
+  log("==========================================");
+  log("Network:", network.name);
+  for (const [name, address] of Object.entries(addresses)) {
+    if (address) log(`${name}:`, address);
+  }
+  log("Sinks:", sinks.map((sink) => sink.name).join(", "));
+  log("------------------------------------------");
+
+  const watcher = createWatcher(tokens, { sinks, network: network.name });
+  const alerts = [];
+
+  if (options.once) {
+    alerts.push(...(await watcher.poll()));
+    const state = watcher.state();
+    if (!state) {
+      throw new Error("Could not read the tokens, see the alert above");
+    }
+    const violations = checkInvariants(state);
+    if (violations.length === 0) {
+      log(`✓ All invariants hold at block ${state.blockNumber}`);
+    }
+    return { alerts, violations };
+  }
+
+  const interval = Number(options.interval || DEFAULT_INTERVAL_SECONDS) * 1000;
+  let stopped = Boolean(options.signal && options.signal.aborted);
+  let wake = () => {};
+  const stop = () => {
+    stopped = true;
+    wake();
+  };
+  if (options.signal) options.signal.addEventListener("abort", stop);
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+
+  try {
+    while (!stopped) {
+      alerts.push(...(await watcher.poll()));
+      if (stopped) break;
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, interval);
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+    }
+  } finally {
+    if (options.signal) options.signal.removeEventListener("abort", stop);
+    process.removeListener("SIGINT", stop);
+    process.removeListener("SIGTERM", stop);
+  }
+
+  const state = watcher.state();
+  return { alerts, violations: state ? checkInvariants(state) : [] };
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => watchInvariants(parseArgs(process.argv.slice(2))))
+    .then((result) => process.exit(result.violations.length === 0 ? 0 : 1))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  watchInvariants,
+  parseArgs,
+};
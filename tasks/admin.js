@@ -0,0 +1,380 @@
+// tasks/admin.js
+//
+// Owner-only operations on CAPX and AngelSEED. On live networks each task appends the encoded
+// call to a batch file for the multisig to import. On a local network (chain 31337) the call
+// is executed right away through MockMultisig.execute().
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { encodeAdminCall, findDeployedAddress, parseFeeRecipients } = require("../scripts/lib/adminCalls");
+const { appendToBatch } = require("../scripts/lib/safeBatch");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const LOCAL_CHAIN_ID = 31337;
+
+/**
+ * Encodes an admin call and either executes it through the mock multisig or writes it to a batch
+ * @returns {Promise<object>} `{call, txHash}` when executed, `{call, batchPath, batch}` otherwise
+ */
+async function submitAdminCall(hre, contractName, method, args, taskArgs) {
+  const { ethers, network } = hre;
+
+  const address =
+    taskArgs.address || findDeployedAddress(DEPLOYMENTS_DIR, network.name, contractName);
+  if (!address) {
+    throw new Error(
+      `No ${contractName} address for ${network.name}. Pass --address or deploy with scripts/deploy.js first.`
+    );
+  }
+
+  const call = encodeAdminCall(contractName, address, method, args);
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
+  console.log(`${contractName}.${call.method}(${call.args.join(", ")}) on ${call.to}`);
+
+  if (chainId === LOCAL_CHAIN_ID && !taskArgs.batch) {
+    const token = await ethers.getContractAt(contractName, call.to);
+    const multisig = await ethers.getContractAt("MockMultisig", await token.owner());
+    const tx = await multisig.execute(call.to, call.data);
+    await tx.wait();
+    console.log(`✓ Executed through MockMultisig ${multisig.target}: ${tx.hash}`);
+    return { call, txHash: tx.hash };
+  }
+
+  const batchPath =
+    taskArgs.out || path.join(DEPLOYMENTS_DIR, `admin-batch-${network.name}-${Date.now()}.json`);
+  const batch = appendToBatch(batchPath, chainId, [call]);
+  console.log(`✓ Added to batch ${batchPath} (${batch.transactions.length} transaction(s))`);
+  return { call, batchPath, batch };
+}
+
+/**
+ * Declares an admin task with the options every admin task shares
+ */
+function adminTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("address", "Contract address (defaults to the latest deployment on this network)")
+    .addOptionalParam("out", "Batch file to append to (defaults to a new file in deployments/)")
+    .addFlag("batch", "Write a batch file even on a local network");
+}
+
+///////////////// CAPX /////////////////
+
+adminTask("capx:set-treasury", "Sets the CAPX treasury address")
+  .addParam("account", "New treasury address")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(hre, "CAPX", "setTreasuryAddress", [taskArgs.account], taskArgs)
+  );
+
+adminTask("capx:set-dao", "Sets the CAPX DAO address")
+  .addParam("account", "New DAO address")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(hre, "CAPX", "setDaoAddress", [taskArgs.account], taskArgs)
+  );
+
+adminTask("capx:set-exemption", "Sets the fee exemption status of an account on CAPX")
+  .addParam("account", "Account to update")
+  .addOptionalParam("exempt", "Exemption status", true, types.boolean)
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(hre, "CAPX", "setExemption", [taskArgs.account, taskArgs.exempt], taskArgs)
+  );
+
+adminTask("capx:pause", "Pauses CAPX transfers and minting").setAction((taskArgs, hre) =>
+  submitAdminCall(hre, "CAPX", "pause", [], taskArgs)
+);
+
+adminTask("capx:unpause", "Unpauses CAPX transfers and minting").setAction((taskArgs, hre) =>
+  submitAdminCall(hre, "CAPX", "unpause", [], taskArgs)
+);
+
+adminTask("capx:grant-roles", "Grants CAPX roles to an account")
+  .addParam("account", "Account to grant roles to")
+  .addParam("roles", "Role bitmap or comma-separated names (e.g. TEAM_MINTER_ROLE,DAO_MINTER_ROLE)")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(hre, "CAPX", "grantRoles", [taskArgs.account, taskArgs.roles], taskArgs)
+  );
+
+adminTask("capx:revoke-roles", "Revokes CAPX roles from an account")
+  .addParam("account", "Account to revoke roles from")
+  .addParam("roles", "Role bitmap or comma-separated names (e.g. TEAM_MINTER_ROLE,DAO_MINTER_ROLE)")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(hre, "CAPX", "revokeRoles", [taskArgs.account, taskArgs.roles], taskArgs)
+  );
+
+adminTask("capx:revenue-mint", "Mints CAPX from revenue (tokens = revenue * 1e18 / marketValue)")
+  .addParam("to", "Recipient")
+  .addParam("revenue", "Revenue amount in wei")
+  .addParam("marketValue", "Market value per token in wei")
+  .addParam("epoch", "Revenue period the mint belongs to (e.g. 20264 for 2026 Q4)")
+  .addParam("reference", "Hash of the revenue record it is based on (bytes32, e.g. keccak256 of the report)")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(
+      hre,
+      "CAPX",
+      "revenueMint",
+      [taskArgs.to, taskArgs.revenue, taskArgs.marketValue, taskArgs.epoch, taskArgs.reference],
+      taskArgs
+    )
+  );
+
+adminTask("capx:revenue-mint-oracle", "Mints CAPX from revenue at the price feed's current price")
+  .addParam("to", "Recipient")
+  .addParam("revenue", "Revenue amount in wei")
+  .addParam("epoch", "Revenue period the mint belongs to (e.g. 20264 for 2026 Q4)")
+  .addParam("reference", "Hash of the revenue record it is based on (bytes32, e.g. keccak256 of the report)")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(
+      hre,
+      "CAPX",
+      "revenueMintAtOraclePrice",
+      [taskArgs.to, taskArgs.revenue, taskArgs.epoch, taskArgs.reference],
+      taskArgs
+    )
+  );
+
+adminTask("capx:set-price-oracle", "Sets the price feed CAPX revenue mints are checked against")
+  .addParam("feed", 'AggregatorV3 feed quoting CAPX in the revenue currency, or "none" to remove it')
+  .addOptionalParam("maxAge", "Oldest accepted feed update, in seconds", "3600")
+  .addOptionalParam("minPrice", "Lowest accepted price per token in wei (18 decimals); required with a feed")
+  .addOptionalParam("maxPrice", "Highest accepted price per token in wei (18 decimals); required with a feed")
+  .addOptionalParam("maxDeviation", "Largest accepted revenueMint marketValue deviation, in bps", "500")
+  .setAction((taskArgs, hre) => {
+    // The price band only applies to a feed; removing it takes none
+    const removing = taskArgs.feed.toLowerCase() === "none";
+    if (!removing && (taskArgs.minPrice === undefined || taskArgs.maxPrice === undefined)) {
+      throw new Error("Pass --min-price and --max-price with a feed");
+    }
+    return submitAdminCall(
+      hre,
+      "CAPX",
+      "setPriceOracle",
+      [
+        taskArgs.feed,
+        taskArgs.maxAge,
+        removing ? "0" : taskArgs.minPrice,
+        removing ? "0" : taskArgs.maxPrice,
+        taskArgs.maxDeviation,
+      ],
+      taskArgs
+    );
+  });
+
+adminTask("capx:set-vesting", "Sets the CAPXVesting contract used by teamMintVested and exempts it from fees")
+  .addParam("vesting", "CAPXVesting address")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(hre, "CAPX", "setVestingContract", [taskArgs.vesting], taskArgs)
+  );
+
+adminTask("capx:set-fee-splitter", "Sets the FeeSplitter that holds split CAPX treasury fees and exempts it from fees")
+  .addParam("splitter", "FeeSplitter address")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(hre, "CAPX", "setFeeSplitter", [taskArgs.splitter], taskArgs)
+  );
+
+adminTask("capx:set-fee-recipients", "Sets the weighted recipients the CAPX treasury fee is split across")
+  .addParam("recipients", 'Comma-separated "address:weightBps" entries adding up to 10000, or "none"')
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(hre, "CAPX", "setFeeRecipients", parseFeeRecipients(taskArgs.recipients), taskArgs)
+  );
+
+adminTask("capx:set-limits", "Sets the CAPX anti-whale limits (until they are disabled)")
+  .addParam("maxTx", "Largest amount a single transfer can move, in wei")
+  .addParam("maxWallet", "Largest balance a transfer can leave the recipient with, in wei")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(hre, "CAPX", "setTransferLimits", [taskArgs.maxTx, taskArgs.maxWallet], taskArgs)
+  );
+
+adminTask("capx:set-limit-exemption", "Sets whether an account is exempt from the CAPX transfer limits")
+  .addParam("account", "Account to update")
+  .addOptionalParam("exempt", "Exemption status", true, types.boolean)
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(hre, "CAPX", "setLimitExemption", [taskArgs.account, taskArgs.exempt], taskArgs)
+  );
+
+adminTask("capx:disable-limits", "Removes the CAPX transfer limits permanently").setAction((taskArgs, hre) =>
+  submitAdminCall(hre, "CAPX", "disableTransferLimits", [], taskArgs)
+);
+
+adminTask("capx:set-launch", "Configures the CAPX launch window (only before trading is enabled)")
+  .addParam("windowBlocks", "Blocks after enableTrading the launch rules apply to")
+  .addOptionalParam("cooldownBlocks", "Blocks an address waits between transfers during the window", "0")
+  .addOptionalParam("launchFeeBps", "Treasury fee during the window in basis points, if higher than the regular rate", "0")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(
+      hre,
+      "CAPX",
+      "setLaunchConfig",
+      [taskArgs.windowBlocks, taskArgs.cooldownBlocks, taskArgs.launchFeeBps],
+      taskArgs
+    )
+  );
+
+adminTask("capx:enable-trading", "Opens CAPX trading between non-exempt addresses (one-time)").setAction(
+  (taskArgs, hre) => submitAdminCall(hre, "CAPX", "enableTrading", [], taskArgs)
+);
+
+adminTask("capx:set-mint-cap", "Sets the allocation cap of a CAPX minting category")
+  .addParam("role", "TEAM_MINTER_ROLE, TREASURY_MINTER_ROLE or DAO_MINTER_ROLE")
+  .addParam("cap", "Maximum the category can ever mint, in wei")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(hre, "CAPX", "setMintCap", [taskArgs.role, taskArgs.cap], taskArgs)
+  );
+
+adminTask("capx:set-revenue-epoch-cap", "Sets the most CAPX revenue mints can create per epoch")
+  .addParam("cap", "Tokens per epoch in wei, at most MAX_SUPPLY")
+  .setAction((taskArgs, hre) => submitAdminCall(hre, "CAPX", "setRevenueEpochCap", [taskArgs.cap], taskArgs));
+
+adminTask("capx:set-amm-pair", "Registers an AMM pair, so CAPX charges buy and sell fees on swaps through it")
+  .addParam("pair", "Pair address")
+  .addOptionalParam("isPair", "Registration status", true, types.boolean)
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(hre, "CAPX", "setAmmPair", [taskArgs.pair, taskArgs.isPair], taskArgs)
+  );
+
+adminTask("capx:schedule-fees", "Schedules new CAPX fee rates, applicable after the 2-day timelock")
+  .addParam("kind", "Fee kind: transfer, buy or sell")
+  .addParam("burnBps", "Burn fee in basis points (100 = 1%)")
+  .addParam("treasuryBps", "Treasury fee in basis points (100 = 1%)")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(
+      hre,
+      "CAPX",
+      "scheduleFeeChange",
+      [taskArgs.kind, taskArgs.burnBps, taskArgs.treasuryBps],
+      taskArgs
+    )
+  );
+
+adminTask("capx:apply-fees", "Applies a scheduled CAPX fee change once the timelock has passed")
+  .addParam("kind", "Fee kind: transfer, buy or sell")
+  .setAction((taskArgs, hre) => submitAdminCall(hre, "CAPX", "applyFeeChange", [taskArgs.kind], taskArgs));
+
+adminTask("capx:cancel-fees", "Cancels a scheduled CAPX fee change")
+  .addParam("kind", "Fee kind: transfer, buy or sell")
+  .setAction((taskArgs, hre) => submitAdminCall(hre, "CAPX", "cancelFeeChange", [taskArgs.kind], taskArgs));
+
+///////////////// AngelSEED /////////////////
+
+adminTask("seed:pause", "Pauses AngelSEED transfers and minting").setAction((taskArgs, hre) =>
+  submitAdminCall(hre, "AngelSEED", "pause", [], taskArgs)
+);
+
+adminTask("seed:unpause", "Unpauses AngelSEED transfers and minting").setAction((taskArgs, hre) =>
+  submitAdminCall(hre, "AngelSEED", "unpause", [], taskArgs)
+);
+
+adminTask("seed:set-forwarder", "Sets the ERC-2771 forwarder AngelSEED accepts meta-transactions from")
+  .addParam("forwarder", 'Forwarder contract address, or "none" to turn meta-transactions off')
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(hre, "AngelSEED", "setTrustedForwarder", [taskArgs.forwarder], taskArgs)
+  );
+
+adminTask("seed:grant-minter", "Grants REWARD_MINTER_ROLE on AngelSEED")
+  .addParam("account", "Account to grant the role to")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(
+      hre,
+      "AngelSEED",
+      "grantRoles",
+      [taskArgs.account, "REWARD_MINTER_ROLE"],
+      taskArgs
+    )
+  );
+
+adminTask("seed:revoke-minter", "Revokes REWARD_MINTER_ROLE on AngelSEED")
+  .addParam("account", "Account to revoke the role from")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(
+      hre,
+      "AngelSEED",
+      "revokeRoles",
+      [taskArgs.account, "REWARD_MINTER_ROLE"],
+      taskArgs
+    )
+  );
+
+adminTask("seed:grant-compliance", "Grants COMPLIANCE_ROLE (blocklist management) on AngelSEED")
+  .addParam("account", "Account to grant the role to")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(
+      hre,
+      "AngelSEED",
+      "grantRoles",
+      [taskArgs.account, "COMPLIANCE_ROLE"],
+      taskArgs
+    )
+  );
+
+adminTask("seed:revoke-compliance", "Revokes COMPLIANCE_ROLE on AngelSEED")
+  .addParam("account", "Account to revoke the role from")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(
+      hre,
+      "AngelSEED",
+      "revokeRoles",
+      [taskArgs.account, "COMPLIANCE_ROLE"],
+      taskArgs
+    )
+  );
+
+adminTask("seed:set-minter-allowance", "Rate limits an AngelSEED reward minter over a rolling window")
+  .addParam("account", "Minter to limit")
+  .addParam("amount", "Tokens (in wei) the minter can mint per window; 0 with window 0 removes the limit")
+  .addParam("window", "Seconds over which the allowance refills (86400 for a daily limit)")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(
+      hre,
+      "AngelSEED",
+      "setMinterAllowance",
+      [taskArgs.account, taskArgs.amount, taskArgs.window],
+      taskArgs
+    )
+  );
+
+adminTask("seed:publish-epoch", "Publishes a Merkle reward epoch built by scripts/reward-epoch.js")
+  .addParam("root", "Merkle root")
+  .addParam("budget", "Total of all claims in wei")
+  .addParam("reason", "Reason emitted with every claim's RewardMint")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(
+      hre,
+      "AngelSEED",
+      "publishRewardEpoch",
+      [taskArgs.root, taskArgs.budget, taskArgs.reason],
+      taskArgs
+    )
+  );
+
+///////////////// CAPXVesting /////////////////
+
+adminTask("vesting:revoke", "Revokes a vesting schedule: vested tokens to the beneficiary, unvested to the treasury")
+  .addParam("scheduleId", "Schedule to revoke")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(hre, "CAPXVesting", "revoke", [taskArgs.scheduleId], taskArgs)
+  );
+
+///////////////// FeeSwapper /////////////////
+
+adminTask("swapper:set-config", "Configures how the FeeSwapper sells collected CAPX treasury fees")
+  .addParam("router", "PancakeSwap V2 router")
+  .addOptionalParam("outputToken", 'Token to receive, or "bnb" for native BNB', "bnb")
+  .addParam("threshold", "CAPX (in wei) sold per swap")
+  .addParam("minPrice", "Lowest accepted price in output token wei per whole CAPX")
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(
+      hre,
+      "FeeSwapper",
+      "setSwapConfig",
+      [taskArgs.router, taskArgs.outputToken, taskArgs.threshold, taskArgs.minPrice],
+      taskArgs
+    )
+  );
+
+adminTask("swapper:set-keeper", "Allows or disallows an account to trigger FeeSwapper swaps")
+  .addParam("keeper", "Keeper account")
+  .addOptionalParam("allowed", "Keeper status", true, types.boolean)
+  .setAction((taskArgs, hre) =>
+    submitAdminCall(hre, "FeeSwapper", "setKeeper", [taskArgs.keeper, taskArgs.allowed], taskArgs)
+  );
+
+module.exports = {
+  submitAdminCall,
+};
@@ -0,0 +1,90 @@
+// tasks/roles.js
+//
+// roles:audit compares the role members of CAPX and AngelSEED with an expected-roles file
+// (format in scripts/lib/roles.js) and reports any drift. Read-only; nothing is sent.
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { findDeployedAddress } = require("../scripts/lib/adminCalls");
+const { parseExpectedRoles, readRoleMembers, diffRoles } = require("../scripts/lib/roles");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+/**
+ * Audits the role members of the contracts listed in the expected-roles file
+ * @returns {Promise<object>} Report: `{network, chainId, blockNumber, timestamp, contracts, drift}`,
+ *   where `contracts` maps each audited contract to its address and diffRoles() entries
+ */
+async function auditRoles(hre, taskArgs) {
+  const { ethers, network } = hre;
+  const log = console.log;
+
+  const expected = parseExpectedRoles(fs.readFileSync(taskArgs.expected, "utf8"));
+  const addresses = { CAPX: taskArgs.capx, AngelSEED: taskArgs.angelseed };
+
+  // Every role is read at the same block, so the report is one consistent snapshot
+  const block = await ethers.provider.getBlock("latest");
+  const report = {
+    network: network.name,
+    chainId: (await ethers.provider.getNetwork()).chainId.toString(),
+    blockNumber: block.number,
+    timestamp: new Date(block.timestamp * 1000).toISOString(),
+    contracts: {},
+    drift: 0,
+  };
+
+  log("==========================================");
+  log("Role Audit");
+  log("==========================================");
+  log("Network:", network.name);
+  log("Block:", block.number, `(${report.timestamp})`);
+
+  for (const contractName of Object.keys(expected)) {
+    const address = addresses[contractName] || findDeployedAddress(DEPLOYMENTS_DIR, network.name, contractName);
+    if (!address) {
+      throw new Error(`No ${contractName} address for ${network.name}. Pass --${contractName.toLowerCase()}.`);
+    }
+    const token = await ethers.getContractAt(contractName, address);
+    const roles = diffRoles(
+      expected[contractName],
+      await readRoleMembers(token, contractName, { blockTag: block.number })
+    );
+    report.contracts[contractName] = { address: token.target, roles };
+
+    log("------------------------------------------");
+    log(`${contractName} ${token.target}`);
+    for (const entry of roles) {
+      if (entry.ok) {
+        log(`✓ ${entry.role}: ${entry.members.length} member(s) as expected`);
+        continue;
+      }
+      report.drift += entry.missing.length + entry.unexpected.length;
+      log(`✗ ${entry.role}:`);
+      for (const account of entry.unexpected) log(`    + ${account} holds the role but is not expected`);
+      for (const account of entry.missing) log(`    - ${account} is expected but does not hold the role`);
+    }
+  }
+
+  log("==========================================");
+  if (taskArgs.out) {
+    fs.mkdirSync(path.dirname(taskArgs.out), { recursive: true });
+    fs.writeFileSync(taskArgs.out, JSON.stringify(report, null, 2));
+    log("Report written to:", taskArgs.out);
+  }
+  if (report.drift > 0) {
+    throw new Error(`Role drift: ${report.drift} difference(s) from ${taskArgs.expected}`);
+  }
+  log("✓ Every role matches", taskArgs.expected);
+  return report;
+}
+
+task("roles:audit", "Compares CAPX and AngelSEED role members with an expected-roles file")
+  .addParam("expected", "Expected roles JSON file")
+  .addOptionalParam("capx", "CAPX address (defaults to the latest deployment on this network)")
+  .addOptionalParam("angelseed", "AngelSEED address (defaults to the latest deployment on this network)")
+  .addOptionalParam("out", "Also write the report as JSON to this file")
+  .setAction((taskArgs, hre) => auditRoles(hre, taskArgs));
+
+module.exports = {
+  auditRoles,
+};
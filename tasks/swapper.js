@@ -0,0 +1,63 @@
+// tasks/swapper.js
+//
+// swapper:swap-back is the keeper side of the FeeSwapper: it quotes the next swap on the
+// router and calls swapBack with that quote less the tolerated slippage, so a pool moved
+// between the quote and the swap (a sandwich) makes the swap revert instead of filling it.
+// Sent from the first signer, which must be a keeper (swapper:set-keeper) or the CAPX owner.
+const path = require("path");
+const { task } = require("hardhat/config");
+const { findDeployedAddress } = require("../scripts/lib/adminCalls");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+/**
+ * Quotes the next swap of a FeeSwapper and derives the least output to accept
+ * @param {object} swapper FeeSwapper contract (ethers)
+ * @param {bigint|number|string} slippageBps Tolerated shortfall from the quote, in basis points
+ * @returns {Promise<{quoted: bigint, amountOutMin: bigint}>}
+ */
+async function quoteSwapBack(hre, swapper, slippageBps) {
+  const { ethers } = hre;
+
+  const bps = BigInt(slippageBps);
+  if (bps < 0n || bps >= 10_000n) {
+    throw new Error(`slippageBps must be between 0 and 9999, got ${slippageBps}`);
+  }
+
+  const { router: routerAddress, outputToken, threshold } = await swapper.getSwapConfig();
+  if (routerAddress === ethers.ZeroAddress) {
+    throw new Error(`FeeSwapper ${swapper.target} is not configured. Run swapper:set-config first.`);
+  }
+
+  const router = await ethers.getContractAt("IPancakeRouter", routerAddress);
+  const output = outputToken === ethers.ZeroAddress ? await router.WETH() : outputToken;
+  const amounts = await router.getAmountsOut(threshold, [await swapper.token(), output]);
+  const quoted = amounts[amounts.length - 1];
+
+  return { quoted, amountOutMin: (quoted * (10_000n - bps)) / 10_000n };
+}
+
+task("swapper:swap-back", "Sells the collected CAPX treasury fees at the current quote less the slippage")
+  .addOptionalParam("address", "FeeSwapper address (defaults to the latest deployment on this network)")
+  .addOptionalParam("slippageBps", "Tolerated shortfall from the quote in basis points", "100")
+  .setAction(async (taskArgs, hre) => {
+    const { ethers, network } = hre;
+
+    const address = taskArgs.address || findDeployedAddress(DEPLOYMENTS_DIR, network.name, "FeeSwapper");
+    if (!address) {
+      throw new Error(`No FeeSwapper address for ${network.name}. Pass --address.`);
+    }
+    const swapper = await ethers.getContractAt("FeeSwapper", address);
+
+    const { quoted, amountOutMin } = await quoteSwapBack(hre, swapper, taskArgs.slippageBps);
+    console.log(`Quoted ${quoted}, accepting at least ${amountOutMin}`);
+
+    const tx = await swapper.swapBack(amountOutMin);
+    const receipt = await tx.wait();
+    console.log(`✓ Swapped: ${tx.hash}`);
+    return { quoted, amountOutMin, receipt };
+  });
+
+module.exports = {
+  quoteSwapBack,
+};
@@ -0,0 +1,336 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ROLES, ADMIN_ABI, parseRoles, encodeAdminCall } = require("../scripts/lib/adminCalls");
+const { deployMultisig } = require("./helpers/multisig");
+
+const { ethers } = hre;
+
+describe("Admin Tasks", function () {
+  async function deployTokensFixture() {
+    const [adminSigner, treasury, dao, user1] = await ethers.getSigners();
+
+    const { multisig } = await deployMultisig(adminSigner);
+
+    const CAPX = await ethers.getContractFactory("CAPX");
+    const capy = await CAPX.deploy(multisig.target, treasury.address, dao.address);
+
+    const AngelSEED = await ethers.getContractFactory("AngelSEED");
+    const seed = await AngelSEED.deploy(multisig.target);
+
+    const batchPath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "capshield-admin-")),
+      "batch.json"
+    );
+
+    return { capy, seed, multisig, treasury, dao, user1, batchPath };
+  }
+
+  describe("1. Validation", function () {
+    it("Should match the role bitmaps defined on the contracts", async function () {
+      const { capy, seed } = await loadFixture(deployTokensFixture);
+
+      expect(ROLES.CAPX.TEAM_MINTER_ROLE).to.equal(await capy.TEAM_MINTER_ROLE());
+      expect(ROLES.CAPX.TREASURY_MINTER_ROLE).to.equal(await capy.TREASURY_MINTER_ROLE());
+      expect(ROLES.CAPX.DAO_MINTER_ROLE).to.equal(await capy.DAO_MINTER_ROLE());
+      expect(ROLES.AngelSEED.REWARD_MINTER_ROLE).to.equal(await seed.REWARD_MINTER_ROLE());
+    });
+
+    it("Should encode calls exactly as the contract ABI does", async function () {
+      const { capy, user1 } = await loadFixture(deployTokensFixture);
+
+      const call = encodeAdminCall("CAPX", capy.target, "setExemption", [user1.address, "false"]);
+
+      expect(call.data).to.equal(
+        capy.interface.encodeFunctionData("setExemption", [user1.address, false])
+      );
+      expect(ADMIN_ABI.CAPX).to.include("function setExemption(address account, bool exempt)");
+    });
+
+    it("Should reject zero addresses", async function () {
+      const { capy } = await loadFixture(deployTokensFixture);
+
+      expect(() =>
+        encodeAdminCall("CAPX", capy.target, "setTreasuryAddress", [ethers.ZeroAddress])
+      ).to.throw("newTreasury cannot be the zero address");
+      expect(() => encodeAdminCall("CAPX", ethers.ZeroAddress, "pause")).to.throw(
+        "CAPX address cannot be the zero address"
+      );
+    });
+
+    it("Should reject empty and undefined role bitmaps", async function () {
+      expect(parseRoles("CAPX", "TEAM_MINTER_ROLE,DAO_MINTER_ROLE")).to.equal(5n);
+      expect(parseRoles("CAPX", "0x7")).to.equal(7n);
+
+      expect(() => parseRoles("CAPX", "0")).to.throw("cannot be empty");
+      expect(() => parseRoles("CAPX", "16")).to.throw("contains bits not defined on CAPX");
+      expect(() => parseRoles("AngelSEED", "TEAM_MINTER_ROLE")).to.throw(
+        'Unknown AngelSEED role "TEAM_MINTER_ROLE"'
+      );
+    });
+
+    it("Should reject revenue mints that would revert", async function () {
+      const { capy, user1 } = await loadFixture(deployTokensFixture);
+      const maxSupply = await capy.getMaxSupply();
+
+      expect(() =>
+        encodeAdminCall("CAPX", capy.target, "revenueMint", [user1.address, "0", "1", "1", ethers.id("report")])
+      ).to.throw("revenue must be greater than zero");
+      expect(() =>
+        encodeAdminCall("CAPX", capy.target, "revenueMint", [user1.address, "1", "0", "1", ethers.id("report")])
+      ).to.throw("marketValue must be greater than zero");
+      expect(() =>
+        encodeAdminCall("CAPX", capy.target, "revenueMint", [user1.address, "1", "1", "1", ethers.ZeroHash])
+      ).to.throw("referenceHash cannot be zero");
+      expect(() =>
+        encodeAdminCall("CAPX", capy.target, "setRevenueEpochCap", [maxSupply + 1n])
+      ).to.throw("cap cannot exceed MAX_SUPPLY");
+    });
+
+    it("Should reject reward epochs that would revert", async function () {
+      const { seed } = await loadFixture(deployTokensFixture);
+
+      expect(() =>
+        encodeAdminCall("AngelSEED", seed.target, "publishRewardEpoch", [ethers.ZeroHash, "1", "Q3"])
+      ).to.throw("merkleRoot cannot be zero");
+      expect(() =>
+        encodeAdminCall("AngelSEED", seed.target, "publishRewardEpoch", ["0x1234", "1", "Q3"])
+      ).to.throw("merkleRoot must be a 32-byte hex string");
+      expect(() =>
+        encodeAdminCall("AngelSEED", seed.target, "publishRewardEpoch", [ethers.id("root"), "0", "Q3"])
+      ).to.throw("budget must be greater than zero");
+    });
+
+    it("Should reject vesting schedules that would revert", async function () {
+      const { capy, user1 } = await loadFixture(deployTokensFixture);
+
+      expect(() =>
+        encodeAdminCall("CAPX", capy.target, "teamMintVested", [user1.address, "1", "0", "2", "1", false])
+      ).to.throw("cliff cannot be longer than duration");
+      expect(() =>
+        encodeAdminCall("CAPX", capy.target, "teamMintVested", [user1.address, "1", "0", "0", "0", false])
+      ).to.throw("duration must be greater than zero");
+    });
+
+    it("Should reject mint caps that would revert", async function () {
+      const { capy } = await loadFixture(deployTokensFixture);
+
+      expect(() =>
+        encodeAdminCall("CAPX", capy.target, "setMintCap", ["TEAM_MINTER_ROLE,DAO_MINTER_ROLE", "1"])
+      ).to.throw("role must be exactly one of");
+      expect(() =>
+        encodeAdminCall("CAPX", capy.target, "setMintCap", [
+          "DAO_MINTER_ROLE",
+          (ethers.parseEther("100000000") + 1n).toString(),
+        ])
+      ).to.throw("cap cannot exceed MAX_SUPPLY");
+    });
+
+    it("Should reject fee changes above the combined bound", async function () {
+      const { capy } = await loadFixture(deployTokensFixture);
+
+      expect(() => encodeAdminCall("CAPX", capy.target, "scheduleFeeChange", ["Sell", "400", "101"])).to.throw(
+        "combined fee cannot exceed 500 bps, got 501"
+      );
+      expect(encodeAdminCall("CAPX", capy.target, "scheduleFeeChange", ["buy", "25", "10"]).args).to.deep.equal([
+        "1",
+        "25",
+        "10",
+      ]);
+    });
+
+    it("Should reject functions that are not admin functions", async function () {
+      const { seed } = await loadFixture(deployTokensFixture);
+
+      expect(() => encodeAdminCall("AngelSEED", seed.target, "setExemption", [])).to.throw();
+    });
+  });
+
+  describe("2. Local Execution", function () {
+    it("Should set exemptions through the multisig", async function () {
+      const { capy, user1 } = await loadFixture(deployTokensFixture);
+
+      await hre.run("capx:set-exemption", { address: capy.target, account: user1.address });
+      expect(await capy.isExempt(user1.address)).to.equal(true);
+
+      await hre.run("capx:set-exemption", {
+        address: capy.target,
+        account: user1.address,
+        exempt: false,
+      });
+      expect(await capy.isExempt(user1.address)).to.equal(false);
+    });
+
+    it("Should pause and unpause both tokens", async function () {
+      const { capy, seed } = await loadFixture(deployTokensFixture);
+
+      await hre.run("capx:pause", { address: capy.target });
+      await hre.run("seed:pause", { address: seed.target });
+      expect(await capy.paused()).to.equal(true);
+      expect(await seed.paused()).to.equal(true);
+
+      await hre.run("capx:unpause", { address: capy.target });
+      await hre.run("seed:unpause", { address: seed.target });
+      expect(await capy.paused()).to.equal(false);
+      expect(await seed.paused()).to.equal(false);
+    });
+
+    it("Should set and clear the AngelSEED forwarder", async function () {
+      const { seed } = await loadFixture(deployTokensFixture);
+      const forwarder = await (await ethers.getContractFactory("MockForwarder")).deploy();
+
+      await hre.run("seed:set-forwarder", { address: seed.target, forwarder: forwarder.target });
+      expect(await seed.getTrustedForwarder()).to.equal(forwarder.target);
+
+      await hre.run("seed:set-forwarder", { address: seed.target, forwarder: "none" });
+      expect(await seed.getTrustedForwarder()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should grant and revoke roles by name", async function () {
+      const { capy, seed, user1 } = await loadFixture(deployTokensFixture);
+
+      await hre.run("capx:grant-roles", {
+        address: capy.target,
+        account: user1.address,
+        roles: "TEAM_MINTER_ROLE,DAO_MINTER_ROLE",
+      });
+      await hre.run("seed:grant-minter", { address: seed.target, account: user1.address });
+
+      expect(await capy.hasRole(await capy.TEAM_MINTER_ROLE(), user1.address)).to.equal(true);
+      expect(await capy.hasRole(await capy.DAO_MINTER_ROLE(), user1.address)).to.equal(true);
+      expect(await seed.hasRole(await seed.REWARD_MINTER_ROLE(), user1.address)).to.equal(true);
+
+      await hre.run("capx:revoke-roles", {
+        address: capy.target,
+        account: user1.address,
+        roles: "DAO_MINTER_ROLE",
+      });
+      await hre.run("seed:revoke-minter", { address: seed.target, account: user1.address });
+
+      expect(await capy.hasRole(await capy.DAO_MINTER_ROLE(), user1.address)).to.equal(false);
+      expect(await seed.hasRole(await seed.REWARD_MINTER_ROLE(), user1.address)).to.equal(false);
+    });
+
+    it("Should update treasury and DAO and mint from revenue", async function () {
+      const { capy, user1 } = await loadFixture(deployTokensFixture);
+      const [, , , , newTreasury, newDao] = await ethers.getSigners();
+
+      await hre.run("capx:set-treasury", { address: capy.target, account: newTreasury.address });
+      await hre.run("capx:set-dao", { address: capy.target, account: newDao.address });
+      await hre.run("capx:revenue-mint", {
+        address: capy.target,
+        to: user1.address,
+        revenue: ethers.parseEther("100").toString(),
+        marketValue: ethers.parseEther("2").toString(),
+        epoch: "20264",
+        reference: ethers.id("2026 Q4 revenue report"),
+      });
+
+      expect(await capy.getTreasuryAddress()).to.equal(newTreasury.address);
+      expect(await capy.getDaoAddress()).to.equal(newDao.address);
+      expect(await capy.balanceOf(user1.address)).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should set a mint allocation cap by role name", async function () {
+      const { capy } = await loadFixture(deployTokensFixture);
+
+      const cap = ethers.parseEther("15000000");
+      await hre.run("capx:set-mint-cap", {
+        address: capy.target,
+        role: "TEAM_MINTER_ROLE",
+        cap: cap.toString(),
+      });
+
+      expect((await capy.getMintCaps()).teamCap).to.equal(cap);
+      expect((await capy.getMintHeadroom()).teamHeadroom).to.equal(cap);
+    });
+
+    it("Should schedule and apply a fee change", async function () {
+      const { capy } = await loadFixture(deployTokensFixture);
+
+      await hre.run("capx:schedule-fees", { address: capy.target, kind: "sell", burnBps: "25", treasuryBps: "75" });
+      await expect(
+        hre.run("capx:apply-fees", { address: capy.target, kind: "sell" })
+      ).to.be.revertedWithCustomError(capy, "FeeChangeNotReady");
+
+      await time.increase(await capy.FEE_CHANGE_DELAY());
+      await hre.run("capx:apply-fees", { address: capy.target, kind: "sell" });
+      expect(await capy.getFees(2)).to.deep.equal([25n, 75n]);
+      expect(await capy.getFees(0)).to.deep.equal([100n, 100n]);
+    });
+
+    it("Should bubble up contract reverts", async function () {
+      const { capy, user1 } = await loadFixture(deployTokensFixture);
+
+      await hre.run("capx:pause", { address: capy.target });
+      await expect(
+        hre.run("capx:revenue-mint", {
+          address: capy.target,
+          to: user1.address,
+          revenue: "1",
+          marketValue: "1",
+          epoch: "1",
+          reference: ethers.id("report"),
+        })
+      ).to.be.revertedWith("Pausable: paused");
+    });
+  });
+
+  describe("3. Batch Files", function () {
+    it("Should append calls to a batch file without executing them", async function () {
+      const { capy, seed, user1, batchPath } = await loadFixture(deployTokensFixture);
+
+      await hre.run("capx:set-exemption", {
+        address: capy.target,
+        account: user1.address,
+        out: batchPath,
+        batch: true,
+      });
+      await hre.run("seed:grant-minter", {
+        address: seed.target,
+        account: user1.address,
+        out: batchPath,
+        batch: true,
+      });
+
+      const batch = JSON.parse(fs.readFileSync(batchPath, "utf8"));
+      expect(batch.chainId).to.equal("31337");
+      expect(batch.transactions.map(({ to, value, data }) => ({ to, value, data }))).to.deep.equal([
+        {
+          to: capy.target,
+          value: "0",
+          data: capy.interface.encodeFunctionData("setExemption", [user1.address, true]),
+        },
+        {
+          to: seed.target,
+          value: "0",
+          data: seed.interface.encodeFunctionData("grantRoles", [
+            user1.address,
+            await seed.REWARD_MINTER_ROLE(),
+          ]),
+        },
+      ]);
+      expect(batch.transactions[0].contractMethod.name).to.equal("setExemption");
+      expect(batch.transactions[0].contractInputsValues).to.deep.equal({
+        account: user1.address,
+        exempt: "true",
+      });
+
+      expect(await capy.isExempt(user1.address)).to.equal(false);
+      expect(await seed.hasRole(await seed.REWARD_MINTER_ROLE(), user1.address)).to.equal(false);
+    });
+
+    it("Should refuse to append to a batch for another chain", async function () {
+      const { capy, batchPath } = await loadFixture(deployTokensFixture);
+
+      fs.writeFileSync(batchPath, JSON.stringify({ chainId: "56", meta: {}, transactions: [] }));
+
+      await expect(
+        hre.run("capx:pause", { address: capy.target, out: batchPath, batch: true })
+      ).to.be.rejectedWith("is for chain 56, not 31337");
+    });
+  });
+});
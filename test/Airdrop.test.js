@@ -0,0 +1,364 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseRecipients,
+  estimateBatchGas,
+  chunkRecipients,
+} = require("../scripts/lib/airdrop");
+const { airdrop, parseArgs } = require("../scripts/airdrop");
+const { deployMultisig } = require("./helpers/multisig");
+
+const REASON = "Community campaign";
+
+// Fits 10 recipients per chunk with REASON
+const TEN_PER_CHUNK = estimateBatchGas(10, REASON);
+
+describe("AngelSEED Airdrop", function () {
+  async function deployAirdropFixture() {
+    const [adminSigner, minter, outsider] = await ethers.getSigners();
+
+    const { multisig, executeAsAdmin } = await deployMultisig(adminSigner);
+
+    const AngelSEED = await ethers.getContractFactory("AngelSEED");
+    const seed = await AngelSEED.deploy(multisig.target);
+
+    const REWARD_MINTER_ROLE = await seed.REWARD_MINTER_ROLE();
+    await executeAsAdmin(seed, "grantRoles", minter.address, REWARD_MINTER_ROLE);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "capshield-airdrop-"));
+    const recipients = Array.from({ length: 25 }, () => ethers.Wallet.createRandom().address);
+
+    const writeCsv = (rows, name) => {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, ["address,amount", ...rows].join("\n"));
+      return file;
+    };
+    const csv = writeCsv(recipients.map((address, i) => `${address},${i + 1}.5`), "rewards.csv");
+
+    const options = {
+      csv,
+      reason: REASON,
+      token: seed.target,
+      maxGas: TEN_PER_CHUNK,
+      signer: minter,
+      deploymentsDir: dir,
+      log: () => {},
+    };
+
+    return {
+      seed,
+      multisig,
+      executeAsAdmin,
+      adminSigner,
+      minter,
+      outsider,
+      recipients,
+      dir,
+      csv,
+      writeCsv,
+      options,
+    };
+  }
+
+  const readState = (statePath) => JSON.parse(fs.readFileSync(statePath, "utf8"));
+
+  describe("1. CSV Parsing", function () {
+    it("Should read decimal and wei amounts, skipping headers and comments", async function () {
+      const a = ethers.Wallet.createRandom().address;
+      const b = ethers.Wallet.createRandom().address;
+      const text = `address,amount\n# team\n${a},1.5\n\n${b},2\n`;
+
+      expect(parseRecipients(text).recipients.map((r) => r.amount)).to.deep.equal([
+        ethers.parseEther("1.5"),
+        ethers.parseEther("2"),
+      ]);
+      expect(parseRecipients(`${a},1500\n`, { units: "wei" }).recipients[0]).to.deep.equal({
+        line: 1,
+        address: a,
+        amount: 1500n,
+      });
+    });
+
+    it("Should report rows the contract would reject", async function () {
+      const a = ethers.Wallet.createRandom().address;
+      const text = [
+        `${ethers.ZeroAddress},1`,
+        `${a},0`,
+        "0x1234,1",
+        `${a},abc`,
+        `${a},1,extra`,
+      ].join("\n");
+
+      expect(parseRecipients(text).errors).to.deep.equal([
+        { line: 1, message: "ZeroAddress" },
+        { line: 2, message: "InvalidAmount" },
+        { line: 3, message: "invalid address 0x1234" },
+        { line: 4, message: "invalid amount abc" },
+        { line: 5, message: "expected exactly two columns: address,amount" },
+      ]);
+    });
+
+    it("Should drop duplicate addresses and keep the first row", async function () {
+      const a = ethers.Wallet.createRandom().address;
+      const b = ethers.Wallet.createRandom().address;
+      const text = `${a},1\n${b},2\n${a.toLowerCase()},3\n`;
+
+      const { recipients, duplicates } = parseRecipients(text);
+      expect(recipients.map((r) => r.address)).to.deep.equal([a, b]);
+      expect(duplicates).to.deep.equal([{ line: 3, address: a, firstLine: 1 }]);
+    });
+
+    it("Should read options from the command line", async function () {
+      const args = parseArgs(["--csv", "r.csv", "--reason", "Q3", "--units", "wei", "--payload"]);
+
+      expect(args).to.include({ csv: "r.csv", reason: "Q3", units: "wei", payload: true });
+      expect(() => parseArgs(["--csv"])).to.throw("--csv requires a value");
+    });
+  });
+
+  describe("2. Chunking", function () {
+    it("Should keep every chunk under the gas budget", async function () {
+      const { recipients } = parseRecipients(
+        Array.from({ length: 25 }, () => `${ethers.Wallet.createRandom().address},1`).join("\n")
+      );
+
+      const chunks = chunkRecipients(recipients, REASON, TEN_PER_CHUNK);
+      expect(chunks.map((c) => c.length)).to.deep.equal([10, 10, 5]);
+      expect(() => chunkRecipients(recipients, REASON, 1000)).to.throw("too low for a single recipient");
+    });
+
+    it("Should not underestimate the real gas cost", async function () {
+      const { seed, minter } = await loadFixture(deployAirdropFixture);
+
+      const recipients = Array.from({ length: 10 }, () => ethers.Wallet.createRandom().address);
+      const reason = "x".repeat(256);
+      const tx = await seed
+        .connect(minter)
+        .batchRewardMint(recipients, recipients.map(() => 1n), reason);
+      const receipt = await tx.wait();
+
+      expect(receipt.gasUsed).to.be.lessThanOrEqual(estimateBatchGas(10, reason));
+    });
+  });
+
+  describe("3. Sending", function () {
+    it("Should mint every row in chunks and record them as done", async function () {
+      const { seed, recipients, options } = await loadFixture(deployAirdropFixture);
+
+      const { statePath, chunks } = await airdrop(options);
+
+      expect(chunks).to.have.length(3);
+      expect(await seed.balanceOf(recipients[0])).to.equal(ethers.parseEther("1.5"));
+      expect(await seed.balanceOf(recipients[24])).to.equal(ethers.parseEther("25.5"));
+      expect(await seed.getTotalMinted()).to.equal(ethers.parseEther("337.5"));
+
+      const state = readState(statePath);
+      expect(Object.keys(state.steps)).to.deep.equal(["chunk-0", "chunk-1", "chunk-2"]);
+      expect(Object.values(state.steps).every((s) => s.status === "done")).to.equal(true);
+    });
+
+    it("Should never mint the same rows twice when resumed", async function () {
+      const { seed, minter, recipients, options } = await loadFixture(deployAirdropFixture);
+
+      const first = await airdrop(options);
+      const nonceBefore = await ethers.provider.getTransactionCount(minter.address);
+
+      await airdrop({ ...options, resume: first.statePath });
+
+      expect(await ethers.provider.getTransactionCount(minter.address)).to.equal(nonceBefore);
+      expect(await seed.balanceOf(recipients[0])).to.equal(ethers.parseEther("1.5"));
+    });
+
+    it("Should only send the chunks an interrupted run did not finish", async function () {
+      const { seed, minter, recipients, options } = await loadFixture(deployAirdropFixture);
+
+      const first = await airdrop(options);
+
+      // Rewind to "chunk 1 not sent yet, chunk 2 sent but not confirmed when the run died"
+      const state = readState(first.statePath);
+      const chunk2 = state.steps["chunk-2"].result;
+      state.steps["chunk-2"] = { status: "pending", data: { txHash: chunk2.txHash, nonce: 2 } };
+      delete state.steps["chunk-1"];
+      fs.writeFileSync(first.statePath, JSON.stringify(state));
+
+      const nonceBefore = await ethers.provider.getTransactionCount(minter.address);
+      const resumed = await airdrop({ ...options, resume: first.statePath });
+
+      expect(await ethers.provider.getTransactionCount(minter.address)).to.equal(nonceBefore + 1);
+      expect(resumed.chunks[2].txHash).to.equal(chunk2.txHash);
+      // Chunk 1 really was minted by the first run, so it now shows up twice; chunk 2 must not
+      expect(await seed.balanceOf(recipients[10])).to.equal(ethers.parseEther("23"));
+      expect(await seed.balanceOf(recipients[20])).to.equal(ethers.parseEther("21.5"));
+    });
+
+    it("Should refuse to resume with an edited CSV", async function () {
+      const { recipients, writeCsv, options } = await loadFixture(deployAirdropFixture);
+
+      const first = await airdrop(options);
+      const edited = writeCsv(recipients.map((address) => `${address},100`), "edited.csv");
+
+      await expect(
+        airdrop({ ...options, csv: edited, resume: first.statePath })
+      ).to.be.rejectedWith('Configuration mismatch for "recipients"');
+    });
+  });
+
+  describe("4. Validation", function () {
+    it("Should reject invalid rows before sending anything", async function () {
+      const { minter, writeCsv, options } = await loadFixture(deployAirdropFixture);
+
+      const csv = writeCsv(
+        [`${ethers.Wallet.createRandom().address},1`, `${ethers.ZeroAddress},1`],
+        "invalid.csv"
+      );
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "capshield-airdrop-"));
+      const nonceBefore = await ethers.provider.getTransactionCount(minter.address);
+
+      await expect(airdrop({ ...options, csv, deploymentsDir: dir })).to.be.rejectedWith(
+        "line 3: ZeroAddress"
+      );
+      expect(await ethers.provider.getTransactionCount(minter.address)).to.equal(nonceBefore);
+      expect(fs.readdirSync(dir).filter((f) => f.startsWith("airdrop-state"))).to.deep.equal([]);
+    });
+
+    it("Should reject reasons the contract would reject", async function () {
+      const { options } = await loadFixture(deployAirdropFixture);
+
+      await expect(airdrop({ ...options, reason: "" })).to.be.rejectedWith("reason must be 1-256 bytes");
+      await expect(airdrop({ ...options, reason: "x".repeat(257) })).to.be.rejectedWith(
+        "reason must be 1-256 bytes, got 257"
+      );
+    });
+
+    it("Should reject airdrops above the remaining mint capacity", async function () {
+      const { writeCsv, options } = await loadFixture(deployAirdropFixture);
+
+      const csv = writeCsv([
+        `${ethers.Wallet.createRandom().address},6000000000`,
+        `${ethers.Wallet.createRandom().address},4000000001`,
+      ], "too-much.csv");
+
+      await expect(airdrop({ ...options, csv })).to.be.rejectedWith("MaxSupplyExceeded");
+    });
+
+    it("Should reject airdrops above the minter's rate limit", async function () {
+      const { seed, executeAsAdmin, minter, options } = await loadFixture(deployAirdropFixture);
+
+      // The CSV totals 337.5 SEED
+      await executeAsAdmin(seed, "setMinterAllowance", minter.address, ethers.parseEther("300"), 86400);
+
+      await expect(airdrop(options)).to.be.rejectedWith("can only mint 300.0 right now (MinterAllowanceExceeded)");
+      expect(await seed.getTotalMinted()).to.equal(0);
+    });
+
+    it("Should reject blocked recipients before sending anything", async function () {
+      const { seed, executeAsAdmin, adminSigner, recipients, options } = await loadFixture(deployAirdropFixture);
+
+      await executeAsAdmin(seed, "grantRoles", adminSigner.address, await seed.COMPLIANCE_ROLE());
+      await seed.connect(adminSigner).setBlocked([recipients[3], recipients[17]], true);
+
+      await expect(airdrop(options)).to.be.rejectedWith(
+        `has 2 blocked recipient(s) (AccountBlocked):\n  line 5: ${recipients[3]}\n  line 19: ${recipients[17]}`
+      );
+      expect(await seed.getTotalMinted()).to.equal(0);
+    });
+
+    it("Should reject a sender without REWARD_MINTER_ROLE", async function () {
+      const { outsider, options } = await loadFixture(deployAirdropFixture);
+
+      await expect(airdrop({ ...options, signer: outsider })).to.be.rejectedWith(
+        "does not have REWARD_MINTER_ROLE"
+      );
+    });
+  });
+
+  describe("5. Multisig Payloads", function () {
+    it("Should write one Safe batch per chunk instead of sending", async function () {
+      const { seed, multisig, adminSigner, recipients, options } =
+        await loadFixture(deployAirdropFixture);
+
+      const { chunks } = await airdrop({ ...options, payload: true });
+
+      expect(chunks).to.have.length(3);
+      expect(await seed.getTotalMinted()).to.equal(0n);
+
+      for (const { payload } of chunks) {
+        const batch = JSON.parse(fs.readFileSync(payload, "utf8"));
+        expect(batch.chainId).to.equal("31337");
+        expect(batch.transactions[0].contractMethod.name).to.equal("batchRewardMint");
+        expect(batch.transactions[0].contractInputsValues.reason).to.equal(REASON);
+        await multisig.connect(adminSigner).execute(batch.transactions[0].to, batch.transactions[0].data);
+      }
+
+      expect(await seed.balanceOf(recipients[24])).to.equal(ethers.parseEther("25.5"));
+      expect(await seed.getTotalMinted()).to.equal(ethers.parseEther("337.5"));
+    });
+
+    it("Should only mark a payload done once the multisig has executed it", async function () {
+      const { seed, multisig, adminSigner, options } = await loadFixture(deployAirdropFixture);
+
+      const first = await airdrop({ ...options, payload: true });
+      expect(Object.values(readState(first.statePath).steps).map((s) => s.status)).to.deep.equal([
+        "exported",
+        "exported",
+        "exported",
+      ]);
+
+      // The signers execute chunks 0 and 2, chunk 1 is still waiting
+      const execute = async ({ payload }) => {
+        const [tx] = JSON.parse(fs.readFileSync(payload, "utf8")).transactions;
+        return (await multisig.connect(adminSigner).execute(tx.to, tx.data)).hash;
+      };
+      const hash0 = await execute(first.chunks[0]);
+      const hash2 = await execute(first.chunks[2]);
+
+      const resumed = await airdrop({ ...options, payload: true, resume: first.statePath });
+
+      expect(resumed.chunks.map((c) => c.txHash)).to.deep.equal([hash0, undefined, hash2]);
+      expect(resumed.chunks[1].payload).to.equal(first.chunks[1].payload);
+      expect(Object.values(readState(first.statePath).steps).map((s) => s.status)).to.deep.equal([
+        "done",
+        "exported",
+        "done",
+      ]);
+
+      const hash1 = await execute(first.chunks[1]);
+      const final = await airdrop({ ...options, payload: true, resume: first.statePath });
+
+      expect(final.chunks.map((c) => c.txHash)).to.deep.equal([hash0, hash1, hash2]);
+      expect(await seed.getTotalMinted()).to.equal(ethers.parseEther("337.5"));
+    });
+
+    it("Should not confirm a chunk from another airdrop to the same recipients", async function () {
+      const { seed, executeAsAdmin, recipients, options } = await loadFixture(deployAirdropFixture);
+
+      const first = await airdrop({ ...options, payload: true });
+      // Same first recipient, amount and reason, but minted on its own
+      await executeAsAdmin(seed, "batchRewardMint", [recipients[0]], [ethers.parseEther("1.5")], REASON);
+
+      const resumed = await airdrop({ ...options, payload: true, resume: first.statePath });
+
+      expect(resumed.chunks.every((c) => c.txHash === undefined)).to.equal(true);
+      expect(readState(first.statePath).steps["chunk-0"].status).to.equal("exported");
+    });
+  });
+
+  describe("6. Deployment Lookup", function () {
+    it("Should find AngelSEED in the deployments directory it was given", async function () {
+      const { seed, dir, options } = await loadFixture(deployAirdropFixture);
+
+      fs.writeFileSync(
+        path.join(dir, `deployment-${network.name}-1.json`),
+        JSON.stringify({ contracts: { AngelSEED: { address: seed.target } } })
+      );
+
+      await airdrop({ ...options, token: undefined });
+
+      expect(await seed.getTotalMinted()).to.equal(ethers.parseEther("337.5"));
+    });
+  });
+});
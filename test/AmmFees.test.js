@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployPair, addLiquidity, getReserves, buy, sell } = require("./helpers/amm");
+const { deployMultisig } = require("./helpers/multisig");
+
+const { ethers } = hre;
+
+// ICAPX.FeeKind
+const FeeKind = { Transfer: 0, Buy: 1, Sell: 2 };
+
+describe("CAPX AMM Fees", function () {
+  async function deployPoolFixture() {
+    const [adminSigner, treasury, dao, trader, user2] = await ethers.getSigners();
+
+    const { multisig, adminFor } = await deployMultisig(adminSigner);
+
+    const CAPX = await ethers.getContractFactory("CAPX");
+    const capy = await CAPX.deploy(multisig.target, treasury.address, dao.address);
+
+    const executeAsAdmin = adminFor(capy);
+
+    // Schedules a fee change and applies it once the timelock has passed
+    const changeFees = async (kind, burnBps, treasuryBps) => {
+      await executeAsAdmin("scheduleFeeChange", kind, burnBps, treasuryBps);
+      await time.increase(await capy.FEE_CHANGE_DELAY());
+      return executeAsAdmin("applyFeeChange", kind);
+    };
+
+    // 1M CAPX against 1000 WBNB, seeded by the fee-exempt treasury
+    const { pair, quote } = await deployPair(capy);
+    const pool = { pair, quote, token: capy };
+    await executeAsAdmin("treasuryMint", treasury.address, ethers.parseEther("1000000"));
+    await addLiquidity(pool, treasury, ethers.parseEther("1000000"), ethers.parseEther("1000"));
+    await executeAsAdmin("setAmmPair", pair.target, true);
+    await executeAsAdmin("enableTrading");
+
+    await executeAsAdmin("teamMint", trader.address, ethers.parseEther("10000"));
+
+    return { capy, multisig, executeAsAdmin, changeFees, pool, pair, quote, treasury, dao, trader, user2 };
+  }
+
+  // Splits an amount the way CAPX does: [burned, to treasury, to recipient]
+  const split = (amount, burnBps, treasuryBps) => {
+    const burned = (amount * BigInt(burnBps)) / 10000n;
+    const toTreasury = (amount * BigInt(treasuryBps)) / 10000n;
+    return [burned, toTreasury, amount - burned - toTreasury];
+  };
+
+  describe("1. Pair Registration", function () {
+    it("Should register and unregister AMM pairs", async function () {
+      const { capy, executeAsAdmin, pair } = await loadFixture(deployPoolFixture);
+
+      expect(await capy.isAmmPair(pair.target)).to.equal(true);
+
+      await expect(executeAsAdmin("setAmmPair", pair.target, false))
+        .to.emit(capy, "AmmPairUpdated")
+        .withArgs(pair.target, false);
+      expect(await capy.isAmmPair(pair.target)).to.equal(false);
+    });
+
+    it("Should only let the owner register pairs, and never the zero address", async function () {
+      const { capy, executeAsAdmin, trader } = await loadFixture(deployPoolFixture);
+
+      await expect(capy.connect(trader).setAmmPair(trader.address, true)).to.be.reverted;
+      await expect(executeAsAdmin("setAmmPair", ethers.ZeroAddress, true)).to.be.revertedWithCustomError(
+        capy,
+        "ZeroAddress"
+      );
+    });
+
+    it("Should register pairs through the admin task", async function () {
+      const { capy, user2 } = await loadFixture(deployPoolFixture);
+
+      await hre.run("capx:set-amm-pair", { address: capy.target, pair: user2.address });
+      expect(await capy.isAmmPair(user2.address)).to.equal(true);
+    });
+  });
+
+  describe("2. Buy, Sell and Transfer Fees", function () {
+    it("Should charge buy rates on tokens sent by the pair", async function () {
+      const { capy, changeFees, pool, treasury, trader } = await loadFixture(deployPoolFixture);
+
+      await changeFees(FeeKind.Buy, 300, 200);
+      const balanceBefore = await capy.balanceOf(trader.address);
+      const treasuryBefore = await capy.balanceOf(treasury.address);
+      const supplyBefore = await capy.totalSupply();
+
+      const { tx, amountOut } = await buy(pool, trader, ethers.parseEther("1"));
+      const [burned, toTreasury, received] = split(amountOut, 300, 200);
+
+      await expect(tx).to.emit(capy, "TreasuryFee").withArgs(pool.pair.target, treasury.address, toTreasury);
+      expect((await capy.balanceOf(trader.address)) - balanceBefore).to.equal(received);
+      expect((await capy.balanceOf(treasury.address)) - treasuryBefore).to.equal(toTreasury);
+      expect(supplyBefore - (await capy.totalSupply())).to.equal(burned);
+    });
+
+    it("Should charge sell rates on tokens sent to the pair", async function () {
+      const { capy, changeFees, pool, trader } = await loadFixture(deployPoolFixture);
+
+      await changeFees(FeeKind.Sell, 0, 400);
+      const tokenIn = ethers.parseEther("1000");
+
+      const { amountIn, amountOut } = await sell(pool, trader, tokenIn);
+
+      expect(amountIn).to.equal(split(tokenIn, 0, 400)[2]);
+      expect(await pool.quote.balanceOf(trader.address)).to.equal(amountOut);
+      const { tokenReserve } = await getReserves(pool.pair, capy);
+      expect(tokenReserve).to.equal(ethers.parseEther("1000000") + amountIn);
+    });
+
+    it("Should charge only on trades when transfer fees are zero", async function () {
+      const { capy, changeFees, pool, trader, user2 } = await loadFixture(deployPoolFixture);
+
+      await changeFees(FeeKind.Transfer, 0, 0);
+
+      const amount = ethers.parseEther("500");
+      await expect(capy.connect(trader).transfer(user2.address, amount)).not.to.emit(capy, "TreasuryFee");
+      expect(await capy.balanceOf(user2.address)).to.equal(amount);
+
+      // Buys and sells still pay the 1% + 1% set at deployment
+      const { amountIn } = await sell(pool, trader, amount);
+      expect(amountIn).to.equal(split(amount, 100, 100)[2]);
+    });
+
+    it("Should treat an unregistered pair as a plain transfer", async function () {
+      const { capy, executeAsAdmin, changeFees, pool, trader } = await loadFixture(deployPoolFixture);
+
+      await changeFees(FeeKind.Sell, 0, 500);
+      await executeAsAdmin("setAmmPair", pool.pair.target, false);
+
+      const tokenIn = ethers.parseEther("1000");
+      const { amountIn } = await sell(pool, trader, tokenIn);
+      expect(amountIn).to.equal(split(tokenIn, 100, 100)[2]);
+      expect(await capy.getFees(FeeKind.Sell)).to.deep.equal([0n, 500n]);
+    });
+
+    it("Should not charge exempt accounts on swaps", async function () {
+      const { executeAsAdmin, pool, dao } = await loadFixture(deployPoolFixture);
+
+      await executeAsAdmin("daoMint", dao.address, ethers.parseEther("1000"));
+      const { amountIn } = await sell(pool, dao, ethers.parseEther("1000"));
+      expect(amountIn).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should schedule each fee kind independently", async function () {
+      const { capy, executeAsAdmin } = await loadFixture(deployPoolFixture);
+
+      await expect(executeAsAdmin("scheduleFeeChange", FeeKind.Buy, 0, 0))
+        .to.emit(capy, "FeeChangeScheduled")
+        .withArgs(FeeKind.Buy, 0, 0, (value) => value > 0n);
+      await executeAsAdmin("scheduleFeeChange", FeeKind.Sell, 250, 250);
+      await executeAsAdmin("cancelFeeChange", FeeKind.Buy);
+
+      expect((await capy.getPendingFeeChange(FeeKind.Buy)).executeAfter).to.equal(0);
+      expect((await capy.getPendingFeeChange(FeeKind.Sell)).burnFeeBps).to.equal(250);
+      await expect(executeAsAdmin("applyFeeChange", FeeKind.Transfer)).to.be.revertedWithCustomError(
+        capy,
+        "NoPendingFeeChange"
+      );
+
+      await time.increase(await capy.FEE_CHANGE_DELAY());
+      await expect(executeAsAdmin("applyFeeChange", FeeKind.Sell))
+        .to.emit(capy, "FeesUpdated")
+        .withArgs(FeeKind.Sell, 100, 250, 100, 250);
+      expect(await capy.getFees(FeeKind.Buy)).to.deep.equal([100n, 100n]);
+    });
+  });
+});
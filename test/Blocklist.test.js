@@ -0,0 +1,271 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseSanctionsList, planBlocklistSync, blocklistCalls } = require("../scripts/lib/sanctions");
+const { syncBlocklist } = require("../scripts/sanctions-sync");
+const { deployMultisig } = require("./helpers/multisig");
+
+const { ethers } = hre;
+
+describe("Compliance Blocklist", function () {
+  async function deployBlocklistFixture() {
+    const [adminSigner, treasury, dao, minter, compliance, user1, user2, spender] = await ethers.getSigners();
+
+    const { multisig, executeAsAdmin } = await deployMultisig(adminSigner);
+
+    const capx = await (await ethers.getContractFactory("CAPX")).deploy(
+      multisig.target,
+      treasury.address,
+      dao.address
+    );
+    const seed = await (await ethers.getContractFactory("AngelSEED")).deploy(multisig.target);
+
+    await executeAsAdmin(capx, "enableTrading");
+    await executeAsAdmin(capx, "grantRoles", minter.address, await capx.TEAM_MINTER_ROLE());
+    await executeAsAdmin(capx, "grantRoles", compliance.address, await capx.COMPLIANCE_ROLE());
+    await executeAsAdmin(seed, "grantRoles", minter.address, await seed.REWARD_MINTER_ROLE());
+    await executeAsAdmin(seed, "grantRoles", compliance.address, await seed.COMPLIANCE_ROLE());
+
+    const amount = ethers.parseEther("1000");
+    await capx.connect(minter).teamMint(user1.address, amount);
+    await seed.connect(minter).rewardMint(user1.address, amount, "initial");
+
+    return { capx, seed, multisig, executeAsAdmin, minter, compliance, user1, user2, spender, amount };
+  }
+
+  for (const name of ["CAPX", "AngelSEED"]) {
+    const tokenOf = (fixture) => (name === "CAPX" ? fixture.capx : fixture.seed);
+    const mint = (fixture, to, amount) =>
+      name === "CAPX"
+        ? fixture.capx.connect(fixture.minter).teamMint(to, amount)
+        : fixture.seed.connect(fixture.minter).rewardMint(to, amount, "reward");
+
+    describe(`${name === "CAPX" ? "1" : "2"}. ${name}`, function () {
+      it("Should let COMPLIANCE_ROLE block and unblock addresses", async function () {
+        const fixture = await loadFixture(deployBlocklistFixture);
+        const token = tokenOf(fixture);
+        const { compliance, user1, user2 } = fixture;
+
+        await expect(token.connect(compliance).setBlocked([user1.address, user2.address], true))
+          .to.emit(token, "BlocklistUpdated")
+          .withArgs(user1.address, true)
+          .and.to.emit(token, "BlocklistUpdated")
+          .withArgs(user2.address, true);
+        expect(await token.isBlocked(user1.address)).to.equal(true);
+        expect(await token.isBlocked(user2.address)).to.equal(true);
+
+        await expect(token.connect(compliance).setBlocked([user1.address], false))
+          .to.emit(token, "BlocklistUpdated")
+          .withArgs(user1.address, false);
+        expect(await token.isBlocked(user1.address)).to.equal(false);
+        expect(await token.isBlocked(user2.address)).to.equal(true);
+      });
+
+      it("Should not let the owner or anyone else change the blocklist", async function () {
+        const fixture = await loadFixture(deployBlocklistFixture);
+        const token = tokenOf(fixture);
+        const { executeAsAdmin, user1, user2 } = fixture;
+
+        await expect(executeAsAdmin(token, "setBlocked", [user2.address], true)).to.be.reverted;
+        await expect(token.connect(user1).setBlocked([user2.address], true)).to.be.revertedWithCustomError(
+          token,
+          "Unauthorized"
+        );
+      });
+
+      it("Should reject the zero address", async function () {
+        const fixture = await loadFixture(deployBlocklistFixture);
+        const token = tokenOf(fixture);
+
+        await expect(
+          token.connect(fixture.compliance).setBlocked([fixture.user2.address, ethers.ZeroAddress], true)
+        ).to.be.revertedWithCustomError(token, "ZeroAddress");
+      });
+
+      it("Should stop blocked addresses from sending and receiving", async function () {
+        const fixture = await loadFixture(deployBlocklistFixture);
+        const token = tokenOf(fixture);
+        const { compliance, user1, user2 } = fixture;
+        const value = ethers.parseEther("10");
+
+        await token.connect(compliance).setBlocked([user1.address], true);
+        await expect(token.connect(user1).transfer(user2.address, value)).to.be.revertedWithCustomError(
+          token,
+          "AccountBlocked"
+        );
+
+        await token.connect(compliance).setBlocked([user1.address], false);
+        await token.connect(compliance).setBlocked([user2.address], true);
+        await expect(token.connect(user1).transfer(user2.address, value)).to.be.revertedWithCustomError(
+          token,
+          "AccountBlocked"
+        );
+
+        await token.connect(compliance).setBlocked([user2.address], false);
+        await expect(token.connect(user1).transfer(user2.address, value)).to.not.be.reverted;
+      });
+
+      it("Should stop mints to blocked addresses and burns by them", async function () {
+        const fixture = await loadFixture(deployBlocklistFixture);
+        const token = tokenOf(fixture);
+        const { compliance, user1, user2 } = fixture;
+
+        await token.connect(compliance).setBlocked([user1.address, user2.address], true);
+        await expect(mint(fixture, user2.address, ethers.parseEther("1"))).to.be.revertedWithCustomError(
+          token,
+          "AccountBlocked"
+        );
+        await expect(token.connect(user1).burn(ethers.parseEther("1"))).to.be.revertedWithCustomError(
+          token,
+          "AccountBlocked"
+        );
+      });
+
+      it("Should stop blocked spenders from using allowances", async function () {
+        const fixture = await loadFixture(deployBlocklistFixture);
+        const token = tokenOf(fixture);
+        const { compliance, user1, user2, spender } = fixture;
+        const value = ethers.parseEther("10");
+
+        await token.connect(user1).approve(spender.address, value * 2n);
+        await token.connect(compliance).setBlocked([spender.address], true);
+
+        await expect(
+          token.connect(spender).transferFrom(user1.address, user2.address, value)
+        ).to.be.revertedWithCustomError(token, "AccountBlocked");
+        await expect(token.connect(spender).burnFrom(user1.address, value)).to.be.revertedWithCustomError(
+          token,
+          "AccountBlocked"
+        );
+
+        await token.connect(compliance).setBlocked([spender.address], false);
+        await expect(token.connect(spender).transferFrom(user1.address, user2.address, value)).to.not.be.reverted;
+      });
+
+      it("Should keep the blocklist editable while paused", async function () {
+        const fixture = await loadFixture(deployBlocklistFixture);
+        const token = tokenOf(fixture);
+
+        await fixture.executeAsAdmin(token, "pause");
+        await expect(token.connect(fixture.compliance).setBlocked([fixture.user1.address], true)).to.not.be.reverted;
+        expect(await token.isBlocked(fixture.user1.address)).to.equal(true);
+      });
+    });
+  }
+
+  describe("3. Sanctions List Parsing", function () {
+    const a = "0x1111111111111111111111111111111111111111";
+    const b = "0x2222222222222222222222222222222222222222";
+
+    it("Should read plain lists and CSVs, skipping comments, headers and duplicates", function () {
+      const { addresses, errors } = parseSanctionsList(
+        `address,name\n${a},Entity A # OFAC\n\n# removed 2026-01-01\n${b}\n${a}\n`
+      );
+      expect(errors).to.deep.equal([]);
+      expect(addresses).to.deep.equal([ethers.getAddress(a), ethers.getAddress(b)]);
+    });
+
+    it("Should report invalid and zero addresses with their line", function () {
+      const { errors } = parseSanctionsList(`${a}\n0x1234\n${ethers.ZeroAddress}\n`);
+      expect(errors).to.deep.equal([
+        { line: 2, message: "invalid address 0x1234" },
+        { line: 3, message: "the zero address cannot be blocked" },
+      ]);
+    });
+
+    it("Should plan additions and removals and split them into calls", function () {
+      const c = "0x3333333333333333333333333333333333333333";
+      const plan = planBlocklistSync([a, b], [b, c]);
+      expect(plan).to.deep.equal({ add: [ethers.getAddress(a)], remove: [ethers.getAddress(c)] });
+
+      const calls = blocklistCalls({ add: [a, b, c], remove: [c] }, 2);
+      expect(calls).to.deep.equal([
+        [[a, b], true],
+        [[c], true],
+        [[c], false],
+      ]);
+    });
+  });
+
+  describe("4. Sync Script", function () {
+    const writeList = (lines) => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "capshield-sanctions-")), "sanctions.txt");
+      fs.writeFileSync(file, lines.join("\n") + "\n");
+      return file;
+    };
+
+    it("Should send the additions and removals needed on both tokens", async function () {
+      const { capx, seed, compliance, user1, user2, spender } = await loadFixture(deployBlocklistFixture);
+      const options = {
+        capx: capx.target,
+        angelseed: seed.target,
+        send: true,
+        signer: compliance,
+        log: () => {},
+      };
+
+      await capx.connect(compliance).setBlocked([spender.address], true);
+      const first = await syncBlocklist({ ...options, list: writeList([user1.address, user2.address]) });
+
+      expect(first.plans.CAPX.add).to.deep.equal([user1.address, user2.address]);
+      expect(first.plans.CAPX.remove).to.deep.equal([spender.address]);
+      expect(first.plans.AngelSEED.add).to.deep.equal([user1.address, user2.address]);
+      expect(first.plans.AngelSEED.remove).to.deep.equal([]);
+      expect(first.txHashes).to.have.length(3);
+      for (const token of [capx, seed]) {
+        expect(await token.isBlocked(user1.address)).to.equal(true);
+        expect(await token.isBlocked(user2.address)).to.equal(true);
+        expect(await token.isBlocked(spender.address)).to.equal(false);
+      }
+
+      // Delisting user1 unblocks it; a second run with the same list has nothing to do
+      const list = writeList([user2.address]);
+      const second = await syncBlocklist({ ...options, list });
+      expect(second.plans.CAPX.remove).to.deep.equal([user1.address]);
+      expect(await capx.isBlocked(user1.address)).to.equal(false);
+      expect(await seed.isBlocked(user1.address)).to.equal(false);
+
+      const third = await syncBlocklist({ ...options, list });
+      expect(third.calls).to.deep.equal([]);
+    });
+
+    it("Should write a Safe batch for the compliance Safe by default", async function () {
+      const { capx, seed, user1 } = await loadFixture(deployBlocklistFixture);
+      const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "capshield-sanctions-")), "batch.json");
+
+      const { batchPath } = await syncBlocklist({
+        list: writeList([user1.address]),
+        tokens: "AngelSEED",
+        capx: capx.target,
+        angelseed: seed.target,
+        out,
+        log: () => {},
+      });
+
+      const batch = JSON.parse(fs.readFileSync(batchPath, "utf8"));
+      expect(batch.transactions).to.have.length(1);
+      expect(batch.transactions[0].to).to.equal(seed.target);
+      expect(batch.transactions[0].contractMethod.name).to.equal("setBlocked");
+      expect(batch.transactions[0].contractInputsValues).to.deep.equal({
+        accounts: JSON.stringify([user1.address]),
+        blocked: "true",
+      });
+      expect(await seed.isBlocked(user1.address)).to.equal(false);
+    });
+
+    it("Should refuse to send without COMPLIANCE_ROLE or with an invalid list", async function () {
+      const { capx, seed, user1, user2 } = await loadFixture(deployBlocklistFixture);
+      const options = { capx: capx.target, angelseed: seed.target, send: true, signer: user1, log: () => {} };
+
+      await expect(syncBlocklist({ ...options, list: writeList([user2.address]) })).to.be.rejectedWith(
+        "does not have COMPLIANCE_ROLE"
+      );
+      await expect(syncBlocklist({ ...options, list: writeList([user2.address, "not-an-address"]) })).to.be.rejectedWith(
+        "1 invalid line(s)"
+      );
+    });
+  });
+});
@@ -1,6 +1,9 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// ICAPX.FeeKind
+const FeeKind = { Transfer: 0, Buy: 1, Sell: 2 };
 
 describe("CAPX Token", function () {
   async function deployTokenFixture() {
@@ -39,6 +42,11 @@ describe("CAPX Token", function () {
       return multisig.connect(adminSigner).execute(capy.target, data);
     };
 
+    // Open trading so transfers between regular users are allowed
+    await executeAsAdmin("enableTrading");
+
+    let reports = 0;
+
     // Create wrapper for capy.connect(admin) pattern
     // When tests call capy.connect(admin).function(), it will execute through multisig
     const originalConnect = capy.connect.bind(capy);
@@ -50,8 +58,9 @@ describe("CAPX Token", function () {
           treasuryMint: (to, amount) =>
             executeAsAdmin("treasuryMint", to, amount),
           daoMint: (to, amount) => executeAsAdmin("daoMint", to, amount),
-          revenueMint: (to, revenue, marketValue) =>
-            executeAsAdmin("revenueMint", to, revenue, marketValue),
+          // Epoch 1 with a new reference per mint unless a test passes its own
+          revenueMint: (to, revenue, marketValue, epoch = 1, referenceHash = ethers.id(`report-${++reports}`)) =>
+            executeAsAdmin("revenueMint", to, revenue, marketValue, epoch, referenceHash),
           grantRoles: (user, roles) =>
             executeAsAdmin("grantRoles", user, roles),
           revokeRoles: (user, roles) =>
@@ -63,6 +72,11 @@ describe("CAPX Token", function () {
           setDaoAddress: (addr) => executeAsAdmin("setDaoAddress", addr),
           setExemption: (account, exempt) =>
             executeAsAdmin("setExemption", account, exempt),
+          setMintCap: (role, cap) => executeAsAdmin("setMintCap", role, cap),
+          scheduleFeeChange: (kind, burnBps, treasuryBps) =>
+            executeAsAdmin("scheduleFeeChange", kind, burnBps, treasuryBps),
+          applyFeeChange: (kind) => executeAsAdmin("applyFeeChange", kind),
+          cancelFeeChange: (kind) => executeAsAdmin("cancelFeeChange", kind),
         };
       }
       // Otherwise use original connect
@@ -327,11 +341,13 @@ describe("CAPX Token", function () {
       const marketValue = ethers.parseEther("10");
       const expectedTokens = ethers.parseEther("100"); // 1000 / 10 = 100 tokens
 
+      const referenceHash = ethers.id("2026 Q4 revenue report");
+
       await expect(
-        capy.connect(admin).revenueMint(treasury.address, revenue, marketValue)
+        capy.connect(admin).revenueMint(treasury.address, revenue, marketValue, 20264, referenceHash)
       )
         .to.emit(capy, "RevenueMint")
-        .withArgs(revenue, marketValue, expectedTokens);
+        .withArgs(treasury.address, 20264, referenceHash, revenue, marketValue, expectedTokens);
 
       expect(await capy.balanceOf(treasury.address)).to.equal(expectedTokens);
     });
@@ -360,6 +376,28 @@ describe("CAPX Token", function () {
   });
 
   describe("6. Transfer Hooks", function () {
+    // Schedules a fee change and applies it once the timelock has passed
+    const changeFees = async (capy, admin, burnBps, treasuryBps) => {
+      await capy
+        .connect(admin)
+        .scheduleFeeChange(FeeKind.Transfer, burnBps, treasuryBps);
+      await time.increase(await capy.FEE_CHANGE_DELAY());
+      return capy.connect(admin).applyFeeChange(FeeKind.Transfer);
+    };
+
+    it("Should start at 100 bps burn and 100 bps treasury fee", async function () {
+      const { capy } = await loadFixture(deployTokenFixture);
+
+      const [burnFeeBps, treasuryFeeBps] = await capy.getFees(FeeKind.Transfer);
+      expect(burnFeeBps).to.equal(100);
+      expect(treasuryFeeBps).to.equal(100);
+      expect(await capy.MAX_TOTAL_FEE_BPS()).to.equal(500);
+
+      await expect(capy.deploymentTransaction())
+        .to.emit(capy, "FeesUpdated")
+        .withArgs(FeeKind.Transfer, 0, 100, 0, 100);
+    });
+
     it("Should apply 1% burn and 1% treasury fee on regular transfers", async function () {
       const { capy, admin, user1, user2, treasury } = await loadFixture(
         deployTokenFixture
@@ -369,8 +407,8 @@ describe("CAPX Token", function () {
       await capy.connect(admin).teamMint(user1.address, mintAmount);
 
       const transferAmount = ethers.parseUnits("1000", 18);
-      const burnAmount = (transferAmount * 1n) / 100n; // 1%
-      const treasuryFee = (transferAmount * 1n) / 100n; // 1%
+      const burnAmount = (transferAmount * 100n) / 10000n; // 100 bps
+      const treasuryFee = (transferAmount * 100n) / 10000n; // 100 bps
       const recipientAmount = transferAmount - burnAmount - treasuryFee; // 98%
 
       const initialSupply = await capy.totalSupply();
@@ -401,7 +439,8 @@ describe("CAPX Token", function () {
       await capy.connect(admin).teamMint(user1.address, mintAmount);
 
       const transferAmount = ethers.parseUnits("1000", 18);
-      const burnAmount = (transferAmount * 1n) / 100n;
+      const [burnFeeBps] = await capy.getFees(FeeKind.Transfer);
+      const burnAmount = (transferAmount * burnFeeBps) / 10000n;
 
       const supplyBefore = await capy.totalSupply();
       await capy.connect(user1).transfer(user2.address, transferAmount);
@@ -419,7 +458,8 @@ describe("CAPX Token", function () {
       await capy.connect(admin).teamMint(user1.address, mintAmount);
 
       const transferAmount = ethers.parseUnits("1000", 18);
-      const treasuryFee = (transferAmount * 1n) / 100n;
+      const [, treasuryFeeBps] = await capy.getFees(FeeKind.Transfer);
+      const treasuryFee = (transferAmount * treasuryFeeBps) / 10000n;
 
       const treasuryBefore = await capy.balanceOf(treasury.address);
       await capy.connect(user1).transfer(user2.address, transferAmount);
@@ -427,6 +467,109 @@ describe("CAPX Token", function () {
 
       expect(treasuryAfter - treasuryBefore).to.equal(treasuryFee);
     });
+
+    it("Should charge fractional percentages after a fee change", async function () {
+      const { capy, admin, user1, user2, treasury } = await loadFixture(
+        deployTokenFixture
+      );
+
+      await capy.connect(admin).teamMint(user1.address, ethers.parseUnits("10000", 18));
+
+      // 0.25% burn + 0.1% treasury fee
+      await expect(changeFees(capy, admin, 25, 10))
+        .to.emit(capy, "FeesUpdated")
+        .withArgs(FeeKind.Transfer, 100, 25, 100, 10);
+
+      const transferAmount = ethers.parseUnits("1000", 18);
+      const burnAmount = ethers.parseUnits("2.5", 18);
+      const treasuryFee = ethers.parseUnits("1", 18);
+
+      const supplyBefore = await capy.totalSupply();
+      await expect(capy.connect(user1).transfer(user2.address, transferAmount))
+        .to.emit(capy, "TreasuryFee")
+        .withArgs(user1.address, treasury.address, treasuryFee);
+
+      expect(await capy.balanceOf(user2.address)).to.equal(
+        transferAmount - burnAmount - treasuryFee
+      );
+      expect(supplyBefore - (await capy.totalSupply())).to.equal(burnAmount);
+    });
+
+    it("Should transfer the full amount when fees are set to zero", async function () {
+      const { capy, admin, user1, user2, treasury } = await loadFixture(
+        deployTokenFixture
+      );
+
+      await capy.connect(admin).teamMint(user1.address, ethers.parseUnits("10000", 18));
+      await changeFees(capy, admin, 0, 0);
+
+      const transferAmount = ethers.parseUnits("1000", 18);
+      await expect(
+        capy.connect(user1).transfer(user2.address, transferAmount)
+      ).not.to.emit(capy, "TreasuryFee");
+      expect(await capy.balanceOf(user2.address)).to.equal(transferAmount);
+      expect(await capy.balanceOf(treasury.address)).to.equal(0);
+    });
+
+    it("Should only apply a fee change after the timelock", async function () {
+      const { capy, admin } = await loadFixture(deployTokenFixture);
+
+      await expect(
+        capy.connect(admin).applyFeeChange(FeeKind.Transfer)
+      ).to.be.revertedWithCustomError(capy, "NoPendingFeeChange");
+
+      const tx = await capy.connect(admin).scheduleFeeChange(FeeKind.Transfer, 200, 50);
+      const executeAfter =
+        BigInt((await ethers.provider.getBlock(tx.blockNumber)).timestamp) +
+        (await capy.FEE_CHANGE_DELAY());
+      await expect(tx)
+        .to.emit(capy, "FeeChangeScheduled")
+        .withArgs(FeeKind.Transfer, 200, 50, executeAfter);
+      expect(await capy.getPendingFeeChange(FeeKind.Transfer)).to.deep.equal([200n, 50n, executeAfter]);
+
+      await expect(
+        capy.connect(admin).applyFeeChange(FeeKind.Transfer)
+      ).to.be.revertedWithCustomError(capy, "FeeChangeNotReady");
+      expect(await capy.getFees(FeeKind.Transfer)).to.deep.equal([100n, 100n]);
+
+      await time.increaseTo(executeAfter);
+      await capy.connect(admin).applyFeeChange(FeeKind.Transfer);
+      expect(await capy.getFees(FeeKind.Transfer)).to.deep.equal([200n, 50n]);
+      expect((await capy.getPendingFeeChange(FeeKind.Transfer)).executeAfter).to.equal(0);
+    });
+
+    it("Should let the owner cancel a pending fee change", async function () {
+      const { capy, admin } = await loadFixture(deployTokenFixture);
+
+      await expect(
+        capy.connect(admin).cancelFeeChange(FeeKind.Transfer)
+      ).to.be.revertedWithCustomError(capy, "NoPendingFeeChange");
+
+      await capy.connect(admin).scheduleFeeChange(FeeKind.Transfer, 300, 200);
+      await expect(capy.connect(admin).cancelFeeChange(FeeKind.Transfer))
+        .to.emit(capy, "FeeChangeCancelled")
+        .withArgs(FeeKind.Transfer, 300, 200);
+
+      await time.increase(await capy.FEE_CHANGE_DELAY());
+      await expect(
+        capy.connect(admin).applyFeeChange(FeeKind.Transfer)
+      ).to.be.revertedWithCustomError(capy, "NoPendingFeeChange");
+      expect(await capy.getFees(FeeKind.Transfer)).to.deep.equal([100n, 100n]);
+    });
+
+    it("Should bound the combined fee and restrict changes to the owner", async function () {
+      const { capy, admin, user1 } = await loadFixture(deployTokenFixture);
+
+      await expect(
+        capy.connect(admin).scheduleFeeChange(FeeKind.Transfer, 300, 201)
+      ).to.be.revertedWithCustomError(capy, "FeeTooHigh");
+      await capy.connect(admin).scheduleFeeChange(FeeKind.Transfer, 300, 200);
+
+      await expect(capy.connect(user1).scheduleFeeChange(FeeKind.Transfer, 0, 0)).to.be.reverted;
+      await expect(capy.connect(user1).cancelFeeChange(FeeKind.Transfer)).to.be.reverted;
+      await time.increase(await capy.FEE_CHANGE_DELAY());
+      await expect(capy.connect(user1).applyFeeChange(FeeKind.Transfer)).to.be.reverted;
+    });
   });
 
   describe("7. Exemptions", function () {
@@ -613,6 +756,20 @@ describe("CAPX Token", function () {
 
       expect(await capy.totalSupply()).to.equal(supplyBefore - burnAmount);
     });
+
+    it("Should keep totalMinted when burning or charging the burn fee", async function () {
+      const { capy, admin, user1, user2 } = await loadFixture(deployTokenFixture);
+
+      const mintAmount = ethers.parseUnits("10000", 18);
+      await capy.connect(admin).teamMint(user1.address, mintAmount);
+      expect(await capy.getTotalMinted()).to.equal(mintAmount);
+
+      await capy.connect(user1).burn(ethers.parseUnits("1000", 18));
+      await capy.connect(user1).transfer(user2.address, ethers.parseUnits("1000", 18));
+
+      expect(await capy.getTotalMinted()).to.equal(mintAmount);
+      expect(await capy.totalSupply()).to.equal(mintAmount - ethers.parseUnits("1010", 18));
+    });
   });
 
   describe("10. Admin Functions", function () {
@@ -755,11 +912,13 @@ describe("CAPX Token", function () {
       const marketValue = ethers.parseEther("10");
       const expectedTokens = ethers.parseEther("100"); // 1000 / 10 = 100 tokens
 
+      const referenceHash = ethers.id("2026 Q4 revenue report");
+
       await expect(
-        capy.connect(admin).revenueMint(treasury.address, revenue, marketValue)
+        capy.connect(admin).revenueMint(treasury.address, revenue, marketValue, 20264, referenceHash)
       )
         .to.emit(capy, "RevenueMint")
-        .withArgs(revenue, marketValue, expectedTokens);
+        .withArgs(treasury.address, 20264, referenceHash, revenue, marketValue, expectedTokens);
     });
 
     it("Should emit RoleGranted/RoleRevoked events", async function () {
@@ -780,4 +939,145 @@ describe("CAPX Token", function () {
         .withArgs(TEAM_MINTER_ROLE, user1.address, admin.address);
     });
   });
+
+  describe("13. Mint Allocation Caps", function () {
+    it("Should start every category capped at MAX_SUPPLY", async function () {
+      const { capy, TEAM_MINTER_ROLE } = await loadFixture(deployTokenFixture);
+
+      const maxSupply = await capy.getMaxSupply();
+      const caps = await capy.getMintCaps();
+      expect([caps.teamCap, caps.treasuryCap, caps.daoCap]).to.deep.equal([
+        maxSupply,
+        maxSupply,
+        maxSupply,
+      ]);
+      expect(await capy.getMintHeadroom()).to.deep.equal([
+        maxSupply,
+        maxSupply,
+        maxSupply,
+      ]);
+
+      await expect(capy.deploymentTransaction())
+        .to.emit(capy, "MintCapUpdated")
+        .withArgs(TEAM_MINTER_ROLE, 0, maxSupply);
+    });
+
+    it("Should let the owner set a category cap", async function () {
+      const { capy, admin, user1, TEAM_MINTER_ROLE } = await loadFixture(
+        deployTokenFixture
+      );
+
+      const maxSupply = await capy.getMaxSupply();
+      const cap = ethers.parseUnits("15000000", 18);
+
+      await expect(capy.connect(admin).setMintCap(TEAM_MINTER_ROLE, cap))
+        .to.emit(capy, "MintCapUpdated")
+        .withArgs(TEAM_MINTER_ROLE, maxSupply, cap);
+      expect((await capy.getMintCaps()).teamCap).to.equal(cap);
+
+      await expect(capy.connect(user1).setMintCap(TEAM_MINTER_ROLE, cap)).to
+        .be.reverted;
+    });
+
+    it("Should revert mints above the category cap", async function () {
+      const { capy, admin, user1, TEAM_MINTER_ROLE } = await loadFixture(
+        deployTokenFixture
+      );
+
+      const cap = ethers.parseUnits("15000000", 18);
+      await capy.connect(admin).setMintCap(TEAM_MINTER_ROLE, cap);
+
+      await capy.connect(admin).teamMint(user1.address, cap - 1n);
+      await expect(
+        capy.connect(admin).teamMint(user1.address, 2n)
+      ).to.be.revertedWithCustomError(capy, "MintAllocationExceeded");
+
+      // Exactly at the cap is allowed
+      await capy.connect(admin).teamMint(user1.address, 1n);
+      expect((await capy.getMintAllocation()).teamMinted).to.equal(cap);
+    });
+
+    it("Should cap treasury and DAO mints independently", async function () {
+      const {
+        capy,
+        admin,
+        user1,
+        TEAM_MINTER_ROLE,
+        TREASURY_MINTER_ROLE,
+        DAO_MINTER_ROLE,
+      } = await loadFixture(deployTokenFixture);
+
+      const amount = ethers.parseUnits("1000", 18);
+      await capy.connect(admin).setMintCap(TREASURY_MINTER_ROLE, amount);
+      await capy.connect(admin).setMintCap(DAO_MINTER_ROLE, amount * 2n);
+
+      await capy.connect(admin).treasuryMint(user1.address, amount);
+      await expect(
+        capy.connect(admin).treasuryMint(user1.address, 1n)
+      ).to.be.revertedWithCustomError(capy, "MintAllocationExceeded");
+
+      await capy.connect(admin).daoMint(user1.address, amount * 2n);
+      await expect(
+        capy.connect(admin).daoMint(user1.address, 1n)
+      ).to.be.revertedWithCustomError(capy, "MintAllocationExceeded");
+
+      // The team category is still uncapped
+      await capy.connect(admin).teamMint(user1.address, amount * 10n);
+      expect((await capy.getMintCaps()).teamCap).to.equal(
+        await capy.getMaxSupply()
+      );
+      await expect(
+        capy.connect(admin).setMintCap(TEAM_MINTER_ROLE, amount * 10n)
+      ).to.emit(capy, "MintCapUpdated");
+    });
+
+    it("Should reject invalid categories and caps", async function () {
+      const { capy, admin, user1, TEAM_MINTER_ROLE, TREASURY_MINTER_ROLE } =
+        await loadFixture(deployTokenFixture);
+
+      const maxSupply = await capy.getMaxSupply();
+      const minted = ethers.parseUnits("1000", 18);
+      await capy.connect(admin).teamMint(user1.address, minted);
+
+      // Unknown role and combined roles
+      await expect(
+        capy.connect(admin).setMintCap(8n, minted)
+      ).to.be.revertedWithCustomError(capy, "InvalidMintCategory");
+      await expect(
+        capy
+          .connect(admin)
+          .setMintCap(TEAM_MINTER_ROLE | TREASURY_MINTER_ROLE, minted)
+      ).to.be.revertedWithCustomError(capy, "InvalidMintCategory");
+
+      await expect(
+        capy.connect(admin).setMintCap(TEAM_MINTER_ROLE, maxSupply + 1n)
+      ).to.be.revertedWithCustomError(capy, "InvalidMintCap");
+      await expect(
+        capy.connect(admin).setMintCap(TEAM_MINTER_ROLE, minted - 1n)
+      ).to.be.revertedWithCustomError(capy, "InvalidMintCap");
+
+      // Closing a category at what it already minted is allowed
+      await capy.connect(admin).setMintCap(TEAM_MINTER_ROLE, minted);
+      expect((await capy.getMintHeadroom()).teamHeadroom).to.equal(0);
+    });
+
+    it("Should bound headroom by the remaining supply", async function () {
+      const { capy, admin, user1, TEAM_MINTER_ROLE } = await loadFixture(
+        deployTokenFixture
+      );
+
+      const maxSupply = await capy.getMaxSupply();
+      const teamCap = ethers.parseUnits("20000000", 18);
+      await capy.connect(admin).setMintCap(TEAM_MINTER_ROLE, teamCap);
+
+      const treasuryMinted = maxSupply - ethers.parseUnits("5000000", 18);
+      await capy.connect(admin).treasuryMint(user1.address, treasuryMinted);
+      await capy.connect(admin).teamMint(user1.address, ethers.parseUnits("1000000", 18));
+
+      const headroom = await capy.getMintHeadroom();
+      expect(headroom.teamHeadroom).to.equal(ethers.parseUnits("4000000", 18));
+      expect(headroom.treasuryHeadroom).to.equal(ethers.parseUnits("4000000", 18));
+      expect(headroom.daoHeadroom).to.equal(ethers.parseUnits("4000000", 18));
+    });
+  });
 });
@@ -0,0 +1,455 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseSchedules, parseDuration, vestedAt } = require("../scripts/lib/vesting");
+const { createSchedules, vestingReport } = require("../scripts/vesting");
+const { deployMultisig } = require("./helpers/multisig");
+
+const { ethers } = hre;
+
+const DAY = 24n * 60n * 60n;
+const YEAR = 365n * DAY;
+
+describe("CAPX Vesting", function () {
+  async function deployVestingFixture() {
+    const [adminSigner, treasury, dao, teamMinter, beneficiary, outsider] = await ethers.getSigners();
+
+    const { multisig, executeAsAdmin } = await deployMultisig(adminSigner);
+
+    const CAPX = await ethers.getContractFactory("CAPX");
+    const capy = await CAPX.deploy(multisig.target, treasury.address, dao.address);
+
+    const CAPXVesting = await ethers.getContractFactory("CAPXVesting");
+    const vesting = await CAPXVesting.deploy(capy.target);
+
+    await executeAsAdmin(capy, "setVestingContract", vesting.target);
+    await executeAsAdmin(capy, "grantRoles", teamMinter.address, await capy.TEAM_MINTER_ROLE());
+
+    const amount = ethers.parseEther("1200");
+    const start = BigInt(await time.latest());
+
+    // 1-year cliff, 4-year linear vesting, revocable
+    const mintVested = (revocable = true, to = beneficiary.address) =>
+      capy.connect(teamMinter).teamMintVested(to, amount, start, YEAR, 4n * YEAR, revocable);
+
+    return {
+      capy,
+      vesting,
+      multisig,
+      adminSigner,
+      executeAsAdmin,
+      treasury,
+      teamMinter,
+      beneficiary,
+      outsider,
+      amount,
+      start,
+      mintVested,
+    };
+  }
+
+  describe("1. Configuration", function () {
+    it("Should register the vesting contract and exempt it from fees", async function () {
+      const { capy, vesting, multisig } = await loadFixture(deployVestingFixture);
+
+      expect(await capy.getVestingContract()).to.equal(vesting.target);
+      expect(await capy.isExempt(vesting.target)).to.equal(true);
+      expect(await vesting.token()).to.equal(capy.target);
+      expect(await vesting.owner()).to.equal(multisig.target);
+    });
+
+    it("Should emit VestingContractUpdated and keep the previous contract exempt", async function () {
+      const { capy, vesting, executeAsAdmin } = await loadFixture(deployVestingFixture);
+
+      const replacement = await (await ethers.getContractFactory("CAPXVesting")).deploy(capy.target);
+      await expect(executeAsAdmin(capy, "setVestingContract", replacement.target))
+        .to.emit(capy, "VestingContractUpdated")
+        .withArgs(vesting.target, replacement.target)
+        .and.to.emit(capy, "ExemptionUpdated")
+        .withArgs(replacement.target, true);
+
+      expect(await capy.isExempt(vesting.target)).to.equal(true);
+    });
+
+    it("Should reject vesting contracts for another token and non-owners", async function () {
+      const { capy, vesting, executeAsAdmin, adminSigner, treasury, outsider } =
+        await loadFixture(deployVestingFixture);
+
+      const other = await (await ethers.getContractFactory("CAPX")).deploy(
+        await capy.owner(),
+        treasury.address,
+        adminSigner.address
+      );
+      const foreign = await (await ethers.getContractFactory("CAPXVesting")).deploy(other.target);
+
+      await expect(
+        executeAsAdmin(capy, "setVestingContract", foreign.target)
+      ).to.be.revertedWithCustomError(capy, "InvalidVestingContract");
+      await expect(
+        capy.connect(outsider).setVestingContract(vesting.target)
+      ).to.be.revertedWithCustomError(capy, "Unauthorized");
+    });
+
+    it("Should not mint vested tokens before a vesting contract is set", async function () {
+      const { adminSigner, treasury, beneficiary, amount, start } = await loadFixture(deployVestingFixture);
+
+      const { multisig, executeAsAdmin } = await deployMultisig(adminSigner);
+      const fresh = await (await ethers.getContractFactory("CAPX")).deploy(
+        multisig.target,
+        treasury.address,
+        adminSigner.address
+      );
+
+      await expect(
+        executeAsAdmin(fresh, "teamMintVested", beneficiary.address, amount, start, YEAR, 4n * YEAR, true)
+      ).to.be.revertedWithCustomError(fresh, "VestingNotConfigured");
+    });
+  });
+
+  describe("2. Vested Team Minting", function () {
+    it("Should mint into the vesting contract and create a schedule", async function () {
+      const { capy, vesting, beneficiary, amount, start, mintVested } = await loadFixture(deployVestingFixture);
+
+      await expect(mintVested())
+        .to.emit(capy, "Mint")
+        .withArgs(vesting.target, amount, await capy.TEAM_MINTER_ROLE())
+        .and.to.emit(vesting, "ScheduleCreated")
+        .withArgs(1, beneficiary.address, amount, start, YEAR, 4n * YEAR, true);
+
+      expect(await capy.balanceOf(vesting.target)).to.equal(amount);
+      expect(await capy.balanceOf(beneficiary.address)).to.equal(0);
+      expect((await capy.getMintAllocation()).teamMinted).to.equal(amount);
+      expect(await vesting.getSchedulesOf(beneficiary.address)).to.deep.equal([1n]);
+      expect(await vesting.getTotalLocked()).to.equal(amount);
+
+      const schedule = await vesting.getSchedule(1);
+      expect(schedule.beneficiary).to.equal(beneficiary.address);
+      expect(schedule.amount).to.equal(amount);
+      expect(schedule.revocable).to.equal(true);
+    });
+
+    it("Should only allow TEAM_MINTER_ROLE and respect MAX_SUPPLY", async function () {
+      const { capy, teamMinter, outsider, beneficiary, start } = await loadFixture(deployVestingFixture);
+
+      await expect(
+        capy.connect(outsider).teamMintVested(beneficiary.address, 1n, start, 0, YEAR, false)
+      ).to.be.revertedWithCustomError(capy, "Unauthorized");
+      await expect(
+        capy
+          .connect(teamMinter)
+          .teamMintVested(beneficiary.address, (await capy.getMaxSupply()) + 1n, start, 0, YEAR, false)
+      ).to.be.revertedWithCustomError(capy, "MaxSupplyExceeded");
+    });
+
+    it("Should reject invalid schedules", async function () {
+      const { capy, vesting, teamMinter, beneficiary, start } = await loadFixture(deployVestingFixture);
+
+      await expect(
+        capy.connect(teamMinter).teamMintVested(beneficiary.address, 1n, start, 2n * YEAR, YEAR, false)
+      ).to.be.revertedWithCustomError(vesting, "InvalidSchedule");
+      await expect(
+        capy.connect(teamMinter).teamMintVested(beneficiary.address, 1n, start, 0, 0, false)
+      ).to.be.revertedWithCustomError(vesting, "InvalidSchedule");
+      await expect(
+        capy.connect(teamMinter).teamMintVested(ethers.ZeroAddress, 1n, start, 0, YEAR, false)
+      ).to.be.revertedWithCustomError(capy, "ZeroAddress");
+    });
+
+    it("Should only accept schedules from the token", async function () {
+      const { vesting, outsider, beneficiary, start } = await loadFixture(deployVestingFixture);
+
+      await expect(
+        vesting.connect(outsider).createSchedule(beneficiary.address, 1n, start, 0, YEAR, false)
+      ).to.be.revertedWithCustomError(vesting, "OnlyToken");
+    });
+  });
+
+  describe("3. Release", function () {
+    it("Should release nothing before the cliff", async function () {
+      const { vesting, beneficiary, mintVested } = await loadFixture(deployVestingFixture);
+
+      await mintVested();
+      await time.increase(YEAR - DAY);
+
+      expect(await vesting.releasableAmount(1)).to.equal(0);
+      await expect(vesting.connect(beneficiary).release(1)).to.be.revertedWithCustomError(
+        vesting,
+        "NothingToRelease"
+      );
+    });
+
+    it("Should release linearly after the cliff without transfer fees", async function () {
+      const { capy, vesting, treasury, beneficiary, amount, start, mintVested } =
+        await loadFixture(deployVestingFixture);
+
+      await mintVested();
+      const treasuryBefore = await capy.balanceOf(treasury.address);
+
+      await time.setNextBlockTimestamp(start + 2n * YEAR);
+      await expect(vesting.connect(beneficiary).release(1))
+        .to.emit(vesting, "TokensReleased")
+        .withArgs(1, beneficiary.address, amount / 2n);
+
+      // The full amount arrives: no 1% burn, no 1% treasury fee
+      expect(await capy.balanceOf(beneficiary.address)).to.equal(amount / 2n);
+      expect(await capy.balanceOf(treasury.address)).to.equal(treasuryBefore);
+      expect((await vesting.getSchedule(1)).released).to.equal(amount / 2n);
+    });
+
+    it("Should release everything after the duration", async function () {
+      const { capy, vesting, beneficiary, amount, mintVested } = await loadFixture(deployVestingFixture);
+
+      await mintVested();
+      await time.increase(2n * YEAR);
+      await vesting.connect(beneficiary).release(1);
+      await time.increase(3n * YEAR);
+      await vesting.connect(beneficiary).release(1);
+
+      expect(await capy.balanceOf(beneficiary.address)).to.equal(amount);
+      expect(await capy.balanceOf(vesting.target)).to.equal(0);
+      expect(await vesting.getTotalLocked()).to.equal(0);
+    });
+
+    it("Should only let the beneficiary release", async function () {
+      const { vesting, outsider, mintVested } = await loadFixture(deployVestingFixture);
+
+      await mintVested();
+      await time.increase(2n * YEAR);
+
+      await expect(vesting.connect(outsider).release(1)).to.be.revertedWithCustomError(
+        vesting,
+        "Unauthorized"
+      );
+      await expect(vesting.connect(outsider).release(2)).to.be.revertedWithCustomError(
+        vesting,
+        "ScheduleNotFound"
+      );
+    });
+  });
+
+  describe("4. Revocation", function () {
+    it("Should pay the vested part to the beneficiary and return the rest to the treasury", async function () {
+      const { capy, vesting, executeAsAdmin, treasury, beneficiary, amount, start, mintVested } =
+        await loadFixture(deployVestingFixture);
+
+      await mintVested();
+      const treasuryBefore = await capy.balanceOf(treasury.address);
+
+      await time.setNextBlockTimestamp(start + YEAR);
+      await expect(executeAsAdmin(vesting, "revoke", 1))
+        .to.emit(vesting, "ScheduleRevoked")
+        .withArgs(1, amount / 4n, (amount * 3n) / 4n, treasury.address);
+
+      expect(await capy.balanceOf(beneficiary.address)).to.equal(amount / 4n);
+      expect(await capy.balanceOf(treasury.address)).to.equal(treasuryBefore + (amount * 3n) / 4n);
+      expect(await capy.balanceOf(vesting.target)).to.equal(0);
+
+      // Nothing more vests after a revocation
+      await time.increase(4n * YEAR);
+      expect(await vesting.releasableAmount(1)).to.equal(0);
+      expect(await vesting.vestedAmount(1, start + 4n * YEAR)).to.equal(amount / 4n);
+    });
+
+    it("Should send the vested part to the treasury when the beneficiary is blocklisted", async function () {
+      const { capy, vesting, executeAsAdmin, treasury, beneficiary, amount, start, mintVested } =
+        await loadFixture(deployVestingFixture);
+
+      await mintVested();
+      await executeAsAdmin(capy, "grantRoles", treasury.address, await capy.COMPLIANCE_ROLE());
+      await capy.connect(treasury).setBlocked([beneficiary.address], true);
+      const treasuryBefore = await capy.balanceOf(treasury.address);
+
+      await time.setNextBlockTimestamp(start + YEAR);
+      await expect(executeAsAdmin(vesting, "revoke", 1))
+        .to.emit(vesting, "ReleaseWithheld")
+        .withArgs(1, beneficiary.address, amount / 4n)
+        .and.to.emit(vesting, "ScheduleRevoked")
+        .withArgs(1, amount / 4n, (amount * 3n) / 4n, treasury.address)
+        .and.not.to.emit(vesting, "TokensReleased");
+
+      expect(await capy.balanceOf(beneficiary.address)).to.equal(0);
+      expect(await capy.balanceOf(treasury.address)).to.equal(treasuryBefore + amount);
+      expect(await capy.balanceOf(vesting.target)).to.equal(0);
+      expect(await vesting.getTotalLocked()).to.equal(0);
+    });
+
+    it("Should only let the CAPX owner revoke revocable schedules once", async function () {
+      const { vesting, executeAsAdmin, beneficiary, mintVested } = await loadFixture(deployVestingFixture);
+
+      await mintVested(true);
+      await mintVested(false);
+
+      await expect(vesting.connect(beneficiary).revoke(1)).to.be.revertedWithCustomError(
+        vesting,
+        "Unauthorized"
+      );
+      await expect(executeAsAdmin(vesting, "revoke", 2)).to.be.revertedWithCustomError(
+        vesting,
+        "NotRevocable"
+      );
+
+      await executeAsAdmin(vesting, "revoke", 1);
+      await expect(executeAsAdmin(vesting, "revoke", 1)).to.be.revertedWithCustomError(
+        vesting,
+        "AlreadyRevoked"
+      );
+    });
+
+    it("Should revoke through the admin task", async function () {
+      const { vesting, beneficiary, mintVested } = await loadFixture(deployVestingFixture);
+
+      await mintVested();
+      await hre.run("vesting:revoke", { address: vesting.target, scheduleId: "1" });
+
+      expect((await vesting.getSchedule(1)).revoked).to.equal(true);
+      expect(await vesting.getSchedulesOf(beneficiary.address)).to.deep.equal([1n]);
+    });
+  });
+
+  describe("5. Schedule Script", function () {
+    const writeCsv = (rows) => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "capshield-vesting-")), "team.csv");
+      fs.writeFileSync(file, ["beneficiary,amount,start,cliff,duration,revocable", ...rows].join("\n"));
+      return file;
+    };
+
+    it("Should parse dates, durations and revocability", async function () {
+      const a = ethers.Wallet.createRandom().address;
+      const { schedules, errors } = parseSchedules(
+        `beneficiary,amount,start,cliff,duration,revocable\n${a},1000,2026-01-01,12m,4y,yes\n${a},5,1767225600,90,365d,\n`
+      );
+
+      expect(errors).to.deep.equal([]);
+      expect(schedules[0]).to.deep.equal({
+        line: 2,
+        beneficiary: a,
+        amount: ethers.parseEther("1000"),
+        start: 1767225600n,
+        cliff: 360n * DAY,
+        duration: 4n * YEAR,
+        revocable: true,
+      });
+      expect(schedules[1].cliff).to.equal(parseDuration("90d"));
+      expect(schedules[1].revocable).to.equal(false);
+    });
+
+    it("Should report rows the contracts would reject", async function () {
+      const a = ethers.Wallet.createRandom().address;
+      const { errors } = parseSchedules(
+        [
+          `${ethers.ZeroAddress},1,2026-01-01,0,1y`,
+          `${a},0,2026-01-01,0,1y`,
+          `${a},1,2026-01-01,2y,1y`,
+          `${a},1,someday,0,1y`,
+          `${a},1,2026-01-01,0,1y,maybe`,
+        ].join("\n")
+      );
+
+      expect(errors.map((e) => e.message)).to.deep.equal([
+        "ZeroAddress",
+        "InvalidAmount",
+        "InvalidSchedule: duration must be positive and at least the cliff",
+        "invalid start someday",
+        "invalid revocable maybe",
+      ]);
+    });
+
+    it("Should create every schedule once, even when resumed", async function () {
+      const { capy, vesting, teamMinter, beneficiary, outsider } = await loadFixture(deployVestingFixture);
+
+      const csv = writeCsv([
+        `${beneficiary.address},100,2026-01-01,0,1y,true`,
+        `${outsider.address},50.5,2026-01-01,6m,2y,false`,
+      ]);
+      const deploymentsDir = path.dirname(csv);
+      const options = { csv, token: capy.target, signer: teamMinter, deploymentsDir, log: () => {} };
+
+      const first = await createSchedules(options);
+      expect(first.schedules.map((s) => s.scheduleId)).to.deep.equal(["1", "2"]);
+
+      await createSchedules({ ...options, resume: first.statePath });
+      expect(await vesting.scheduleCount()).to.equal(2);
+      expect((await vesting.getSchedule(2)).amount).to.equal(ethers.parseEther("50.5"));
+    });
+
+    it("Should write a Safe batch the multisig can execute", async function () {
+      const { capy, vesting, multisig, adminSigner, beneficiary } = await loadFixture(deployVestingFixture);
+
+      const csv = writeCsv([`${beneficiary.address},10,2026-01-01,0,1y,false`]);
+      const { batchPath } = await createSchedules({
+        csv,
+        token: capy.target,
+        payload: true,
+        deploymentsDir: path.dirname(csv),
+        log: () => {},
+      });
+
+      const batch = JSON.parse(fs.readFileSync(batchPath, "utf8"));
+      expect(batch.transactions[0].contractMethod.name).to.equal("teamMintVested");
+      await multisig.connect(adminSigner).execute(batch.transactions[0].to, batch.transactions[0].data);
+      expect((await vesting.getSchedule(1)).beneficiary).to.equal(beneficiary.address);
+    });
+
+    it("Should refuse signers without TEAM_MINTER_ROLE", async function () {
+      const { capy, outsider, beneficiary } = await loadFixture(deployVestingFixture);
+
+      const csv = writeCsv([`${beneficiary.address},10,2026-01-01,0,1y,false`]);
+      await expect(
+        createSchedules({ csv, token: capy.target, signer: outsider, deploymentsDir: path.dirname(csv), log: () => {} })
+      ).to.be.rejectedWith("does not have TEAM_MINTER_ROLE");
+    });
+
+    it("Should refuse schedules above the team allocation", async function () {
+      const { capy, executeAsAdmin, teamMinter, beneficiary } = await loadFixture(deployVestingFixture);
+
+      await executeAsAdmin(capy, "setMintCap", await capy.TEAM_MINTER_ROLE(), ethers.parseEther("100"));
+      const csv = writeCsv([
+        `${beneficiary.address},60,2026-01-01,0,1y,false`,
+        `${beneficiary.address},60,2026-01-01,0,1y,false`,
+      ]);
+      await expect(
+        createSchedules({ csv, token: capy.target, signer: teamMinter, deploymentsDir: path.dirname(csv), log: () => {} })
+      ).to.be.rejectedWith("the team allocation only has 100.0 CAPX left");
+    });
+
+    it("Should report vested and unvested amounts", async function () {
+      const { vesting, executeAsAdmin, beneficiary, outsider, amount, start, mintVested } =
+        await loadFixture(deployVestingFixture);
+
+      await mintVested(true);
+      await mintVested(true, outsider.address);
+      await time.setNextBlockTimestamp(start + 2n * YEAR);
+      await vesting.connect(beneficiary).release(1);
+      await executeAsAdmin(vesting, "revoke", 2);
+
+      const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "capshield-vesting-")), "report.csv");
+      const { rows } = await vestingReport({
+        vesting: vesting.target,
+        at: String(start + 2n * YEAR),
+        out,
+        log: () => {},
+      });
+
+      expect(rows).to.have.length(2);
+      expect(rows[0].vested).to.equal(amount / 2n);
+      expect(rows[0].unvested).to.equal(amount / 2n);
+      expect(rows[0].releasable).to.equal(0n);
+      expect(rows[1].revoked).to.equal(true);
+      expect(rows[1].unvested).to.equal(0n);
+
+      // Projection to the end of the schedule
+      const later = await vestingReport({
+        vesting: vesting.target,
+        beneficiary: beneficiary.address,
+        at: String(start + 4n * YEAR),
+        log: () => {},
+      });
+      expect(later.rows.map((r) => r.vested)).to.deep.equal([amount]);
+      expect(vestedAt({ amount, start, cliff: YEAR, duration: 4n * YEAR }, start + YEAR)).to.equal(amount / 4n);
+      expect(fs.readFileSync(out, "utf8").split("\n")[0]).to.include("scheduleId,beneficiary,amount,vested");
+    });
+  });
+});
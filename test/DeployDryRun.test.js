@@ -0,0 +1,192 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { spawn, execFile } = require("child_process");
+const { promisify } = require("util");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploy, parseArgs } = require("../scripts/deploy");
+const { resolveForkTarget, forkingConfig } = require("../scripts/lib/dryRun");
+
+const execFileAsync = promisify(execFile);
+
+const ROOT = path.join(__dirname, "..");
+const HARDHAT_CLI = require.resolve("hardhat/internal/cli/cli.js");
+
+// A separate `hardhat node` process stands in for the remote network being forked
+const NODE_PORT = 8546;
+const NODE_URL = `http://127.0.0.1:${NODE_PORT}`;
+
+// Bypasses ethers' short-lived block number cache
+async function remoteBlockNumber(provider) {
+  return Number(await provider.send("eth_blockNumber", []));
+}
+
+async function waitForNode(provider, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    try {
+      return await remoteBlockNumber(provider);
+    } catch {
+      await new Promise((resolve) => setTimeout(resolve, 250));
+    }
+  }
+  throw new Error(`hardhat node did not start on ${NODE_URL}`);
+}
+
+describe("Deployment Dry Run", function () {
+  let nodeProcess;
+  let remote;
+  let config;
+
+  before(async function () {
+    nodeProcess = spawn(process.execPath, [HARDHAT_CLI, "node", "--port", String(NODE_PORT)], {
+      cwd: ROOT,
+      stdio: "ignore",
+    });
+
+    remote = new ethers.JsonRpcProvider(NODE_URL, 31337, { staticNetwork: true });
+    await waitForNode(remote, 60000);
+
+    // The "remote" network already has the multisig deployed
+    const remoteSigner = await remote.getSigner(0);
+    const MockMultisig = await ethers.getContractFactory("MockMultisig", remoteSigner);
+    const multisig = await MockMultisig.deploy(remoteSigner.address);
+    await multisig.waitForDeployment();
+
+    const [, treasury, dao] = await ethers.getSigners();
+    config = {
+      multisig: await multisig.getAddress(),
+      treasury: treasury.address,
+      dao: dao.address,
+    };
+  });
+
+  after(async function () {
+    if (remote) {
+      remote.destroy();
+    }
+    if (nodeProcess) {
+      nodeProcess.kill();
+    }
+  });
+
+  // Runs `hardhat run scripts/deploy.js` as an operator would, with the fork set up at startup
+  async function runDryRun(extraEnv = {}) {
+    const reportPath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "capshield-dry-run-")),
+      "report.json"
+    );
+    const { stdout } = await execFileAsync(
+      process.execPath,
+      [HARDHAT_CLI, "run", "scripts/deploy.js"],
+      {
+        cwd: ROOT,
+        env: {
+          ...process.env,
+          DEPLOY_DRY_RUN: NODE_URL,
+          DEPLOY_DRY_RUN_REPORT: reportPath,
+          MULTISIG_ADDRESS: config.multisig,
+          TREASURY_ADDRESS: config.treasury,
+          DAO_ADDRESS: config.dao,
+          ...extraEnv,
+        },
+      }
+    );
+    return { stdout, report: JSON.parse(fs.readFileSync(reportPath, "utf8")), reportPath };
+  }
+
+  describe("1. Configuration", function () {
+    it("Should read dry-run options from the command line", async function () {
+      const args = parseArgs(["--dry-run", "bscMainnet", "--fork-block", "123", "--report", "r.json"]);
+
+      expect(args.dryRun).to.equal("bscMainnet");
+      expect(args.report).to.equal("r.json");
+    });
+
+    it("Should reject --dry-run without a target", async function () {
+      expect(() => parseArgs(["--dry-run"])).to.throw("--dry-run requires a value");
+    });
+
+    it("Should resolve network names and raw URLs", async function () {
+      const networks = { bscMainnet: { url: "https://bsc.example", accounts: [] } };
+
+      expect(resolveForkTarget("bscMainnet", networks).url).to.equal("https://bsc.example");
+      expect(resolveForkTarget(NODE_URL, networks).url).to.equal(NODE_URL);
+      expect(forkingConfig("bscMainnet", networks, "99")).to.deep.equal({
+        url: "https://bsc.example",
+        blockNumber: 99,
+      });
+      expect(() => resolveForkTarget("nope", networks)).to.throw('Unknown dry-run target "nope"');
+    });
+
+    it("Should refuse to run when Hardhat was not started as a fork", async function () {
+      await expect(deploy({ dryRun: NODE_URL, config, log: () => {} })).to.be.rejectedWith(
+        "Dry runs need the in-process Hardhat network to start as a fork"
+      );
+    });
+
+    it("Should reject combining --dry-run with --resume", async function () {
+      await expect(
+        deploy({ dryRun: NODE_URL, resume: "deployments/x.json", config, log: () => {} })
+      ).to.be.rejectedWith("cannot be combined");
+    });
+  });
+
+  describe("2. Simulation", function () {
+    it("Should report gas, constructor args and post-deploy state without broadcasting", async function () {
+      const blockBefore = await remoteBlockNumber(remote);
+
+      const { stdout, report } = await runDryRun();
+
+      expect(stdout).to.include("Dry Run Report (nothing was broadcast)");
+      expect(await remoteBlockNumber(remote)).to.equal(blockBefore);
+
+      expect(report.chainId).to.equal(31337);
+      expect(report.forkBlock).to.equal(blockBefore);
+      expect(report.multisig.isContract).to.equal(true);
+      expect(report.multisig.codeSize).to.be.greaterThan(0);
+
+      expect(report.steps.map((s) => s.name)).to.deep.equal([
+        "deployCAPX",
+        "deployAngelSEED",
+        "deployCAPXVesting",
+        "deployFeeSplitter",
+        "deployFeeSwapper",
+      ]);
+      expect(report.steps[0].constructorArgs).to.deep.equal([
+        config.multisig,
+        config.treasury,
+        config.dao,
+      ]);
+      expect(report.steps[1].constructorArgs).to.deep.equal([config.multisig]);
+      expect(report.steps[2].constructorArgs).to.deep.equal([report.checks.CAPXVesting.token]);
+      expect(report.steps[3].constructorArgs).to.deep.equal([report.checks.FeeSplitter.token]);
+      expect(report.steps[4].constructorArgs).to.deep.equal([report.checks.FeeSwapper.token]);
+      for (const step of report.steps) {
+        expect(BigInt(step.gasUsed)).to.be.greaterThan(0n);
+      }
+      expect(BigInt(report.totalGas)).to.equal(
+        report.steps.reduce((sum, step) => sum + BigInt(step.gasUsed), 0n)
+      );
+
+      expect(report.checks.CAPX.isOwnerMultisig).to.equal(true);
+      expect(report.checks.CAPX.maxSupply).to.equal(ethers.parseUnits("100000000", 18).toString());
+      expect(report.checks.CAPX.treasury).to.equal(config.treasury);
+      expect(report.checks.AngelSEED.isOwnerMultisig).to.equal(true);
+      expect(report.checks.AngelSEED.maxSupply).to.equal(
+        ethers.parseUnits("10000000000", 18).toString()
+      );
+    });
+
+    it("Should impersonate the configured deployer on the fork", async function () {
+      const remoteDeployer = (await remote.getSigner(5)).address;
+
+      const { report } = await runDryRun({ DEPLOY_DRY_RUN_DEPLOYER: remoteDeployer });
+
+      expect(report.deployer).to.equal(remoteDeployer);
+      expect(report.impersonated).to.equal(true);
+      expect(await remote.getTransactionCount(remoteDeployer)).to.equal(0);
+    });
+  });
+});
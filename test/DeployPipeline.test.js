@@ -0,0 +1,472 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DeploymentPipeline } = require("../scripts/lib/deployPipeline");
+const { deploy } = require("../scripts/deploy");
+const { readBatch } = require("../scripts/lib/safeBatch");
+const { quoteSwapBack } = require("../tasks/swapper");
+const { deployPair, addLiquidity } = require("./helpers/amm");
+const { deployMultisig } = require("./helpers/multisig");
+
+const { ethers, network } = hre;
+
+describe("Deployment Pipeline", function () {
+  async function deployMultisigFixture() {
+    const [deployer, treasury, dao] = await ethers.getSigners();
+
+    const { multisig, executeAsAdmin } = await deployMultisig(deployer);
+
+    const config = {
+      multisig: multisig.target,
+      treasury: treasury.address,
+      dao: dao.address,
+    };
+
+    const deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "capshield-deploy-"));
+
+    // Runs every transaction of a Safe batch through the multisig
+    const executeBatch = async (batchPath) => {
+      for (const tx of readBatch(batchPath).transactions) {
+        await multisig.execute(tx.to, tx.data);
+      }
+    };
+
+    return { deployer, config, deploymentsDir, executeAsAdmin, executeBatch };
+  }
+
+  const quiet = () => {};
+
+  const readState = (statePath) => JSON.parse(fs.readFileSync(statePath, "utf8"));
+
+  describe("1. State File", function () {
+    it("Should record completed steps and skip them when run again", async function () {
+      const { config, deploymentsDir } = await loadFixture(deployMultisigFixture);
+
+      const pipeline = DeploymentPipeline.create({
+        dir: deploymentsDir,
+        network: network.name,
+        chainId: 31337,
+        config,
+        log: quiet,
+      });
+
+      let calls = 0;
+      const step = async () => {
+        calls++;
+        return { value: 42 };
+      };
+
+      expect(await pipeline.run("first", step)).to.deep.equal({ value: 42 });
+      expect(await pipeline.run("first", step)).to.deep.equal({ value: 42 });
+      expect(calls).to.equal(1);
+
+      const state = readState(pipeline.statePath);
+      expect(state.steps.first.status).to.equal("done");
+      expect(state.steps.first.result).to.deep.equal({ value: 42 });
+    });
+
+    it("Should hand pending data from an interrupted step to the next attempt", async function () {
+      const { config, deploymentsDir } = await loadFixture(deployMultisigFixture);
+
+      const options = { network: network.name, chainId: 31337, config, log: quiet };
+      const pipeline = DeploymentPipeline.create({ dir: deploymentsDir, ...options });
+
+      await expect(
+        pipeline.run("deploy", async (context) => {
+          context.recordPending({ txHash: "0x1234" });
+          throw new Error("RPC dropped");
+        })
+      ).to.be.rejectedWith("RPC dropped");
+
+      const resumed = DeploymentPipeline.resume(pipeline.statePath, options);
+      let seen;
+      await resumed.run("deploy", async (context) => {
+        seen = context.pending;
+        return {};
+      });
+
+      expect(seen).to.deep.equal({ txHash: "0x1234" });
+    });
+
+    it("Should keep exported steps out of the done set until they are confirmed", async function () {
+      const { config, deploymentsDir } = await loadFixture(deployMultisigFixture);
+
+      const options = { network: network.name, chainId: 31337, config, log: quiet };
+      const pipeline = DeploymentPipeline.create({ dir: deploymentsDir, ...options });
+
+      let calls = 0;
+      const step = async () => {
+        calls++;
+        return { payload: "batch.json" };
+      };
+
+      expect(await pipeline.export("batch", step)).to.deep.equal({ payload: "batch.json" });
+      expect(readState(pipeline.statePath).steps.batch.status).to.equal("exported");
+
+      const resumed = DeploymentPipeline.resume(pipeline.statePath, options);
+      expect(resumed.isDone("batch")).to.equal(false);
+      expect(resumed.isExported("batch")).to.equal(true);
+      expect(await resumed.export("batch", step)).to.deep.equal({ payload: "batch.json" });
+      expect(calls).to.equal(1);
+
+      resumed.confirm("batch", { txHash: "0x1234" });
+      expect(resumed.getResult("batch")).to.deep.equal({ payload: "batch.json", txHash: "0x1234" });
+      expect(readState(pipeline.statePath).steps.batch.status).to.equal("done");
+      expect(() => resumed.confirm("other")).to.throw('Step "other" was not exported');
+    });
+
+    it("Should attach the state file path to step errors", async function () {
+      const { config, deploymentsDir } = await loadFixture(deployMultisigFixture);
+
+      const pipeline = DeploymentPipeline.create({
+        dir: deploymentsDir,
+        network: network.name,
+        chainId: 31337,
+        config,
+        log: quiet,
+      });
+
+      let error;
+      try {
+        await pipeline.run("broken", async () => {
+          throw new Error("boom");
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.statePath).to.equal(pipeline.statePath);
+    });
+
+    it("Should refuse to resume on a different network or configuration", async function () {
+      const { config, deploymentsDir } = await loadFixture(deployMultisigFixture);
+
+      const pipeline = DeploymentPipeline.create({
+        dir: deploymentsDir,
+        network: network.name,
+        chainId: 31337,
+        config,
+        log: quiet,
+      });
+
+      expect(() =>
+        DeploymentPipeline.resume(pipeline.statePath, {
+          network: "bscMainnet",
+          chainId: 56,
+          config,
+        })
+      ).to.throw("Refusing to resume");
+
+      expect(() =>
+        DeploymentPipeline.resume(pipeline.statePath, {
+          network: network.name,
+          chainId: 31337,
+          config: { ...config, treasury: ethers.ZeroAddress },
+        })
+      ).to.throw('Configuration mismatch for "treasury"');
+    });
+  });
+
+  describe("2. Deploy Script", function () {
+    it("Should deploy the tokens, vesting contract, fee splitter and fee swapper and complete every step", async function () {
+      const { config, deploymentsDir } = await loadFixture(deployMultisigFixture);
+
+      const { statePath, deploymentInfo } = await deploy({ config, deploymentsDir, log: quiet });
+
+      const state = readState(statePath);
+      expect(Object.keys(state.steps)).to.deep.equal([
+        "deployCAPX",
+        "deployAngelSEED",
+        "deployCAPXVesting",
+        "deployFeeSplitter",
+        "deployFeeSwapper",
+        "postDeployChecks",
+        "setupBatch",
+      ]);
+      expect(Object.values(state.steps).every((s) => s.status === "done")).to.equal(true);
+
+      const capx = await ethers.getContractAt("CAPX", deploymentInfo.contracts.CAPX.address);
+      expect(await capx.owner()).to.equal(config.multisig);
+      expect(deploymentInfo.contracts.AngelSEED.isOwnerMultisig).to.equal(true);
+      expect(deploymentInfo.contracts.CAPXVesting.token).to.equal(capx.target);
+      expect(deploymentInfo.contracts.CAPXVesting.owner).to.equal(config.multisig);
+      expect(deploymentInfo.contracts.FeeSplitter.token).to.equal(capx.target);
+      expect(deploymentInfo.contracts.FeeSwapper.token).to.equal(capx.target);
+      expect(deploymentInfo.contracts.FeeSwapper.owner).to.equal(config.multisig);
+    });
+
+    it("Should not redeploy anything when resuming a finished run", async function () {
+      const { deployer, config, deploymentsDir } = await loadFixture(deployMultisigFixture);
+
+      const first = await deploy({ config, deploymentsDir, log: quiet });
+      const nonceBefore = await ethers.provider.getTransactionCount(deployer.address);
+
+      const second = await deploy({ config, deploymentsDir, resume: first.statePath, log: quiet });
+
+      expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonceBefore);
+      expect(second.deploymentInfo.contracts.CAPX.address).to.equal(
+        first.deploymentInfo.contracts.CAPX.address
+      );
+      expect(second.deploymentInfo.contracts.AngelSEED.address).to.equal(
+        first.deploymentInfo.contracts.AngelSEED.address
+      );
+    });
+
+    it("Should only deploy AngelSEED when CAPX finished before a failure", async function () {
+      const { deployer, config, deploymentsDir } = await loadFixture(deployMultisigFixture);
+
+      const first = await deploy({ config, deploymentsDir, log: quiet });
+
+      // Rewind the state file to "CAPX deployed, AngelSEED not yet"
+      const state = readState(first.statePath);
+      delete state.steps.deployAngelSEED;
+      delete state.steps.postDeployChecks;
+      fs.writeFileSync(first.statePath, JSON.stringify(state));
+
+      const nonceBefore = await ethers.provider.getTransactionCount(deployer.address);
+      const resumed = await deploy({ config, deploymentsDir, resume: first.statePath, log: quiet });
+
+      expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonceBefore + 1);
+      expect(resumed.deploymentInfo.contracts.CAPX.address).to.equal(
+        first.deploymentInfo.contracts.CAPX.address
+      );
+      expect(resumed.deploymentInfo.contracts.AngelSEED.address).to.not.equal(
+        first.deploymentInfo.contracts.AngelSEED.address
+      );
+    });
+
+    it("Should pick up an in-flight deployment transaction instead of broadcasting again", async function () {
+      const { deployer, config, deploymentsDir } = await loadFixture(deployMultisigFixture);
+
+      // A CAPX deployment that was broadcast before the previous run died
+      const CAPX = await ethers.getContractFactory("CAPX");
+      const capx = await CAPX.deploy(config.multisig, config.treasury, config.dao);
+      await capx.waitForDeployment();
+      const txHash = capx.deploymentTransaction().hash;
+
+      const pipeline = DeploymentPipeline.create({
+        dir: deploymentsDir,
+        network: network.name,
+        chainId: 31337,
+        config,
+        log: quiet,
+      });
+      await pipeline
+        .run("deployCAPX", async (context) => {
+          context.recordPending({ nonce: capx.deploymentTransaction().nonce, address: capx.target, txHash });
+          throw new Error("interrupted");
+        })
+        .catch(() => {});
+
+      const nonceBefore = await ethers.provider.getTransactionCount(deployer.address);
+      const resumed = await deploy({ config, deploymentsDir, resume: pipeline.statePath, log: quiet });
+
+      // Only AngelSEED, CAPXVesting, FeeSplitter and FeeSwapper were sent
+      expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonceBefore + 4);
+      expect(resumed.deploymentInfo.contracts.CAPX.address).to.equal(capx.target);
+      expect(resumed.deploymentInfo.contracts.CAPX.deploymentTx).to.equal(txHash);
+    });
+
+    it("Should take the contract at the recorded address once its nonce was used", async function () {
+      const { deployer, config, deploymentsDir } = await loadFixture(deployMultisigFixture);
+
+      // The previous run died after recording the nonce, before it recorded the hash
+      const CAPX = await ethers.getContractFactory("CAPX");
+      const capx = await CAPX.deploy(config.multisig, config.treasury, config.dao);
+      await capx.waitForDeployment();
+
+      const pipeline = DeploymentPipeline.create({
+        dir: deploymentsDir,
+        network: network.name,
+        chainId: 31337,
+        config,
+        log: quiet,
+      });
+      await pipeline
+        .run("deployCAPX", async (context) => {
+          context.recordPending({ nonce: capx.deploymentTransaction().nonce, address: capx.target });
+          throw new Error("interrupted");
+        })
+        .catch(() => {});
+
+      const nonceBefore = await ethers.provider.getTransactionCount(deployer.address);
+      const resumed = await deploy({ config, deploymentsDir, resume: pipeline.statePath, log: quiet });
+
+      expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonceBefore + 4);
+      expect(resumed.deploymentInfo.contracts.CAPX.address).to.equal(capx.target);
+    });
+
+    it("Should deploy with the recorded nonce while it is unused", async function () {
+      const { deployer, config, deploymentsDir } = await loadFixture(deployMultisigFixture);
+
+      // The previous run died before its deployment reached the node
+      const nonce = await ethers.provider.getTransactionCount(deployer.address);
+      const address = ethers.getCreateAddress({ from: deployer.address, nonce });
+
+      const pipeline = DeploymentPipeline.create({
+        dir: deploymentsDir,
+        network: network.name,
+        chainId: 31337,
+        config,
+        log: quiet,
+      });
+      await pipeline
+        .run("deployCAPX", async (context) => {
+          context.recordPending({ nonce, address, txHash: ethers.ZeroHash });
+          throw new Error("interrupted");
+        })
+        .catch(() => {});
+
+      const resumed = await deploy({ config, deploymentsDir, resume: pipeline.statePath, log: quiet });
+
+      expect(resumed.deploymentInfo.contracts.CAPX.address).to.equal(address);
+    });
+
+    it("Should refuse to deploy again when the recorded nonce was used without a contract", async function () {
+      const { deployer, config, deploymentsDir } = await loadFixture(deployMultisigFixture);
+
+      const nonce = await ethers.provider.getTransactionCount(deployer.address);
+      const address = ethers.getCreateAddress({ from: deployer.address, nonce });
+      // Another transaction takes the nonce
+      await deployer.sendTransaction({ to: config.treasury, value: 1n, nonce });
+
+      const pipeline = DeploymentPipeline.create({
+        dir: deploymentsDir,
+        network: network.name,
+        chainId: 31337,
+        config,
+        log: quiet,
+      });
+      await pipeline
+        .run("deployCAPX", async (context) => {
+          context.recordPending({ nonce, address });
+          throw new Error("interrupted");
+        })
+        .catch(() => {});
+
+      await expect(
+        deploy({ config, deploymentsDir, resume: pipeline.statePath, log: quiet })
+      ).to.be.rejectedWith(`Nonce ${nonce} of ${deployer.address} was used`);
+      expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce + 1);
+    });
+
+    it("Should reject a state file whose contracts are missing on this chain", async function () {
+      const { config, deploymentsDir } = await loadFixture(deployMultisigFixture);
+
+      const pipeline = DeploymentPipeline.create({
+        dir: deploymentsDir,
+        network: network.name,
+        chainId: 31337,
+        config,
+        log: quiet,
+      });
+      await pipeline.run("deployCAPX", async () => ({
+        address: ethers.Wallet.createRandom().address,
+        deploymentTx: ethers.ZeroHash,
+        constructorArgs: [],
+      }));
+
+      await expect(
+        deploy({ config, deploymentsDir, resume: pipeline.statePath, log: quiet })
+      ).to.be.rejectedWith("has no code");
+    });
+  });
+
+  describe("3. Setup Batch", function () {
+    it("Should batch the vesting contract and fee splitter registration", async function () {
+      const { config, deploymentsDir, executeBatch } = await loadFixture(deployMultisigFixture);
+
+      const { deploymentInfo, setupBatchPath } = await deploy({ config, deploymentsDir, log: quiet });
+      const { contracts } = deploymentInfo;
+
+      expect(deploymentInfo.setupBatch).to.equal(setupBatchPath);
+      expect(readBatch(setupBatchPath).transactions.map((tx) => tx.contractMethod.name)).to.deep.equal([
+        "setVestingContract",
+        "setFeeSplitter",
+      ]);
+
+      await executeBatch(setupBatchPath);
+      const capx = await ethers.getContractAt("CAPX", contracts.CAPX.address);
+      expect(await capx.getVestingContract()).to.equal(contracts.CAPXVesting.address);
+      expect(await capx.getFeeSplitter()).to.equal(contracts.FeeSplitter.address);
+      expect(await capx.getFeeRecipients()).to.deep.equal([]);
+    });
+
+    it("Should wire swap-back so transfer fees reach the treasury through the keeper's swaps", async function () {
+      const { deployer, config, deploymentsDir, executeAsAdmin, executeBatch } =
+        await loadFixture(deployMultisigFixture);
+      const [, treasury, , keeper, trader, user] = await ethers.getSigners();
+      const threshold = ethers.parseEther("100");
+
+      // The pool is created against the address CAPX will be deployed to, after deployPair's 3 deployments
+      const capxAddress = ethers.getCreateAddress({ from: deployer.address, nonce: (await deployer.getNonce()) + 3 });
+      const { pair, quote, router } = await deployPair({ target: capxAddress });
+
+      const { deploymentInfo, setupBatchPath, statePath } = await deploy({
+        config: {
+          ...config,
+          swapRouter: router.target,
+          swapOutputToken: quote.target,
+          swapThreshold: threshold,
+          swapMinPrice: ethers.parseEther("0.00095"),
+          swapKeeper: keeper.address,
+          swapWeightBps: "5000",
+        },
+        deploymentsDir,
+        log: quiet,
+      });
+      const { contracts } = deploymentInfo;
+      expect(contracts.CAPX.address).to.equal(capxAddress);
+
+      // Half of the 1% treasury fee: a swap's worth every 20,000 CAPX transferred
+      expect(readState(statePath).steps.setupBatch.result.volumePerSwap).to.equal(
+        ethers.parseEther("20000").toString()
+      );
+
+      await executeBatch(setupBatchPath);
+      const capx = await ethers.getContractAt("CAPX", capxAddress);
+      const splitter = await ethers.getContractAt("FeeSplitter", contracts.FeeSplitter.address);
+      const swapper = await ethers.getContractAt("FeeSwapper", contracts.FeeSwapper.address);
+      expect(await swapper.isKeeper(keeper.address)).to.equal(true);
+
+      // 1M CAPX against 1000 USDT, seeded by the fee-exempt treasury
+      await executeAsAdmin(capx, "treasuryMint", treasury.address, ethers.parseEther("1000000"));
+      const pool = { pair, quote, token: capx };
+      await addLiquidity(pool, treasury, ethers.parseEther("1000000"), ethers.parseEther("1000"));
+      await executeAsAdmin(capx, "setAmmPair", pair.target, true);
+      await executeAsAdmin(capx, "enableTrading");
+      await executeAsAdmin(capx, "teamMint", trader.address, ethers.parseEther("20000"));
+
+      await capx.connect(trader).transfer(user.address, ethers.parseEther("20000"));
+      expect(await splitter.releasableAmount(swapper.target)).to.equal(threshold);
+      expect(await splitter.releasableAmount(treasury.address)).to.equal(threshold);
+
+      const { quoted, amountOutMin } = await quoteSwapBack(hre, swapper, 100);
+      await expect(swapper.connect(keeper).swapBack(amountOutMin))
+        .to.emit(swapper, "SwapBack")
+        .withArgs(threshold, quoted, quote.target);
+      expect(await quote.balanceOf(treasury.address)).to.equal(quoted);
+      expect(await splitter.releasableAmount(swapper.target)).to.equal(0);
+    });
+
+    it("Should reject incomplete swap-back settings before deploying anything", async function () {
+      const { deployer, config, deploymentsDir } = await loadFixture(deployMultisigFixture);
+      const nonceBefore = await deployer.getNonce();
+
+      await expect(
+        deploy({ config: { ...config, swapRouter: deployer.address, swapThreshold: "1" }, deploymentsDir, log: quiet })
+      ).to.be.rejectedWith("Invalid or missing SWAP_KEEPER");
+      await expect(
+        deploy({
+          config: { ...config, swapRouter: deployer.address, swapKeeper: deployer.address, swapMinPrice: "1" },
+          deploymentsDir,
+          log: quiet,
+        })
+      ).to.be.rejectedWith("SWAP_THRESHOLD and SWAP_MIN_PRICE");
+      expect(await deployer.getNonce()).to.equal(nonceBefore);
+    });
+  });
+});
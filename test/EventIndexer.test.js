@@ -0,0 +1,359 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  INDEXED_EVENTS,
+  createStore,
+  loadStore,
+  saveStore,
+  checkStore,
+  syncEvents,
+  eventsBetween,
+  supplyByRole,
+  burnReport,
+  treasuryFeeIncome,
+  rewardReasons,
+} = require("../scripts/lib/indexer");
+const { syncStore, eventReport, parseArgs } = require("../scripts/index-events");
+const { deployMultisig } = require("./helpers/multisig");
+
+describe("Event Indexer", function () {
+  const EPOCH = 20264;
+
+  async function deployTokensFixture() {
+    const [adminSigner, treasury, dao, alice, bob, carol] = await ethers.getSigners();
+
+    const { multisig, executeAsAdmin: execute } = await deployMultisig(adminSigner);
+
+    const capx = await (await ethers.getContractFactory("CAPX")).deploy(
+      multisig.target,
+      treasury.address,
+      dao.address
+    );
+    const seed = await (await ethers.getContractFactory("AngelSEED")).deploy(multisig.target);
+    const fromBlock = (await capx.deploymentTransaction().wait()).blockNumber;
+
+    await execute(capx, "enableTrading");
+
+    const newStore = () =>
+      createStore({
+        chainId: hre.network.config.chainId,
+        contracts: { CAPX: capx.target, AngelSEED: seed.target },
+        fromBlock,
+      });
+
+    return { capx, seed, multisig, execute, newStore, treasury, dao, alice, bob, carol };
+  }
+
+  // Every kind of indexed event on both tokens
+  async function activityFixture() {
+    const fixture = await deployTokensFixture();
+    const { capx, seed, execute, alice, bob, carol } = fixture;
+
+    await execute(capx, "teamMint", alice.address, ethers.parseEther("10000"));
+    await execute(capx, "treasuryMint", bob.address, ethers.parseEther("2000"));
+    await execute(capx, "daoMint", bob.address, ethers.parseEther("500"));
+    await execute(
+      capx,
+      "revenueMint",
+      carol.address,
+      ethers.parseEther("300"),
+      ethers.parseEther("2"),
+      EPOCH,
+      ethers.id("q4")
+    );
+
+    // 1% burn fee and 1% treasury fee
+    await capx.connect(alice).transfer(bob.address, ethers.parseEther("1000"));
+    await capx.connect(bob).transfer(carol.address, ethers.parseEther("200"));
+    await capx.connect(bob).burn(ethers.parseEther("50"));
+    await capx.connect(bob).approve(carol.address, ethers.parseEther("5"));
+    await capx.connect(carol).burnFrom(bob.address, ethers.parseEther("5"));
+
+    await execute(capx, "setExemption", carol.address, true);
+    await execute(capx, "grantRoles", carol.address, await capx.COMPLIANCE_ROLE());
+    await execute(capx, "revokeRoles", carol.address, await capx.COMPLIANCE_ROLE());
+
+    await execute(seed, "rewardMint", alice.address, ethers.parseEther("40"), "staking");
+    await execute(
+      seed,
+      "batchRewardMint",
+      [alice.address, bob.address, carol.address],
+      [ethers.parseEther("1"), ethers.parseEther("2"), ethers.parseEther("3")],
+      "referral"
+    );
+    await seed.connect(alice).burn(ethers.parseEther("4"));
+    // Not a burn: AngelSEED keeps the tokens on the zero address and in the supply
+    await seed.connect(bob).transfer(ethers.ZeroAddress, ethers.parseEther("1"));
+
+    return fixture;
+  }
+
+  async function syncedFixture() {
+    const fixture = await activityFixture();
+    const store = fixture.newStore();
+    await syncEvents(ethers.provider, store);
+    return { ...fixture, store };
+  }
+
+  function tempFile(name) {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), name);
+  }
+
+  describe("1. Indexing", function () {
+    it("Should decode every indexed event of both tokens", async function () {
+      const { store, capx, seed, alice, carol } = await loadFixture(syncedFixture);
+
+      const kinds = new Set(store.events.map((event) => event.event));
+      expect([...kinds].sort()).to.deep.equal([...INDEXED_EVENTS].sort());
+      expect(new Set(store.events.map((event) => event.contract))).to.deep.equal(new Set(["CAPX", "AngelSEED"]));
+
+      const mint = store.events.find((event) => event.event === "Mint" && event.args.to === alice.address);
+      expect(mint.contract).to.equal("CAPX");
+      expect(mint.args).to.deep.equal({
+        to: alice.address,
+        amount: ethers.parseEther("10000").toString(),
+        role: (await capx.TEAM_MINTER_ROLE()).toString(),
+      });
+      const receipt = await ethers.provider.getTransactionReceipt(mint.transactionHash);
+      const block = await ethers.provider.getBlock(receipt.blockNumber);
+      expect(mint.blockNumber).to.equal(receipt.blockNumber);
+      expect(mint.timestamp).to.equal(block.timestamp);
+
+      const revenue = store.events.find((event) => event.event === "RevenueMint");
+      expect(revenue.args).to.include({
+        to: carol.address,
+        epoch: String(EPOCH),
+        referenceHash: ethers.id("q4"),
+        tokensMinted: ethers.parseEther("150").toString(),
+      });
+
+      const reward = store.events.find((event) => event.event === "RewardMint");
+      expect(reward.contract).to.equal("AngelSEED");
+      expect(reward.args).to.deep.equal({
+        to: alice.address,
+        amount: ethers.parseEther("40").toString(),
+        reason: "staking",
+      });
+
+      const exemption = store.events.filter((event) => event.event === "ExemptionUpdated").pop();
+      expect(exemption.args).to.deep.equal({ account: carol.address, exempt: true });
+
+      // Chain order, and every log of the tokens that matches an indexed event
+      const ordered = [...store.events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+      expect(store.events).to.deep.equal(ordered);
+      for (const [name, token] of [
+        ["CAPX", capx],
+        ["AngelSEED", seed],
+      ]) {
+        const logs = await ethers.provider.getLogs({ address: token.target, fromBlock: store.fromBlock });
+        const indexed = logs.filter((log) => INDEXED_EVENTS.includes(token.interface.parseLog(log)?.name));
+        expect(store.events.filter((event) => event.contract === name)).to.have.length(indexed.length);
+      }
+    });
+
+    it("Should resume from the last indexed block without duplicates", async function () {
+      const { capx, alice, bob, newStore } = await loadFixture(activityFixture);
+
+      const store = newStore();
+      const first = await syncEvents(ethers.provider, store);
+      expect(first.fromBlock).to.equal(store.fromBlock);
+      expect(store.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+
+      await capx.connect(alice).transfer(bob.address, ethers.parseEther("10"));
+      const second = await syncEvents(ethers.provider, store);
+      expect(second.fromBlock).to.equal(first.toBlock + 1);
+      // Transfer, the fee burn and the treasury fee (Transfer + TreasuryFee)
+      expect(second.added).to.equal(4);
+
+      const fresh = newStore();
+      await syncEvents(ethers.provider, fresh);
+      expect(store.events).to.deep.equal(fresh.events);
+    });
+
+    it("Should keep the ranges indexed before a failure and resume after them", async function () {
+      const { newStore } = await loadFixture(activityFixture);
+      const file = tempFile("events.json");
+      const store = newStore();
+      const toBlock = await ethers.provider.getBlockNumber();
+
+      // The node fails on the third log request
+      let requests = 0;
+      const flaky = {
+        getBlockNumber: () => ethers.provider.getBlockNumber(),
+        getBlock: (block) => ethers.provider.getBlock(block),
+        getLogs: (filter) => {
+          if (++requests === 3) throw new Error("rate limited");
+          return ethers.provider.getLogs(filter);
+        },
+      };
+      await expect(
+        syncEvents(flaky, store, { logRange: 4, onProgress: (progress) => saveStore(file, progress) })
+      ).to.be.rejectedWith("rate limited");
+
+      const saved = loadStore(file);
+      expect(saved.lastBlock).to.equal(store.fromBlock + 7);
+      const resumed = await syncEvents(ethers.provider, saved, { logRange: 4 });
+      expect(resumed.fromBlock).to.equal(store.fromBlock + 8);
+
+      const fresh = newStore();
+      await syncEvents(ethers.provider, fresh, { toBlock });
+      expect(saved.events).to.deep.equal(fresh.events);
+    });
+
+    it("Should stop at toBlock", async function () {
+      const { store: full, newStore } = await loadFixture(syncedFixture);
+      const store = newStore();
+      const toBlock = store.fromBlock + 5;
+
+      await syncEvents(ethers.provider, store, { toBlock });
+
+      expect(store.lastBlock).to.equal(toBlock);
+      expect(store.events).to.deep.equal(full.events.filter((event) => event.blockNumber <= toBlock));
+    });
+
+    it("Should only accept a store of the same chain and contracts", async function () {
+      const { store, capx, alice } = await loadFixture(syncedFixture);
+      const chainId = hre.network.config.chainId;
+
+      expect(() => checkStore(store, { chainId, contracts: { CAPX: capx.target } })).to.not.throw();
+      expect(() => checkStore(store, { chainId: 56, contracts: {} })).to.throw("built on chain 31337, not 56");
+      expect(() => checkStore(store, { chainId, contracts: { CAPX: alice.address } })).to.throw(
+        `indexes CAPX at ${capx.target}`
+      );
+      expect(() => createStore({ chainId, contracts: {} })).to.throw("No contract to index");
+    });
+  });
+
+  describe("2. Reports", function () {
+    it("Should break the supply down by mint role", async function () {
+      const { store, capx, seed } = await loadFixture(syncedFixture);
+      const report = supplyByRole(store.events);
+
+      const allocation = await capx.getMintAllocation();
+      expect(report.CAPX.byRole.team).to.deep.equal({ amount: allocation.teamMinted, count: 1 });
+      expect(report.CAPX.byRole.treasury.amount).to.equal(allocation.treasuryMinted);
+      expect(report.CAPX.byRole.dao.amount).to.equal(allocation.daoMinted);
+      expect(report.CAPX.byRole.revenue).to.deep.equal({ amount: ethers.parseEther("150"), count: 1 });
+      expect(report.CAPX.unattributed).to.equal(0n);
+      expect(report.CAPX.netSupply).to.equal(await capx.totalSupply());
+
+      expect(report.AngelSEED.byRole).to.deep.equal({ reward: { amount: ethers.parseEther("46"), count: 4 } });
+      expect(report.AngelSEED.minted).to.equal(await seed.getTotalMinted());
+      expect(report.AngelSEED.unattributed).to.equal(0n);
+      expect(report.AngelSEED.netSupply).to.equal(await seed.totalSupply());
+    });
+
+    it("Should separate fee burns from voluntary burns", async function () {
+      const { store } = await loadFixture(syncedFixture);
+      const burns = burnReport(store.events);
+
+      // 1% of the 1,000 and 200 CAPX transfers
+      expect(burns.CAPX.fee).to.equal(ethers.parseEther("12"));
+      expect(burns.CAPX.voluntary).to.equal(ethers.parseEther("55"));
+      expect(burns.CAPX.voluntaryCount).to.equal(2);
+      expect(burns.CAPX.total).to.equal(ethers.parseEther("67"));
+
+      // The transfer to the zero address is not a burn
+      expect(burns.AngelSEED).to.deep.equal({
+        total: ethers.parseEther("4"),
+        fee: 0n,
+        voluntary: ethers.parseEther("4"),
+        voluntaryCount: 1,
+      });
+    });
+
+    it("Should total the treasury fee income per recipient", async function () {
+      const { store, treasury } = await loadFixture(syncedFixture);
+      const income = treasuryFeeIncome(store.events);
+
+      expect(income.total).to.equal(ethers.parseEther("12"));
+      expect(income.count).to.equal(2);
+      expect(income.byRecipient).to.deep.equal({ [treasury.address]: { amount: ethers.parseEther("12"), count: 2 } });
+    });
+
+    it("Should group reward mints by reason", async function () {
+      const { store } = await loadFixture(syncedFixture);
+
+      expect(rewardReasons(store.events)).to.deep.equal([
+        { reason: "staking", amount: ethers.parseEther("40"), count: 1, recipients: 1 },
+        { reason: "referral", amount: ethers.parseEther("6"), count: 3, recipients: 3 },
+      ]);
+    });
+
+    it("Should limit reports to a time window", async function () {
+      const { store, capx, alice, bob } = await loadFixture(syncedFixture);
+
+      await time.increase(30 * 24 * 3600);
+      const since = await time.latest();
+      await capx.connect(alice).transfer(bob.address, ethers.parseEther("100"));
+      await syncEvents(ethers.provider, store);
+
+      const month = eventsBetween(store.events, { since });
+      expect(burnReport(month).CAPX).to.deep.equal({
+        total: ethers.parseEther("1"),
+        fee: ethers.parseEther("1"),
+        voluntary: 0n,
+        voluntaryCount: 0,
+      });
+      expect(treasuryFeeIncome(month).total).to.equal(ethers.parseEther("1"));
+      expect(treasuryFeeIncome(eventsBetween(store.events, { until: since })).total).to.equal(ethers.parseEther("12"));
+    });
+  });
+
+  describe("3. Script", function () {
+    it("Should sync into a store, resume and report on it", async function () {
+      const { capx, seed, alice, bob } = await loadFixture(activityFixture);
+      const deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+      const log = () => {};
+
+      const first = await syncStore({ capx: capx.target, angelseed: seed.target, deploymentsDir, log });
+      expect(first.file).to.equal(path.join(deploymentsDir, "events-hardhat.json"));
+      expect(loadStore(first.file).lastBlock).to.equal(await ethers.provider.getBlockNumber());
+
+      await capx.connect(alice).transfer(bob.address, ethers.parseEther("10"));
+      const second = await syncStore({ deploymentsDir, log });
+      expect(second.fromBlock).to.equal(first.toBlock + 1);
+      expect(second.added).to.equal(4);
+
+      const lines = [];
+      const report = await eventReport({ deploymentsDir, log: (...args) => lines.push(args.join(" ")) });
+      expect(report.burns.CAPX.fee).to.equal(ethers.parseEther("12.1"));
+      expect(report.rewards.map((reward) => reward.reason)).to.deep.equal(["staking", "referral"]);
+      expect(lines).to.include('  "referral": 6.0 (3 mint(s) to 3 account(s))');
+      expect(lines).to.include("    fees: 12.1");
+    });
+
+    it("Should refuse to change the start of an existing store", async function () {
+      const { capx } = await loadFixture(deployTokensFixture);
+      const deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+      const log = () => {};
+
+      await syncStore({ capx: capx.target, fromBlock: "1", deploymentsDir, log });
+      await expect(syncStore({ fromBlock: "2", deploymentsDir, log })).to.be.rejectedWith(
+        "--from-block only applies to a new store"
+      );
+      await expect(syncStore({ capx: ethers.ZeroAddress, deploymentsDir, log })).to.be.rejectedWith(
+        "indexes CAPX at"
+      );
+      await expect(eventReport({ store: path.join(deploymentsDir, "missing.json"), log })).to.be.rejectedWith(
+        'Run "sync" first'
+      );
+    });
+
+    it("Should parse commands and options", function () {
+      expect(parseArgs(["sync", "--from-block", "100", "--rpc", "http://localhost:8545"])).to.include({
+        command: "sync",
+        fromBlock: "100",
+        rpc: "http://localhost:8545",
+      });
+      expect(parseArgs(["report", "--since", "2026-10-01"])).to.include({ command: "report", since: "2026-10-01" });
+      expect(() => parseArgs(["sync", "--store"])).to.throw("--store requires a value");
+      expect(() => parseArgs(["sync", "--verbose"])).to.throw("Unknown option --verbose");
+    });
+  });
+});
@@ -0,0 +1,264 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { encodeAdminCall, parseFeeRecipients } = require("../scripts/lib/adminCalls");
+const { deployMultisig } = require("./helpers/multisig");
+
+const { ethers } = hre;
+
+describe("CAPX Fee Splitter", function () {
+  async function deploySplitterFixture() {
+    const [adminSigner, treasury, dao, staking, marketing, user1, user2] = await ethers.getSigners();
+
+    const { multisig, adminFor } = await deployMultisig(adminSigner);
+
+    const CAPX = await ethers.getContractFactory("CAPX");
+    const capy = await CAPX.deploy(multisig.target, treasury.address, dao.address);
+
+    const FeeSplitter = await ethers.getContractFactory("FeeSplitter");
+    const splitter = await FeeSplitter.deploy(capy.target);
+
+    const executeAsAdmin = adminFor(capy);
+
+    await executeAsAdmin("setFeeSplitter", splitter.target);
+    await executeAsAdmin("enableTrading");
+    await executeAsAdmin("teamMint", user1.address, ethers.parseEther("10000"));
+
+    // 50% treasury, 30% staking rewards pool, 20% marketing
+    const recipients = [treasury.address, staking.address, marketing.address];
+    const weights = [5000n, 3000n, 2000n];
+    const setRecipients = () => executeAsAdmin("setFeeRecipients", recipients, weights);
+
+    return {
+      capy,
+      splitter,
+      multisig,
+      executeAsAdmin,
+      treasury,
+      dao,
+      staking,
+      marketing,
+      user1,
+      user2,
+      recipients,
+      weights,
+      setRecipients,
+    };
+  }
+
+  describe("1. Configuration", function () {
+    it("Should register the splitter and exempt it from fees", async function () {
+      const { capy, splitter } = await loadFixture(deploySplitterFixture);
+
+      expect(await capy.getFeeSplitter()).to.equal(splitter.target);
+      expect(await capy.isExempt(splitter.target)).to.equal(true);
+      expect(await splitter.token()).to.equal(capy.target);
+    });
+
+    it("Should emit FeeSplitterUpdated and keep the previous splitter exempt", async function () {
+      const { capy, splitter, executeAsAdmin } = await loadFixture(deploySplitterFixture);
+
+      const next = await (await ethers.getContractFactory("FeeSplitter")).deploy(capy.target);
+      await expect(executeAsAdmin("setFeeSplitter", next.target))
+        .to.emit(capy, "FeeSplitterUpdated")
+        .withArgs(splitter.target, next.target)
+        .and.to.emit(capy, "ExemptionUpdated")
+        .withArgs(next.target, true);
+
+      expect(await capy.isExempt(splitter.target)).to.equal(true);
+    });
+
+    it("Should reject splitters for another token and non-owners", async function () {
+      const { capy, executeAsAdmin, user1, recipients, weights } = await loadFixture(deploySplitterFixture);
+
+      const other = await (await ethers.getContractFactory("FeeSplitter")).deploy(user1.address);
+      await expect(executeAsAdmin("setFeeSplitter", other.target)).to.be.revertedWithCustomError(
+        capy,
+        "InvalidFeeSplitter"
+      );
+      await expect(executeAsAdmin("setFeeSplitter", ethers.ZeroAddress)).to.be.revertedWithCustomError(
+        capy,
+        "ZeroAddress"
+      );
+      await expect(capy.connect(user1).setFeeSplitter(other.target)).to.be.reverted;
+      await expect(capy.connect(user1).setFeeRecipients(recipients, weights)).to.be.reverted;
+    });
+
+    it("Should store the recipients and emit FeeRecipientsUpdated", async function () {
+      const { capy, setRecipients, recipients, weights } = await loadFixture(deploySplitterFixture);
+
+      expect(await capy.getFeeRecipients()).to.deep.equal([]);
+
+      await expect(setRecipients()).to.emit(capy, "FeeRecipientsUpdated").withArgs(recipients, weights);
+      expect(await capy.getFeeRecipients()).to.deep.equal(recipients.map((account, i) => [account, weights[i]]));
+    });
+
+    it("Should reject invalid recipient lists", async function () {
+      const { capy, executeAsAdmin, recipients } = await loadFixture(deploySplitterFixture);
+      const signers = await ethers.getSigners();
+      const six = signers.slice(0, 6).map((s) => s.address);
+
+      const invalid = [
+        [recipients, [5000n, 5000n]],
+        [recipients, [5000n, 3000n, 1000n]],
+        [recipients, [5000n, 5000n, 0n]],
+        [six, [5000n, 1000n, 1000n, 1000n, 1000n, 1000n]],
+      ];
+      for (const [accounts, weights] of invalid) {
+        await expect(executeAsAdmin("setFeeRecipients", accounts, weights)).to.be.revertedWithCustomError(
+          capy,
+          "InvalidFeeRecipients"
+        );
+      }
+      await expect(
+        executeAsAdmin("setFeeRecipients", [recipients[0], ethers.ZeroAddress], [5000n, 5000n])
+      ).to.be.revertedWithCustomError(capy, "ZeroAddress");
+    });
+
+    it("Should not accept recipients before a splitter is set", async function () {
+      const [adminSigner, treasury, dao] = await ethers.getSigners();
+      const { multisig, executeAsAdmin } = await deployMultisig(adminSigner);
+      const capy = await (await ethers.getContractFactory("CAPX")).deploy(multisig.target, treasury.address, dao.address);
+
+      await expect(
+        executeAsAdmin(capy, "setFeeRecipients", [treasury.address], [10000n])
+      ).to.be.revertedWithCustomError(capy, "FeeSplitterNotConfigured");
+    });
+  });
+
+  describe("2. Splitting", function () {
+    it("Should split the treasury fee by weight and emit TreasuryFee per recipient", async function () {
+      const { capy, splitter, setRecipients, treasury, staking, marketing, user1, user2 } = await loadFixture(
+        deploySplitterFixture
+      );
+      await setRecipients();
+
+      // 1% treasury fee on 1000 CAPX
+      const fee = ethers.parseEther("10");
+      await expect(capy.connect(user1).transfer(user2.address, ethers.parseEther("1000")))
+        .to.emit(capy, "TreasuryFee")
+        .withArgs(user1.address, treasury.address, ethers.parseEther("5"))
+        .and.to.emit(capy, "TreasuryFee")
+        .withArgs(user1.address, staking.address, ethers.parseEther("3"))
+        .and.to.emit(capy, "TreasuryFee")
+        .withArgs(user1.address, marketing.address, ethers.parseEther("2"));
+
+      expect(await capy.balanceOf(splitter.target)).to.equal(fee);
+      expect(await capy.balanceOf(treasury.address)).to.equal(0);
+      expect(await capy.balanceOf(user2.address)).to.equal(ethers.parseEther("980"));
+      expect(await splitter.releasableAmount(treasury.address)).to.equal(ethers.parseEther("5"));
+      expect(await splitter.releasableAmount(staking.address)).to.equal(ethers.parseEther("3"));
+      expect(await splitter.releasableAmount(marketing.address)).to.equal(ethers.parseEther("2"));
+      expect(await splitter.getTotalOwed()).to.equal(fee);
+    });
+
+    it("Should give the rounding remainder to the last recipient", async function () {
+      const { capy, splitter, setRecipients, treasury, staking, marketing, user1, user2 } = await loadFixture(
+        deploySplitterFixture
+      );
+      await setRecipients();
+
+      // 1% of 999 wei is 9 wei: 4 + 2 + 3
+      await capy.connect(user1).transfer(user2.address, 999n);
+
+      expect(await splitter.releasableAmount(treasury.address)).to.equal(4n);
+      expect(await splitter.releasableAmount(staking.address)).to.equal(2n);
+      expect(await splitter.releasableAmount(marketing.address)).to.equal(3n);
+      expect(await capy.balanceOf(splitter.target)).to.equal(9n);
+    });
+
+    it("Should leave exempt transfers untouched", async function () {
+      const { capy, splitter, setRecipients, treasury, user1 } = await loadFixture(deploySplitterFixture);
+      await setRecipients();
+
+      await expect(capy.connect(user1).transfer(treasury.address, ethers.parseEther("100"))).not.to.emit(
+        capy,
+        "TreasuryFee"
+      );
+      expect(await capy.balanceOf(splitter.target)).to.equal(0);
+    });
+
+    it("Should pay the treasury directly again once the list is cleared", async function () {
+      const { capy, splitter, executeAsAdmin, setRecipients, treasury, user1, user2 } = await loadFixture(
+        deploySplitterFixture
+      );
+      await setRecipients();
+      await capy.connect(user1).transfer(user2.address, ethers.parseEther("1000"));
+
+      await executeAsAdmin("setFeeRecipients", [], []);
+      expect(await capy.getFeeRecipients()).to.deep.equal([]);
+
+      await expect(capy.connect(user1).transfer(user2.address, ethers.parseEther("1000")))
+        .to.emit(capy, "TreasuryFee")
+        .withArgs(user1.address, treasury.address, ethers.parseEther("10"));
+      // Earlier credits are untouched
+      expect(await splitter.releasableAmount(treasury.address)).to.equal(ethers.parseEther("5"));
+    });
+  });
+
+  describe("3. Release", function () {
+    it("Should release credited fees to the recipient without transfer fees", async function () {
+      const { capy, splitter, setRecipients, staking, marketing, user1, user2 } = await loadFixture(
+        deploySplitterFixture
+      );
+      await setRecipients();
+      await capy.connect(user1).transfer(user2.address, ethers.parseEther("1000"));
+
+      // Anyone can release on behalf of a recipient
+      await expect(splitter.connect(marketing).release(staking.address))
+        .to.emit(splitter, "FeesReleased")
+        .withArgs(staking.address, ethers.parseEther("3"));
+
+      expect(await capy.balanceOf(staking.address)).to.equal(ethers.parseEther("3"));
+      expect(await splitter.releasableAmount(staking.address)).to.equal(0);
+      expect(await splitter.getTotalOwed()).to.equal(ethers.parseEther("7"));
+      expect(await capy.balanceOf(splitter.target)).to.equal(ethers.parseEther("7"));
+
+      await expect(splitter.release(staking.address)).to.be.revertedWithCustomError(
+        splitter,
+        "NothingToRelease"
+      );
+    });
+
+    it("Should only accept credits from the token", async function () {
+      const { splitter, user1 } = await loadFixture(deploySplitterFixture);
+
+      await expect(splitter.connect(user1).creditFees([user1.address], [1n])).to.be.revertedWithCustomError(
+        splitter,
+        "OnlyToken"
+      );
+    });
+  });
+
+  describe("4. Admin Tasks", function () {
+    it("Should set the recipients from address:weight pairs", async function () {
+      const { capy, treasury, staking } = await loadFixture(deploySplitterFixture);
+
+      await hre.run("capx:set-fee-recipients", {
+        address: capy.target,
+        recipients: `${treasury.address}:7000, ${staking.address}:3000`,
+      });
+
+      expect(await capy.getFeeRecipients()).to.deep.equal([
+        [treasury.address, 7000n],
+        [staking.address, 3000n],
+      ]);
+    });
+
+    it("Should reject lists that would revert", async function () {
+      const { capy, treasury, staking } = await loadFixture(deploySplitterFixture);
+      const encode = (value) => encodeAdminCall("CAPX", capy.target, "setFeeRecipients", parseFeeRecipients(value));
+
+      expect(parseFeeRecipients("none")).to.deep.equal([[], []]);
+      expect(() => parseFeeRecipients(`${treasury.address}`)).to.throw('must be "address:weightBps"');
+      expect(() => encode(`${treasury.address}:5000,${staking.address}:4000`)).to.throw(
+        "weightsBps must add up to 10000, got 9000"
+      );
+      expect(() => encode(`${treasury.address}:10000,${staking.address}:0`)).to.throw(
+        "weightsBps[1] must be greater than zero"
+      );
+      const six = Array.from({ length: 6 }, () => `${treasury.address}:1000`).join(",");
+      expect(() => encode(six)).to.throw("at most 5 fee recipients, got 6");
+    });
+  });
+});
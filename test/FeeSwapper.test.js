@@ -0,0 +1,297 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployPair, addLiquidity, getReserves, sell } = require("./helpers/amm");
+const { deployMultisig } = require("./helpers/multisig");
+const { encodeAdminCall } = require("../scripts/lib/adminCalls");
+const { quoteSwapBack } = require("../tasks/swapper");
+
+const { ethers } = hre;
+
+describe("CAPX Fee Swapper", function () {
+  const THRESHOLD = ethers.parseEther("100");
+  // The pool starts at 0.001 USDT (or WBNB) per CAPX; swaps accept down to 5% below that
+  const MIN_PRICE = ethers.parseEther("0.00095");
+
+  async function deploy(native) {
+    const [adminSigner, treasury, dao, trader, user2, keeper] = await ethers.getSigners();
+
+    const { multisig, executeAsAdmin } = await deployMultisig(adminSigner);
+
+    const CAPX = await ethers.getContractFactory("CAPX");
+    const capy = await CAPX.deploy(multisig.target, treasury.address, dao.address);
+
+    const splitter = await (await ethers.getContractFactory("FeeSplitter")).deploy(capy.target);
+    const swapper = await (await ethers.getContractFactory("FeeSwapper")).deploy(capy.target);
+
+    // 1M CAPX against 1000 USDT (or WBNB), seeded by the fee-exempt treasury
+    const { pair, quote, router } = await deployPair(capy, { native });
+    const pool = { pair, quote, token: capy };
+    await executeAsAdmin(capy, "treasuryMint", treasury.address, ethers.parseEther("1000000"));
+    await addLiquidity(pool, treasury, ethers.parseEther("1000000"), ethers.parseEther("1000"));
+    await executeAsAdmin(capy, "setAmmPair", pair.target, true);
+    await executeAsAdmin(capy, "enableTrading");
+
+    // The whole treasury fee goes to the swapper, which sells untaxed
+    await executeAsAdmin(capy, "setFeeSplitter", splitter.target);
+    await executeAsAdmin(capy, "setFeeRecipients", [swapper.target], [10000n]);
+    await executeAsAdmin(capy, "setExemption", swapper.target, true);
+    await executeAsAdmin(capy, "setLimitExemption", swapper.target, true);
+
+    const outputToken = native ? ethers.ZeroAddress : quote.target;
+    await executeAsAdmin(swapper, "setSwapConfig", router.target, outputToken, THRESHOLD, MIN_PRICE);
+    await executeAsAdmin(swapper, "setKeeper", keeper.address, true);
+
+    await executeAsAdmin(capy, "teamMint", trader.address, ethers.parseEther("200000"));
+
+    // A 10,000 CAPX transfer credits exactly THRESHOLD (1%) to the swapper
+    const collect = () => capy.connect(trader).transfer(user2.address, ethers.parseEther("10000"));
+
+    return {
+      capy,
+      splitter,
+      swapper,
+      multisig,
+      executeAsAdmin,
+      pool,
+      pair,
+      quote,
+      router,
+      treasury,
+      trader,
+      user2,
+      keeper,
+      collect,
+    };
+  }
+
+  const deployStablecoinFixture = () => deploy(false);
+  const deployNativeFixture = () => deploy(true);
+
+  describe("1. Configuration", function () {
+    it("Should store the configuration and emit SwapConfigUpdated", async function () {
+      const { capy, swapper, multisig, executeAsAdmin, router, quote } = await loadFixture(deployStablecoinFixture);
+
+      expect(await swapper.token()).to.equal(capy.target);
+      expect(await swapper.owner()).to.equal(multisig.target);
+      expect(await swapper.getSwapConfig()).to.deep.equal([router.target, quote.target, THRESHOLD, MIN_PRICE]);
+
+      await expect(executeAsAdmin(swapper, "setSwapConfig", router.target, ethers.ZeroAddress, 1n, 2n))
+        .to.emit(swapper, "SwapConfigUpdated")
+        .withArgs(router.target, ethers.ZeroAddress, 1n, 2n);
+    });
+
+    it("Should reject invalid configurations and callers other than the CAPX owner", async function () {
+      const { swapper, executeAsAdmin, router, quote, trader } = await loadFixture(deployStablecoinFixture);
+
+      await expect(
+        executeAsAdmin(swapper, "setSwapConfig", router.target, quote.target, 0n, MIN_PRICE)
+      ).to.be.revertedWithCustomError(swapper, "InvalidSwapConfig");
+      await expect(
+        executeAsAdmin(swapper, "setSwapConfig", router.target, quote.target, THRESHOLD, 0n)
+      ).to.be.revertedWithCustomError(swapper, "InvalidSwapConfig");
+      await expect(
+        executeAsAdmin(swapper, "setSwapConfig", ethers.ZeroAddress, quote.target, THRESHOLD, MIN_PRICE)
+      ).to.be.revertedWithCustomError(swapper, "ZeroAddress");
+      await expect(
+        swapper.connect(trader).setSwapConfig(router.target, quote.target, THRESHOLD, MIN_PRICE)
+      ).to.be.revertedWithCustomError(swapper, "Unauthorized");
+    });
+
+    it("Should not swap before it is configured", async function () {
+      const { capy, executeAsAdmin } = await loadFixture(deployStablecoinFixture);
+      const swapper = await (await ethers.getContractFactory("FeeSwapper")).deploy(capy.target);
+
+      await expect(swapper.swapBack(0)).to.be.revertedWithCustomError(swapper, "Unauthorized");
+      await expect(executeAsAdmin(swapper, "swapBack", 0)).to.be.revertedWithCustomError(
+        swapper,
+        "SwapNotConfigured"
+      );
+    });
+  });
+
+  describe("2. Keepers", function () {
+    it("Should let the CAPX owner allow and disallow keepers", async function () {
+      const { swapper, executeAsAdmin, trader, keeper } = await loadFixture(deployStablecoinFixture);
+
+      expect(await swapper.isKeeper(keeper.address)).to.equal(true);
+      await expect(executeAsAdmin(swapper, "setKeeper", keeper.address, false))
+        .to.emit(swapper, "KeeperUpdated")
+        .withArgs(keeper.address, false);
+      expect(await swapper.isKeeper(keeper.address)).to.equal(false);
+
+      await expect(executeAsAdmin(swapper, "setKeeper", ethers.ZeroAddress, true)).to.be.revertedWithCustomError(
+        swapper,
+        "ZeroAddress"
+      );
+      await expect(swapper.connect(trader).setKeeper(trader.address, true)).to.be.revertedWithCustomError(
+        swapper,
+        "Unauthorized"
+      );
+    });
+
+    it("Should only swap for keepers and the CAPX owner", async function () {
+      const { swapper, executeAsAdmin, trader, keeper, collect } = await loadFixture(deployStablecoinFixture);
+
+      await collect();
+      await collect();
+      await expect(swapper.connect(trader).swapBack(0)).to.be.revertedWithCustomError(swapper, "Unauthorized");
+
+      await expect(executeAsAdmin(swapper, "swapBack", 0)).to.emit(swapper, "SwapBack");
+      await executeAsAdmin(swapper, "setKeeper", keeper.address, false);
+      await expect(swapper.connect(keeper).swapBack(0)).to.be.revertedWithCustomError(swapper, "Unauthorized");
+    });
+  });
+
+  describe("3. Swapping", function () {
+    it("Should not swap below the threshold", async function () {
+      const { capy, splitter, swapper, trader, user2, keeper } = await loadFixture(deployStablecoinFixture);
+
+      await capy.connect(trader).transfer(user2.address, ethers.parseEther("5000"));
+      expect(await splitter.releasableAmount(swapper.target)).to.equal(THRESHOLD / 2n);
+
+      await expect(swapper.connect(keeper).swapBack(0)).to.be.revertedWithCustomError(swapper, "BelowThreshold");
+    });
+
+    it("Should pull its fees, sell exactly the threshold untaxed and pay the treasury", async function () {
+      const { capy, splitter, swapper, pool, quote, router, treasury, keeper, collect } = await loadFixture(
+        deployStablecoinFixture
+      );
+
+      await collect();
+      await collect();
+      const [, quoted] = await router.getAmountsOut(THRESHOLD, [capy.target, quote.target]);
+      const { tokenReserve } = await getReserves(pool.pair, capy);
+
+      await expect(swapper.connect(keeper).swapBack(quoted))
+        .to.emit(swapper, "SwapBack")
+        .withArgs(THRESHOLD, quoted, quote.target);
+
+      expect(await quote.balanceOf(treasury.address)).to.equal(quoted);
+      expect(await splitter.releasableAmount(swapper.target)).to.equal(0);
+      expect(await capy.balanceOf(swapper.target)).to.equal(THRESHOLD);
+      // The swapper's sell is not charged any fees
+      expect((await getReserves(pool.pair, capy)).tokenReserve).to.equal(tokenReserve + THRESHOLD);
+    });
+
+    it("Should swap into native BNB", async function () {
+      const { capy, swapper, router, quote, treasury, keeper, collect } = await loadFixture(deployNativeFixture);
+
+      await collect();
+      const [, quoted] = await router.getAmountsOut(THRESHOLD, [capy.target, quote.target]);
+
+      await expect(swapper.connect(keeper).swapBack(quoted)).to.changeEtherBalance(treasury, quoted);
+    });
+
+    it("Should also sell fees sent to it directly", async function () {
+      const { capy, swapper, executeAsAdmin, trader, keeper } = await loadFixture(deployStablecoinFixture);
+
+      await executeAsAdmin(capy, "setFeeRecipients", [], []);
+      await capy.connect(trader).transfer(swapper.target, THRESHOLD);
+
+      await expect(swapper.connect(keeper).swapBack(0)).to.emit(swapper, "SwapBack");
+      expect(await capy.balanceOf(swapper.target)).to.equal(0);
+    });
+  });
+
+  describe("4. Slippage", function () {
+    it("Should revert when the pool is sandwiched between the quote and the swap", async function () {
+      const { capy, splitter, swapper, pool, trader, keeper, collect } = await loadFixture(deployStablecoinFixture);
+
+      await collect();
+      const { amountOutMin } = await quoteSwapBack(hre, swapper, 100);
+
+      // A front-runner dumps 2% of the pool, moving the price ~4% down: still above the floor
+      await sell(pool, trader, ethers.parseEther("20000"));
+      const owed = await splitter.releasableAmount(swapper.target);
+
+      await expect(swapper.connect(keeper).swapBack(amountOutMin)).to.be.revertedWith(
+        "MockRouter: INSUFFICIENT_OUTPUT_AMOUNT"
+      );
+      expect(await splitter.releasableAmount(swapper.target)).to.equal(owed);
+      expect(await capy.balanceOf(swapper.target)).to.equal(0);
+
+      // The floor alone would have let the sandwich through
+      await expect(swapper.connect(keeper).swapBack(0)).to.emit(swapper, "SwapBack");
+    });
+
+    it("Should revert below the floor whatever the keeper passes", async function () {
+      const { capy, splitter, swapper, pool, trader, keeper, collect } = await loadFixture(deployStablecoinFixture);
+
+      await collect();
+      // A front-runner dumps 10% of the pool, moving the price ~17% down
+      await sell(pool, trader, ethers.parseEther("100000"));
+      const owed = await splitter.releasableAmount(swapper.target);
+
+      await expect(swapper.connect(keeper).swapBack(0)).to.be.revertedWith(
+        "MockRouter: INSUFFICIENT_OUTPUT_AMOUNT"
+      );
+      // Nothing left the splitter or the swapper
+      expect(await splitter.releasableAmount(swapper.target)).to.equal(owed);
+      expect(await capy.balanceOf(swapper.target)).to.equal(0);
+    });
+
+    it("Should swap within the floor when the pool moves less", async function () {
+      const { swapper, router, treasury, quote, keeper, collect } = await loadFixture(deployStablecoinFixture);
+
+      await collect();
+      await router.setOutputShortfallBps(400);
+
+      await expect(swapper.connect(keeper).swapBack(0)).to.emit(swapper, "SwapBack");
+      expect(await quote.balanceOf(treasury.address)).to.be.greaterThan((THRESHOLD * MIN_PRICE) / 10n ** 18n);
+
+      await collect();
+      await router.setOutputShortfallBps(600);
+      await expect(swapper.connect(keeper).swapBack(0)).to.be.revertedWith("MockRouter: INSUFFICIENT_OUTPUT_AMOUNT");
+    });
+  });
+
+  describe("5. Tasks", function () {
+    it("Should configure swaps into BNB by default", async function () {
+      const { swapper, router } = await loadFixture(deployStablecoinFixture);
+
+      await hre.run("swapper:set-config", {
+        address: swapper.target,
+        router: router.target,
+        threshold: ethers.parseEther("500").toString(),
+        minPrice: MIN_PRICE.toString(),
+      });
+
+      expect(await swapper.getSwapConfig()).to.deep.equal([
+        router.target,
+        ethers.ZeroAddress,
+        ethers.parseEther("500"),
+        MIN_PRICE,
+      ]);
+    });
+
+    it("Should swap at the quote less the slippage", async function () {
+      const { swapper, executeAsAdmin, quote, treasury, collect } = await loadFixture(deployStablecoinFixture);
+      const [defaultSigner] = await ethers.getSigners();
+      await hre.run("swapper:set-keeper", { address: swapper.target, keeper: defaultSigner.address });
+
+      await collect();
+      const { quoted, amountOutMin } = await quoteSwapBack(hre, swapper, 50);
+      expect(amountOutMin).to.equal((quoted * 9950n) / 10000n);
+
+      await hre.run("swapper:swap-back", { address: swapper.target, slippageBps: "50" });
+      expect(await quote.balanceOf(treasury.address)).to.equal(quoted);
+
+      await executeAsAdmin(swapper, "setKeeper", defaultSigner.address, false);
+      await collect();
+      await expect(hre.run("swapper:swap-back", { address: swapper.target })).to.be.rejected;
+      await expect(quoteSwapBack(hre, swapper, 10000)).to.be.rejectedWith("slippageBps must be between 0 and 9999");
+    });
+
+    it("Should reject configurations that would revert", async function () {
+      const { swapper, router } = await loadFixture(deployStablecoinFixture);
+
+      expect(() =>
+        encodeAdminCall("FeeSwapper", swapper.target, "setSwapConfig", [router.target, "bnb", "0", "1"])
+      ).to.throw("threshold must be greater than zero");
+      expect(() =>
+        encodeAdminCall("FeeSwapper", swapper.target, "setSwapConfig", [router.target, "bnb", "1", "0"])
+      ).to.throw("minPrice must be greater than zero");
+    });
+  });
+});
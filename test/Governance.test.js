@@ -0,0 +1,316 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { findDeployedAddress } = require("../scripts/lib/adminCalls");
+const { buildProposal, proposeArgs, proposalArgs, getProposalStatus } = require("../scripts/lib/governance");
+const { deployGovernance, parseSettings } = require("../scripts/deploy-governance");
+const { handover } = require("../scripts/governance-handover");
+const { deployMultisig } = require("./helpers/multisig");
+
+const VOTING_DELAY = 1;
+const VOTING_PERIOD = 10;
+const MIN_DELAY = 3600;
+
+describe("Governance", function () {
+  async function deployGovernanceFixture() {
+    const [adminSigner, treasury, dao, minter, alice, bob, carol, outsider] = await ethers.getSigners();
+
+    const { multisig, executeAsAdmin } = await deployMultisig(adminSigner);
+
+    const capx = await (await ethers.getContractFactory("CAPX")).deploy(
+      multisig.target,
+      treasury.address,
+      dao.address
+    );
+    const seed = await (await ethers.getContractFactory("AngelSEED")).deploy(multisig.target);
+
+    await executeAsAdmin(capx, "enableTrading");
+    await executeAsAdmin(capx, "grantRoles", minter.address, await capx.TEAM_MINTER_ROLE());
+
+    // 4% quorum of 4,010,000 CAPX is 160,400: alice alone reaches it, carol does not
+    await capx.connect(minter).teamMint(alice.address, ethers.parseEther("3000000"));
+    await capx.connect(minter).teamMint(bob.address, ethers.parseEther("1000000"));
+    await capx.connect(minter).teamMint(carol.address, ethers.parseEther("10000"));
+    for (const signer of [alice, bob, carol]) {
+      await capx.connect(signer).delegate(signer.address);
+    }
+
+    const deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "capshield-governance-"));
+    const { deploymentInfo, deploymentInfoPath } = await deployGovernance({
+      capx: capx.target,
+      votingDelay: String(VOTING_DELAY),
+      votingPeriod: String(VOTING_PERIOD),
+      threshold: "1000",
+      quorum: "4",
+      minDelay: String(MIN_DELAY),
+      deploymentsDir,
+      log: () => {},
+    });
+    const governor = await ethers.getContractAt("CAPXGovernor", deploymentInfo.contracts.CAPXGovernor.address);
+    const timelock = await ethers.getContractAt(
+      "TimelockController",
+      deploymentInfo.contracts.TimelockController.address
+    );
+
+    const runHandover = (overrides = {}) =>
+      handover({
+        capx: capx.target,
+        angelseed: seed.target,
+        governor: governor.target,
+        deploymentsDir,
+        signer: alice,
+        log: () => {},
+        ...overrides,
+      });
+
+    return {
+      capx,
+      seed,
+      multisig,
+      governor,
+      timelock,
+      executeAsAdmin,
+      runHandover,
+      deploymentsDir,
+      deploymentInfoPath,
+      adminSigner,
+      alice,
+      bob,
+      carol,
+      outsider,
+    };
+  }
+
+  // Runs the handover up to the point where the multisig has to act
+  async function requestHandover(runHandover) {
+    expect((await runHandover()).stage).to.equal("proposed");
+    await mine(VOTING_DELAY + 1);
+    expect((await runHandover({ vote: "for" })).stage).to.equal("voting");
+    await mine(VOTING_PERIOD);
+    expect((await runHandover()).stage).to.equal("queued");
+    expect((await runHandover()).stage).to.equal("waiting");
+    await time.increase(MIN_DELAY);
+  }
+
+  async function handedOverFixture() {
+    const fixture = await deployGovernanceFixture();
+    await requestHandover(fixture.runHandover);
+    await fixture.runHandover();
+    return fixture;
+  }
+
+  // Proposes `actions` as alice and votes them through
+  async function passProposal(governor, voters, actions, description) {
+    const proposal = buildProposal(actions, description);
+    await governor.connect(voters[0]).propose(...proposeArgs(proposal));
+    await mine(VOTING_DELAY + 1);
+    const { id } = await getProposalStatus(governor, proposal);
+    for (const voter of voters) {
+      await governor.connect(voter).castVote(id, 1);
+    }
+    await mine(VOTING_PERIOD);
+    return { proposal, id };
+  }
+
+  describe("1. Deployment", function () {
+    it("Should wire the Governor to CAPX and the Timelock", async function () {
+      const { capx, governor, timelock } = await loadFixture(deployGovernanceFixture);
+
+      expect(await governor.name()).to.equal("CAPShield Governor");
+      expect(await governor.token()).to.equal(capx.target);
+      expect(await governor.timelock()).to.equal(timelock.target);
+      expect(await governor.votingDelay()).to.equal(VOTING_DELAY);
+      expect(await governor.votingPeriod()).to.equal(VOTING_PERIOD);
+      expect(await governor.proposalThreshold()).to.equal(ethers.parseEther("1000"));
+      expect(await governor["quorumNumerator()"]()).to.equal(4n);
+      expect(await governor.CLOCK_MODE()).to.equal(await capx.CLOCK_MODE());
+      expect(await timelock.getMinDelay()).to.equal(MIN_DELAY);
+    });
+
+    it("Should leave the Governor as the only proposer and nobody as admin", async function () {
+      const { governor, timelock, adminSigner, deploymentsDir, deploymentInfoPath } = await loadFixture(
+        deployGovernanceFixture
+      );
+
+      expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), governor.target)).to.equal(true);
+      expect(await timelock.hasRole(await timelock.CANCELLER_ROLE(), governor.target)).to.equal(true);
+      expect(await timelock.hasRole(await timelock.EXECUTOR_ROLE(), ethers.ZeroAddress)).to.equal(true);
+      expect(await timelock.hasRole(await timelock.TIMELOCK_ADMIN_ROLE(), adminSigner.address)).to.equal(false);
+      expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), adminSigner.address)).to.equal(false);
+
+      // The info file is where the handover script finds the Governor
+      expect(fs.existsSync(deploymentInfoPath)).to.equal(true);
+      expect(findDeployedAddress(deploymentsDir, "hardhat", "CAPXGovernor", "governance")).to.equal(governor.target);
+    });
+
+    it("Should reject invalid settings", function () {
+      expect(() => parseSettings({ quorum: "0" })).to.throw("quorum must be between 1 and 100");
+      expect(() => parseSettings({ quorum: "101" })).to.throw("quorum must be between 1 and 100");
+      expect(() => parseSettings({ votingPeriod: "0" })).to.throw("voting period must be greater than zero");
+      expect(() => parseSettings({ minDelay: "2 days" })).to.throw("min delay must be a non-negative integer");
+      expect(parseSettings({ threshold: "250.5" }).proposalThreshold).to.equal(ethers.parseEther("250.5"));
+    });
+  });
+
+  describe("2. Ownership Handover", function () {
+    it("Should walk the handover through a proposal and the multisig", async function () {
+      const { capx, seed, timelock, executeAsAdmin, runHandover, outsider } = await loadFixture(
+        deployGovernanceFixture
+      );
+
+      await requestHandover(runHandover);
+      expect(await capx.ownershipHandoverExpiresAt(timelock.target)).to.equal(0n);
+
+      // Executes the proposal, then completes the handover through the multisig
+      expect((await runHandover()).stage).to.equal("completed");
+      expect(await capx.owner()).to.equal(timelock.target);
+      expect(await seed.owner()).to.equal(timelock.target);
+      expect(await capx.isOwnerMultisig()).to.equal(true);
+      expect((await runHandover()).stage).to.equal("done");
+
+      // The multisig has no say any more
+      await expect(executeAsAdmin(capx, "setExemption", outsider.address, true)).to.be.reverted;
+      expect(await capx.isExempt(outsider.address)).to.equal(false);
+    });
+
+    it("Should refuse to propose without enough votes", async function () {
+      const { runHandover, outsider } = await loadFixture(deployGovernanceFixture);
+
+      await expect(runHandover({ signer: outsider })).to.be.rejectedWith("Delegate votes to the proposer first");
+    });
+
+    it("Should write a multisig batch and stop once the requests expire", async function () {
+      const { capx, seed, timelock, multisig, runHandover, deploymentsDir } = await loadFixture(
+        deployGovernanceFixture
+      );
+      const out = path.join(deploymentsDir, "handover-batch.json");
+
+      await requestHandover(runHandover);
+      const result = await runHandover({ batch: true, out });
+      expect(result.stage).to.equal("batch");
+      // The first call executes the proposal; the rerun only writes the batch
+      expect((await runHandover({ batch: true, out })).stage).to.equal("batch");
+
+      const batch = JSON.parse(fs.readFileSync(out, "utf8"));
+      expect(batch.transactions.map((tx) => tx.to)).to.deep.equal([capx.target, seed.target]);
+      for (const tx of batch.transactions) {
+        expect(tx.contractMethod.name).to.equal("completeOwnershipHandover");
+        expect(tx.contractInputsValues.pendingOwner).to.equal(timelock.target);
+      }
+      expect(await capx.owner()).to.equal(multisig.target);
+
+      await time.increase(48 * 60 * 60 + 1);
+      await expect(runHandover()).to.be.rejectedWith("has expired");
+    });
+
+    it("Should refuse to continue after a defeated proposal", async function () {
+      const { runHandover } = await loadFixture(deployGovernanceFixture);
+
+      await runHandover();
+      await mine(VOTING_DELAY + 1);
+      await runHandover({ vote: "against" });
+      await mine(VOTING_PERIOD);
+
+      await expect(runHandover()).to.be.rejectedWith("The handover proposal is Defeated");
+      // A new description makes a new proposal
+      expect((await runHandover({ description: "Handover, second attempt" })).stage).to.equal("proposed");
+    });
+  });
+
+  describe("3. Proposals", function () {
+    it("Should run setExemption on CAPX through propose, vote, queue and execute", async function () {
+      const { capx, governor, alice, outsider } = await loadFixture(handedOverFixture);
+      const actions = [
+        { target: capx.target, data: capx.interface.encodeFunctionData("setExemption", [outsider.address, true]) },
+      ];
+
+      const proposal = buildProposal(actions, "Exempt the outsider from CAPX fees");
+      await expect(governor.connect(alice).propose(...proposeArgs(proposal))).to.emit(governor, "ProposalCreated");
+      const { id } = await getProposalStatus(governor, proposal);
+      expect(await governor.state(id)).to.equal(0n); // Pending
+
+      await mine(VOTING_DELAY + 1);
+      expect(await governor.state(id)).to.equal(1n); // Active
+      await expect(governor.connect(alice).castVote(id, 1))
+        .to.emit(governor, "VoteCast")
+        .withArgs(alice.address, id, 1, ethers.parseEther("3000000"), "");
+
+      await mine(VOTING_PERIOD);
+      expect(await governor.state(id)).to.equal(4n); // Succeeded
+
+      await governor.queue(...proposalArgs(proposal));
+      expect(await governor.state(id)).to.equal(5n); // Queued
+
+      await time.increase(MIN_DELAY);
+      await expect(governor.connect(outsider).execute(...proposalArgs(proposal)))
+        .to.emit(capx, "ExemptionUpdated")
+        .withArgs(outsider.address, true);
+      expect(await governor.state(id)).to.equal(7n); // Executed
+      expect(await capx.isExempt(outsider.address)).to.equal(true);
+    });
+
+    it("Should not execute before the Timelock delay", async function () {
+      const { capx, governor, alice, outsider } = await loadFixture(handedOverFixture);
+      const actions = [
+        { target: capx.target, data: capx.interface.encodeFunctionData("setExemption", [outsider.address, true]) },
+      ];
+
+      const { proposal } = await passProposal(governor, [alice], actions, "Early execution");
+      await governor.queue(...proposalArgs(proposal));
+
+      await expect(governor.execute(...proposalArgs(proposal))).to.be.revertedWith(
+        "TimelockController: operation is not ready"
+      );
+    });
+
+    it("Should defeat a proposal that misses quorum", async function () {
+      const { capx, governor, carol, outsider } = await loadFixture(handedOverFixture);
+      const actions = [
+        { target: capx.target, data: capx.interface.encodeFunctionData("setExemption", [outsider.address, true]) },
+      ];
+
+      const { proposal, id } = await passProposal(governor, [carol], actions, "Too few votes");
+      expect(await governor.state(id)).to.equal(3n); // Defeated
+      await expect(governor.queue(...proposalArgs(proposal))).to.be.revertedWith("Governor: proposal not successful");
+    });
+
+    it("Should count votes at the proposal snapshot", async function () {
+      const { capx, governor, alice, bob, outsider } = await loadFixture(handedOverFixture);
+      const actions = [
+        { target: capx.target, data: capx.interface.encodeFunctionData("setExemption", [outsider.address, true]) },
+      ];
+      const proposal = buildProposal(actions, "Snapshot");
+      await governor.connect(bob).propose(...proposeArgs(proposal));
+      const { id } = await getProposalStatus(governor, proposal);
+
+      await mine(VOTING_DELAY + 1);
+
+      // Tokens bought after the snapshot do not vote
+      await capx.connect(alice).transfer(outsider.address, ethers.parseEther("1000"));
+      await capx.connect(outsider).delegate(outsider.address);
+
+      await expect(governor.connect(outsider).castVote(id, 1))
+        .to.emit(governor, "VoteCast")
+        .withArgs(outsider.address, id, 1, 0n, "");
+      expect(await governor.getVotes(alice.address, await governor.proposalSnapshot(id))).to.equal(
+        ethers.parseEther("3000000")
+      );
+    });
+
+    it("Should only let the Governor schedule on the Timelock", async function () {
+      const { capx, timelock, adminSigner, outsider } = await loadFixture(handedOverFixture);
+      const data = capx.interface.encodeFunctionData("setExemption", [outsider.address, true]);
+
+      await expect(
+        timelock.connect(adminSigner).schedule(capx.target, 0, data, ethers.ZeroHash, ethers.ZeroHash, MIN_DELAY)
+      ).to.be.reverted;
+      await expect(capx.connect(outsider).setExemption(outsider.address, true)).to.be.revertedWithCustomError(
+        capx,
+        "Unauthorized"
+      );
+    });
+  });
+});
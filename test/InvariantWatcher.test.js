@@ -0,0 +1,372 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  readTokenState,
+  checkInvariants,
+  createWatcher,
+  formatAlert,
+  stdoutSink,
+  webhookSink,
+  fileSink,
+} = require("../scripts/lib/invariants");
+const { watchInvariants, parseArgs } = require("../scripts/watch-invariants");
+const { deployMultisig } = require("./helpers/multisig");
+
+describe("Invariant Watcher", function () {
+  async function deployWatchedFixture() {
+    const [adminSigner, treasury, dao, alice, bob] = await ethers.getSigners();
+
+    const { multisig, executeAsAdmin: execute } = await deployMultisig(adminSigner);
+
+    const capx = await (await ethers.getContractFactory("CAPX")).deploy(
+      multisig.target,
+      treasury.address,
+      dao.address
+    );
+    const seed = await (await ethers.getContractFactory("AngelSEED")).deploy(multisig.target);
+
+    await execute(capx, "enableTrading");
+    await execute(capx, "teamMint", alice.address, ethers.parseEther("1000"));
+    await execute(capx, "treasuryMint", alice.address, ethers.parseEther("200"));
+    await execute(capx, "daoMint", bob.address, ethers.parseEther("30"));
+    await execute(
+      capx,
+      "revenueMint",
+      bob.address,
+      ethers.parseEther("100"),
+      ethers.parseEther("2"),
+      20264,
+      ethers.id("q4")
+    );
+    await capx.connect(alice).transfer(bob.address, ethers.parseEther("500"));
+    await capx.connect(bob).burn(ethers.parseEther("10"));
+    await execute(seed, "rewardMint", alice.address, ethers.parseEther("70"), "staking");
+    await seed.connect(alice).burn(ethers.parseEther("5"));
+
+    return { capx, seed, multisig, execute, treasury, dao, alice, bob };
+  }
+
+  // Sink that keeps the alerts for the assertions
+  function memorySink() {
+    const collected = [];
+    return { collected, sink: { name: "memory", send: async (alert) => collected.push(alert) } };
+  }
+
+  function cleanState() {
+    const token = {
+      paused: false,
+      totalSupply: 90n,
+      totalMinted: 100n,
+      maxSupply: 1000n,
+      owner: "0x0000000000000000000000000000000000000001",
+      ownerIsContract: true,
+    };
+    return {
+      blockNumber: 1,
+      CAPX: {
+        ...token,
+        teamMinted: 40n,
+        treasuryMinted: 30n,
+        daoMinted: 20n,
+        revenue: { count: 1n, total: 10n },
+        treasury: "0x0000000000000000000000000000000000000002",
+        treasuryExempt: true,
+        dao: "0x0000000000000000000000000000000000000003",
+        daoExempt: true,
+      },
+      AngelSEED: { ...token },
+    };
+  }
+
+  describe("1. Invariants", function () {
+    it("Should read both tokens at one block and find every invariant holding", async function () {
+      const { capx, seed, treasury, dao, multisig } = await loadFixture(deployWatchedFixture);
+
+      const state = await readTokenState({ capx, seed });
+
+      expect(state.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+      expect(state.CAPX.totalMinted).to.equal(await capx.getTotalMinted());
+      expect(state.CAPX.totalMinted).to.equal(ethers.parseEther("1280"));
+      expect(state.CAPX.totalSupply).to.equal(await capx.totalSupply());
+      expect(state.CAPX.totalSupply).to.be.lessThan(state.CAPX.totalMinted);
+      expect(state.CAPX.revenue).to.deep.equal({ count: 1n, total: ethers.parseEther("50") });
+      expect(state.CAPX).to.include({ treasury: treasury.address, dao: dao.address, owner: multisig.target });
+      expect(state.AngelSEED.totalMinted).to.equal(ethers.parseEther("70"));
+      expect(state.AngelSEED.totalSupply).to.equal(ethers.parseEther("65"));
+      expect(checkInvariants(state)).to.deep.equal([]);
+    });
+
+    it("Should extend the revenue total of a previous read", async function () {
+      const { capx, seed, execute, bob } = await loadFixture(deployWatchedFixture);
+      const before = await readTokenState({ capx, seed });
+
+      await execute(
+        capx,
+        "revenueMint",
+        bob.address,
+        ethers.parseEther("60"),
+        ethers.parseEther("3"),
+        20264,
+        ethers.id("q4-late")
+      );
+      const after = await readTokenState({ capx, seed }, { revenue: before.CAPX.revenue });
+
+      expect(after.CAPX.revenue).to.deep.equal({ count: 2n, total: ethers.parseEther("70") });
+      expect((await readTokenState({ capx })).CAPX.revenue).to.deep.equal(after.CAPX.revenue);
+      expect(checkInvariants(after)).to.deep.equal([]);
+    });
+
+    it("Should report each broken invariant", function () {
+      const state = cleanState();
+      expect(checkInvariants(state)).to.deep.equal([]);
+
+      state.CAPX.revenue.total = 11n;
+      state.CAPX.totalSupply = 101n;
+      state.CAPX.treasuryExempt = false;
+      state.CAPX.daoExempt = false;
+      state.AngelSEED.totalMinted = 1001n;
+      state.AngelSEED.ownerIsContract = false;
+
+      const violations = checkInvariants(state);
+      expect(violations.map((violation) => `${violation.token}:${violation.invariant}`)).to.deep.equal([
+        "CAPX:supply-within-minted",
+        "AngelSEED:minted-within-max-supply",
+        "AngelSEED:owner-is-contract",
+        "CAPX:allocations-add-up",
+        "CAPX:treasury-exempt",
+        "CAPX:dao-exempt",
+      ]);
+      expect(violations[3].message).to.equal(
+        "team 40 + treasury 30 + dao 20 + revenue 11 = 101, but totalMinted is 100"
+      );
+    });
+  });
+
+  describe("2. Watching", function () {
+    it("Should alert once when an invariant breaks and once when it holds again", async function () {
+      const { capx, seed, execute, treasury } = await loadFixture(deployWatchedFixture);
+      const { collected, sink } = memorySink();
+      const watcher = createWatcher({ capx, seed }, { sinks: [sink], network: "hardhat" });
+
+      expect(await watcher.poll()).to.deep.equal([]);
+
+      await execute(capx, "setExemption", treasury.address, false);
+      const [alert] = await watcher.poll();
+      expect(alert).to.include({
+        kind: "violation",
+        network: "hardhat",
+        token: "CAPX",
+        invariant: "treasury-exempt",
+        block: await ethers.provider.getBlockNumber(),
+      });
+      expect(await watcher.poll()).to.deep.equal([]);
+
+      await execute(capx, "setExemption", treasury.address, true);
+      expect((await watcher.poll()).map((item) => item.kind)).to.deep.equal(["resolved"]);
+      expect(collected.map((item) => item.kind)).to.deep.equal(["violation", "resolved"]);
+    });
+
+    it("Should alert when the owner stops being a contract", async function () {
+      const { capx, seed, multisig } = await loadFixture(deployWatchedFixture);
+      const { sink } = memorySink();
+      const watcher = createWatcher({ capx, seed }, { sinks: [sink] });
+      await watcher.poll();
+
+      await hre.network.provider.send("hardhat_setCode", [multisig.target, "0x"]);
+
+      const alerts = await watcher.poll();
+      expect(alerts.map((alert) => `${alert.token}:${alert.invariant}`)).to.deep.equal([
+        "CAPX:owner-is-contract",
+        "AngelSEED:owner-is-contract",
+      ]);
+      expect(alerts[0].message).to.equal(`owner ${multisig.target} has no contract code`);
+    });
+
+    it("Should alert when a token is paused or unpaused", async function () {
+      const { capx, seed, execute } = await loadFixture(deployWatchedFixture);
+      const { sink } = memorySink();
+      const watcher = createWatcher({ capx, seed }, { sinks: [sink] });
+      await watcher.poll();
+
+      await execute(seed, "pause");
+      const [paused] = await watcher.poll();
+      expect(paused).to.include({ kind: "paused", token: "AngelSEED", message: "AngelSEED was paused" });
+      expect(await watcher.poll()).to.deep.equal([]);
+
+      await execute(seed, "unpause");
+      await execute(capx, "pause");
+      expect((await watcher.poll()).map((alert) => `${alert.token}:${alert.kind}`)).to.deep.equal([
+        "CAPX:paused",
+        "AngelSEED:unpaused",
+      ]);
+    });
+
+    it("Should alert once when polling fails and when it recovers", async function () {
+      const { capx, seed } = await loadFixture(deployWatchedFixture);
+      const { sink } = memorySink();
+      const tokens = { capx, seed };
+      const watcher = createWatcher(tokens, { sinks: [sink] });
+      await watcher.poll();
+
+      tokens.capx = capx.attach(ethers.ZeroAddress);
+      const [error] = await watcher.poll();
+      expect(error.kind).to.equal("error");
+      expect(error.message).to.match(/^poll failed: /);
+      expect(await watcher.poll()).to.deep.equal([]);
+
+      tokens.capx = capx;
+      expect((await watcher.poll()).map((alert) => alert.kind)).to.deep.equal(["recovered"]);
+    });
+  });
+
+  describe("3. Sinks", function () {
+    const alert = {
+      time: "2026-10-19T12:00:00.000Z",
+      network: "bscMainnet",
+      kind: "violation",
+      token: "CAPX",
+      invariant: "dao-exempt",
+      block: 123,
+      message: "DAO 0x0000000000000000000000000000000000000003 is not fee exempt",
+    };
+
+    it("Should format an alert as one line for stdout", async function () {
+      const lines = [];
+      await stdoutSink((line) => lines.push(line)).send(alert);
+
+      expect(lines).to.deep.equal([
+        "[2026-10-19T12:00:00.000Z] VIOLATION (bscMainnet, CAPX, block 123) dao-exempt: " +
+          "DAO 0x0000000000000000000000000000000000000003 is not fee exempt",
+      ]);
+      expect(formatAlert({ time: alert.time, kind: "error", message: "poll failed: timeout" })).to.equal(
+        "[2026-10-19T12:00:00.000Z] ERROR () poll failed: timeout"
+      );
+    });
+
+    it("Should append alerts to a file as JSON lines", async function () {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "watcher-")), "alerts", "capx.jsonl");
+      const sink = fileSink(file);
+
+      await sink.send(alert);
+      await sink.send({ ...alert, kind: "resolved" });
+
+      const lines = fs.readFileSync(file, "utf8").trim().split("\n").map(JSON.parse);
+      expect(lines).to.deep.equal([alert, { ...alert, kind: "resolved" }]);
+    });
+
+    it("Should POST alerts to a webhook", async function () {
+      const received = [];
+      const server = http.createServer((request, response) => {
+        let body = "";
+        request.on("data", (chunk) => (body += chunk));
+        request.on("end", () => {
+          received.push({ method: request.method, type: request.headers["content-type"], body: JSON.parse(body) });
+          response.statusCode = request.url === "/down" ? 503 : 200;
+          response.end();
+        });
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      const url = `http://127.0.0.1:${server.address().port}`;
+
+      try {
+        await webhookSink(`${url}/hook`).send(alert);
+        expect(received).to.deep.equal([
+          { method: "POST", type: "application/json", body: { text: formatAlert(alert), alert } },
+        ]);
+        await expect(webhookSink(`${url}/down`).send(alert)).to.be.rejectedWith("Webhook returned HTTP 503");
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+
+    it("Should still deliver to the other sinks when one fails", async function () {
+      const { capx, treasury, execute } = await loadFixture(deployWatchedFixture);
+      const { collected, sink } = memorySink();
+      const failures = [];
+      const broken = {
+        name: "broken",
+        send: async () => {
+          throw new Error("unreachable");
+        },
+      };
+      const watcher = createWatcher(
+        { capx },
+        { sinks: [broken, sink], onSinkError: (error, sink) => failures.push(`${sink.name}: ${error.message}`) }
+      );
+
+      await execute(capx, "setExemption", treasury.address, false);
+      await watcher.poll();
+
+      expect(collected.map((item) => item.invariant)).to.deep.equal(["treasury-exempt"]);
+      expect(failures).to.deep.equal(["broken: unreachable"]);
+    });
+  });
+
+  describe("4. Script", function () {
+    it("Should check once and report the broken invariants", async function () {
+      const { capx, seed, execute, dao } = await loadFixture(deployWatchedFixture);
+      const deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "watcher-"));
+      const file = path.join(deploymentsDir, "alerts.jsonl");
+      const lines = [];
+      const log = (...args) => lines.push(args.join(" "));
+      const options = { capx: capx.target, angelseed: seed.target, once: true, file, deploymentsDir, log };
+
+      const clean = await watchInvariants(options);
+      expect(clean).to.deep.equal({ alerts: [], violations: [] });
+      expect(lines).to.include("Sinks: stdout, file");
+      expect(lines.at(-1)).to.match(/^✓ All invariants hold at block \d+$/);
+
+      await execute(capx, "setExemption", dao.address, false);
+      const result = await watchInvariants(options);
+      expect(result.violations.map((violation) => violation.invariant)).to.deep.equal(["dao-exempt"]);
+      expect(JSON.parse(fs.readFileSync(file, "utf8")).invariant).to.equal("dao-exempt");
+    });
+
+    it("Should poll until stopped", async function () {
+      const { capx, execute, treasury } = await loadFixture(deployWatchedFixture);
+      await execute(capx, "setExemption", treasury.address, false);
+      const controller = new AbortController();
+      const sink = { name: "stop", send: async () => controller.abort() };
+      const listeners = process.listenerCount("SIGINT");
+
+      const result = await watchInvariants({
+        capx: capx.target,
+        interval: "1",
+        sinks: [sink],
+        signal: controller.signal,
+        deploymentsDir: os.tmpdir(),
+        log: () => {},
+      });
+
+      expect(result.alerts.map((alert) => alert.invariant)).to.deep.equal(["treasury-exempt"]);
+      expect(result.violations).to.have.length(1);
+      expect(process.listenerCount("SIGINT")).to.equal(listeners);
+    });
+
+    it("Should validate its options", async function () {
+      await expect(watchInvariants({ interval: "0", log: () => {} })).to.be.rejectedWith(
+        "--interval must be a positive number of seconds"
+      );
+      await expect(watchInvariants({ webhook: "hooks.example.com", log: () => {} })).to.be.rejectedWith(
+        "--webhook must be an http(s) URL"
+      );
+      await expect(
+        watchInvariants({ deploymentsDir: fs.mkdtempSync(path.join(os.tmpdir(), "watcher-")), log: () => {} })
+      ).to.be.rejectedWith("No CAPX or AngelSEED address for hardhat");
+
+      expect(parseArgs(["--once", "--interval", "30", "--webhook", "https://example.com/hook"])).to.include({
+        once: true,
+        interval: "30",
+        webhook: "https://example.com/hook",
+      });
+      expect(() => parseArgs(["--file"])).to.throw("--file requires a value");
+      expect(() => parseArgs(["--daemon"])).to.throw("Unknown option --daemon");
+    });
+  });
+});
@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildRewardTree } = require("../scripts/lib/merkle");
+const { buildRequest, signRequest, relayRequest } = require("../scripts/lib/relayer");
+const { deployMultisig } = require("./helpers/multisig");
+
+describe("AngelSEED Meta-Transactions", function () {
+  async function deployForwarderFixture() {
+    const [adminSigner, minter, relayer, recipient, compliance] = await ethers.getSigners();
+
+    const { multisig, adminFor } = await deployMultisig(adminSigner);
+
+    const seed = await (await ethers.getContractFactory("AngelSEED")).deploy(multisig.target);
+    const forwarder = await (await ethers.getContractFactory("MockForwarder")).deploy();
+
+    const executeAsAdmin = adminFor(seed);
+
+    await executeAsAdmin("setTrustedForwarder", forwarder.target);
+    await executeAsAdmin("grantRoles", minter.address, await seed.REWARD_MINTER_ROLE());
+    await executeAsAdmin("grantRoles", compliance.address, await seed.COMPLIANCE_ROLE());
+
+    // A community member who received rewards but holds no BNB
+    const holder = ethers.Wallet.createRandom().connect(ethers.provider);
+    const amount = ethers.parseEther("100");
+    await seed.connect(minter).rewardMint(holder.address, amount, "community reward");
+
+    // Signs `functionName(args)` on AngelSEED as `signer` and relays it
+    const relay = async (signer, functionName, args, options = {}) => {
+      const request = await buildRequest(forwarder, {
+        from: signer.address,
+        to: seed.target,
+        data: seed.interface.encodeFunctionData(functionName, args),
+        ...options,
+      });
+      const signature = await signRequest(signer, forwarder, request);
+      return relayRequest(relayer, forwarder, request, signature, { targetInterface: seed.interface });
+    };
+
+    return {
+      seed,
+      forwarder,
+      multisig,
+      executeAsAdmin,
+      minter,
+      relayer,
+      recipient,
+      compliance,
+      holder,
+      amount,
+      relay,
+    };
+  }
+
+  describe("1. Forwarder Configuration", function () {
+    it("Should let the owner set and clear the trusted forwarder", async function () {
+      const { seed, forwarder, executeAsAdmin } = await loadFixture(deployForwarderFixture);
+
+      expect(await seed.getTrustedForwarder()).to.equal(forwarder.target);
+      expect(await seed.isTrustedForwarder(forwarder.target)).to.equal(true);
+
+      await expect(executeAsAdmin("setTrustedForwarder", ethers.ZeroAddress))
+        .to.emit(seed, "TrustedForwarderUpdated")
+        .withArgs(forwarder.target, ethers.ZeroAddress);
+      expect(await seed.isTrustedForwarder(forwarder.target)).to.equal(false);
+      expect(await seed.isTrustedForwarder(ethers.ZeroAddress)).to.equal(false);
+    });
+
+    it("Should reject EOAs and non-owners", async function () {
+      const { seed, executeAsAdmin, relayer } = await loadFixture(deployForwarderFixture);
+
+      await expect(executeAsAdmin("setTrustedForwarder", relayer.address)).to.be.revertedWithCustomError(
+        seed,
+        "InvalidForwarder"
+      );
+      await expect(seed.connect(relayer).setTrustedForwarder(relayer.address)).to.be.revertedWithCustomError(
+        seed,
+        "Unauthorized"
+      );
+    });
+  });
+
+  describe("2. Relayed Calls", function () {
+    it("Should transfer for a holder without BNB", async function () {
+      const { seed, holder, recipient, relay } = await loadFixture(deployForwarderFixture);
+      const value = ethers.parseEther("40");
+
+      const { receipt } = await relay(holder, "transfer", [recipient.address, value]);
+
+      await expect(receipt).to.emit(seed, "Transfer").withArgs(holder.address, recipient.address, value);
+      expect(await seed.balanceOf(recipient.address)).to.equal(value);
+      expect(await ethers.provider.getBalance(holder.address)).to.equal(0n);
+    });
+
+    it("Should burn and burnFrom as the signer", async function () {
+      const { seed, holder, recipient, amount, relay } = await loadFixture(deployForwarderFixture);
+      const value = ethers.parseEther("10");
+
+      await relay(holder, "burn", [value]);
+      expect(await seed.balanceOf(holder.address)).to.equal(amount - value);
+
+      // The holder spends the recipient's allowance, not the forwarder
+      await seed.connect(recipient).approve(holder.address, value);
+      await relay(holder, "transfer", [recipient.address, value]);
+      const { receipt } = await relay(holder, "burnFrom", [recipient.address, value]);
+
+      await expect(receipt).to.emit(seed, "Burn").withArgs(recipient.address, value);
+      expect(await seed.balanceOf(recipient.address)).to.equal(0n);
+      expect(await seed.allowance(recipient.address, holder.address)).to.equal(0n);
+    });
+
+    it("Should transferFrom with the signer's allowance", async function () {
+      const { seed, holder, recipient, minter, relay } = await loadFixture(deployForwarderFixture);
+      const value = ethers.parseEther("5");
+
+      await seed.connect(minter).rewardMint(recipient.address, value, "reward");
+      await seed.connect(recipient).approve(holder.address, value);
+      await relay(holder, "transferFrom", [recipient.address, minter.address, value]);
+
+      expect(await seed.balanceOf(minter.address)).to.equal(value);
+    });
+
+    it("Should approve as the signer", async function () {
+      const { seed, forwarder, holder, recipient, relay } = await loadFixture(deployForwarderFixture);
+      const value = ethers.parseEther("7");
+
+      const { receipt } = await relay(holder, "approve", [recipient.address, value]);
+
+      await expect(receipt).to.emit(seed, "Approval").withArgs(holder.address, recipient.address, value);
+      expect(await seed.allowance(holder.address, recipient.address)).to.equal(value);
+      expect(await seed.allowance(forwarder.target, recipient.address)).to.equal(0n);
+
+      await seed.connect(recipient).transferFrom(holder.address, recipient.address, value);
+      expect(await seed.balanceOf(recipient.address)).to.equal(value);
+    });
+
+    it("Should relay reward claims", async function () {
+      const { seed, holder, minter, relay } = await loadFixture(deployForwarderFixture);
+      const claims = [
+        { address: holder.address, amount: ethers.parseEther("3") },
+        { address: minter.address, amount: ethers.parseEther("1") },
+      ];
+      const tree = buildRewardTree(claims);
+      await seed.connect(minter).publishRewardEpoch(tree.root, tree.total, "epoch");
+
+      const claim = tree.claims.find((c) => c.address === holder.address);
+      await relay(holder, "claimReward", [1, holder.address, claim.amount, claim.proof]);
+
+      expect(await seed.isRewardClaimed(1, holder.address)).to.equal(true);
+    });
+  });
+
+  describe("3. Roles and Pause", function () {
+    it("Should check roles against the signer", async function () {
+      const { seed, holder, minter, recipient, relay } = await loadFixture(deployForwarderFixture);
+      const value = ethers.parseEther("1");
+
+      await expect(relay(holder, "rewardMint", [holder.address, value, "self"], { gas: 200_000n })).to.be.rejectedWith(
+        "would revert: Unauthorized()"
+      );
+
+      await relay(minter, "rewardMint", [recipient.address, value, "relayed"]);
+      expect(await seed.balanceOf(recipient.address)).to.equal(value);
+    });
+
+    it("Should check the blocklist against the signer", async function () {
+      const { seed, holder, recipient, compliance, relay } = await loadFixture(deployForwarderFixture);
+
+      await seed.connect(compliance).setBlocked([holder.address], true);
+      // An explicit gas limit skips the estimate, which would already fail
+      await expect(relay(holder, "transfer", [recipient.address, 1n], { gas: 200_000n })).to.be.rejectedWith(
+        "would revert: AccountBlocked()"
+      );
+    });
+
+    it("Should stop relayed transfers while paused", async function () {
+      const { holder, recipient, executeAsAdmin, relay } = await loadFixture(deployForwarderFixture);
+
+      await executeAsAdmin("pause");
+      await expect(relay(holder, "transfer", [recipient.address, 1n], { gas: 200_000n })).to.be.rejectedWith(
+        "would revert"
+      );
+    });
+
+    it("Should ignore an appended address unless the caller is the trusted forwarder", async function () {
+      const { seed, holder, recipient, relayer } = await loadFixture(deployForwarderFixture);
+
+      // relayer tries to spend the holder's tokens by appending the holder's address
+      const data = ethers.concat([
+        seed.interface.encodeFunctionData("transfer", [recipient.address, 1n]),
+        holder.address,
+      ]);
+      await expect(relayer.sendTransaction({ to: seed.target, data })).to.be.reverted;
+      expect(await seed.balanceOf(recipient.address)).to.equal(0n);
+    });
+  });
+
+  describe("4. Relayer Checks", function () {
+    it("Should refuse bad signatures and replays", async function () {
+      const { seed, forwarder, holder, recipient, relayer } = await loadFixture(deployForwarderFixture);
+      const request = await buildRequest(forwarder, {
+        from: holder.address,
+        to: seed.target,
+        data: seed.interface.encodeFunctionData("transfer", [recipient.address, 1n]),
+      });
+      const signature = await signRequest(holder, forwarder, request);
+
+      const tampered = { ...request, data: seed.interface.encodeFunctionData("transfer", [relayer.address, 1n]) };
+      await expect(relayRequest(relayer, forwarder, tampered, signature)).to.be.rejectedWith("invalid signature");
+
+      await relayRequest(relayer, forwarder, request, signature);
+      await expect(relayRequest(relayer, forwarder, request, signature)).to.be.rejectedWith("stale nonce");
+      await expect(signRequest(relayer, forwarder, request)).to.be.rejectedWith("but the signer is");
+    });
+
+    it("Should refuse targets that are not allowed or do not trust the forwarder", async function () {
+      const { seed, forwarder, holder, recipient, relayer, executeAsAdmin } = await loadFixture(deployForwarderFixture);
+      const request = await buildRequest(forwarder, {
+        from: holder.address,
+        to: seed.target,
+        data: seed.interface.encodeFunctionData("transfer", [recipient.address, 1n]),
+      });
+      const signature = await signRequest(holder, forwarder, request);
+
+      await expect(
+        relayRequest(relayer, forwarder, request, signature, { allowedTargets: [forwarder.target] })
+      ).to.be.rejectedWith("is not an allowed target");
+
+      await executeAsAdmin("setTrustedForwarder", ethers.ZeroAddress);
+      await expect(relayRequest(relayer, forwarder, request, signature)).to.be.rejectedWith(
+        "does not trust forwarder"
+      );
+    });
+  });
+});
@@ -0,0 +1,308 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMultisig } = require("./helpers/multisig");
+
+const { ethers } = hre;
+
+const DAY = 24n * 60n * 60n;
+
+describe("AngelSEED Minter Allowances", function () {
+  async function deployAllowanceFixture() {
+    const [adminSigner, minter, otherMinter, user1, user2, attacker] = await ethers.getSigners();
+
+    const { multisig, adminFor } = await deployMultisig(adminSigner);
+
+    const seed = await (await ethers.getContractFactory("AngelSEED")).deploy(multisig.target);
+
+    const executeAsAdmin = adminFor(seed);
+
+    const role = await seed.REWARD_MINTER_ROLE();
+    await executeAsAdmin("grantRoles", minter.address, role);
+    await executeAsAdmin("grantRoles", otherMinter.address, role);
+
+    const limit = ethers.parseEther("1000");
+
+    // Sets a daily limit one second before the returned timestamp, so refills from there on
+    // can be checked exactly (the allowance is already full and stays capped)
+    const setDailyLimit = async (account, amount = limit) => {
+      const start = BigInt(await time.latest()) + 10n;
+      await time.setNextBlockTimestamp(start - 1n);
+      await executeAsAdmin("setMinterAllowance", account, amount, DAY);
+      return start;
+    };
+
+    // Mints in a block with the given timestamp
+    const mintAt = async (timestamp, amount, signer = minter) => {
+      await time.setNextBlockTimestamp(timestamp);
+      return seed.connect(signer).rewardMint(user1.address, amount, "reward");
+    };
+
+    return {
+      seed,
+      multisig,
+      executeAsAdmin,
+      minter,
+      otherMinter,
+      user1,
+      user2,
+      attacker,
+      limit,
+      setDailyLimit,
+      mintAt,
+    };
+  }
+
+  describe("1. Configuration", function () {
+    it("Should leave minters unlimited until the owner sets an allowance", async function () {
+      const { seed, minter } = await loadFixture(deployAllowanceFixture);
+
+      expect(await seed.getRemainingMintAllowance(minter.address)).to.equal(ethers.MaxUint256);
+      const allowance = await seed.getMinterAllowance(minter.address);
+      expect(allowance.window).to.equal(0);
+      expect(allowance.amount).to.equal(0);
+    });
+
+    it("Should set an allowance that starts full", async function () {
+      const { seed, multisig, executeAsAdmin, minter, limit } = await loadFixture(deployAllowanceFixture);
+
+      await expect(executeAsAdmin("setMinterAllowance", minter.address, limit, DAY))
+        .to.emit(seed, "MinterAllowanceUpdated")
+        .withArgs(minter.address, limit, DAY);
+
+      const allowance = await seed.getMinterAllowance(minter.address);
+      expect(allowance.amount).to.equal(limit);
+      expect(allowance.available).to.equal(limit);
+      expect(allowance.window).to.equal(DAY);
+      expect(allowance.updatedAt).to.equal(await time.latest());
+      expect(await seed.getRemainingMintAllowance(minter.address)).to.equal(limit);
+      expect(await seed.getRemainingMintAllowance(multisig.target)).to.equal(ethers.MaxUint256);
+    });
+
+    it("Should only let the owner set allowances", async function () {
+      const { seed, minter, attacker, limit } = await loadFixture(deployAllowanceFixture);
+
+      await expect(
+        seed.connect(minter).setMinterAllowance(minter.address, limit, DAY)
+      ).to.be.revertedWithCustomError(seed, "Unauthorized");
+      await expect(
+        seed.connect(attacker).setMinterAllowance(minter.address, limit, DAY)
+      ).to.be.revertedWithCustomError(seed, "Unauthorized");
+    });
+
+    it("Should reject invalid allowances", async function () {
+      const { seed, executeAsAdmin, minter, limit } = await loadFixture(deployAllowanceFixture);
+      const maxWindow = await seed.MAX_ALLOWANCE_WINDOW();
+      const maxSupply = await seed.getMaxSupply();
+
+      await expect(
+        executeAsAdmin("setMinterAllowance", ethers.ZeroAddress, limit, DAY)
+      ).to.be.revertedWithCustomError(seed, "ZeroAddress");
+      await expect(
+        executeAsAdmin("setMinterAllowance", minter.address, limit, maxWindow + 1n)
+      ).to.be.revertedWithCustomError(seed, "InvalidMinterAllowance");
+      await expect(
+        executeAsAdmin("setMinterAllowance", minter.address, maxSupply + 1n, DAY)
+      ).to.be.revertedWithCustomError(seed, "InvalidMinterAllowance");
+      await expect(
+        executeAsAdmin("setMinterAllowance", minter.address, limit, 0)
+      ).to.be.revertedWithCustomError(seed, "InvalidMinterAllowance");
+
+      await executeAsAdmin("setMinterAllowance", minter.address, maxSupply, maxWindow);
+      expect(await seed.getRemainingMintAllowance(minter.address)).to.equal(maxSupply);
+    });
+  });
+
+  describe("2. Enforcement", function () {
+    it("Should stop rewardMint beyond the allowance", async function () {
+      const { seed, minter, user1, limit, setDailyLimit, mintAt } = await loadFixture(deployAllowanceFixture);
+      const start = await setDailyLimit(minter.address);
+
+      await mintAt(start, ethers.parseEther("600"));
+      await time.setNextBlockTimestamp(start + 1n);
+      await expect(
+        seed.connect(minter).rewardMint(user1.address, ethers.parseEther("500"), "reward")
+      ).to.be.revertedWithCustomError(seed, "MinterAllowanceExceeded");
+
+      expect(await seed.balanceOf(user1.address)).to.equal(ethers.parseEther("600"));
+      expect((await seed.getMinterAllowance(minter.address)).available).to.equal(limit - ethers.parseEther("600"));
+    });
+
+    it("Should charge the whole batch against the allowance", async function () {
+      const { seed, minter, user1, user2, setDailyLimit } = await loadFixture(deployAllowanceFixture);
+      const start = await setDailyLimit(minter.address);
+      const amounts = [ethers.parseEther("500"), ethers.parseEther("500")];
+
+      await time.setNextBlockTimestamp(start);
+      await seed.connect(minter).batchRewardMint([user1.address, user2.address], amounts, "batch");
+      expect((await seed.getMinterAllowance(minter.address)).available).to.equal(0);
+
+      await time.setNextBlockTimestamp(start + 1n);
+      await expect(
+        seed.connect(minter).batchRewardMint([user1.address, user2.address], amounts, "batch")
+      ).to.be.revertedWithCustomError(seed, "MinterAllowanceExceeded");
+    });
+
+    it("Should charge a reward epoch budget against the allowance", async function () {
+      const { seed, minter, limit, setDailyLimit } = await loadFixture(deployAllowanceFixture);
+      await setDailyLimit(minter.address);
+      const root = ethers.id("epoch root");
+
+      await expect(
+        seed.connect(minter).publishRewardEpoch(root, limit + 1n, "epoch")
+      ).to.be.revertedWithCustomError(seed, "MinterAllowanceExceeded");
+
+      await seed.connect(minter).publishRewardEpoch(root, limit / 2n, "epoch");
+      expect((await seed.getMinterAllowance(minter.address)).available).to.equal(limit / 2n);
+    });
+
+    it("Should limit each minter separately", async function () {
+      const { seed, minter, otherMinter, user1, limit, setDailyLimit, mintAt } =
+        await loadFixture(deployAllowanceFixture);
+      const start = await setDailyLimit(minter.address);
+
+      await mintAt(start, limit);
+      await mintAt(start + 1n, limit * 5n, otherMinter);
+
+      expect(await seed.balanceOf(user1.address)).to.equal(limit * 6n);
+      expect(await seed.getRemainingMintAllowance(otherMinter.address)).to.equal(ethers.MaxUint256);
+    });
+
+    it("Should stop a minter with a zero allowance", async function () {
+      const { seed, executeAsAdmin, minter, user1 } = await loadFixture(deployAllowanceFixture);
+
+      await executeAsAdmin("setMinterAllowance", minter.address, 0, DAY);
+
+      await expect(seed.connect(minter).rewardMint(user1.address, 1n, "reward")).to.be.revertedWithCustomError(
+        seed,
+        "MinterAllowanceExceeded"
+      );
+    });
+  });
+
+  describe("3. Rolling Refill", function () {
+    it("Should refill linearly over the window", async function () {
+      const { seed, minter, limit, setDailyLimit, mintAt } = await loadFixture(deployAllowanceFixture);
+      const start = await setDailyLimit(minter.address);
+      await mintAt(start, limit);
+
+      // A quarter of the window refills a quarter of the allowance, and not a wei more
+      await time.setNextBlockTimestamp(start + DAY / 4n);
+      await expect(
+        seed.connect(minter).rewardMint(minter.address, limit / 4n + 1n, "reward")
+      ).to.be.revertedWithCustomError(seed, "MinterAllowanceExceeded");
+
+      // One second later the refill is a second's worth
+      await mintAt(start + DAY / 4n + 1n, limit / 4n);
+      expect((await seed.getMinterAllowance(minter.address)).available).to.equal(limit / DAY);
+    });
+
+    it("Should report the refilled allowance between mints", async function () {
+      const { seed, minter, limit, setDailyLimit, mintAt } = await loadFixture(deployAllowanceFixture);
+      const start = await setDailyLimit(minter.address);
+      await mintAt(start, limit);
+
+      await time.increaseTo(start + DAY / 2n);
+      expect(await seed.getRemainingMintAllowance(minter.address)).to.equal(limit / 2n);
+
+      await time.increaseTo(start + DAY);
+      expect(await seed.getRemainingMintAllowance(minter.address)).to.equal(limit);
+    });
+
+    it("Should never refill beyond the allowance", async function () {
+      const { seed, minter, limit, setDailyLimit, mintAt } = await loadFixture(deployAllowanceFixture);
+      const start = await setDailyLimit(minter.address);
+      await mintAt(start, limit / 2n);
+
+      await time.increaseTo(start + 10n * DAY);
+      expect(await seed.getRemainingMintAllowance(minter.address)).to.equal(limit);
+
+      await time.setNextBlockTimestamp(start + 10n * DAY + 1n);
+      await expect(
+        seed.connect(minter).rewardMint(minter.address, limit + 1n, "reward")
+      ).to.be.revertedWithCustomError(seed, "MinterAllowanceExceeded");
+    });
+
+    it("Should cap a drained minter at roughly the allowance per window", async function () {
+      const { seed, minter, user1, limit, setDailyLimit, mintAt } = await loadFixture(deployAllowanceFixture);
+      const start = await setDailyLimit(minter.address);
+
+      // Minting the whole allowance, then whatever refilled every hour for three days
+      await mintAt(start, limit);
+      for (let hour = 1n; hour <= 72n; hour++) {
+        const timestamp = start + hour * 3600n;
+        await time.increaseTo(timestamp - 1n);
+        const remaining = await seed.getRemainingMintAllowance(minter.address);
+        if (remaining > 0n) await mintAt(timestamp, remaining);
+      }
+
+      expect(await seed.balanceOf(user1.address)).to.be.lessThanOrEqual(limit * 4n);
+      expect(await seed.balanceOf(user1.address)).to.be.greaterThan(limit * 3n);
+    });
+  });
+
+  describe("4. Changing Allowances", function () {
+    it("Should keep the spent part of the window when the allowance changes", async function () {
+      const { seed, executeAsAdmin, minter, limit, setDailyLimit, mintAt } = await loadFixture(deployAllowanceFixture);
+      const start = await setDailyLimit(minter.address);
+      await mintAt(start, limit);
+
+      // Raising the allowance does not hand back what was already minted
+      await time.setNextBlockTimestamp(start + 1n);
+      await executeAsAdmin("setMinterAllowance", minter.address, limit * 2n, DAY);
+      const raised = await seed.getMinterAllowance(minter.address);
+      expect(raised.available).to.equal((limit * 1n) / DAY);
+
+      // Lowering it caps what is left
+      await mintAt(start + DAY, limit);
+      await time.setNextBlockTimestamp(start + DAY + 1n);
+      await executeAsAdmin("setMinterAllowance", minter.address, limit / 4n, DAY);
+      expect((await seed.getMinterAllowance(minter.address)).available).to.equal(limit / 4n);
+    });
+
+    it("Should remove the limit with a zero amount and window", async function () {
+      const { seed, executeAsAdmin, minter, user1, limit, setDailyLimit, mintAt } =
+        await loadFixture(deployAllowanceFixture);
+      const start = await setDailyLimit(minter.address);
+      await mintAt(start, limit);
+
+      await expect(executeAsAdmin("setMinterAllowance", minter.address, 0, 0))
+        .to.emit(seed, "MinterAllowanceUpdated")
+        .withArgs(minter.address, 0, 0);
+
+      expect(await seed.getRemainingMintAllowance(minter.address)).to.equal(ethers.MaxUint256);
+      await seed.connect(minter).rewardMint(user1.address, limit * 10n, "reward");
+
+      // Setting a limit again starts full
+      await executeAsAdmin("setMinterAllowance", minter.address, limit, DAY);
+      expect(await seed.getRemainingMintAllowance(minter.address)).to.equal(limit);
+    });
+  });
+
+  describe("5. Admin Task", function () {
+    it("Should set an allowance through seed:set-minter-allowance", async function () {
+      const { seed, minter, limit } = await loadFixture(deployAllowanceFixture);
+
+      await hre.run("seed:set-minter-allowance", {
+        address: seed.target,
+        account: minter.address,
+        amount: limit.toString(),
+        window: DAY.toString(),
+      });
+
+      const allowance = await seed.getMinterAllowance(minter.address);
+      expect(allowance.amount).to.equal(limit);
+      expect(allowance.window).to.equal(DAY);
+    });
+
+    it("Should reject allowances the contract would revert on", async function () {
+      const { seed, minter } = await loadFixture(deployAllowanceFixture);
+      const run = (amount, window) =>
+        hre.run("seed:set-minter-allowance", { address: seed.target, account: minter.address, amount, window });
+
+      await expect(run("1", "0")).to.be.rejectedWith("window must be greater than zero");
+      await expect(run("1", String(366n * DAY))).to.be.rejectedWith("window cannot exceed");
+      await expect(run(String(10n ** 29n), String(DAY))).to.be.rejectedWith("amount cannot exceed MAX_SUPPLY");
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PERMIT_ABI, buildPermit, signPermit } = require("../scripts/lib/permit");
+const { deployMultisig } = require("./helpers/multisig");
+
+describe("EIP-2612 Permit", function () {
+  async function deployPermitFixture() {
+    const [adminSigner, treasury, dao, minter, owner, spender, recipient] = await ethers.getSigners();
+
+    const { multisig, executeAsAdmin } = await deployMultisig(adminSigner);
+
+    const capx = await (await ethers.getContractFactory("CAPX")).deploy(
+      multisig.target,
+      treasury.address,
+      dao.address
+    );
+    const seed = await (await ethers.getContractFactory("AngelSEED")).deploy(multisig.target);
+
+    await executeAsAdmin(capx, "enableTrading");
+    await executeAsAdmin(capx, "grantRoles", minter.address, await capx.TEAM_MINTER_ROLE());
+    await executeAsAdmin(seed, "grantRoles", minter.address, await seed.REWARD_MINTER_ROLE());
+
+    const amount = ethers.parseEther("1000");
+    await capx.connect(minter).teamMint(owner.address, amount);
+    await seed.connect(minter).rewardMint(owner.address, amount, "initial");
+
+    const deadline = BigInt(await time.latest()) + 3600n;
+
+    return { capx, seed, owner, spender, recipient, treasury, amount, deadline };
+  }
+
+  for (const name of ["CAPX", "AngelSEED"]) {
+    const tokenOf = (fixture) => (name === "CAPX" ? fixture.capx : fixture.seed);
+
+    describe(`${name === "CAPX" ? "1" : "2"}. ${name}`, function () {
+      it("Should describe its EIP-712 domain (EIP-5267) consistently with DOMAIN_SEPARATOR", async function () {
+        const fixture = await loadFixture(deployPermitFixture);
+        const token = tokenOf(fixture);
+        const { chainId } = await ethers.provider.getNetwork();
+
+        const [fields, domainName, version, domainChainId, verifyingContract, salt, extensions] =
+          await token.eip712Domain();
+        expect(fields).to.equal("0x0f");
+        expect(domainName).to.equal(await token.name());
+        expect(version).to.equal("1");
+        expect(domainChainId).to.equal(chainId);
+        expect(verifyingContract).to.equal(token.target);
+        expect(salt).to.equal(ethers.ZeroHash);
+        expect(extensions).to.deep.equal([]);
+
+        expect(await token.DOMAIN_SEPARATOR()).to.equal(
+          ethers.TypedDataEncoder.hashDomain({
+            name: await token.name(),
+            version: "1",
+            chainId,
+            verifyingContract: token.target,
+          })
+        );
+      });
+
+      it("Should set the allowance from a signed permit and bump the nonce", async function () {
+        const fixture = await loadFixture(deployPermitFixture);
+        const token = tokenOf(fixture);
+        const { owner, spender, deadline } = fixture;
+        const value = ethers.parseEther("100");
+
+        const p = await signPermit(owner, token, { spender: spender.address, value, deadline });
+        expect(p.nonce).to.equal(0n);
+
+        // Anyone can submit the permit; the owner pays no gas
+        await expect(token.connect(spender).permit(owner.address, spender.address, value, deadline, p.v, p.r, p.s))
+          .to.emit(token, "Approval")
+          .withArgs(owner.address, spender.address, value);
+        expect(await token.allowance(owner.address, spender.address)).to.equal(value);
+        expect(await token.nonces(owner.address)).to.equal(1n);
+      });
+
+      it("Should reject replayed, expired and wrongly signed permits", async function () {
+        const fixture = await loadFixture(deployPermitFixture);
+        const token = tokenOf(fixture);
+        const { owner, spender, recipient, deadline } = fixture;
+        const value = ethers.parseEther("100");
+
+        const p = await signPermit(owner, token, { spender: spender.address, value, deadline });
+        await token.permit(owner.address, spender.address, value, deadline, p.v, p.r, p.s);
+        await expect(
+          token.permit(owner.address, spender.address, value, deadline, p.v, p.r, p.s)
+        ).to.be.revertedWithCustomError(token, "InvalidPermit");
+
+        const forged = await signPermit(recipient, token, { spender: spender.address, value, deadline, nonce: 1n });
+        await expect(
+          token.permit(owner.address, spender.address, value, deadline, forged.v, forged.r, forged.s)
+        ).to.be.revertedWithCustomError(token, "InvalidPermit");
+
+        const expired = await signPermit(owner, token, { spender: spender.address, value, deadline });
+        await time.increaseTo(deadline + 1n);
+        await expect(
+          token.permit(owner.address, spender.address, value, deadline, expired.v, expired.r, expired.s)
+        ).to.be.revertedWithCustomError(token, "PermitExpired");
+      });
+
+      it("Should reject a permit signed for another token", async function () {
+        const fixture = await loadFixture(deployPermitFixture);
+        const token = tokenOf(fixture);
+        const other = name === "CAPX" ? fixture.seed : fixture.capx;
+        const { owner, spender, deadline } = fixture;
+        const value = ethers.parseEther("100");
+
+        const p = await signPermit(owner, other, { spender: spender.address, value, deadline });
+        await expect(
+          token.permit(owner.address, spender.address, value, deadline, p.v, p.r, p.s)
+        ).to.be.revertedWithCustomError(token, "InvalidPermit");
+      });
+    });
+  }
+
+  describe("3. Spending a Permit", function () {
+    it("Should still charge CAPX transfer fees on transferFrom after a permit", async function () {
+      const { capx, owner, spender, recipient, treasury, deadline } = await loadFixture(deployPermitFixture);
+      const value = ethers.parseEther("100");
+
+      const p = await signPermit(owner, capx, { spender: spender.address, value, deadline });
+      await capx.connect(spender).permit(owner.address, spender.address, value, deadline, p.v, p.r, p.s);
+
+      const [burnFeeBps, treasuryFeeBps] = await capx.getFees(0);
+      const treasuryBefore = await capx.balanceOf(treasury.address);
+      await capx.connect(spender).transferFrom(owner.address, recipient.address, value);
+
+      const fees = (value * (burnFeeBps + treasuryFeeBps)) / 10_000n;
+      expect(fees).to.be.greaterThan(0n);
+      expect(await capx.balanceOf(recipient.address)).to.equal(value - fees);
+      expect(await capx.balanceOf(treasury.address)).to.equal(
+        treasuryBefore + (value * treasuryFeeBps) / 10_000n
+      );
+      expect(await capx.allowance(owner.address, spender.address)).to.equal(0n);
+    });
+
+    it("Should move the full amount on AngelSEED, which has no fees", async function () {
+      const { seed, owner, spender, recipient, deadline } = await loadFixture(deployPermitFixture);
+      const value = ethers.parseEther("100");
+
+      const p = await signPermit(owner, seed, { spender: spender.address, value, deadline });
+      await seed.connect(spender).permit(owner.address, spender.address, value, deadline, p.v, p.r, p.s);
+      await seed.connect(spender).transferFrom(owner.address, recipient.address, value);
+
+      expect(await seed.balanceOf(recipient.address)).to.equal(value);
+    });
+  });
+
+  describe("4. Permit Helper", function () {
+    it("Should work with a contract built from PERMIT_ABI and an address alone", async function () {
+      const { capx, owner, spender, deadline } = await loadFixture(deployPermitFixture);
+      const token = new ethers.Contract(capx.target, PERMIT_ABI, spender);
+      const value = ethers.parseEther("5");
+
+      const p = await signPermit(owner, token, { spender: spender.address, value, deadline });
+      await token.permit(p.owner, p.spender, p.value, p.deadline, p.v, p.r, p.s);
+      expect(await capx.allowance(owner.address, spender.address)).to.equal(value);
+    });
+
+    it("Should build typed data that recovers to the owner", async function () {
+      const { seed, owner, spender, deadline } = await loadFixture(deployPermitFixture);
+      const value = ethers.parseEther("5");
+
+      const { domain, types, message } = await buildPermit(seed, {
+        owner: owner.address,
+        spender: spender.address,
+        value,
+        deadline,
+      });
+      expect(domain.verifyingContract).to.equal(seed.target);
+      expect(message.nonce).to.equal(0n);
+
+      const signature = await owner.signTypedData(domain, types, message);
+      expect(ethers.verifyTypedData(domain, types, message, signature)).to.equal(owner.address);
+      await expect(buildPermit(seed, { owner: owner.address, spender: spender.address, value })).to.be.rejectedWith(
+        "deadline is required"
+      );
+    });
+  });
+});
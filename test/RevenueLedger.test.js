@@ -0,0 +1,288 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  LEDGER_COLUMNS,
+  hashRevenueReport,
+  previewRevenueMint,
+  readRevenueLedger,
+  ledgerToCsv,
+} = require("../scripts/lib/revenue");
+const { revenueLedger, parseArgs } = require("../scripts/revenue-ledger");
+const { deployMultisig } = require("./helpers/multisig");
+
+describe("CAPX Revenue Mint Ledger", function () {
+  const Q3 = 20263;
+  const Q4 = 20264;
+  const MARKET_VALUE = ethers.parseEther("2");
+
+  async function deployLedgerFixture() {
+    const [adminSigner, treasury, dao, alice, bob, other] = await ethers.getSigners();
+
+    const { multisig, adminFor } = await deployMultisig(adminSigner);
+
+    const capx = await (await ethers.getContractFactory("CAPX")).deploy(
+      multisig.target,
+      treasury.address,
+      dao.address
+    );
+
+    const executeAsAdmin = adminFor(capx);
+
+    // revenue in whole units at 2 per token
+    const revenueMint = (to, revenue, epoch, referenceHash) =>
+      executeAsAdmin("revenueMint", to, ethers.parseEther(String(revenue)), MARKET_VALUE, epoch, referenceHash);
+
+    return { capx, multisig, executeAsAdmin, revenueMint, alice, bob, other };
+  }
+
+  // Three mints over two epochs
+  async function mintedFixture() {
+    const fixture = await deployLedgerFixture();
+    const { revenueMint, alice, bob } = fixture;
+    await revenueMint(alice.address, 100, Q3, ethers.id("q3-a"));
+    await revenueMint(bob.address, 300, Q3, ethers.id("q3-b"));
+    await revenueMint(alice.address, 50, Q4, ethers.id("q4-a"));
+    return fixture;
+  }
+
+  describe("1. Recording", function () {
+    it("Should record each mint with its epoch and reference", async function () {
+      const { capx, revenueMint, alice } = await loadFixture(deployLedgerFixture);
+      const referenceHash = ethers.id("2026 Q4 revenue report");
+
+      await expect(revenueMint(alice.address, 1000, Q4, referenceHash))
+        .to.emit(capx, "RevenueMint")
+        .withArgs(alice.address, Q4, referenceHash, ethers.parseEther("1000"), MARKET_VALUE, ethers.parseEther("500"));
+      const block = await ethers.provider.getBlock("latest");
+
+      expect(await capx.getRevenueMintCount()).to.equal(1n);
+      const [record] = await capx.getRevenueMints(0, 10);
+      expect(record.to).to.equal(alice.address);
+      expect(record.epoch).to.equal(BigInt(Q4));
+      expect(record.timestamp).to.equal(BigInt(block.timestamp));
+      expect(record.referenceHash).to.equal(referenceHash);
+      expect(record.revenue).to.equal(ethers.parseEther("1000"));
+      expect(record.marketValue).to.equal(MARKET_VALUE);
+      expect(record.tokensMinted).to.equal(ethers.parseEther("500"));
+
+      expect(await capx.isRevenueReferenceUsed(referenceHash)).to.equal(true);
+      expect(await capx.getRevenueEpochMinted(Q4)).to.equal(ethers.parseEther("500"));
+    });
+
+    it("Should page through the history oldest first", async function () {
+      const { capx } = await loadFixture(mintedFixture);
+
+      const references = (records) => records.map((record) => record.referenceHash);
+      expect(references(await capx.getRevenueMints(0, 10))).to.deep.equal(
+        ["q3-a", "q3-b", "q4-a"].map((name) => ethers.id(name))
+      );
+      expect(references(await capx.getRevenueMints(1, 1))).to.deep.equal([ethers.id("q3-b")]);
+      expect(references(await capx.getRevenueMints(2, ethers.MaxUint256))).to.deep.equal([ethers.id("q4-a")]);
+      expect(await capx.getRevenueMints(3, 10)).to.deep.equal([]);
+      expect(await capx.getRevenueMints(ethers.MaxUint256, 10)).to.deep.equal([]);
+    });
+  });
+
+  describe("2. References", function () {
+    it("Should mint each reference once, across epochs and mint functions", async function () {
+      const { capx, executeAsAdmin, revenueMint, alice } = await loadFixture(mintedFixture);
+
+      await expect(revenueMint(alice.address, 1, Q4, ethers.id("q3-a"))).to.be.revertedWithCustomError(
+        capx,
+        "RevenueReferenceUsed"
+      );
+
+      const feed = await (await ethers.getContractFactory("MockAggregator")).deploy(8, 200_000_000n);
+      await executeAsAdmin("setPriceOracle", feed.target, 3600, 1n, MARKET_VALUE * 2n, 500);
+      await expect(
+        executeAsAdmin("revenueMintAtOraclePrice", alice.address, ethers.parseEther("1"), Q4, ethers.id("q4-a"))
+      ).to.be.revertedWithCustomError(capx, "RevenueReferenceUsed");
+      await executeAsAdmin("revenueMintAtOraclePrice", alice.address, ethers.parseEther("1"), Q4, ethers.id("q4-b"));
+      expect(await capx.getRevenueMintCount()).to.equal(4n);
+    });
+
+    it("Should reject the zero reference", async function () {
+      const { capx, revenueMint, alice } = await loadFixture(deployLedgerFixture);
+
+      await expect(revenueMint(alice.address, 1, Q4, ethers.ZeroHash)).to.be.revertedWithCustomError(
+        capx,
+        "InvalidRevenueReference"
+      );
+    });
+
+    it("Should leave the reference unused when the mint reverts", async function () {
+      const { capx, executeAsAdmin, revenueMint, alice } = await loadFixture(deployLedgerFixture);
+      const referenceHash = ethers.id("report");
+
+      await executeAsAdmin("pause");
+      await expect(revenueMint(alice.address, 1, Q4, referenceHash)).to.be.reverted;
+      await executeAsAdmin("unpause");
+
+      expect(await capx.isRevenueReferenceUsed(referenceHash)).to.equal(false);
+      await revenueMint(alice.address, 1, Q4, referenceHash);
+    });
+  });
+
+  describe("3. Epoch Cap", function () {
+    it("Should start at MAX_SUPPLY", async function () {
+      const { capx } = await loadFixture(deployLedgerFixture);
+      const maxSupply = await capx.getMaxSupply();
+
+      expect(await capx.getRevenueEpochCap()).to.equal(maxSupply);
+      await expect(capx.deploymentTransaction())
+        .to.emit(capx, "RevenueEpochCapUpdated")
+        .withArgs(0, maxSupply);
+    });
+
+    it("Should cap the tokens minted per epoch", async function () {
+      const { capx, executeAsAdmin, revenueMint, alice } = await loadFixture(mintedFixture);
+      const cap = ethers.parseEther("250");
+
+      await expect(executeAsAdmin("setRevenueEpochCap", cap))
+        .to.emit(capx, "RevenueEpochCapUpdated")
+        .withArgs(await capx.getMaxSupply(), cap);
+
+      // Q4 has 25 tokens: 225 more fit exactly, one wei more does not
+      await expect(
+        executeAsAdmin("revenueMint", alice.address, ethers.parseEther("450") + 2n, MARKET_VALUE, Q4, ethers.id("q4-b"))
+      ).to.be.revertedWithCustomError(capx, "RevenueEpochCapExceeded");
+      await revenueMint(alice.address, 450, Q4, ethers.id("q4-b"));
+      expect(await capx.getRevenueEpochMinted(Q4)).to.equal(cap);
+
+      // Q3 minted 200 before the cap was lowered and has 50 left; a new epoch the full cap
+      await expect(revenueMint(alice.address, 102, Q3, ethers.id("q3-c"))).to.be.revertedWithCustomError(
+        capx,
+        "RevenueEpochCapExceeded"
+      );
+      await revenueMint(alice.address, 100, Q3, ethers.id("q3-c"));
+      await revenueMint(alice.address, 500, 20271, ethers.id("q1"));
+    });
+
+    it("Should only let the owner set a cap up to MAX_SUPPLY", async function () {
+      const { capx, executeAsAdmin, other } = await loadFixture(deployLedgerFixture);
+      const maxSupply = await capx.getMaxSupply();
+
+      await expect(executeAsAdmin("setRevenueEpochCap", maxSupply + 1n)).to.be.revertedWithCustomError(
+        capx,
+        "InvalidRevenueEpochCap"
+      );
+      await expect(capx.connect(other).setRevenueEpochCap(1)).to.be.revertedWithCustomError(capx, "Unauthorized");
+
+      // Zero stops revenue minting
+      await executeAsAdmin("setRevenueEpochCap", 0);
+      expect(await capx.getRevenueEpochCap()).to.equal(0n);
+    });
+
+    it("Should set the cap through the admin task", async function () {
+      const { capx } = await loadFixture(deployLedgerFixture);
+
+      await hre.run("capx:set-revenue-epoch-cap", { address: capx.target, cap: ethers.parseEther("1000").toString() });
+      expect(await capx.getRevenueEpochCap()).to.equal(ethers.parseEther("1000"));
+    });
+  });
+
+  describe("4. Preview", function () {
+    it("Should flag used references and epochs over their cap", async function () {
+      const { capx, executeAsAdmin, alice } = await loadFixture(mintedFixture);
+      await executeAsAdmin("setRevenueEpochCap", ethers.parseEther("250"));
+
+      const mint = { to: alice.address, revenue: ethers.parseEther("200"), marketValue: MARKET_VALUE, epoch: Q3 };
+      const result = await previewRevenueMint(capx, { ...mint, referenceHash: ethers.id("q3-a") });
+      expect(result.epoch).to.deep.equal({ id: BigInt(Q3), minted: ethers.parseEther("200"), cap: ethers.parseEther("250") });
+      expect(result.problems).to.deep.equal([
+        `reference ${ethers.id("q3-a")} has already been minted`,
+        "epoch 20263 would reach 300.0 tokens, over its cap of 250.0",
+      ]);
+      expect(result.simulation.error).to.equal("RevenueReferenceUsed()");
+
+      const fresh = await previewRevenueMint(capx, { ...mint, referenceHash: ethers.id("q3-c") });
+      expect(fresh.simulation.error).to.equal("RevenueEpochCapExceeded()");
+    });
+
+    it("Should hash a report file into the reference", function () {
+      const report = Buffer.from("Q4 2026 revenue: 125,000 USD\n");
+      expect(hashRevenueReport(report)).to.equal(ethers.keccak256(report));
+      expect(hashRevenueReport(report.toString())).to.equal(ethers.keccak256(report));
+    });
+  });
+
+  describe("5. Ledger Report", function () {
+    it("Should rebuild the ledger from events with running epoch totals", async function () {
+      const { capx, alice, bob } = await loadFixture(mintedFixture);
+
+      const rows = await readRevenueLedger(capx, { logRange: 2 });
+      expect(rows.map((row) => [row.index, row.epoch, row.to, row.tokensMinted, row.epochMinted])).to.deep.equal([
+        [0, BigInt(Q3), alice.address, ethers.parseEther("50"), ethers.parseEther("50")],
+        [1, BigInt(Q3), bob.address, ethers.parseEther("150"), ethers.parseEther("200")],
+        [2, BigInt(Q4), alice.address, ethers.parseEther("25"), ethers.parseEther("25")],
+      ]);
+
+      // Matches the on-chain history
+      const records = await capx.getRevenueMints(0, 10);
+      expect(rows.map((row) => row.referenceHash)).to.deep.equal(records.map((record) => record.referenceHash));
+      expect(rows.map((row) => BigInt(row.timestamp))).to.deep.equal(records.map((record) => record.timestamp));
+
+      const csv = ledgerToCsv(rows).trim().split("\n");
+      expect(csv[0]).to.equal(LEDGER_COLUMNS.join(","));
+      expect(csv).to.have.length(4);
+      expect(csv[2].split(",")[LEDGER_COLUMNS.indexOf("revenue")]).to.equal(ethers.parseEther("300").toString());
+    });
+
+    it("Should write the CSV for one epoch and summarize all of them", async function () {
+      const { capx } = await loadFixture(mintedFixture);
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "capshield-ledger-"));
+      const lines = [];
+
+      const result = await revenueLedger({
+        capx: capx.target,
+        epoch: String(Q3),
+        deploymentsDir: dir,
+        log: (...args) => lines.push(args.join(" ")),
+      });
+
+      expect(result.rows).to.have.length(2);
+      expect(result.epochs.map((epoch) => [epoch.epoch, epoch.mints, epoch.tokensMinted])).to.deep.equal([
+        [BigInt(Q3), 2, ethers.parseEther("200")],
+        [BigInt(Q4), 1, ethers.parseEther("25")],
+      ]);
+      expect(path.dirname(result.out)).to.equal(dir);
+      expect(fs.readFileSync(result.out, "utf8").trim().split("\n")).to.have.length(3);
+      expect(lines).to.include("Epoch 20263: 2 mint(s), revenue 400.0, 200.0 CAPX");
+      expect(lines.some((line) => line.startsWith("✗"))).to.equal(false);
+    });
+
+    it("Should warn when the scan starts after the first mint", async function () {
+      const { capx } = await loadFixture(mintedFixture);
+      const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "capshield-ledger-")), "ledger.csv");
+      const lines = [];
+
+      const result = await revenueLedger({
+        capx: capx.target,
+        fromBlock: String(await ethers.provider.getBlockNumber()),
+        out,
+        log: (...args) => lines.push(args.join(" ")),
+      });
+
+      expect(result.rows).to.have.length(1);
+      expect(lines).to.include("✗ Found 1 RevenueMint event(s), but CAPX records 3 mint(s); lower --from-block");
+    });
+
+    it("Should parse the command line", async function () {
+      expect(parseArgs(["--epoch", "20264", "--from-block", "100", "--out", "q4.csv"])).to.include({
+        epoch: "20264",
+        fromBlock: "100",
+        out: "q4.csv",
+      });
+      expect(() => parseArgs(["--epoch"])).to.throw("--epoch requires a value");
+      expect(() => parseArgs(["--all"])).to.throw("Unknown option --all");
+      await expect(revenueLedger({ capx: ethers.ZeroAddress, epoch: "Q4" })).to.be.rejectedWith(
+        "--epoch must be a whole number"
+      );
+    });
+  });
+});
@@ -0,0 +1,317 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { encodeAdminCall } = require("../scripts/lib/adminCalls");
+const { tokensForRevenue, deviationBps, previewRevenueMint } = require("../scripts/lib/revenue");
+const { preview } = require("../scripts/revenue-preview");
+const { deployMultisig } = require("./helpers/multisig");
+
+const { ethers } = hre;
+
+describe("CAPX Revenue Mint Oracle", function () {
+  const MAX_AGE = 3600;
+  const MIN_PRICE = ethers.parseEther("0.1");
+  const MAX_PRICE = ethers.parseEther("2");
+  const MAX_DEVIATION_BPS = 500;
+  const EPOCH = 20264;
+
+  // A new revenue report for every mint
+  let reports = 0;
+  const reference = () => ethers.id(`report-${++reports}`);
+
+  async function deployOracleFixture() {
+    const [adminSigner, treasury, dao, recipient, other] = await ethers.getSigners();
+
+    const { multisig, adminFor } = await deployMultisig(adminSigner);
+
+    const capx = await (await ethers.getContractFactory("CAPX")).deploy(
+      multisig.target,
+      treasury.address,
+      dao.address
+    );
+
+    // CAPX at $0.50 with 8 decimals, like a Chainlink USD feed
+    const MockAggregator = await ethers.getContractFactory("MockAggregator");
+    const feed = await MockAggregator.deploy(8, 50_000_000n);
+    const price = ethers.parseEther("0.5");
+
+    const executeAsAdmin = adminFor(capx);
+
+    return { capx, feed, price, multisig, executeAsAdmin, MockAggregator, recipient, other };
+  }
+
+  async function configuredFixture() {
+    const fixture = await deployOracleFixture();
+    await fixture.executeAsAdmin(
+      "setPriceOracle",
+      fixture.feed.target,
+      MAX_AGE,
+      MIN_PRICE,
+      MAX_PRICE,
+      MAX_DEVIATION_BPS
+    );
+    return fixture;
+  }
+
+  describe("1. Configuration", function () {
+    it("Should store the feed settings and scale the feed answer to 18 decimals", async function () {
+      const { capx, feed, price, executeAsAdmin } = await loadFixture(deployOracleFixture);
+
+      await expect(executeAsAdmin("setPriceOracle", feed.target, MAX_AGE, MIN_PRICE, MAX_PRICE, MAX_DEVIATION_BPS))
+        .to.emit(capx, "PriceOracleUpdated")
+        .withArgs(feed.target, MAX_AGE, MIN_PRICE, MAX_PRICE, MAX_DEVIATION_BPS);
+
+      const config = await capx.getPriceOracleConfig();
+      expect(config.feed).to.equal(feed.target);
+      expect(config.feedDecimals).to.equal(8n);
+      expect(config.maxPriceAge).to.equal(MAX_AGE);
+      expect(config.minPrice).to.equal(MIN_PRICE);
+      expect(config.maxPrice).to.equal(MAX_PRICE);
+      expect(config.maxDeviationBps).to.equal(MAX_DEVIATION_BPS);
+      expect(await capx.getOraclePrice()).to.equal(price);
+    });
+
+    it("Should reject invalid settings and non-owners", async function () {
+      const { capx, feed, executeAsAdmin, MockAggregator, other } = await loadFixture(deployOracleFixture);
+      const invalid = [
+        [feed.target, 0, MIN_PRICE, MAX_PRICE, MAX_DEVIATION_BPS],
+        [feed.target, MAX_AGE, 0, MAX_PRICE, MAX_DEVIATION_BPS],
+        [feed.target, MAX_AGE, MAX_PRICE + 1n, MAX_PRICE, MAX_DEVIATION_BPS],
+        [feed.target, MAX_AGE, MIN_PRICE, MAX_PRICE, (await capx.MAX_PRICE_DEVIATION_BPS()) + 1n],
+        [(await MockAggregator.deploy(19, 1n)).target, MAX_AGE, MIN_PRICE, MAX_PRICE, MAX_DEVIATION_BPS],
+      ];
+      for (const args of invalid) {
+        await expect(executeAsAdmin("setPriceOracle", ...args)).to.be.revertedWithCustomError(
+          capx,
+          "InvalidPriceOracleConfig"
+        );
+      }
+
+      await expect(
+        capx.connect(other).setPriceOracle(feed.target, MAX_AGE, MIN_PRICE, MAX_PRICE, MAX_DEVIATION_BPS)
+      ).to.be.revertedWithCustomError(capx, "Unauthorized");
+    });
+
+    it("Should remove the feed and lift the deviation check", async function () {
+      const { capx, price, executeAsAdmin, recipient } = await loadFixture(configuredFixture);
+
+      await expect(executeAsAdmin("setPriceOracle", ethers.ZeroAddress, 0, 0, 0, 0))
+        .to.emit(capx, "PriceOracleUpdated")
+        .withArgs(ethers.ZeroAddress, 0, 0, 0, 0);
+      expect((await capx.getPriceOracleConfig()).feed).to.equal(ethers.ZeroAddress);
+      await expect(capx.getOraclePrice()).to.be.revertedWithCustomError(capx, "PriceOracleNotConfigured");
+
+      await executeAsAdmin("revenueMint", recipient.address, ethers.parseEther("100"), price * 3n, EPOCH, reference());
+      expect(await capx.balanceOf(recipient.address)).to.equal(tokensForRevenue(ethers.parseEther("100"), price * 3n));
+    });
+  });
+
+  describe("2. Minting at the Feed Price", function () {
+    it("Should mint revenue / feed price", async function () {
+      const { capx, price, executeAsAdmin, recipient } = await loadFixture(configuredFixture);
+      const revenue = ethers.parseEther("1000");
+      const expected = ethers.parseEther("2000");
+
+      const referenceHash = reference();
+
+      await expect(executeAsAdmin("revenueMintAtOraclePrice", recipient.address, revenue, EPOCH, referenceHash))
+        .to.emit(capx, "RevenueMint")
+        .withArgs(recipient.address, EPOCH, referenceHash, revenue, price, expected);
+      expect(await capx.balanceOf(recipient.address)).to.equal(expected);
+    });
+
+    it("Should require a feed", async function () {
+      const { capx, executeAsAdmin, recipient } = await loadFixture(deployOracleFixture);
+
+      await expect(
+        executeAsAdmin("revenueMintAtOraclePrice", recipient.address, ethers.parseEther("1"), EPOCH, reference())
+      ).to.be.revertedWithCustomError(capx, "PriceOracleNotConfigured");
+    });
+
+    it("Should reject stale prices", async function () {
+      const { capx, feed, executeAsAdmin, recipient } = await loadFixture(configuredFixture);
+      const revenue = ethers.parseEther("1");
+
+      await time.increase(MAX_AGE + 1);
+      await expect(
+        executeAsAdmin("revenueMintAtOraclePrice", recipient.address, revenue, EPOCH, reference())
+      ).to.be.revertedWithCustomError(capx, "StalePrice");
+
+      await feed.setAnswer(50_000_000n);
+      await executeAsAdmin("revenueMintAtOraclePrice", recipient.address, revenue, EPOCH, reference());
+
+      await feed.setUpdatedAt(0);
+      await expect(capx.getOraclePrice()).to.be.revertedWithCustomError(capx, "StalePrice");
+    });
+
+    it("Should reject prices outside the band", async function () {
+      const { capx, feed, executeAsAdmin, recipient } = await loadFixture(configuredFixture);
+      const revenue = ethers.parseEther("1");
+
+      for (const answer of [300_000_000n, 9_999_999n, 0n, -1n]) {
+        await feed.setAnswer(answer);
+        await expect(
+          executeAsAdmin("revenueMintAtOraclePrice", recipient.address, revenue, EPOCH, reference())
+        ).to.be.revertedWithCustomError(capx, "PriceOutOfBounds");
+      }
+
+      // The band is inclusive
+      await feed.setAnswer(200_000_000n);
+      await executeAsAdmin("revenueMintAtOraclePrice", recipient.address, revenue, EPOCH, reference());
+    });
+
+    it("Should be owner-only and stop while paused", async function () {
+      const { capx, executeAsAdmin, recipient, other } = await loadFixture(configuredFixture);
+
+      await expect(
+        capx.connect(other).revenueMintAtOraclePrice(other.address, ethers.parseEther("1"), EPOCH, reference())
+      ).to.be.revertedWithCustomError(capx, "Unauthorized");
+
+      await executeAsAdmin("pause");
+      await expect(
+        executeAsAdmin("revenueMintAtOraclePrice", recipient.address, ethers.parseEther("1"), EPOCH, reference())
+      ).to.be.reverted;
+    });
+  });
+
+  describe("3. Explicit Market Values", function () {
+    it("Should accept a market value within the maximum deviation", async function () {
+      const { capx, price, executeAsAdmin, recipient } = await loadFixture(configuredFixture);
+      const revenue = ethers.parseEther("100");
+
+      // Exactly 5% either way
+      for (const marketValue of [(price * 105n) / 100n, (price * 95n) / 100n]) {
+        const referenceHash = reference();
+        await expect(executeAsAdmin("revenueMint", recipient.address, revenue, marketValue, EPOCH, referenceHash))
+          .to.emit(capx, "RevenueMint")
+          .withArgs(recipient.address, EPOCH, referenceHash, revenue, marketValue, tokensForRevenue(revenue, marketValue));
+      }
+    });
+
+    it("Should reject a market value beyond the maximum deviation", async function () {
+      const { capx, price, executeAsAdmin, recipient } = await loadFixture(configuredFixture);
+      const revenue = ethers.parseEther("100");
+
+      for (const marketValue of [(price * 105n) / 100n + 1n, (price * 95n) / 100n - 1n, price * 10n]) {
+        await expect(
+          executeAsAdmin("revenueMint", recipient.address, revenue, marketValue, EPOCH, reference())
+        ).to.be.revertedWithCustomError(capx, "PriceDeviationTooHigh");
+      }
+    });
+
+    it("Should reject explicit mints while the feed is stale", async function () {
+      const { capx, price, executeAsAdmin, recipient } = await loadFixture(configuredFixture);
+
+      await time.increase(MAX_AGE + 1);
+      await expect(
+        executeAsAdmin("revenueMint", recipient.address, ethers.parseEther("100"), price, EPOCH, reference())
+      ).to.be.revertedWithCustomError(capx, "StalePrice");
+    });
+  });
+
+  describe("4. Preview", function () {
+    it("Should preview what the mint at the feed price creates", async function () {
+      const { capx, executeAsAdmin, recipient } = await loadFixture(configuredFixture);
+      const revenue = ethers.parseEther("1234.5");
+
+      const referenceHash = reference();
+
+      const result = await previewRevenueMint(capx, { to: recipient.address, revenue, epoch: EPOCH, referenceHash });
+      expect(result.ok).to.equal(true);
+      expect(result.method).to.equal("revenueMintAtOraclePrice");
+      expect(result.args).to.deep.equal([recipient.address, revenue, BigInt(EPOCH), referenceHash]);
+      expect(result.problems).to.deep.equal([]);
+
+      await executeAsAdmin("revenueMintAtOraclePrice", ...result.args);
+      expect(await capx.balanceOf(recipient.address)).to.equal(result.tokensToMint);
+    });
+
+    it("Should explain why a mint would revert", async function () {
+      const { capx, feed, price, recipient } = await loadFixture(configuredFixture);
+      const revenue = ethers.parseEther("100");
+
+      const mint = { to: recipient.address, revenue, epoch: EPOCH, referenceHash: reference() };
+
+      const deviating = await previewRevenueMint(capx, { ...mint, marketValue: price * 2n });
+      expect(deviating.ok).to.equal(false);
+      expect(deviating.feed.deviationBps).to.equal(10_000n);
+      expect(deviating.problems).to.deep.equal(["marketValue is 10000 bps from the feed price, max 500"]);
+      expect(deviating.simulation.error).to.equal("PriceDeviationTooHigh()");
+
+      await feed.setAnswer(300_000_000n);
+      await time.increase(MAX_AGE + 1);
+      const stale = await previewRevenueMint(capx, mint);
+      expect(stale.problems).to.have.length(2);
+      expect(stale.problems[0]).to.match(/^feed price is stale/);
+      expect(stale.problems[1]).to.match(/is outside \[0.1, 2.0\]$/);
+      expect(stale.simulation.error).to.equal("StalePrice()");
+    });
+
+    it("Should print the preview and the matching admin task", async function () {
+      const { capx, recipient } = await loadFixture(configuredFixture);
+      const lines = [];
+      const log = (...args) => lines.push(args.join(" "));
+
+      const options = { capx: capx.target, to: recipient.address, revenue: "50", epoch: String(EPOCH), log };
+      const referenceHash = reference();
+
+      const result = await preview({ ...options, reference: referenceHash });
+      expect(result.tokensToMint).to.equal(ethers.parseEther("100"));
+      expect(lines).to.include("Tokens to mint: 100.0 CAPX");
+      expect(lines.at(-1)).to.equal(
+        `npx hardhat capx:revenue-mint-oracle --network hardhat --to ${recipient.address} ` +
+          `--revenue ${ethers.parseEther("50")} --epoch ${EPOCH} --reference ${referenceHash}`
+      );
+
+      await expect(preview({ ...options, to: "0x1234", reference: referenceHash })).to.be.rejectedWith(
+        "--to must be an address"
+      );
+      await expect(preview(options)).to.be.rejectedWith("Pass either --reference or --report");
+      await expect(preview({ ...options, epoch: "Q4", reference: referenceHash })).to.be.rejectedWith(
+        "--epoch must be a whole number"
+      );
+    });
+
+    it("Should round deviations up", function () {
+      expect(deviationBps(1_050n, 1_000n)).to.equal(500n);
+      expect(deviationBps(1_0501n, 10_000n)).to.equal(501n);
+      expect(deviationBps(999n, 1_000n)).to.equal(10n);
+    });
+  });
+
+  describe("5. Admin Calls", function () {
+    it("Should validate setPriceOracle and accept none to remove the feed", async function () {
+      const { capx, feed } = await loadFixture(deployOracleFixture);
+      const encode = (args) => encodeAdminCall("CAPX", capx.target, "setPriceOracle", args);
+
+      expect(encode(["none", "0", "0", "0", "0"]).args[0]).to.equal(ethers.ZeroAddress);
+      expect(() => encode([feed.target, "0", "1", "2", "500"])).to.throw("maxPriceAge must be greater than zero");
+      expect(() => encode([feed.target, "60", "0", "2", "500"])).to.throw("minPrice must be greater than zero");
+      expect(() => encode([feed.target, "60", "3", "2", "500"])).to.throw("minPrice cannot exceed maxPrice");
+      expect(() => encode([feed.target, "60", "1", "2", "5001"])).to.throw("maxDeviationBps cannot exceed 5000");
+      expect(() =>
+        encodeAdminCall("CAPX", capx.target, "revenueMintAtOraclePrice", [feed.target, "0", "1", reference()])
+      ).to.throw("revenue must be greater than zero");
+    });
+
+    it("Should require a price band to set a feed but not to remove it", async function () {
+      const { capx, feed } = await loadFixture(configuredFixture);
+
+      await expect(hre.run("capx:set-price-oracle", { address: capx.target, feed: feed.target })).to.be.rejectedWith(
+        "Pass --min-price and --max-price with a feed"
+      );
+
+      await hre.run("capx:set-price-oracle", {
+        address: capx.target,
+        feed: feed.target,
+        minPrice: MIN_PRICE.toString(),
+        maxPrice: MAX_PRICE.toString(),
+      });
+      const config = await capx.getPriceOracleConfig();
+      expect([config.feed, config.minPrice, config.maxPrice]).to.deep.equal([feed.target, MIN_PRICE, MAX_PRICE]);
+
+      await hre.run("capx:set-price-oracle", { address: capx.target, feed: "none" });
+      expect((await capx.getPriceOracleConfig()).feed).to.equal(ethers.ZeroAddress);
+    });
+  });
+});
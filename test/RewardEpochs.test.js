@@ -0,0 +1,286 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { hashLeaf, buildRewardTree, verifyProof } = require("../scripts/lib/merkle");
+const { main, buildEpochFile } = require("../scripts/reward-epoch");
+const { deployMultisig } = require("./helpers/multisig");
+
+const { ethers } = hre;
+
+const REASON = "Epoch 1 staking rewards";
+
+describe("AngelSEED Reward Epochs", function () {
+  async function deployEpochFixture() {
+    const [adminSigner, minter, claimer, outsider] = await ethers.getSigners();
+
+    const { multisig, adminFor } = await deployMultisig(adminSigner);
+
+    const AngelSEED = await ethers.getContractFactory("AngelSEED");
+    const seed = await AngelSEED.deploy(multisig.target);
+
+    const executeAsAdmin = adminFor(seed);
+
+    await executeAsAdmin("grantRoles", minter.address, await seed.REWARD_MINTER_ROLE());
+
+    const accounts = [claimer.address, outsider.address];
+    for (let i = 0; i < 3; i++) accounts.push(ethers.Wallet.createRandom().address);
+    const recipients = accounts.map((address, i) => ({ address, amount: ethers.parseEther(String(i + 1)) }));
+    const tree = buildRewardTree(recipients);
+
+    return { seed, multisig, executeAsAdmin, minter, claimer, outsider, recipients, tree };
+  }
+
+  async function publishedEpochFixture() {
+    const fixture = await deployEpochFixture();
+    const { seed, minter, tree } = fixture;
+    await seed.connect(minter).publishRewardEpoch(tree.root, tree.total, REASON);
+    const claimOf = (address) => tree.claims.find((c) => c.address === address);
+    return { ...fixture, claimOf };
+  }
+
+  describe("1. Publishing", function () {
+    it("Should store the epoch and emit RewardEpochPublished", async function () {
+      const { seed, minter, tree } = await loadFixture(deployEpochFixture);
+
+      await expect(seed.connect(minter).publishRewardEpoch(tree.root, tree.total, REASON))
+        .to.emit(seed, "RewardEpochPublished")
+        .withArgs(1, tree.root, tree.total, REASON);
+
+      expect(await seed.rewardEpochCount()).to.equal(1);
+      const epoch = await seed.getRewardEpoch(1);
+      expect(epoch.merkleRoot).to.equal(tree.root);
+      expect(epoch.budget).to.equal(tree.total);
+      expect(epoch.claimed).to.equal(0);
+      expect(epoch.reason).to.equal(REASON);
+      // Publishing reserves nothing, only claims mint
+      expect(await seed.getTotalMinted()).to.equal(0);
+    });
+
+    it("Should only allow REWARD_MINTER_ROLE", async function () {
+      const { seed, outsider, tree } = await loadFixture(deployEpochFixture);
+
+      await expect(
+        seed.connect(outsider).publishRewardEpoch(tree.root, tree.total, REASON)
+      ).to.be.revertedWithCustomError(seed, "Unauthorized");
+    });
+
+    it("Should reject invalid roots, budgets and reasons", async function () {
+      const { seed, minter, tree } = await loadFixture(deployEpochFixture);
+
+      await expect(
+        seed.connect(minter).publishRewardEpoch(ethers.ZeroHash, tree.total, REASON)
+      ).to.be.revertedWithCustomError(seed, "InvalidMerkleRoot");
+      await expect(
+        seed.connect(minter).publishRewardEpoch(tree.root, 0, REASON)
+      ).to.be.revertedWithCustomError(seed, "InvalidAmount");
+      await expect(
+        seed.connect(minter).publishRewardEpoch(tree.root, (await seed.getMaxSupply()) + 1n, REASON)
+      ).to.be.revertedWithCustomError(seed, "MaxSupplyExceeded");
+      await expect(
+        seed.connect(minter).publishRewardEpoch(tree.root, tree.total, "")
+      ).to.be.revertedWithCustomError(seed, "InvalidReason");
+    });
+
+    it("Should not publish while paused", async function () {
+      const { seed, minter, executeAsAdmin, tree } = await loadFixture(deployEpochFixture);
+
+      await executeAsAdmin("pause");
+      await expect(
+        seed.connect(minter).publishRewardEpoch(tree.root, tree.total, REASON)
+      ).to.be.revertedWith("Pausable: paused");
+    });
+  });
+
+  describe("2. Claiming", function () {
+    it("Should mint the leaf amount and emit RewardClaimed and RewardMint", async function () {
+      const { seed, claimer, claimOf } = await loadFixture(publishedEpochFixture);
+
+      const claim = claimOf(claimer.address);
+      await expect(seed.connect(claimer).claimReward(1, claimer.address, claim.amount, claim.proof))
+        .to.emit(seed, "RewardClaimed")
+        .withArgs(1, claimer.address, claim.amount)
+        .and.to.emit(seed, "RewardMint")
+        .withArgs(claimer.address, claim.amount, REASON);
+
+      expect(await seed.balanceOf(claimer.address)).to.equal(claim.amount);
+      expect(await seed.getTotalMinted()).to.equal(claim.amount);
+      expect(await seed.isRewardClaimed(1, claimer.address)).to.equal(true);
+      expect((await seed.getRewardEpoch(1)).claimed).to.equal(claim.amount);
+    });
+
+    it("Should let anyone submit a claim but always pay the leaf's account", async function () {
+      const { seed, claimer, outsider, claimOf } = await loadFixture(publishedEpochFixture);
+
+      const claim = claimOf(claimer.address);
+      await seed.connect(outsider).claimReward(1, claimer.address, claim.amount, claim.proof);
+
+      expect(await seed.balanceOf(claimer.address)).to.equal(claim.amount);
+      expect(await seed.balanceOf(outsider.address)).to.equal(0);
+    });
+
+    it("Should pay out every leaf of the tree", async function () {
+      const { seed, outsider, tree } = await loadFixture(publishedEpochFixture);
+
+      for (const claim of tree.claims) {
+        await seed.connect(outsider).claimReward(1, claim.address, claim.amount, claim.proof);
+      }
+
+      expect(await seed.getTotalMinted()).to.equal(tree.total);
+      expect((await seed.getRewardEpoch(1)).claimed).to.equal(tree.total);
+    });
+
+    it("Should reject a second claim", async function () {
+      const { seed, claimer, claimOf } = await loadFixture(publishedEpochFixture);
+
+      const claim = claimOf(claimer.address);
+      await seed.connect(claimer).claimReward(1, claimer.address, claim.amount, claim.proof);
+
+      await expect(
+        seed.connect(claimer).claimReward(1, claimer.address, claim.amount, claim.proof)
+      ).to.be.revertedWithCustomError(seed, "AlreadyClaimed");
+    });
+
+    it("Should reject proofs for another account or amount", async function () {
+      const { seed, claimer, outsider, claimOf } = await loadFixture(publishedEpochFixture);
+
+      const claim = claimOf(claimer.address);
+      await expect(
+        seed.connect(claimer).claimReward(1, claimer.address, claim.amount + 1n, claim.proof)
+      ).to.be.revertedWithCustomError(seed, "InvalidProof");
+      await expect(
+        seed.connect(outsider).claimReward(1, outsider.address, claim.amount, claim.proof)
+      ).to.be.revertedWithCustomError(seed, "InvalidProof");
+    });
+
+    it("Should reject unknown epochs and invalid leaves", async function () {
+      const { seed, claimer, claimOf } = await loadFixture(publishedEpochFixture);
+
+      const claim = claimOf(claimer.address);
+      await expect(
+        seed.connect(claimer).claimReward(2, claimer.address, claim.amount, claim.proof)
+      ).to.be.revertedWithCustomError(seed, "InvalidEpoch");
+      await expect(
+        seed.connect(claimer).claimReward(1, ethers.ZeroAddress, claim.amount, claim.proof)
+      ).to.be.revertedWithCustomError(seed, "ZeroAddress");
+      await expect(
+        seed.connect(claimer).claimReward(1, claimer.address, 0, claim.proof)
+      ).to.be.revertedWithCustomError(seed, "InvalidAmount");
+    });
+
+    it("Should never pay out more than the epoch budget", async function () {
+      const { seed, minter, claimer, outsider, tree } = await loadFixture(deployEpochFixture);
+
+      // Budget smaller than the tree: the second claim does not fit
+      const [first, second] = tree.claims;
+      await seed.connect(minter).publishRewardEpoch(tree.root, first.amount, REASON);
+
+      await seed.connect(outsider).claimReward(1, first.address, first.amount, first.proof);
+      await expect(
+        seed.connect(claimer).claimReward(1, second.address, second.amount, second.proof)
+      ).to.be.revertedWithCustomError(seed, "EpochBudgetExceeded");
+    });
+
+    it("Should not claim while paused", async function () {
+      const { seed, claimer, executeAsAdmin, claimOf } = await loadFixture(publishedEpochFixture);
+
+      const claim = claimOf(claimer.address);
+      await executeAsAdmin("pause");
+      await expect(
+        seed.connect(claimer).claimReward(1, claimer.address, claim.amount, claim.proof)
+      ).to.be.revertedWith("Pausable: paused");
+    });
+
+    it("Should keep claims of separate epochs apart", async function () {
+      const { seed, minter, claimer, claimOf, tree } = await loadFixture(publishedEpochFixture);
+
+      await seed.connect(minter).publishRewardEpoch(tree.root, tree.total, "Epoch 2");
+      const claim = claimOf(claimer.address);
+      await seed.connect(claimer).claimReward(1, claimer.address, claim.amount, claim.proof);
+
+      await expect(seed.connect(claimer).claimReward(2, claimer.address, claim.amount, claim.proof))
+        .to.emit(seed, "RewardMint")
+        .withArgs(claimer.address, claim.amount, "Epoch 2");
+      expect(await seed.balanceOf(claimer.address)).to.equal(claim.amount * 2n);
+    });
+  });
+
+  describe("3. Tree Builder", function () {
+    it("Should produce proofs the contract accepts for any number of leaves", async function () {
+      const { seed, minter, outsider } = await loadFixture(deployEpochFixture);
+
+      for (const count of [1, 2, 3, 7]) {
+        const recipients = Array.from({ length: count }, (_, i) => ({
+          address: ethers.Wallet.createRandom().address,
+          amount: BigInt(i + 1),
+        }));
+        const tree = buildRewardTree(recipients);
+        await seed.connect(minter).publishRewardEpoch(tree.root, tree.total, REASON);
+        const epochId = await seed.rewardEpochCount();
+
+        for (const claim of tree.claims) {
+          expect(verifyProof(tree.root, claim.leaf, claim.proof)).to.equal(true);
+          await seed.connect(outsider).claimReward(epochId, claim.address, claim.amount, claim.proof);
+        }
+        expect((await seed.getRewardEpoch(epochId)).claimed).to.equal(tree.total);
+      }
+    });
+
+    it("Should not depend on the CSV order and reject duplicate accounts", async function () {
+      const { recipients, tree } = await loadFixture(deployEpochFixture);
+
+      expect(buildRewardTree([...recipients].reverse()).root).to.equal(tree.root);
+      expect(tree.claims.find((c) => c.address === recipients[0].address).leaf).to.equal(
+        hashLeaf(recipients[0].address, recipients[0].amount)
+      );
+      expect(() => buildRewardTree([...recipients, recipients[0]])).to.throw("Duplicate claim");
+      expect(() => buildRewardTree([])).to.throw("at least one claim");
+    });
+
+    it("Should write claim and publish calldata that execute as-is", async function () {
+      const { seed, claimer, recipients } = await loadFixture(deployEpochFixture);
+
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "capshield-epoch-"));
+      const csv = path.join(dir, "rewards.csv");
+      const out = path.join(dir, "proofs.json");
+      fs.writeFileSync(
+        csv,
+        ["address,amount", ...recipients.map((r) => `${r.address},${ethers.formatEther(r.amount)}`)].join("\n")
+      );
+
+      expect(main([csv, "--epoch", "1", "--out", out, "--reason", REASON], () => {})).to.equal(0);
+      const file = JSON.parse(fs.readFileSync(out, "utf8"));
+      expect(file).to.deep.include(buildEpochFile(recipients, { epochId: 1, reason: REASON }));
+
+      // The multisig holds REWARD_MINTER_ROLE from deployment
+      await hre.run("seed:publish-epoch", {
+        address: seed.target,
+        root: file.merkleRoot,
+        budget: file.budget,
+        reason: file.reason,
+      });
+      expect((await seed.getRewardEpoch(1)).merkleRoot).to.equal(file.merkleRoot);
+      expect(file.publishCalldata).to.equal(
+        seed.interface.encodeFunctionData("publishRewardEpoch", [file.merkleRoot, file.budget, REASON])
+      );
+
+      await claimer.sendTransaction({ to: seed.target, data: file.claims[claimer.address].calldata });
+      expect(await seed.balanceOf(claimer.address)).to.equal(file.claims[claimer.address].amount);
+    });
+
+    it("Should refuse CSVs with duplicate accounts", async function () {
+      const { recipients } = await loadFixture(deployEpochFixture);
+
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "capshield-epoch-"));
+      const csv = path.join(dir, "duplicates.csv");
+      fs.writeFileSync(csv, `${recipients[0].address},1\n${recipients[0].address},2\n`);
+
+      expect(() => main([csv, "--epoch", "1", "--out", path.join(dir, "p.json")], () => {})).to.throw(
+        "more than once"
+      );
+      expect(() => main([csv, "--out", path.join(dir, "p.json")], () => {})).to.throw("Usage");
+    });
+  });
+});
@@ -0,0 +1,224 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ROLES } = require("../scripts/lib/adminCalls");
+const { parseExpectedRoles, diffRoles } = require("../scripts/lib/roles");
+const { deployMultisig } = require("./helpers/multisig");
+
+const { ethers } = hre;
+
+describe("Role Registry", function () {
+  async function deployRolesFixture() {
+    const [adminSigner, treasury, dao, minter, compliance, user1] = await ethers.getSigners();
+
+    const { multisig, executeAsAdmin } = await deployMultisig(adminSigner);
+
+    const capx = await (await ethers.getContractFactory("CAPX")).deploy(
+      multisig.target,
+      treasury.address,
+      dao.address
+    );
+    const seed = await (await ethers.getContractFactory("AngelSEED")).deploy(multisig.target);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "capshield-roles-"));
+    const writeConfig = (config) => {
+      const file = path.join(dir, `roles-${Date.now()}-${Math.random().toString(16).slice(2)}.json`);
+      fs.writeFileSync(file, JSON.stringify(config));
+      return file;
+    };
+
+    return { capx, seed, multisig, executeAsAdmin, minter, compliance, user1, dir, writeConfig };
+  }
+
+  describe("1. Enumerable Members", function () {
+    it("Should list the roles granted at deployment", async function () {
+      const { capx, seed, multisig } = await loadFixture(deployRolesFixture);
+
+      for (const role of ["TEAM_MINTER_ROLE", "TREASURY_MINTER_ROLE", "DAO_MINTER_ROLE"]) {
+        expect(await capx.roleMembers(ROLES.CAPX[role])).to.deep.equal([multisig.target]);
+        expect(await capx.roleMemberCount(ROLES.CAPX[role])).to.equal(1);
+      }
+      expect(await capx.roleMemberCount(ROLES.CAPX.COMPLIANCE_ROLE)).to.equal(0);
+      expect(await seed.roleMembers(ROLES.AngelSEED.REWARD_MINTER_ROLE)).to.deep.equal([multisig.target]);
+      expect(await seed.roleMemberCount(ROLES.AngelSEED.COMPLIANCE_ROLE)).to.equal(0);
+    });
+
+    it("Should add a member once per bit of a multi-role grant", async function () {
+      const { capx, executeAsAdmin, minter } = await loadFixture(deployRolesFixture);
+
+      const roles = ROLES.CAPX.TEAM_MINTER_ROLE | ROLES.CAPX.COMPLIANCE_ROLE;
+      await executeAsAdmin(capx, "grantRoles", minter.address, roles);
+      await executeAsAdmin(capx, "grantRoles", minter.address, ROLES.CAPX.TEAM_MINTER_ROLE);
+
+      expect(await capx.roleMemberCount(ROLES.CAPX.TEAM_MINTER_ROLE)).to.equal(2);
+      expect(await capx.roleMembers(ROLES.CAPX.COMPLIANCE_ROLE)).to.deep.equal([minter.address]);
+      expect(await capx.roleMemberCount(ROLES.CAPX.DAO_MINTER_ROLE)).to.equal(1);
+    });
+
+    it("Should remove members on revoke and renounce", async function () {
+      const { capx, seed, multisig, executeAsAdmin, minter, compliance } = await loadFixture(deployRolesFixture);
+
+      await executeAsAdmin(capx, "grantRoles", minter.address, ROLES.CAPX.TEAM_MINTER_ROLE);
+      await executeAsAdmin(capx, "revokeRoles", multisig.target, ROLES.CAPX.TEAM_MINTER_ROLE);
+      expect(await capx.roleMembers(ROLES.CAPX.TEAM_MINTER_ROLE)).to.deep.equal([minter.address]);
+
+      await capx.connect(minter).renounceRoles(ROLES.CAPX.TEAM_MINTER_ROLE);
+      expect(await capx.roleMemberCount(ROLES.CAPX.TEAM_MINTER_ROLE)).to.equal(0);
+
+      await executeAsAdmin(seed, "grantRoles", compliance.address, ROLES.AngelSEED.COMPLIANCE_ROLE);
+      await executeAsAdmin(seed, "revokeRoles", compliance.address, ROLES.AngelSEED.COMPLIANCE_ROLE);
+      expect(await seed.roleMemberCount(ROLES.AngelSEED.COMPLIANCE_ROLE)).to.equal(0);
+    });
+
+    it("Should leave the sets unchanged when revoking roles that are not held", async function () {
+      const { capx, executeAsAdmin, minter } = await loadFixture(deployRolesFixture);
+
+      await executeAsAdmin(capx, "grantRoles", minter.address, ROLES.CAPX.TEAM_MINTER_ROLE);
+      await executeAsAdmin(
+        capx,
+        "revokeRoles",
+        minter.address,
+        ROLES.CAPX.TEAM_MINTER_ROLE | ROLES.CAPX.COMPLIANCE_ROLE
+      );
+
+      expect(await capx.roleMembers(ROLES.CAPX.TEAM_MINTER_ROLE)).to.have.lengthOf(1);
+      expect(await capx.roleMemberCount(ROLES.CAPX.COMPLIANCE_ROLE)).to.equal(0);
+      expect(await capx.rolesOf(minter.address)).to.equal(0);
+    });
+
+    it("Should keep the sets in step with the role bitmaps", async function () {
+      const { capx, executeAsAdmin, minter, compliance, user1 } = await loadFixture(deployRolesFixture);
+      const accounts = [minter.address, compliance.address, user1.address];
+
+      await executeAsAdmin(capx, "grantRoles", minter.address, 15);
+      await executeAsAdmin(capx, "grantRoles", compliance.address, 9);
+      await executeAsAdmin(capx, "revokeRoles", minter.address, 6);
+      await executeAsAdmin(capx, "grantRoles", user1.address, 2);
+      await capx.connect(compliance).renounceRoles(1);
+
+      for (const bit of Object.values(ROLES.CAPX)) {
+        const members = await capx.roleMembers(bit);
+        for (const account of accounts) {
+          expect(members.includes(account)).to.equal(((await capx.rolesOf(account)) & BigInt(bit)) !== 0n);
+        }
+      }
+    });
+
+    it("Should return no members for a combined bitmap", async function () {
+      const { capx } = await loadFixture(deployRolesFixture);
+
+      expect(await capx.roleMembers(ROLES.CAPX.TEAM_MINTER_ROLE | ROLES.CAPX.DAO_MINTER_ROLE)).to.deep.equal([]);
+      expect(await capx.roleMemberCount(0)).to.equal(0);
+    });
+  });
+
+  describe("2. Expected Roles File", function () {
+    it("Should expect no members for roles left out of a listed contract", function () {
+      const address = "0x" + "11".repeat(20);
+      const expected = parseExpectedRoles(JSON.stringify({ AngelSEED: { COMPLIANCE_ROLE: [address] } }));
+
+      expect(expected).to.deep.equal({
+        AngelSEED: { REWARD_MINTER_ROLE: [], COMPLIANCE_ROLE: [ethers.getAddress(address)] },
+      });
+    });
+
+    it("Should reject unknown contracts, roles and invalid addresses", function () {
+      const address = "0x" + "11".repeat(20);
+
+      expect(() => parseExpectedRoles("{")).to.throw("not valid JSON");
+      expect(() => parseExpectedRoles("[]")).to.throw("object keyed by contract name");
+      expect(() => parseExpectedRoles(JSON.stringify({ CAPY: {} }))).to.throw('Unknown contract "CAPY"');
+      expect(() => parseExpectedRoles(JSON.stringify({ AngelSEED: { TEAM_MINTER_ROLE: [] } }))).to.throw(
+        'Unknown AngelSEED role "TEAM_MINTER_ROLE"'
+      );
+      expect(() => parseExpectedRoles(JSON.stringify({ CAPX: { COMPLIANCE_ROLE: address } }))).to.throw(
+        "CAPX.COMPLIANCE_ROLE must be a list of addresses"
+      );
+      expect(() => parseExpectedRoles(JSON.stringify({ CAPX: { COMPLIANCE_ROLE: [address, "0x12"] } }))).to.throw(
+        'CAPX.COMPLIANCE_ROLE[1]: invalid address "0x12"'
+      );
+      expect(() =>
+        parseExpectedRoles(JSON.stringify({ CAPX: { COMPLIANCE_ROLE: [address, ethers.getAddress(address)] } }))
+      ).to.throw("is listed twice");
+    });
+
+    it("Should report missing and unexpected members per role", function () {
+      const [a, b, c] = ["11", "22", "33"].map((byte) => ethers.getAddress("0x" + byte.repeat(20)));
+
+      const [team, compliance] = diffRoles(
+        { TEAM_MINTER_ROLE: [a, b], COMPLIANCE_ROLE: [] },
+        { TEAM_MINTER_ROLE: [b, c], COMPLIANCE_ROLE: [] }
+      );
+
+      expect(team).to.include({ role: "TEAM_MINTER_ROLE", ok: false });
+      expect(team.missing).to.deep.equal([a]);
+      expect(team.unexpected).to.deep.equal([c]);
+      expect(compliance.ok).to.equal(true);
+    });
+  });
+
+  describe("3. roles:audit Task", function () {
+    it("Should pass when every role matches the file", async function () {
+      const { capx, seed, multisig, executeAsAdmin, compliance, dir, writeConfig } =
+        await loadFixture(deployRolesFixture);
+      await executeAsAdmin(seed, "grantRoles", compliance.address, ROLES.AngelSEED.COMPLIANCE_ROLE);
+
+      const config = writeConfig({
+        CAPX: {
+          TEAM_MINTER_ROLE: [multisig.target],
+          TREASURY_MINTER_ROLE: [multisig.target],
+          DAO_MINTER_ROLE: [multisig.target],
+        },
+        AngelSEED: {
+          REWARD_MINTER_ROLE: [multisig.target],
+          COMPLIANCE_ROLE: [compliance.address],
+        },
+      });
+      const out = path.join(dir, "reports", "audit.json");
+
+      const report = await hre.run("roles:audit", {
+        expected: config,
+        capx: capx.target,
+        angelseed: seed.target,
+        out,
+      });
+
+      expect(report.drift).to.equal(0);
+      expect(report.contracts.CAPX.roles).to.have.lengthOf(4);
+      const written = JSON.parse(fs.readFileSync(out, "utf8"));
+      expect(written.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+      expect(written.contracts.AngelSEED.roles[1]).to.deep.include({
+        role: "COMPLIANCE_ROLE",
+        members: [compliance.address],
+        ok: true,
+      });
+    });
+
+    it("Should fail on drift and still write the report", async function () {
+      const { capx, multisig, executeAsAdmin, minter, dir, writeConfig } = await loadFixture(deployRolesFixture);
+      await executeAsAdmin(capx, "grantRoles", minter.address, ROLES.CAPX.COMPLIANCE_ROLE);
+
+      const config = writeConfig({
+        CAPX: {
+          TEAM_MINTER_ROLE: [multisig.target, minter.address],
+          TREASURY_MINTER_ROLE: [multisig.target],
+          DAO_MINTER_ROLE: [multisig.target],
+        },
+      });
+      const out = path.join(dir, "drift.json");
+
+      await expect(hre.run("roles:audit", { expected: config, capx: capx.target, out })).to.be.rejectedWith(
+        "Role drift: 2 difference(s)"
+      );
+
+      const report = JSON.parse(fs.readFileSync(out, "utf8"));
+      expect(Object.keys(report.contracts)).to.deep.equal(["CAPX"]);
+      const roles = Object.fromEntries(report.contracts.CAPX.roles.map((entry) => [entry.role, entry]));
+      expect(roles.TEAM_MINTER_ROLE.missing).to.deep.equal([minter.address]);
+      expect(roles.COMPLIANCE_ROLE.unexpected).to.deep.equal([minter.address]);
+    });
+  });
+});
@@ -0,0 +1,260 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  buildBatchFromActions,
+  readBatch,
+  writeBatch,
+  decodeBatch,
+  formatReview,
+} = require("../scripts/lib/safeBatch");
+const { main } = require("../scripts/safe-batch");
+const { deployMultisig } = require("./helpers/multisig");
+
+describe("Safe Batch", function () {
+  async function deployTokensFixture() {
+    const [adminSigner, treasury, dao, user1, user2] = await ethers.getSigners();
+
+    const { multisig } = await deployMultisig(adminSigner);
+
+    const CAPX = await ethers.getContractFactory("CAPX");
+    const capy = await CAPX.deploy(multisig.target, treasury.address, dao.address);
+
+    const AngelSEED = await ethers.getContractFactory("AngelSEED");
+    const seed = await AngelSEED.deploy(multisig.target);
+
+    const addresses = { CAPX: capy.target, AngelSEED: seed.target };
+    const actions = [
+      { contract: "CAPX", method: "grantRoles", args: [user1.address, "TEAM_MINTER_ROLE"] },
+      { contract: "CAPX", method: "setExemption", args: [user2.address, true] },
+      {
+        contract: "CAPX",
+        method: "revenueMint",
+        args: [
+          user2.address,
+          ethers.parseEther("10").toString(),
+          ethers.parseEther("2").toString(),
+          "20264",
+          ethers.id("2026 Q4 revenue report"),
+        ],
+      },
+      { contract: "AngelSEED", method: "grantRoles", args: [user1.address, "1"] },
+    ];
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "capshield-safe-"));
+
+    return { capy, seed, multisig, adminSigner, user1, user2, addresses, actions, dir };
+  }
+
+  const quiet = () => {};
+
+  describe("1. Building", function () {
+    it("Should produce a Transaction Builder batch with decoded method info", async function () {
+      const { capy, user1, addresses, actions } = await loadFixture(deployTokensFixture);
+
+      const batch = buildBatchFromActions(actions, { chainId: 56, addresses, name: "Launch" });
+
+      expect(batch.version).to.equal("1.0");
+      expect(batch.chainId).to.equal("56");
+      expect(batch.meta.name).to.equal("Launch");
+      expect(batch.transactions).to.have.length(4);
+
+      const [grant] = batch.transactions;
+      expect(grant.to).to.equal(capy.target);
+      expect(grant.value).to.equal("0");
+      expect(grant.data).to.equal(
+        capy.interface.encodeFunctionData("grantRoles", [user1.address, await capy.TEAM_MINTER_ROLE()])
+      );
+      expect(grant.contractMethod).to.deep.equal({
+        inputs: [
+          { internalType: "address", name: "user", type: "address" },
+          { internalType: "uint256", name: "roles", type: "uint256" },
+        ],
+        name: "grantRoles",
+        payable: false,
+      });
+      expect(grant.contractInputsValues).to.deep.equal({ user: user1.address, roles: "1" });
+    });
+
+    it("Should name the failing action", async function () {
+      const { addresses, actions } = await loadFixture(deployTokensFixture);
+
+      const broken = [...actions, { contract: "CAPX", method: "setDaoAddress", args: [ethers.ZeroAddress] }];
+
+      expect(() => buildBatchFromActions(broken, { chainId: 56, addresses })).to.throw(
+        "Action 4 (CAPX.setDaoAddress): newDao cannot be the zero address"
+      );
+      expect(() =>
+        buildBatchFromActions(actions, { chainId: 56, addresses: { CAPX: addresses.CAPX } })
+      ).to.throw("Action 3: no address for AngelSEED");
+    });
+
+    it("Should build batches the multisig can execute", async function () {
+      const { capy, seed, multisig, adminSigner, user1, user2, addresses, actions } =
+        await loadFixture(deployTokensFixture);
+
+      const batch = buildBatchFromActions(actions, { chainId: 31337, addresses });
+      for (const tx of batch.transactions) {
+        await multisig.connect(adminSigner).execute(tx.to, tx.data);
+      }
+
+      expect(await capy.hasRole(await capy.TEAM_MINTER_ROLE(), user1.address)).to.equal(true);
+      expect(await capy.isExempt(user2.address)).to.equal(true);
+      expect(await capy.balanceOf(user2.address)).to.equal(ethers.parseEther("5"));
+      expect(await seed.hasRole(await seed.REWARD_MINTER_ROLE(), user1.address)).to.equal(true);
+    });
+  });
+
+  describe("2. Review", function () {
+    it("Should decode every transaction against the token ABIs", async function () {
+      const { addresses, actions, user1 } = await loadFixture(deployTokensFixture);
+
+      const batch = buildBatchFromActions(actions, { chainId: 56, addresses });
+      const decoded = decodeBatch(batch, { addresses, chainId: 56 });
+
+      expect(decoded.warnings).to.deep.equal([]);
+      expect(decoded.transactions.map((tx) => `${tx.contract}.${tx.method}`)).to.deep.equal([
+        "CAPX.grantRoles",
+        "CAPX.setExemption",
+        "CAPX.revenueMint",
+        "AngelSEED.grantRoles",
+      ]);
+      expect(decoded.transactions.every((tx) => tx.warnings.length === 0)).to.equal(true);
+
+      const [grant, , revenue, seedGrant] = decoded.transactions;
+      expect(grant.args[0].value).to.equal(user1.address);
+      expect(grant.args[1].display).to.equal("1 (TEAM_MINTER_ROLE)");
+      expect(revenue.args[1].display).to.equal(`${ethers.parseEther("10")} (10.0)`);
+      expect(seedGrant.args[1].display).to.equal("1 (REWARD_MINTER_ROLE)");
+
+      const review = formatReview(batch, decoded);
+      expect(review).to.include("#1 CAPX.grantRoles");
+      expect(review).to.include("✓ No warnings");
+    });
+
+    it("Should flag inputs shown in the Safe UI that differ from the calldata", async function () {
+      const { addresses, actions, user2 } = await loadFixture(deployTokensFixture);
+
+      const batch = buildBatchFromActions(actions, { chainId: 56, addresses });
+      batch.transactions[1].contractInputsValues.exempt = "false";
+
+      const decoded = decodeBatch(batch, { addresses });
+      expect(decoded.transactions[1].warnings).to.deep.equal([
+        "contractInputsValues.exempt is false but calldata encodes true",
+      ]);
+      expect(decoded.transactions[1].args[0].value).to.equal(user2.address);
+    });
+
+    it("Should flag wrong chains, unknown targets and unknown functions", async function () {
+      const { addresses, actions, user1 } = await loadFixture(deployTokensFixture);
+
+      const batch = buildBatchFromActions(actions, { chainId: 97, addresses });
+      batch.transactions[0].to = user1.address;
+      batch.transactions[2].data = "0xdeadbeef";
+      delete batch.transactions[2].contractInputsValues;
+
+      const decoded = decodeBatch(batch, { addresses, chainId: 56 });
+
+      expect(decoded.warnings).to.deep.equal(["Batch is for chain 97, expected 56"]);
+      expect(decoded.transactions[0].warnings).to.include(
+        "Target is not a known contract address"
+      );
+      expect(decoded.transactions[2].warnings).to.deep.equal(["Unknown function selector 0xdeadbeef"]);
+      expect(formatReview(batch, decoded)).to.include("warning(s), check before signing");
+    });
+
+    it("Should show every reading of a call whose target is unknown", async function () {
+      const { addresses, actions } = await loadFixture(deployTokensFixture);
+
+      const batch = buildBatchFromActions(actions, { chainId: 56, addresses });
+      const decoded = decodeBatch(batch);
+
+      const [grant, exemption, , seedGrant] = decoded.transactions;
+      expect(seedGrant.contract).to.equal("CAPX/AngelSEED");
+      expect(seedGrant.args[1].display).to.equal(
+        "ambiguous, CAPX: 1 (TEAM_MINTER_ROLE); AngelSEED: 1 (REWARD_MINTER_ROLE)"
+      );
+      expect(grant.warnings).to.deep.equal([
+        "Ambiguous: decodes as CAPX, AngelSEED. Pass the contract addresses",
+      ]);
+      // Only CAPX has setExemption, and plain arguments read the same either way
+      expect(exemption.contract).to.equal("CAPX");
+      expect(exemption.warnings).to.deep.equal([]);
+      expect(grant.args[0].display).to.equal(grant.args[0].value);
+    });
+
+    it("Should decode Transaction Builder exports that only carry method inputs", async function () {
+      const { addresses, actions } = await loadFixture(deployTokensFixture);
+
+      const batch = buildBatchFromActions(actions, { chainId: 56, addresses });
+      for (const tx of batch.transactions) {
+        tx.data = null;
+      }
+
+      const decoded = decodeBatch(batch, { addresses });
+      expect(decoded.transactions.map((tx) => tx.method)).to.deep.equal([
+        "grantRoles",
+        "setExemption",
+        "revenueMint",
+        "grantRoles",
+      ]);
+      expect(decoded.transactions[1].args[1].value).to.equal("true");
+    });
+  });
+
+  describe("3. CLI", function () {
+    it("Should build a batch from an actions file and review it", async function () {
+      const { capy, seed, addresses, actions, dir } = await loadFixture(deployTokensFixture);
+
+      const actionsPath = path.join(dir, "actions.json");
+      const batchPath = path.join(dir, "batch.json");
+      fs.writeFileSync(actionsPath, JSON.stringify(actions));
+
+      const deploymentPath = path.join(dir, "deployment.json");
+      fs.writeFileSync(
+        deploymentPath,
+        JSON.stringify({
+          chainId: 56,
+          contracts: { CAPX: { address: capy.target }, AngelSEED: { address: seed.target } },
+        })
+      );
+
+      expect(main(["build", actionsPath, "--out", batchPath, "--deployment", deploymentPath], quiet)).to.equal(0);
+      expect(readBatch(batchPath).chainId).to.equal("56");
+
+      const output = [];
+      const log = (line) => output.push(line);
+      expect(main(["review", batchPath, "--deployment", deploymentPath], log)).to.equal(0);
+      expect(output.join("\n")).to.include("#4 AngelSEED.grantRoles");
+
+      // A signer checking against the wrong chain gets a failing exit code
+      expect(
+        main(["review", batchPath, "--chain-id", "1", "--capx", addresses.CAPX, "--seed", addresses.AngelSEED], quiet)
+      ).to.equal(1);
+    });
+
+    it("Should require a chain ID to build", async function () {
+      const { actions, dir } = await loadFixture(deployTokensFixture);
+
+      const actionsPath = path.join(dir, "actions.json");
+      fs.writeFileSync(actionsPath, JSON.stringify(actions));
+
+      expect(() => main(["build", actionsPath, "--out", path.join(dir, "b.json")], quiet)).to.throw(
+        "Chain ID unknown"
+      );
+      expect(() => main(["sign", actionsPath], quiet)).to.throw('Unknown command "sign"');
+    });
+
+    it("Should reject files that are not batches", async function () {
+      const { dir } = await loadFixture(deployTokensFixture);
+
+      const file = path.join(dir, "not-a-batch.json");
+      writeBatch(file, { hello: "world" });
+
+      expect(() => readBatch(file)).to.throw("is not a Safe Transaction Builder batch");
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployPair, addLiquidity, buy, sell } = require("./helpers/amm");
+const { deployMultisig } = require("./helpers/multisig");
+const { encodeAdminCall } = require("../scripts/lib/adminCalls");
+
+const { ethers } = hre;
+
+describe("CAPX Trading Launch", function () {
+  const WINDOW = 20n;
+  const COOLDOWN = 3n;
+  const LAUNCH_FEE_BPS = 2000n;
+
+  async function deployLaunchFixture() {
+    const [adminSigner, treasury, dao, trader, user2, user3] = await ethers.getSigners();
+
+    const { multisig, adminFor } = await deployMultisig(adminSigner);
+
+    const CAPX = await ethers.getContractFactory("CAPX");
+    const capy = await CAPX.deploy(multisig.target, treasury.address, dao.address);
+
+    const executeAsAdmin = adminFor(capy);
+
+    // The fee-exempt treasury seeds the pool before trading opens
+    const { pair, quote } = await deployPair(capy);
+    const pool = { pair, quote, token: capy };
+    await executeAsAdmin("treasuryMint", treasury.address, ethers.parseEther("1000000"));
+    await addLiquidity(pool, treasury, ethers.parseEther("1000000"), ethers.parseEther("1000"));
+    await executeAsAdmin("setAmmPair", pair.target, true);
+
+    await executeAsAdmin("teamMint", trader.address, ethers.parseEther("10000"));
+    await executeAsAdmin("setLaunchConfig", WINDOW, COOLDOWN, LAUNCH_FEE_BPS);
+
+    // Enables trading and returns the block it happened in
+    const enableTrading = async () => {
+      const tx = await executeAsAdmin("enableTrading");
+      return BigInt((await tx.wait()).blockNumber);
+    };
+
+    return { capy, executeAsAdmin, enableTrading, pool, treasury, dao, trader, user2, user3 };
+  }
+
+  describe("1. Before Trading", function () {
+    it("Should block transfers between non-exempt addresses", async function () {
+      const { capy, pool, trader, user2 } = await loadFixture(deployLaunchFixture);
+
+      expect(await capy.isTradingEnabled()).to.equal(false);
+      await expect(capy.connect(trader).transfer(user2.address, 1n)).to.be.revertedWithCustomError(
+        capy,
+        "TradingNotEnabled"
+      );
+      await expect(sell(pool, trader, ethers.parseEther("1"))).to.be.revertedWithCustomError(
+        capy,
+        "TradingNotEnabled"
+      );
+      await expect(buy(pool, trader, ethers.parseEther("1"))).to.be.reverted;
+    });
+
+    it("Should allow transfers with an exempt side", async function () {
+      const { capy, dao, trader, user2 } = await loadFixture(deployLaunchFixture);
+
+      await expect(capy.connect(trader).transfer(dao.address, 2n)).not.to.be.reverted;
+      await expect(capy.connect(dao).transfer(user2.address, 1n)).not.to.be.reverted;
+    });
+
+    it("Should be separate from pause", async function () {
+      const { capy, executeAsAdmin, enableTrading, trader, user2 } = await loadFixture(deployLaunchFixture);
+
+      await executeAsAdmin("pause");
+      await enableTrading();
+      await expect(capy.connect(trader).transfer(user2.address, 1n)).to.be.revertedWith("Pausable: paused");
+
+      await executeAsAdmin("unpause");
+      await expect(capy.connect(trader).transfer(user2.address, 1n)).not.to.be.reverted;
+    });
+  });
+
+  describe("2. Enabling Trading", function () {
+    it("Should enable trading once and record the block", async function () {
+      const { capy, executeAsAdmin, trader, user2 } = await loadFixture(deployLaunchFixture);
+
+      const tx = await executeAsAdmin("enableTrading");
+      const blockNumber = BigInt((await tx.wait()).blockNumber);
+      await expect(tx).to.emit(capy, "TradingEnabled").withArgs(blockNumber);
+
+      expect(await capy.isTradingEnabled()).to.equal(true);
+      expect(await capy.getLaunchConfig()).to.deep.equal([blockNumber, WINDOW, COOLDOWN, LAUNCH_FEE_BPS]);
+      await expect(capy.connect(trader).transfer(user2.address, 1n)).not.to.be.reverted;
+
+      await expect(executeAsAdmin("enableTrading")).to.be.revertedWithCustomError(capy, "TradingAlreadyEnabled");
+      await expect(capy.connect(trader).enableTrading()).to.be.reverted;
+    });
+
+    it("Should validate the launch config and freeze it at launch", async function () {
+      const { capy, executeAsAdmin, enableTrading } = await loadFixture(deployLaunchFixture);
+      const maxWindow = await capy.MAX_LAUNCH_WINDOW_BLOCKS();
+      const maxFee = await capy.MAX_LAUNCH_FEE_BPS();
+
+      await expect(executeAsAdmin("setLaunchConfig", 10n, 2n, 0n))
+        .to.emit(capy, "LaunchConfigUpdated")
+        .withArgs(10n, 2n, 0n);
+
+      for (const [window, cooldown, fee] of [
+        [maxWindow + 1n, 0n, 0n],
+        [10n, 11n, 0n],
+        [10n, 0n, maxFee + 1n],
+      ]) {
+        await expect(executeAsAdmin("setLaunchConfig", window, cooldown, fee)).to.be.revertedWithCustomError(
+          capy,
+          "InvalidLaunchConfig"
+        );
+      }
+
+      await enableTrading();
+      await expect(executeAsAdmin("setLaunchConfig", 10n, 2n, 0n)).to.be.revertedWithCustomError(
+        capy,
+        "TradingAlreadyEnabled"
+      );
+    });
+  });
+
+  describe("3. Launch Window", function () {
+    it("Should enforce a cooldown between transfers of the same address", async function () {
+      const { capy, enableTrading, trader, user2, user3 } = await loadFixture(deployLaunchFixture);
+      await enableTrading();
+
+      const tx = await capy.connect(trader).transfer(user2.address, ethers.parseEther("1"));
+      const transferBlock = BigInt((await tx.wait()).blockNumber);
+
+      // The sender waits until COOLDOWN blocks after its last transfer
+      await expect(capy.connect(trader).transfer(user3.address, 1n)).to.be.revertedWithCustomError(
+        capy,
+        "TransferCooldownActive"
+      );
+
+      // The next transaction lands in the block after the latest one
+      await mine(transferBlock + COOLDOWN - 1n - BigInt(await ethers.provider.getBlockNumber()));
+      await expect(capy.connect(trader).transfer(user3.address, 1n)).not.to.be.reverted;
+    });
+
+    it("Should not lock a recipient with a dust transfer", async function () {
+      const { capy, executeAsAdmin, enableTrading, pool, trader, user2, user3 } = await loadFixture(deployLaunchFixture);
+      await executeAsAdmin("teamMint", user2.address, ethers.parseEther("100"));
+      await enableTrading();
+
+      await capy.connect(trader).transfer(user2.address, 1n);
+
+      await expect(capy.connect(user2).transfer(user3.address, ethers.parseEther("1"))).not.to.be.reverted;
+      await expect(sell(pool, user3, ethers.parseEther("0.5"))).not.to.be.reverted;
+    });
+
+    it("Should apply the cooldown to buyers and sellers but not to the pair", async function () {
+      const { capy, executeAsAdmin, enableTrading, pool, trader, user2 } = await loadFixture(deployLaunchFixture);
+      // Long enough to cover the several transactions of each helper
+      await executeAsAdmin("setLaunchConfig", WINDOW, 10n, 0n);
+      await enableTrading();
+
+      await buy(pool, user2, ethers.parseEther("1"));
+      await expect(sell(pool, trader, ethers.parseEther("100"))).not.to.be.reverted;
+
+      await expect(sell(pool, user2, ethers.parseEther("1"))).to.be.revertedWithCustomError(
+        capy,
+        "TransferCooldownActive"
+      );
+    });
+
+    it("Should charge the higher launch fee during the window only", async function () {
+      const { capy, enableTrading, treasury, trader, user2, user3 } = await loadFixture(deployLaunchFixture);
+      const start = await enableTrading();
+
+      const amount = ethers.parseEther("1000");
+      await expect(capy.connect(trader).transfer(user2.address, amount))
+        .to.emit(capy, "TreasuryFee")
+        .withArgs(trader.address, treasury.address, (amount * LAUNCH_FEE_BPS) / 10000n);
+      // 1% burn + 20% launch fee
+      expect(await capy.balanceOf(user2.address)).to.equal(ethers.parseEther("790"));
+
+      // Past the window: regular 1% + 1%, no cooldown
+      const current = BigInt(await ethers.provider.getBlockNumber());
+      await mine(start + WINDOW - current);
+      await capy.connect(trader).transfer(user3.address, amount);
+      await expect(capy.connect(trader).transfer(user3.address, amount))
+        .to.emit(capy, "TreasuryFee")
+        .withArgs(trader.address, treasury.address, amount / 100n);
+    });
+
+    it("Should keep the regular fee when it is higher than the launch fee", async function () {
+      const { capy, executeAsAdmin, enableTrading, treasury, trader, user2 } = await loadFixture(
+        deployLaunchFixture
+      );
+      await executeAsAdmin("setLaunchConfig", WINDOW, 0n, 50n);
+      await enableTrading();
+
+      const amount = ethers.parseEther("1000");
+      await expect(capy.connect(trader).transfer(user2.address, amount))
+        .to.emit(capy, "TreasuryFee")
+        .withArgs(trader.address, treasury.address, amount / 100n);
+      // No cooldown configured
+      await expect(capy.connect(trader).transfer(user2.address, amount)).not.to.be.reverted;
+    });
+  });
+
+  describe("4. Admin Tasks", function () {
+    it("Should configure the launch and enable trading", async function () {
+      const { capy } = await loadFixture(deployLaunchFixture);
+
+      await hre.run("capx:set-launch", { address: capy.target, windowBlocks: "100", cooldownBlocks: "2" });
+      await hre.run("capx:enable-trading", { address: capy.target });
+
+      const config = await capy.getLaunchConfig();
+      expect([config.windowBlocks, config.cooldownBlocks, config.launchFeeBps]).to.deep.equal([100n, 2n, 0n]);
+      expect(await capy.isTradingEnabled()).to.equal(true);
+    });
+
+    it("Should reject launch configs that would revert", async function () {
+      const { capy } = await loadFixture(deployLaunchFixture);
+      const encode = (...args) => encodeAdminCall("CAPX", capy.target, "setLaunchConfig", args);
+
+      expect(() => encode("28801", "0", "0")).to.throw("windowBlocks cannot exceed 28800");
+      expect(() => encode("10", "11", "0")).to.throw("cooldownBlocks cannot exceed windowBlocks");
+      expect(() => encode("10", "0", "2501")).to.throw("launchFeeBps cannot exceed 2500");
+    });
+  });
+});
@@ -0,0 +1,222 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployPair, addLiquidity, buy, sell } = require("./helpers/amm");
+const { deployMultisig } = require("./helpers/multisig");
+const { encodeAdminCall } = require("../scripts/lib/adminCalls");
+
+const { ethers } = hre;
+
+describe("CAPX Transfer Limits", function () {
+  const MAX_TX = ethers.parseEther("2000");
+  const MAX_WALLET = ethers.parseEther("5000");
+
+  async function deployLimitsFixture() {
+    const [adminSigner, treasury, dao, trader, user2, user3] = await ethers.getSigners();
+
+    const { multisig, adminFor } = await deployMultisig(adminSigner);
+
+    const CAPX = await ethers.getContractFactory("CAPX");
+    const capy = await CAPX.deploy(multisig.target, treasury.address, dao.address);
+
+    const executeAsAdmin = adminFor(capy);
+
+    // 1M CAPX against 1000 USDT, seeded by the limit-exempt treasury
+    const { pair, quote } = await deployPair(capy);
+    const pool = { pair, quote, token: capy };
+    await executeAsAdmin("treasuryMint", treasury.address, ethers.parseEther("1000000"));
+    await addLiquidity(pool, treasury, ethers.parseEther("1000000"), ethers.parseEther("1000"));
+    await executeAsAdmin("setAmmPair", pair.target, true);
+    await executeAsAdmin("enableTrading");
+
+    await executeAsAdmin("teamMint", trader.address, ethers.parseEther("4000"));
+    await executeAsAdmin("setTransferLimits", MAX_TX, MAX_WALLET);
+
+    return { capy, executeAsAdmin, pool, pair, treasury, dao, trader, user2, user3 };
+  }
+
+  describe("1. Configuration", function () {
+    it("Should start enabled without effective limits", async function () {
+      const [adminSigner, treasury, dao] = await ethers.getSigners();
+      const { multisig } = await deployMultisig(adminSigner);
+      const capy = await (await ethers.getContractFactory("CAPX")).deploy(multisig.target, treasury.address, dao.address);
+      const maxSupply = await capy.getMaxSupply();
+
+      expect(await capy.getTransferLimits()).to.deep.equal([maxSupply, maxSupply, true]);
+      expect(await capy.isLimitExempt(treasury.address)).to.equal(true);
+      expect(await capy.isLimitExempt(dao.address)).to.equal(true);
+      expect(await capy.isLimitExempt(capy.target)).to.equal(false);
+      expect(await capy.isLimitExempt(adminSigner.address)).to.equal(false);
+    });
+
+    it("Should update the limits and emit TransferLimitsUpdated", async function () {
+      const { capy, executeAsAdmin } = await loadFixture(deployLimitsFixture);
+
+      expect(await capy.getTransferLimits()).to.deep.equal([MAX_TX, MAX_WALLET, true]);
+
+      await expect(executeAsAdmin("setTransferLimits", 1n, 2n))
+        .to.emit(capy, "TransferLimitsUpdated")
+        .withArgs(1n, 2n);
+      expect(await capy.getTransferLimits()).to.deep.equal([1n, 2n, true]);
+    });
+
+    it("Should reject zero limits, limits above MAX_SUPPLY and non-owners", async function () {
+      const { capy, executeAsAdmin, trader } = await loadFixture(deployLimitsFixture);
+      const maxSupply = await capy.getMaxSupply();
+
+      for (const [maxTx, maxWallet] of [
+        [0n, MAX_WALLET],
+        [MAX_TX, 0n],
+        [maxSupply + 1n, MAX_WALLET],
+        [MAX_TX, maxSupply + 1n],
+      ]) {
+        await expect(executeAsAdmin("setTransferLimits", maxTx, maxWallet)).to.be.revertedWithCustomError(
+          capy,
+          "InvalidTransferLimit"
+        );
+      }
+      await expect(capy.connect(trader).setTransferLimits(MAX_TX, MAX_WALLET)).to.be.reverted;
+      await expect(capy.connect(trader).setLimitExemption(trader.address, true)).to.be.reverted;
+      await expect(capy.connect(trader).disableTransferLimits()).to.be.reverted;
+    });
+
+    it("Should keep the limit allow-list separate from fee exemptions", async function () {
+      const { capy, executeAsAdmin, user2 } = await loadFixture(deployLimitsFixture);
+
+      await expect(executeAsAdmin("setLimitExemption", user2.address, true))
+        .to.emit(capy, "LimitExemptionUpdated")
+        .withArgs(user2.address, true);
+
+      expect(await capy.isLimitExempt(user2.address)).to.equal(true);
+      expect(await capy.isExempt(user2.address)).to.equal(false);
+
+      await expect(executeAsAdmin("setLimitExemption", ethers.ZeroAddress, true)).to.be.revertedWithCustomError(
+        capy,
+        "ZeroAddress"
+      );
+    });
+  });
+
+  describe("2. Max Transaction", function () {
+    it("Should reject transfers above the limit", async function () {
+      const { capy, trader, user2 } = await loadFixture(deployLimitsFixture);
+
+      await expect(capy.connect(trader).transfer(user2.address, MAX_TX + 1n)).to.be.revertedWithCustomError(
+        capy,
+        "MaxTxAmountExceeded"
+      );
+      await expect(capy.connect(trader).transfer(user2.address, MAX_TX)).not.to.be.reverted;
+    });
+
+    it("Should apply to transferFrom", async function () {
+      const { capy, trader, user2, user3 } = await loadFixture(deployLimitsFixture);
+
+      await capy.connect(trader).approve(user3.address, MAX_TX * 2n);
+      await expect(
+        capy.connect(user3).transferFrom(trader.address, user2.address, MAX_TX + 1n)
+      ).to.be.revertedWithCustomError(capy, "MaxTxAmountExceeded");
+    });
+
+    it("Should apply to sells and buys", async function () {
+      const { capy, executeAsAdmin, pool, trader } = await loadFixture(deployLimitsFixture);
+
+      await expect(sell(pool, trader, MAX_TX + 1n)).to.be.revertedWithCustomError(capy, "MaxTxAmountExceeded");
+
+      // About 2990 CAPX out of the pair; the pair's transfer reverts inside the swap
+      await expect(buy(pool, trader, ethers.parseEther("3"))).to.be.reverted;
+      await executeAsAdmin("setLimitExemption", trader.address, true);
+      await expect(buy(pool, trader, ethers.parseEther("3"))).not.to.be.reverted;
+    });
+
+    it("Should not apply when either side is exempt", async function () {
+      const { capy, executeAsAdmin, treasury, trader, user2 } = await loadFixture(deployLimitsFixture);
+
+      await expect(capy.connect(trader).transfer(treasury.address, MAX_TX + 1n)).not.to.be.reverted;
+
+      await executeAsAdmin("teamMint", trader.address, MAX_TX);
+
+      await executeAsAdmin("setLimitExemption", user2.address, true);
+      await expect(capy.connect(trader).transfer(user2.address, MAX_TX + 1n)).not.to.be.reverted;
+    });
+  });
+
+  describe("3. Max Wallet", function () {
+    it("Should reject transfers that leave the recipient above the limit", async function () {
+      const { capy, executeAsAdmin, trader, user2 } = await loadFixture(deployLimitsFixture);
+      await executeAsAdmin("teamMint", trader.address, MAX_TX);
+
+      // 2000 CAPX arrive as 1960 after the 2% fee
+      await capy.connect(trader).transfer(user2.address, MAX_TX);
+      await capy.connect(trader).transfer(user2.address, MAX_TX);
+      expect(await capy.balanceOf(user2.address)).to.equal(ethers.parseEther("3920"));
+
+      const [, , , , , , other] = await ethers.getSigners();
+      await capy.connect(user2).transfer(other.address, ethers.parseEther("100"));
+      // 3920 - 100 = 3820; 1200 more arrive as 1176, 4996 in total
+      await expect(capy.connect(trader).transfer(user2.address, ethers.parseEther("1200"))).not.to.be.reverted;
+      await expect(capy.connect(trader).transfer(user2.address, ethers.parseEther("10"))).to.be.revertedWithCustomError(
+        capy,
+        "MaxWalletAmountExceeded"
+      );
+    });
+
+    it("Should apply to exempt senders but not to exempt recipients", async function () {
+      const { capy, executeAsAdmin, treasury, user2 } = await loadFixture(deployLimitsFixture);
+
+      await executeAsAdmin("treasuryMint", treasury.address, ethers.parseEther("10000"));
+      await expect(
+        capy.connect(treasury).transfer(user2.address, MAX_WALLET + 1n)
+      ).to.be.revertedWithCustomError(capy, "MaxWalletAmountExceeded");
+
+      await executeAsAdmin("setLimitExemption", user2.address, true);
+      await expect(capy.connect(treasury).transfer(user2.address, MAX_WALLET + 1n)).not.to.be.reverted;
+    });
+
+    it("Should not cap the balance of AMM pairs", async function () {
+      const { capy, pool, pair, trader } = await loadFixture(deployLimitsFixture);
+
+      expect(await capy.balanceOf(pair.target)).to.be.greaterThan(MAX_WALLET);
+      await expect(sell(pool, trader, ethers.parseEther("1000"))).not.to.be.reverted;
+    });
+  });
+
+  describe("4. Disabling", function () {
+    it("Should remove the limits permanently", async function () {
+      const { capy, executeAsAdmin, trader, user2 } = await loadFixture(deployLimitsFixture);
+
+      await expect(executeAsAdmin("disableTransferLimits")).to.emit(capy, "TransferLimitsRemoved");
+      expect((await capy.getTransferLimits()).enabled).to.equal(false);
+
+      await expect(capy.connect(trader).transfer(user2.address, ethers.parseEther("4000"))).not.to.be.reverted;
+      expect(await capy.balanceOf(user2.address)).to.be.greaterThan(MAX_TX);
+
+      await expect(executeAsAdmin("setTransferLimits", MAX_TX, MAX_WALLET)).to.be.revertedWithCustomError(
+        capy,
+        "TransferLimitsDisabled"
+      );
+      await expect(executeAsAdmin("disableTransferLimits")).to.be.revertedWithCustomError(
+        capy,
+        "TransferLimitsDisabled"
+      );
+    });
+
+    it("Should disable the limits through the admin task", async function () {
+      const { capy } = await loadFixture(deployLimitsFixture);
+
+      await hre.run("capx:disable-limits", { address: capy.target });
+
+      expect((await capy.getTransferLimits()).enabled).to.equal(false);
+    });
+
+    it("Should reject limits that would revert before encoding", async function () {
+      const { capy } = await loadFixture(deployLimitsFixture);
+
+      expect(() => encodeAdminCall("CAPX", capy.target, "setTransferLimits", ["0", "1"])).to.throw(
+        "maxTxAmount must be greater than zero"
+      );
+      expect(() =>
+        encodeAdminCall("CAPX", capy.target, "setTransferLimits", ["1", (10n ** 27n).toString()])
+      ).to.throw("maxWalletAmount cannot exceed MAX_SUPPLY");
+    });
+  });
+});
@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMultisig } = require("./helpers/multisig");
+
+describe("CAPX Votes", function () {
+  async function deployVotesFixture() {
+    const [adminSigner, treasury, dao, minter, alice, bob, carol] = await ethers.getSigners();
+
+    const { multisig, adminFor } = await deployMultisig(adminSigner);
+
+    const capx = await (await ethers.getContractFactory("CAPX")).deploy(
+      multisig.target,
+      treasury.address,
+      dao.address
+    );
+
+    const executeAsAdmin = adminFor(capx);
+
+    await executeAsAdmin("enableTrading");
+    await executeAsAdmin("grantRoles", minter.address, await capx.TEAM_MINTER_ROLE());
+
+    const amount = ethers.parseEther("1000");
+    await capx.connect(minter).teamMint(alice.address, amount);
+
+    const [burnFeeBps, treasuryFeeBps] = await capx.getFees(0);
+
+    return { capx, multisig, executeAsAdmin, treasury, minter, alice, bob, carol, amount, burnFeeBps, treasuryFeeBps };
+  }
+
+  describe("1. Delegation", function () {
+    it("Should count votes only once delegated", async function () {
+      const { capx, alice, amount } = await loadFixture(deployVotesFixture);
+
+      expect(await capx.getVotes(alice.address)).to.equal(0n);
+      expect(await capx.delegates(alice.address)).to.equal(ethers.ZeroAddress);
+
+      await expect(capx.connect(alice).delegate(alice.address))
+        .to.emit(capx, "DelegateChanged")
+        .withArgs(alice.address, ethers.ZeroAddress, alice.address)
+        .and.to.emit(capx, "DelegateVotesChanged")
+        .withArgs(alice.address, 0n, amount);
+      expect(await capx.getVotes(alice.address)).to.equal(amount);
+    });
+
+    it("Should move all votes when the delegate changes", async function () {
+      const { capx, alice, bob, amount } = await loadFixture(deployVotesFixture);
+
+      await capx.connect(alice).delegate(alice.address);
+      await capx.connect(alice).delegate(bob.address);
+
+      expect(await capx.getVotes(alice.address)).to.equal(0n);
+      expect(await capx.getVotes(bob.address)).to.equal(amount);
+      expect(await capx.delegates(alice.address)).to.equal(bob.address);
+    });
+
+    it("Should delegate by signature and reject a replay", async function () {
+      const { capx, alice, bob, carol, amount } = await loadFixture(deployVotesFixture);
+      const { chainId } = await ethers.provider.getNetwork();
+      const expiry = BigInt(await time.latest()) + 3600n;
+      const nonce = await capx.nonces(alice.address);
+
+      const signature = await alice.signTypedData(
+        { name: await capx.name(), version: "1", chainId, verifyingContract: capx.target },
+        {
+          Delegation: [
+            { name: "delegatee", type: "address" },
+            { name: "nonce", type: "uint256" },
+            { name: "expiry", type: "uint256" },
+          ],
+        },
+        { delegatee: bob.address, nonce, expiry }
+      );
+      const { v, r, s } = ethers.Signature.from(signature);
+
+      await capx.connect(carol).delegateBySig(bob.address, nonce, expiry, v, r, s);
+      expect(await capx.delegates(alice.address)).to.equal(bob.address);
+      expect(await capx.getVotes(bob.address)).to.equal(amount);
+
+      await expect(
+        capx.connect(carol).delegateBySig(bob.address, nonce, expiry, v, r, s)
+      ).to.be.revertedWithCustomError(capx, "ERC5805DelegateInvalidSignature");
+    });
+
+    it("Should use block numbers as its clock", async function () {
+      const { capx } = await loadFixture(deployVotesFixture);
+
+      expect(await capx.clock()).to.equal(await ethers.provider.getBlockNumber());
+      expect(await capx.CLOCK_MODE()).to.equal("mode=blocknumber&from=default");
+    });
+  });
+
+  describe("2. Checkpoints", function () {
+    it("Should keep past votes and total supply per block", async function () {
+      const { capx, minter, alice, amount } = await loadFixture(deployVotesFixture);
+
+      await capx.connect(alice).delegate(alice.address);
+      const before = await ethers.provider.getBlockNumber();
+      await capx.connect(minter).teamMint(alice.address, amount);
+      const after = await ethers.provider.getBlockNumber();
+      await mine();
+
+      expect(await capx.getPastVotes(alice.address, before)).to.equal(amount);
+      expect(await capx.getPastVotes(alice.address, after)).to.equal(amount * 2n);
+      expect(await capx.getPastTotalSupply(before)).to.equal(amount);
+      expect(await capx.getPastTotalSupply(after)).to.equal(amount * 2n);
+      expect(await capx.getPastTotalSupply(after)).to.equal(await capx.getPastVotesTotalSupply(after));
+    });
+
+    it("Should reject lookups of the current or a future block", async function () {
+      const { capx, alice } = await loadFixture(deployVotesFixture);
+      const current = await capx.clock();
+
+      await expect(capx.getPastVotes(alice.address, current)).to.be.revertedWithCustomError(
+        capx,
+        "ERC5805FutureLookup"
+      );
+      await expect(capx.getPastTotalSupply(current + 1n)).to.be.revertedWithCustomError(
+        capx,
+        "ERC5805FutureLookup"
+      );
+    });
+  });
+
+  describe("3. Fees and Burns", function () {
+    it("Should move votes for the net transfer, the treasury fee and the fee burn", async function () {
+      const { capx, treasury, alice, bob, burnFeeBps, treasuryFeeBps, amount } = await loadFixture(
+        deployVotesFixture
+      );
+      const value = ethers.parseEther("100");
+
+      await capx.connect(alice).delegate(alice.address);
+      await capx.connect(bob).delegate(bob.address);
+      await capx.connect(treasury).delegate(treasury.address);
+
+      await capx.connect(alice).transfer(bob.address, value);
+
+      const burnFee = (value * burnFeeBps) / 10_000n;
+      const treasuryFee = (value * treasuryFeeBps) / 10_000n;
+      expect(await capx.getVotes(alice.address)).to.equal(amount - value);
+      expect(await capx.getVotes(bob.address)).to.equal(value - burnFee - treasuryFee);
+      expect(await capx.getVotes(treasury.address)).to.equal(treasuryFee);
+      expect(await capx.getVotesTotalSupply()).to.equal(amount - burnFee);
+      expect(await capx.getVotesTotalSupply()).to.equal(await capx.totalSupply());
+    });
+
+    it("Should remove burned tokens from votes and total supply", async function () {
+      const { capx, alice, bob, amount } = await loadFixture(deployVotesFixture);
+      const value = ethers.parseEther("100");
+
+      await capx.connect(alice).delegate(alice.address);
+      await capx.connect(alice).burn(value);
+      expect(await capx.getVotes(alice.address)).to.equal(amount - value);
+
+      await capx.connect(alice).approve(bob.address, value);
+      await capx.connect(bob).burnFrom(alice.address, value);
+      expect(await capx.getVotes(alice.address)).to.equal(amount - 2n * value);
+      expect(await capx.getVotesTotalSupply()).to.equal(amount - 2n * value);
+    });
+
+    it("Should keep votes in step with balances across taxed transfers", async function () {
+      const { capx, treasury, alice, bob, carol } = await loadFixture(deployVotesFixture);
+
+      for (const signer of [alice, bob, carol, treasury]) {
+        await capx.connect(signer).delegate(signer.address);
+      }
+      await capx.connect(alice).transfer(bob.address, ethers.parseEther("300"));
+      await capx.connect(bob).transfer(carol.address, ethers.parseEther("120"));
+      await capx.connect(carol).approve(alice.address, ethers.parseEther("50"));
+      await capx.connect(alice).transferFrom(carol.address, bob.address, ethers.parseEther("50"));
+
+      for (const signer of [alice, bob, carol, treasury]) {
+        expect(await capx.getVotes(signer.address)).to.equal(await capx.balanceOf(signer.address));
+      }
+    });
+  });
+
+  describe("4. Snapshots", function () {
+    it("Should not let tokens moved after a snapshot vote again", async function () {
+      const { capx, alice, bob, amount } = await loadFixture(deployVotesFixture);
+
+      await capx.connect(alice).delegate(alice.address);
+      await capx.connect(bob).delegate(bob.address);
+      const snapshot = await ethers.provider.getBlockNumber();
+
+      // Alice hands her tokens to Bob mid-vote; the snapshot still credits them to Alice only
+      await capx.connect(alice).transfer(bob.address, ethers.parseEther("500"));
+      await mine();
+
+      expect(await capx.getPastVotes(alice.address, snapshot)).to.equal(amount);
+      expect(await capx.getPastVotes(bob.address, snapshot)).to.equal(0n);
+      expect(await capx.getPastTotalSupply(snapshot)).to.equal(amount);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+// test/helpers/amm.js
+//
+// Local stand-in for a PancakeSwap pool: deploys MockPair against a mock quote token
+// (a stablecoin or wrapped BNB) with a MockRouter, and simulates buys and sells the way the
+// router drives a V2 pair.
+const { ethers } = require("hardhat");
+
+// PancakeSwap V2 charges 0.25% on the input amount (MockPair does the same)
+const SWAP_FEE_BPS = 25n;
+
+/**
+ * Output of a V2 swap for a given input, after the swap fee
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut) {
+  const amountInWithFee = amountIn * (10000n - SWAP_FEE_BPS);
+  return (amountInWithFee * reserveOut) / (reserveIn * 10000n + amountInWithFee);
+}
+
+/**
+ * Deploys a MockPair for `token` and a quote token, plus a MockRouter over it
+ * @param {object} token CAPX contract
+ * @param {object} [options]
+ * @param {boolean} [options.native] Quote in MockWBNB (wrapped native) instead of a mintable
+ *   MockERC20 stablecoin
+ * @returns {Promise<{pair: object, quote: object, router: object}>}
+ */
+async function deployPair(token, { native = false } = {}) {
+  const quote = native
+    ? await (await ethers.getContractFactory("MockWBNB")).deploy()
+    : await (await ethers.getContractFactory("MockERC20")).deploy("Tether USD", "USDT");
+
+  const MockPair = await ethers.getContractFactory("MockPair");
+  const pair = await MockPair.deploy(token.target, quote.target);
+
+  // The router only needs a real WETH for native swaps; any address will do otherwise
+  const MockRouter = await ethers.getContractFactory("MockRouter");
+  const router = await MockRouter.deploy(pair.target, native ? quote.target : ethers.ZeroAddress);
+
+  return { pair, quote, router };
+}
+
+// Gives `account` quote tokens: minted for MockERC20, wrapped from its own BNB for MockWBNB
+async function fundQuote(quote, account, amount) {
+  if (quote.interface.hasFunction("deposit")) {
+    await quote.connect(account).deposit({ value: amount });
+  } else {
+    await quote.mint(account.address, amount);
+  }
+}
+
+async function getReserves(pair, token) {
+  const [reserve0, reserve1] = await pair.getReserves();
+  return (await pair.token0()) === token.target
+    ? { tokenReserve: reserve0, quoteReserve: reserve1 }
+    : { tokenReserve: reserve1, quoteReserve: reserve0 };
+}
+
+/**
+ * Seeds the pair with liquidity. `provider` should be fee-exempt (e.g. the treasury),
+ * otherwise the CAPX sent to the pair is charged as a sell.
+ */
+async function addLiquidity({ pair, quote, token }, provider, tokenAmount, quoteAmount) {
+  await token.connect(provider).transfer(pair.target, tokenAmount);
+  await fundQuote(quote, provider, quoteAmount);
+  await quote.connect(provider).transfer(pair.target, quoteAmount);
+  await pair.sync();
+}
+
+/**
+ * Swaps quote tokens for CAPX: the pair sends CAPX to the buyer, which CAPX charges as a buy
+ * @returns {Promise<{tx: object, amountOut: bigint}>} amountOut is what the pair sent, before CAPX fees
+ */
+async function buy({ pair, quote, token }, buyer, quoteIn) {
+  const { tokenReserve, quoteReserve } = await getReserves(pair, token);
+  const amountOut = getAmountOut(quoteIn, quoteReserve, tokenReserve);
+
+  await fundQuote(quote, buyer, quoteIn);
+  await quote.connect(buyer).transfer(pair.target, quoteIn);
+
+  const tokenIs0 = (await pair.token0()) === token.target;
+  const tx = await pair
+    .connect(buyer)
+    .swap(tokenIs0 ? amountOut : 0n, tokenIs0 ? 0n : amountOut, buyer.address, "0x");
+  return { tx, amountOut };
+}
+
+/**
+ * Swaps CAPX for quote tokens: the seller sends CAPX to the pair, which CAPX charges as a sell.
+ * Like the router's fee-on-transfer swaps, the input is what the pair actually received.
+ * @returns {Promise<{tx: object, amountIn: bigint, amountOut: bigint}>}
+ */
+async function sell({ pair, quote, token }, seller, tokenIn) {
+  const tx = await token.connect(seller).transfer(pair.target, tokenIn);
+
+  const { tokenReserve, quoteReserve } = await getReserves(pair, token);
+  const amountIn = (await token.balanceOf(pair.target)) - tokenReserve;
+  const amountOut = getAmountOut(amountIn, tokenReserve, quoteReserve);
+
+  const tokenIs0 = (await pair.token0()) === token.target;
+  await pair
+    .connect(seller)
+    .swap(tokenIs0 ? 0n : amountOut, tokenIs0 ? amountOut : 0n, seller.address, "0x");
+  return { tx, amountIn, amountOut };
+}
+
+module.exports = {
+  SWAP_FEE_BPS,
+  getAmountOut,
+  deployPair,
+  getReserves,
+  addLiquidity,
+  buy,
+  sell,
+};
@@ -0,0 +1,27 @@
+// test/helpers/multisig.js
+//
+// Admin stand-in for the test fixtures: both tokens must be owned by a contract, so the
+// fixtures deploy a MockMultisig and send owner-only calls through its execute().
+const { ethers } = require("hardhat");
+
+/**
+ * Deploys a MockMultisig that `signer` can execute calls through
+ * @param {object} signer Signer allowed to call execute()
+ * @returns {Promise<{multisig: object, executeAsAdmin: Function, adminFor: Function}>}
+ *   `executeAsAdmin(target, functionName, ...args)` calls `target` from the multisig;
+ *   `adminFor(target)` returns the same bound to one contract, `(functionName, ...args)`
+ */
+async function deployMultisig(signer) {
+  const MockMultisig = await ethers.getContractFactory("MockMultisig");
+  const multisig = await MockMultisig.deploy(signer.address);
+
+  const executeAsAdmin = (target, functionName, ...args) =>
+    multisig.connect(signer).execute(target.target, target.interface.encodeFunctionData(functionName, args));
+  const adminFor = (target) => (functionName, ...args) => executeAsAdmin(target, functionName, ...args);
+
+  return { multisig, executeAsAdmin, adminFor };
+}
+
+module.exports = {
+  deployMultisig,
+};